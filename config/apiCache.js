@@ -0,0 +1,82 @@
+// Response cache rules for authenticated GETs made through apiClient.authGet.
+//
+// Each rule:
+// - pattern: matched against the request path (without query string)
+// - ttl: how long (ms) a successful response stays cached for the same user token
+// - invalidatedBy: successful POST/PUT/DELETE paths that drop the cached entries
+//
+// Only paths matching a rule are cached. Set API_CACHE_DISABLED=1 to turn caching off.
+
+const SECONDS = 1000;
+
+// Mutations that change a specialist's caseload (parents, children, link requests).
+const caseloadMutations = [
+    /^\/specialists\/link-parent/,
+    /^\/specialists\/unlink-parent\//,
+    /^\/specialists\/accept-link-request\//,
+    /^\/specialists\/reject-link-request\//,
+    /^\/specialists\/create-child/,
+    /^\/admin\/specialists\//
+];
+
+// Applying a plan template creates plan sessions (and changes targets) like POST /exercises.
+const templateApplied = /^\/plan-templates\/[^/]+\/apply$/;
+
+module.exports = [
+    {
+        pattern: /^\/specialists\/my-children$/,
+        ttl: 30 * SECONDS,
+        invalidatedBy: [...caseloadMutations, /^\/specialists\/set-duration\//, /^\/exercises/, templateApplied]
+    },
+    {
+        pattern: /^\/specialists\/parents$/,
+        ttl: 30 * SECONDS,
+        invalidatedBy: caseloadMutations
+    },
+    {
+        pattern: /^\/specialists\/search-parent$/,
+        ttl: 15 * SECONDS,
+        invalidatedBy: caseloadMutations
+    },
+    {
+        pattern: /^\/specialists\/link-requests$/,
+        ttl: 15 * SECONDS,
+        invalidatedBy: caseloadMutations
+    },
+    {
+        pattern: /^\/specialist\/dashboard$/,
+        ttl: 30 * SECONDS,
+        invalidatedBy: caseloadMutations
+    },
+    {
+        pattern: /^\/exercises\/child\//,
+        ttl: 30 * SECONDS,
+        invalidatedBy: [/^\/exercises/, /^\/words/, templateApplied]
+    },
+    {
+        pattern: /^\/words\/child\//,
+        ttl: 30 * SECONDS,
+        invalidatedBy: [/^\/words/, /^\/exercises/]
+    },
+    {
+        pattern: /^\/children\/[^/]+$/,
+        ttl: 30 * SECONDS,
+        invalidatedBy: [/^\/specialists\/set-duration\//, /^\/exercises/, /^\/words/, /^\/admin\/specialists\//, templateApplied]
+    },
+    {
+        pattern: /^\/admin\/specialists$/,
+        ttl: 30 * SECONDS,
+        invalidatedBy: [/^\/admin\/create-specialist/, /^\/admin\/specialists\//]
+    },
+    {
+        // Other users of the center pick up role changes when this expires.
+        pattern: /^\/centers\/[^/]+\/roles$/,
+        ttl: 60 * SECONDS,
+        invalidatedBy: [/^\/centers\/[^/]+\/roles$/]
+    },
+    {
+        pattern: /^\/superadmin\/centers$/,
+        ttl: 60 * SECONDS,
+        invalidatedBy: [/^\/superadmin\/centers/, /^\/superadmin\/admins/]
+    }
+];
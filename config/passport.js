@@ -1,5 +1,12 @@
 const LocalStrategy = require('passport-local').Strategy;
+const { Issuer, Strategy: OidcStrategy } = require('openid-client');
 const apiClient = require('../utils/apiClient');
+const { DEFAULT_ROLES } = require('./permissions');
+const { portalHeaders } = require('./portalKey');
+
+// Portal roles are the ones in config/permissions.js; parents use the app.
+const isPortalRole = (user) => Object.prototype.hasOwnProperty.call(DEFAULT_ROLES, user.role);
+const ROLE_DENIED_MESSAGE = 'ليس لديك صلاحية للدخول إلى هذه البوابة';
 
 module.exports = function (passport) {
     passport.use(
@@ -12,15 +19,20 @@ module.exports = function (passport) {
                 });
 
                 const data = response.data || {};
+
+                // Password accepted but the account uses two-factor: routes/auth.js asks for the code.
+                if (data.twoFactorRequired && data.challenge) {
+                    return done(null, false, { twoFactorChallenge: data.challenge });
+                }
+
                 const token = data.token;
                 const user = data.user;
                 const loginOk = (data.success === true) || (typeof token === 'string' && token.length > 10);
 
                 if (loginOk && user) {
                     // Check role locally as a safeguard, although backend login usually handles this
-                    const validRoles = ['superadmin', 'admin', 'specialist'];
-                    if (!validRoles.includes(user.role)) {
-                        return done(null, false, { message: 'ليس لديك صلاحية للدخول إلى هذه البوابة' });
+                    if (!isPortalRole(user)) {
+                        return done(null, false, { message: ROLE_DENIED_MESSAGE });
                     }
 
                     // Attach token to user object so we can use it on subsequent requests
@@ -37,12 +49,13 @@ module.exports = function (passport) {
 
                 // Wrong credentials
                 if (status === 401) {
-                    return done(null, false, { message: 'اسم المستخدم أو كلمة المرور غير صحيحة' });
+                    return done(null, false, { message: 'اسم المستخدم أو كلمة المرور غير صحيحة', invalidCredentials: true });
                 }
 
                 // Backend temporarily unavailable (Railway/edge 502, timeouts, DNS issues, etc.)
                 const looksLikeNetworkIssue =
                     status === 502 || status === 503 || status === 504 ||
+                    code === 'EBACKENDDOWN' ||
                     code === 'ECONNABORTED' || code === 'ETIMEDOUT' || code === 'ENOTFOUND' ||
                     code === 'ECONNREFUSED' || code === 'EAI_AGAIN';
 
@@ -120,3 +133,79 @@ module.exports = function (passport) {
     });
 };
 
+
+// ========================================
+// SINGLE SIGN-ON (OpenID Connect, per center)
+// ========================================
+// A center can let its staff sign in through its own identity provider instead of a portal
+// password. The provider settings live on the backend (superadmin → edit center), so the
+// strategy for a center ("oidc:<centerId>") is built on first use and rebuilt whenever those
+// settings or the callback URL change.
+const oidcStrategies = new Map(); // strategy name -> JSON of the settings it was built from
+
+// Provider claims -> backend user. The account must already exist in the center, and the same
+// role rules as the password login apply.
+const oidcVerify = (centerId, settings) => async (tokenSet, userinfo, done) => {
+    try {
+        const claims = { ...userinfo, ...tokenSet.claims() };
+        const email = claims[settings.emailClaim] || claims.email;
+        if (!email || claims.email_verified === false) {
+            return done(null, false, { message: 'لم يرسل مزوّد الهوية بريداً إلكترونياً موثّقاً' });
+        }
+
+        const response = await apiClient.post('/auth/sso/login', {
+            center: centerId,
+            subject: claims.sub,
+            email,
+            name: claims.name
+        }, { headers: portalHeaders() });
+
+        const { token, user } = response.data || {};
+        if (!token || !user) {
+            return done(null, false, { message: 'فشل تسجيل الدخول' });
+        }
+        if (!isPortalRole(user)) {
+            return done(null, false, { message: ROLE_DENIED_MESSAGE });
+        }
+
+        user.token = token;
+        return done(null, user);
+    } catch (err) {
+        const status = err.response?.status;
+        if (status === 401 || status === 404) {
+            return done(null, false, { message: 'لا يوجد حساب في البوابة لهذه الهوية. تواصل مع مدير المركز.' });
+        }
+        if (status === 403) {
+            return done(null, false, { message: ROLE_DENIED_MESSAGE });
+        }
+        return done(err);
+    }
+};
+
+// Registers (or refreshes) the SSO strategy of a center and resolves to its name.
+// Rejects with a 404 from the backend when the center has no single sign-on.
+module.exports.useCenterSso = async (passport, centerId, callbackUrl) => {
+    const response = await apiClient.get(`/auth/sso/${encodeURIComponent(centerId)}/config`, {
+        headers: portalHeaders()
+    });
+    const settings = response.data.sso;
+    const name = `oidc:${centerId}`;
+    const fingerprint = JSON.stringify({ ...settings, callbackUrl });
+
+    if (oidcStrategies.get(name) !== fingerprint) {
+        const issuer = await Issuer.discover(settings.issuer);
+        const client = new issuer.Client({
+            client_id: settings.clientId,
+            client_secret: settings.clientSecret,
+            redirect_uris: [callbackUrl],
+            response_types: ['code']
+        });
+        passport.use(name, new OidcStrategy({
+            client,
+            params: { scope: 'openid email profile' },
+            sessionKey: name
+        }, oidcVerify(centerId, settings)));
+        oidcStrategies.set(name, fingerprint);
+    }
+    return name;
+};
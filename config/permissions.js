@@ -0,0 +1,73 @@
+// Permission registry and the default permission set of every portal role.
+//
+// Routes are guarded with `ensurePermission(...)` (middleware/auth.js) and views hide
+// actions with `can('perm')`. Centers can override the permission set of any role except
+// superadmin from Settings → Roles & permissions (stored by the backend per center and
+// merged over these defaults by utils/permissions.js).
+
+// key -> translation key of its label (config/translations.js)
+const PERMISSIONS = {
+    'children:read': 'permChildrenRead',
+    'children:write': 'permChildrenWrite',
+    'parents:read': 'permParentsRead',
+    'parents:manage': 'permParentsManage',
+    'plans:read': 'permPlansRead',
+    'plans:write': 'permPlansWrite',
+    'reports:read': 'permReportsRead',
+    'reports:export': 'permReportsExport',
+    'messages:use': 'permMessagesUse',
+    'specialists:read': 'permSpecialistsRead',
+    'specialists:manage': 'permSpecialistsManage',
+    'specialists:impersonate': 'permSpecialistsImpersonate',
+    'activity:read': 'permActivityRead',
+    'settings:manage': 'permSettingsManage',
+    'centers:manage': 'permCentersManage',
+    'admins:manage': 'permAdminsManage'
+};
+
+const ALL = Object.keys(PERMISSIONS);
+
+// Platform-wide permissions a center can never grant.
+const PLATFORM_PERMISSIONS = ['centers:manage', 'admins:manage'];
+
+const SPECIALIST = [
+    'children:read', 'children:write',
+    'parents:read', 'parents:manage',
+    'plans:read', 'plans:write',
+    'reports:read', 'reports:export',
+    'messages:use'
+];
+
+const DEFAULT_ROLES = {
+    superadmin: ALL,
+    admin: ALL.filter(p => !PLATFORM_PERMISSIONS.includes(p)),
+    specialist: SPECIALIST,
+    supervisor: ['children:read', 'parents:read', 'plans:read', 'reports:read', 'reports:export'],
+    content_editor: ['children:read', 'plans:read', 'plans:write']
+};
+
+// Roles whose permission set a center may change.
+const CONFIGURABLE_ROLES = ['admin', 'specialist', 'supervisor', 'content_editor'];
+
+// Permissions a role always keeps so a center can't lock itself out of its settings.
+const LOCKED = {
+    admin: ['settings:manage']
+};
+
+// Where a signed-in user lands: the first page they are allowed to open.
+const LANDING_PAGES = [
+    { path: '/superadmin', permission: 'centers:manage' },
+    { path: '/admin', permission: 'specialists:read' },
+    { path: '/specialist', permission: 'children:read' },
+    { path: '/specialist/words', permission: 'plans:read' },
+    { path: '/specialist/profile', permission: null }
+];
+
+module.exports = {
+    PERMISSIONS,
+    PLATFORM_PERMISSIONS,
+    DEFAULT_ROLES,
+    CONFIGURABLE_ROLES,
+    LOCKED,
+    LANDING_PAGES
+};
@@ -0,0 +1,14 @@
+// Key of the server-to-server calls the backend only accepts from the portal (X-Portal-Key header):
+// logins, SSO configuration, reset links and lockout events.
+//
+// Outside production the mock backend's key is used when PORTAL_API_KEY is unset; in production it
+// stays null and server.js refuses to start.
+
+const DEV_PORTAL_KEY = 'dev-portal-key';
+
+const PORTAL_API_KEY = process.env.PORTAL_API_KEY
+    || (process.env.NODE_ENV === 'production' ? null : DEV_PORTAL_KEY);
+
+const portalHeaders = () => ({ 'X-Portal-Key': PORTAL_API_KEY });
+
+module.exports = { PORTAL_API_KEY, portalHeaders };
@@ -1,7 +1,6 @@
 module.exports = {
     ar: {
         // General
-        appName: 'مرحباً بك',
         dashboard: 'لوحة التحكم',
         welcome: 'مرحباً',
         logout: 'تسجيل الخروج',
@@ -53,7 +52,8 @@ module.exports = {
         superadmin: 'مدير النظام',
         admin: 'مدير المركز',
         specialist: 'أخصائي',
-        parent: 'ولي أمر',
+        supervisor: 'مشرف',
+        content_editor: 'محرر المحتوى',
 
         reload: 'تحديث الصفحة',
         // Navigation
@@ -66,6 +66,8 @@ module.exports = {
         serverErrorMessage: 'واجهنا مشكلة في معالجة طلبك. تم تسجيل الخطأ وسنقوم بإصلاحه قريباً.',
         serviceUnavailableTitle: 'الخدمة غير متاحة حالياً',
         serviceUnavailableMessage: 'عذراً، لا يمكننا الاتصال بالخادم الرئيسي في الوقت الحالي. قد يكون الخادم قيد الصيانة أو هناك عطل فني. حاول مرة أخرى بعد قليل.',
+        csrfTitle: 'انتهت صلاحية الصفحة',
+        csrfMessage: 'تعذّر التحقق من هذا الطلب، ربما لأن الصفحة قديمة أو سُجّل الخروج في نافذة أخرى. عد إلى الصفحة وحدّثها ثم حاول مرة أخرى.',
         children: 'الأطفال',
         analytics: 'التحليلات',
         settings: 'الإعدادات',
@@ -130,17 +132,12 @@ module.exports = {
         pending: 'معلق',
         approved: 'مقبول',
         rejected: 'مرفوض',
-        reload: 'Reload',
 
         // Messages
         createdSuccessfully: 'تم الإنشاء بنجاح',
         updatedSuccessfully: 'تم التحديث بنجاح',
         deletedSuccessfully: 'تم الحذف بنجاح',
         confirmDelete: 'هل أنت متأكد من الحذف؟',
-        serverErrorTitle: 'Unexpected error',
-        serverErrorMessage: 'We had a problem processing your request. The issue has been logged and will be fixed soon.',
-        serviceUnavailableTitle: 'Service unavailable',
-        serviceUnavailableMessage: 'Sorry, we cannot reach the main server right now. It may be under maintenance or experiencing an outage. Please try again shortly.',
         errorOccurred: 'حدث خطأ',
 
         // Errors
@@ -148,14 +145,6 @@ module.exports = {
         pageNotFoundMessage: 'عذراً، الصفحة التي تبحث عنها غير موجودة',
         error: 'خطأ',
         accessDenied: 'الوصول مرفوض',
-        loginFeatureTrackTitle: 'Track progress',
-        loginFeatureTrackDesc: 'Monitor children\'s performance with detailed reports',
-        loginFeatureCasesTitle: 'Case management',
-        loginFeatureCasesDesc: 'Organize children and parents files easily',
-        loginFeatureSessionsTitle: 'Interactive sessions',
-        loginFeatureSessionsDesc: 'Educational games designed to improve skills',
-        loginFeatureNotificationsTitle: 'Instant notifications',
-        loginFeatureNotificationsDesc: 'Stay updated with real-time alerts',
         loginRequired: 'يجب تسجيل الدخول أولاً',
 
         // Form
@@ -187,10 +176,6 @@ module.exports = {
         years: 'سنوات',
         age: 'العمر',
 
-        // Time/Age
-        years: 'سنوات',
-        age: 'العمر',
-
         // Children
         addChild: 'إضافة طفل',
         selectParent: 'اختر ولي الأمر',
@@ -214,7 +199,6 @@ module.exports = {
         returnToParents: 'العودة لأولياء الأمور',
         parentInfo: 'معلومات ولي الأمر',
         cancelLink: 'إلغاء الربط',
-        confirmUnlinkParent: 'هل تريد إلغاء ربط ولي الأمر؟',
         confirmUnlinkChild: 'هل أنت متأكد من إلغاء ربط الطفل؟',
         parent: 'ولي الأمر',
 
@@ -243,7 +227,6 @@ module.exports = {
         // Parents Page
         noParents: 'لا يوجد أولياء أمور',
         parentsWillAppear: 'سيظهر أولياء الأمور هنا عند قبول طلبات الربط',
-        view: 'عرض',
         viewDetails: 'عرض التفاصيل',
         unlink: 'إلغاء الربط',
         connectParent: 'ربط ولي الأمر',
@@ -322,9 +305,6 @@ module.exports = {
         suggestedLetters: 'حروف مقترحة',
 
         // Filters
-        all: 'الكل',
-        active: 'نشط',
-        inactive: 'غير نشط',
         newestFirst: 'الأحدث أولاً',
         oldestFirst: 'الأقدم أولاً',
         nameAZ: 'الاسم أ-ي',
@@ -345,6 +325,407 @@ module.exports = {
         maintenanceModeDesc: 'منع المستخدمين من الوصول للنظام (ماعدا المشرفين)',
         saveChanges: 'حفظ التغييرات',
 
+        // Permissions
+        rolesPermissions: 'الأدوار والصلاحيات',
+        rolesPermissionsDesc: 'حدد ما يستطيع كل دور القيام به في هذا المركز. تُطبق التغييرات على المستخدمين المسجلين خلال دقيقة.',
+        permission: 'الصلاحية',
+        permissionLocked: 'ممنوحة دائماً لهذا الدور',
+        permChildrenRead: 'عرض الأطفال',
+        permChildrenWrite: 'إضافة الأطفال وتعديل إعدادات خططهم',
+        permParentsRead: 'عرض أولياء الأمور',
+        permParentsManage: 'ربط أولياء الأمور ومعالجة طلبات الربط',
+        permPlansRead: 'عرض الخطط والكلمات',
+        permPlansWrite: 'تعديل الخطط والكلمات',
+        permReportsRead: 'عرض تقارير التقدم',
+        permReportsExport: 'تصدير التقارير',
+        permMessagesUse: 'المحادثة مع أولياء الأمور',
+        permSpecialistsRead: 'عرض الأخصائيين',
+        permSpecialistsManage: 'إدارة الأخصائيين',
+        permSpecialistsImpersonate: 'العرض كأخصائي',
+        permActivityRead: 'عرض سجل النشاطات',
+        permSettingsManage: 'إدارة إعدادات المركز',
+        permCentersManage: 'إدارة المراكز',
+        permAdminsManage: 'إدارة مديري المراكز',
+
+        // Two-factor authentication
+        twoFactorTitle: 'التحقق بخطوتين',
+        twoFactorLoginHint: 'أدخل الرمز المكون من 6 أرقام من تطبيق المصادقة لإكمال تسجيل الدخول',
+        twoFactorCode: 'رمز التحقق',
+        twoFactorVerify: 'تحقق',
+        twoFactorUseRecoveryCode: 'استخدام رمز استرداد',
+        twoFactorRecoveryCode: 'رمز الاسترداد',
+        twoFactorBackToLogin: 'العودة لتسجيل الدخول',
+        twoFactorExpired: 'انتهت مهلة التحقق، سجّل الدخول مرة أخرى',
+        twoFactorInvalidCode: 'رمز التحقق غير صحيح',
+        twoFactorRecoveryCodeUsed: 'تم استخدام رمز استرداد. تبقى لديك {count} رموز، يمكنك إنشاء رموز جديدة من ملفك الشخصي',
+        twoFactorSetupRequired: 'يشترط مركزك تفعيل التحقق بخطوتين قبل متابعة استخدام البوابة',
+        twoFactorAuthenticatorApp: 'تطبيق المصادقة',
+        twoFactorDesc: 'عند تسجيل الدخول سيُطلب منك رمز من تطبيق مثل Google Authenticator أو Microsoft Authenticator بالإضافة إلى كلمة المرور.',
+        twoFactorOn: 'مفعّل',
+        twoFactorOff: 'غير مفعّل',
+        twoFactorRequiredByCenter: 'التحقق بخطوتين إلزامي في مركزك',
+        twoFactorStartSetup: 'إعداد التحقق بخطوتين',
+        twoFactorStepScan: 'امسح رمز QR بتطبيق المصادقة (أو أدخل المفتاح يدوياً)',
+        twoFactorStepConfirm: 'أدخل الرمز الذي يظهر في التطبيق للتأكيد',
+        twoFactorManualKey: 'المفتاح اليدوي',
+        twoFactorEnable: 'تفعيل',
+        twoFactorEnabled: 'تم تفعيل التحقق بخطوتين',
+        twoFactorDisable: 'إيقاف التحقق بخطوتين',
+        twoFactorDisableConfirm: 'هل أنت متأكد من إيقاف التحقق بخطوتين؟',
+        twoFactorDisabled: 'تم إيقاف التحقق بخطوتين',
+        twoFactorRecoveryCodes: 'رموز الاسترداد',
+        twoFactorRecoveryCodesHint: 'احفظ هذه الرموز في مكان آمن. كل رمز يُستخدم مرة واحدة إذا فقدت هاتفك، ولن تظهر مرة أخرى.',
+        twoFactorRecoveryCodesLeft: 'رموز الاسترداد المتبقية: {count}',
+        twoFactorRegenerateCodes: 'إنشاء رموز استرداد جديدة',
+        twoFactorCodesRegenerated: 'تم إنشاء رموز استرداد جديدة',
+        twoFactorCopyCodes: 'نسخ الرموز',
+        twoFactorManage: 'إدارة التحقق بخطوتين',
+        requireTwoFactor: 'إلزام التحقق بخطوتين',
+        requireTwoFactorDesc: 'يجب على جميع موظفي المركز تفعيل التحقق بخطوتين قبل استخدام البوابة',
+        // Password reset & invitations
+        forgotPasswordTitle: 'استعادة كلمة المرور',
+        forgotPasswordHint: 'أدخل بريدك الإلكتروني وسنرسل لك رابطاً لتعيين كلمة مرور جديدة',
+        sendResetLink: 'إرسال الرابط',
+        resetLinkSent: 'إذا كان البريد مسجلاً لدينا فستصلك رسالة برابط إعادة تعيين كلمة المرور',
+        passwordLinkInvalid: 'الرابط غير صالح أو انتهت صلاحيته. اطلب رابطاً جديداً',
+        resetPasswordTitle: 'تعيين كلمة مرور جديدة',
+        resetPasswordHint: 'اختر كلمة مرور جديدة لحسابك',
+        resetPasswordSubmit: 'حفظ كلمة المرور',
+        invitationTitle: 'مرحباً بك في BMO',
+        invitationHint: 'اختر كلمة مرور لتفعيل حسابك',
+        invitationSetPassword: 'تفعيل الحساب',
+        passwordTooShort: 'كلمة المرور يجب أن تكون 6 أحرف على الأقل',
+        passwordsDoNotMatch: 'كلمتا المرور غير متطابقتين',
+        passwordSetSuccess: 'تم تعيين كلمة المرور بنجاح، يمكنك تسجيل الدخول الآن',
+        emailSendFailed: 'تعذّر إرسال البريد الإلكتروني. حاول مرة أخرى لاحقاً',
+        resetEmailSubject: 'إعادة تعيين كلمة المرور',
+        resetEmailBody: 'تلقينا طلباً لإعادة تعيين كلمة مرور حسابك. إذا لم تطلب ذلك فتجاهل هذه الرسالة.',
+        resetEmailAction: 'تعيين كلمة مرور جديدة',
+        invitationEmailSubject: 'دعوة للانضمام إلى بوابة BMO',
+        invitationEmailBody: 'تم إنشاء حساب لك في بوابة BMO. اختر كلمة مرور لتفعيل حسابك وتسجيل الدخول.',
+        invitationEmailAction: 'تفعيل الحساب',
+        passwordLinkExpires: 'صالح حتى {date}',
+        invitationPending: 'بانتظار قبول الدعوة',
+        resendInvitation: 'إعادة إرسال الدعوة',
+        invitationResent: 'تم إرسال دعوة جديدة',
+        invitationFormHint: 'ستصل إلى البريد الإلكتروني دعوة لتعيين كلمة المرور عند أول دخول',
+        // Devices & sessions
+        devicesSessions: 'الأجهزة والجلسات',
+        devicesSessionsDesc: 'الأجهزة المسجّل دخولها إلى حسابك الآن. أنهِ أي جلسة لا تعرفها',
+        sessionDevice: 'الجهاز',
+        sessionIp: 'عنوان IP',
+        sessionSignedIn: 'تسجيل الدخول',
+        sessionLastActive: 'آخر نشاط',
+        sessionCurrent: 'هذا الجهاز',
+        sessionUnknownDevice: 'جهاز غير معروف',
+        sessionRevoke: 'تسجيل الخروج',
+        sessionRevokeOthers: 'تسجيل الخروج من كل الأجهزة الأخرى',
+        sessionRevokeOthersConfirm: 'سيتم تسجيل الخروج من كل الأجهزة الأخرى. متابعة؟',
+        sessionRevoked: 'تم إنهاء الجلسة',
+        sessionsRevoked: 'تم إنهاء {count} من الجلسات',
+        sessionNotFound: 'الجلسة غير موجودة أو انتهت بالفعل',
+        forceSignOut: 'تسجيل الخروج الإجباري',
+        forceSignOutConfirm: 'سيتم تسجيل خروج هذا المستخدم من كل الأجهزة. متابعة؟',
+        forceSignOutDone: 'تم تسجيل خروج المستخدم من {count} من الجلسات',
+        centerSessions: 'الجلسات النشطة في المركز',
+        centerSessionsDesc: 'موظفو المركز المسجّل دخولهم إلى البوابة الآن، بكل أدوارهم. سجّل خروج من غادر المركز من كل أجهزته',
+        centerSessionsEmpty: 'لا يوجد أحد مسجّل الدخول الآن',
+        centerSessionsUser: 'المستخدم',
+        centerSessionsRole: 'الدور',
+        centerSessionsCount: 'الجلسات',
+        userNotSignedIn: 'لا توجد جلسات لهذا المستخدم في مركزك',
+        // Login protection
+        loginSlowDown: 'محاولات دخول كثيرة. انتظر {seconds} ثانية ثم حاول مرة أخرى',
+        loginLocked: 'تم قفل الحساب مؤقتاً بسبب محاولات دخول فاشلة متكررة. حاول مرة أخرى بعد {minutes} دقيقة أو تواصل مع مدير المركز',
+        loginIpBlocked: 'محاولات دخول فاشلة كثيرة من هذا الجهاز. حاول مرة أخرى بعد {minutes} دقيقة',
+        accountLockedUntil: 'مقفل حتى {time}',
+        unlockAccount: 'إلغاء قفل الحساب',
+        accountUnlocked: 'تم إلغاء قفل الحساب',
+
+        // Single sign-on
+        orSignInWith: 'أو سجّل الدخول عبر',
+        signInWithCenter: 'الدخول عبر حساب {center}',
+        ssoUnavailable: 'الدخول الموحد غير متاح لهذا المركز حالياً',
+        ssoFailed: 'تعذّر الدخول عبر مزوّد الهوية. حاول مرة أخرى',
+        singleSignOn: 'الدخول الموحد (SSO)',
+        ssoDesc: 'يسجّل موظفو المركز الدخول بحساب مؤسستهم عبر OpenID Connect. يجب أن يكون الحساب موجوداً في المركز بنفس البريد',
+        ssoEnabled: 'تفعيل الدخول الموحد',
+        ssoIssuer: 'عنوان مزوّد الهوية (Issuer)',
+        ssoClientId: 'معرّف العميل (Client ID)',
+        ssoClientSecret: 'سر العميل (Client Secret)',
+        ssoClientSecretKeep: 'اتركه فارغاً للإبقاء على السر الحالي',
+        ssoEmailClaim: 'حقل البريد في الهوية',
+        ssoCallbackUrl: 'عنوان الرجوع الذي يُسجَّل لدى مزوّد الهوية',
+        portalUrlMissing: 'اضبط PORTAL_URL (عنوان البوابة العام) لإظهار عنوان الرجوع',
+        ssoSettingsIncomplete: 'لتفعيل الدخول الموحد أدخل عنوان مزوّد الهوية ومعرّف العميل وسر العميل',
+
+        // View as specialist
+        viewAsSpecialist: 'العرض كهذا الأخصائي',
+        viewAsSpecialistHint: 'تصفّح البوابة كما يراها الأخصائي لمدة {minutes} دقيقة. يُسجَّل ذلك في سجل النشاطات',
+        impersonationStarted: 'أنت الآن تتصفح البوابة كـ {name}',
+        impersonationBanner: 'أنت تتصفح البوابة كـ {name}',
+        impersonationReadOnlyNote: 'للعرض فقط',
+        impersonationEndsAt: 'ينتهي الساعة {time}',
+        stopImpersonation: 'العودة إلى حسابي',
+        impersonationStopped: 'انتهى العرض كـ {name}',
+        impersonationExpired: 'انتهت مدة العرض كأخصائي وعدت إلى حسابك',
+        impersonationReadOnly: 'لا يمكن إجراء تغييرات أثناء العرض كأخصائي',
+        impersonationActive: 'أنهِ العرض الحالي كأخصائي أولاً',
+
+        // Maintenance mode
+        maintenanceEnd: 'نهاية الصيانة المتوقعة (اختياري)',
+        maintenanceEndDesc: 'يُعاد فتح البوابة تلقائياً عند هذا الوقت',
+        maintenanceEndInvalid: 'وقت نهاية الصيانة غير صالح',
+        maintenanceMessage: 'رسالة صفحة الصيانة (اختياري)',
+        maintenanceTitle: 'البوابة قيد الصيانة',
+        maintenanceDefaultMessage: 'نعمل على تحسين البوابة وستعود قريباً. شكراً لصبرك.',
+        maintenanceUntil: 'الموعد المتوقع للعودة: {time}',
+        maintenanceStaffLogin: 'دخول الإدارة',
+        maintenanceBannerGlobal: 'وضع الصيانة مفعّل للمنصة: المستخدمون غير الإداريين يرون صفحة الصيانة',
+        maintenanceBannerCenter: 'وضع الصيانة مفعّل للمركز: الأخصائيون والمشرفون يرون صفحة الصيانة',
+        maintenanceBannerUntil: 'حتى {time}',
+
+        // Branding
+        brandLogo: 'الشعار',
+        brandLogoDesc: 'يظهر في القائمة الجانبية وصفحة الدخول وتقارير PDF (PNG أو JPG أو GIF أو WebP، حتى 2 ميجابايت)',
+        brandFavicon: 'أيقونة المتصفح',
+        brandFaviconDesc: 'أيقونة التبويب في المتصفح (ICO أو PNG مربعة)',
+        brandRemove: 'إزالة',
+        brandFileInvalid: 'ملف الشعار أو الأيقونة غير مدعوم (الحد الأقصى 2 ميجابايت)',
+        brandUploadFailed: 'تم حفظ الإعدادات لكن تعذّر رفع الشعار أو الأيقونة',
+
+        // Global search
+        searchBoxPlaceholder: 'ابحث عن طفل، ولي أمر، جلسة، كلمة...',
+        searchResultsFor: 'نتائج البحث عن',
+        searchNoResults: 'لا توجد نتائج مطابقة',
+        searchEnterQuery: 'اكتب ما تبحث عنه في مربع البحث أعلى الصفحة',
+        searchSeeAll: 'عرض كل النتائج',
+        searchFailed: 'تعذّر إجراء البحث، حاول مرة أخرى',
+        searchGroupChildren: 'الأطفال',
+        searchGroupParents: 'أولياء الأمور',
+        searchGroupSpecialists: 'الأخصائيون',
+        searchGroupSessions: 'الجلسات العلاجية',
+        searchGroupWords: 'الكلمات والحروف',
+        searchGroupMessages: 'الرسائل',
+        searchInactiveSession: 'غير نشطة',
+
+        // Command palette (Ctrl/Cmd+K)
+        cmdPaletteTitle: 'لوحة الأوامر',
+        cmdPalettePlaceholder: 'اكتب أمراً أو اسم صفحة أو اسم طفل...',
+        cmdSwitchLanguage: 'تبديل اللغة إلى',
+        cmdOpenAnalytics: 'تحليلات {name}',
+        cmdCreatePlanSession: 'إنشاء جلسة خطة لـ {name}',
+        cmdExportPdf: 'تصدير تقرير PDF لـ {name}',
+        cmdSearchFor: 'البحث عن "{query}"',
+        cmdNoMatches: 'لا توجد أوامر مطابقة',
+
+        // Sessions log
+        sessionsLogPlan: 'جلسة الخطة',
+        sessionsLogDuration: 'المدة (دقيقة)',
+        sessionsLogScore: 'متوسط الدرجة',
+        sessionsLogSuccessRate: 'نسبة النجاح',
+        sessionsLogMinScore: 'أقل درجة',
+        sessionsLogMinDuration: 'أقل مدة (دقيقة)',
+        sessionsLogMaxDuration: 'أكثر مدة (دقيقة)',
+        sessionsLogAllChildren: 'كل الأطفال',
+        sessionsLogAllPlans: 'كل جلسات الخطة',
+        sessionsLogNoPlan: 'بدون خطة',
+        sessionsLogClear: 'مسح التصفية',
+
+        // Session details
+        sessionDetails: 'تفاصيل الجلسة',
+        sessionDetailsOf: 'الجلسة {n} من {total}',
+        sessionDetailsPrevious: 'الجلسة السابقة',
+        sessionDetailsNext: 'الجلسة التالية',
+        sessionDetailsBack: 'العودة إلى التحليلات',
+        sessionDetailsAttempts: 'المحاولات بالترتيب',
+        sessionDetailsNoAttempts: 'لم تُسجَّل محاولات في هذه الجلسة',
+        sessionDetailsTarget: 'المستهدف',
+        sessionDetailsReference: 'النص المرجعي',
+        sessionDetailsRecognized: 'النص المنطوق',
+        sessionDetailsPronunciation: 'النطق',
+        sessionDetailsAccuracy: 'الدقة',
+        sessionDetailsFluency: 'الطلاقة',
+        sessionDetailsCompleteness: 'الاكتمال',
+        sessionDetailsSource: 'مصدر التحليل',
+        sessionDetailsResult: 'النتيجة',
+        sessionDetailsSinceStart: 'منذ البداية',
+        sessionDetailsGap: 'بعد السابقة',
+        sessionDetailsTiming: 'التوقيت',
+        sessionDetailsElapsed: 'الوقت من أول محاولة لآخرها',
+        sessionDetailsAverageGap: 'متوسط الوقت بين المحاولات',
+        sessionDetailsLongestGap: 'أطول توقف',
+        sessionDetailsSeconds: '{n} ث',
+        sessionDetailsComparison: 'مقارنة بمتوسط الطفل',
+        sessionDetailsMetric: 'المقياس',
+        sessionDetailsThisSession: 'هذه الجلسة',
+        sessionDetailsChildAverage: 'متوسط الطفل',
+        sessionDetailsDifference: 'الفرق',
+        sessionDetailsAttemptCount: 'عدد المحاولات',
+        sessionDetailsView: 'عرض الجلسة',
+
+        // Attempt recordings
+        attemptRecording: 'التسجيل',
+        attemptPlay: 'تشغيل التسجيل',
+        attemptPlaybackSpeed: 'سرعة التشغيل',
+        attemptNoRecording: 'لا يوجد تسجيل',
+        attemptRecordingFailed: 'تعذر تحميل التسجيل',
+        attemptReview: 'المراجعة',
+        attemptFlag: 'تمييز للمراجعة',
+        attemptFlaggedLabel: 'مميزة للمراجعة',
+        attemptUnflag: 'إزالة التمييز',
+        attemptReviewNote: 'ملاحظة الأخصائي',
+        attemptFlagged: 'تم تمييز المحاولة للمراجعة',
+        attemptUnflagged: 'تمت إزالة تمييز المحاولة',
+
+        // Mastery rule (letters and words)
+        masteryRule: 'قاعدة الإتقان',
+        masteryRuleDesc: 'متى يُعتبر الحرف أو الكلمة متقناً. تُطبق على الأطفال في التحليلات وفي ملخص الإتقان (JSON).',
+        masteryRuleCenterDesc: 'قاعدة المركز لكل الأطفال. يمكن لكل أخصائي استبدالها بقاعدته للأطفال المسندين إليه.',
+        masteryMinAttempts: 'أقل عدد محاولات',
+        masterySuccessThreshold: 'نسبة النجاح المطلوبة (%)',
+        masteryWindowAttempts: 'آخر عدد من المحاولات',
+        masteryWindowAttemptsHint: '0 = كل المحاولات',
+        masteryRequiredStreak: 'نجاحات متتالية في النهاية',
+        masteryRequiredStreakHint: '0 = بدون شرط',
+        masteryMinPronunciation: 'أقل متوسط لدرجة النطق',
+        masteryMinPronunciationHint: '0 = بدون شرط',
+        masteryRuleSaved: 'تم حفظ قاعدة الإتقان',
+        masteryRuleReset: 'سيتم تطبيق قاعدة المركز على أطفالك',
+        masteryRuleInvalid: 'قيم قاعدة الإتقان غير صحيحة (ونافذة المحاولات لا تقل عن أقل عدد محاولات والنجاحات المتتالية)',
+        masteryRuleNoCenter: 'قاعدة الإتقان تُضبط لكل مركز',
+        masteryUseCenterRule: 'استخدام قاعدة المركز',
+        masteryCenterRule: 'قاعدة المركز',
+        masteryOwnRuleActive: 'قاعدتك الخاصة مطبقة على الأطفال المسندين إليك.',
+        masteryCenterRuleActive: 'قاعدة المركز مطبقة حالياً على أطفالك.',
+        masterySourceSpecialist: 'قاعدة الأخصائي',
+        masterySourceCenter: 'قاعدة المركز',
+        masterySourceDefault: 'القاعدة الافتراضية',
+        masteryMastered: 'متقن',
+        masteryRegressed: 'تراجع',
+        masteryLearning: 'قيد التعلم',
+        masteryNotStarted: 'لم يبدأ',
+        masteryMasteredOn: 'أُتقن في {date}',
+        masteryRegressedOn: 'تراجع منذ {date}',
+        masteryRegressions: '{count} تراجع',
+        masteryEditRule: 'تعديل القاعدة',
+
+        // Next plan session suggestion
+        planSuggest: 'اقتراح الجلسة التالية',
+        planSuggestHint: 'من سجل المحاولات: حروف وكلمات متعثرة، وشبه متقنة، ومتقنة للمراجعة. يمكنك التعديل قبل الإنشاء.',
+        planSuggestStruggling: 'متعثر',
+        planSuggestAlmost: 'شبه متقن',
+        planSuggestMaintenance: 'مراجعة',
+        planSuggestSessionName: 'الجلسة {n}',
+
+        // Plan session templates
+        planTemplates: 'قوالب الجلسات',
+        planTemplate: 'قالب جلسة',
+        planTemplatesDesc: 'حروف وكلمات ومدة وجدول لعب جاهزة لتطبيقها على طفل أو أكثر. القوالب المشاركة يراها أخصائيو المركز.',
+        planTemplatesEmpty: 'لا توجد قوالب بعد. أنشئ قالباً هنا أو احفظ جلسة خطة من صفحة تحليلات الطفل.',
+        planTemplateNew: 'قالب جديد',
+        planTemplateName: 'اسم القالب',
+        planTemplateContent: 'الحروف والكلمات',
+        planTemplateDuration: 'مدة الجلسة (دقيقة)',
+        planTemplateLetters: 'حروف (كل سطر حرف أو مفصول بفاصلة)',
+        planTemplateWords: 'كلمات (كل سطر كلمة أو مفصول بفاصلة)',
+        planTemplateSchedule: 'تفعيل جدول اللعب',
+        planTemplateShare: 'مشاركة مع المركز',
+        planTemplateShared: 'مشترك',
+        planTemplateVersion: 'الإصدار',
+        planTemplateVersions: 'سجل الإصدارات',
+        planTemplateOwner: 'المالك',
+        planTemplateEditedBy: 'بواسطة',
+        planTemplateUsage: 'جلسات أُنشئت منه',
+        planTemplateApply: 'تطبيق القالب',
+        planTemplateApplyHint: 'تُنشأ جلسة خطة جديدة لكل طفل وتصبح الجلسة النشطة.',
+        planTemplateNoChildren: 'لا يوجد أطفال لتطبيق القالب عليهم',
+        planTemplateEdit: 'تعديل القالب',
+        planTemplateEditHint: 'أي تغيير في المحتوى يُحفظ كإصدار جديد، والجلسات التي أُنشئت من الإصدارات السابقة لا تتغير.',
+        planTemplateDeleteConfirm: 'حذف هذا القالب؟ الجلسات التي أُنشئت منه تبقى كما هي.',
+        planTemplateSaved: 'تم حفظ القالب',
+        planTemplateUpdated: 'تم حفظ القالب (الإصدار {version})',
+        planTemplateDeleted: 'تم حذف القالب',
+        planTemplateApplied: 'تم إنشاء {count} جلسة من الإصدار {version}',
+        planTemplateSkipped: 'تم تجاوز {count} طفل غير متاح لك',
+        planTemplateChooseChildren: 'اختر طفلاً واحداً على الأقل',
+        planTemplateNotYours: 'يمكن لمالك القالب أو مدير المركز فقط تعديله',
+        planSaveAsTemplate: 'حفظ كقالب',
+        planFromTemplate: 'من قالب {name} (v{version})',
+        sunday: 'الأحد',
+        monday: 'الإثنين',
+        tuesday: 'الثلاثاء',
+        wednesday: 'الأربعاء',
+        thursday: 'الخميس',
+        friday: 'الجمعة',
+        saturday: 'السبت',
+
+        // Bulk plan assignment (children list)
+        selected: 'عنصر محدد',
+        selectAll: 'تحديد الكل',
+        bulkPlanAction: 'تعيين خطة',
+        bulkPlanTitle: 'تعيين خطة للأطفال المحددين',
+        bulkPlanHint: 'تُنشأ جلسة خطة جديدة لكل طفل وتصبح الجلسة النشطة، ويمكن أيضاً حفظ نفس إعدادات اللعب. اعرض المعاينة أولاً لمعرفة من لديه خطة نشطة.',
+        bulkPlanSession: 'جلسة الخطة (اتركها فارغة لحفظ إعدادات اللعب فقط)',
+        bulkPlanApplySettings: 'حفظ إعدادات اللعب أيضاً',
+        bulkPlanDailyLimit: 'الحد اليومي (دقيقة)',
+        bulkPlanPlayDuration: 'مدة الجلسة (دقيقة)',
+        bulkPlanBreakDuration: 'مدة الاستراحة (دقيقة)',
+        bulkPlanMaxAttempts: 'أقصى عدد محاولات للجلسة',
+        bulkPlanCurrent: 'الخطة الحالية',
+        bulkPlanActive: 'نشطة',
+        bulkPlanNoActive: 'لا توجد خطة نشطة',
+        bulkPlanReady: 'جاهز',
+        bulkPlanDone: 'تم',
+        bulkPlanFailed: 'فشل',
+        bulkPlanNotFound: 'غير متاح لك',
+        bulkPlanPreview: 'معاينة',
+        bulkPlanApply: 'تطبيق',
+        bulkPlanConfirm: 'تطبيق الخطة على {count} طفل؟',
+        bulkPlanPreviewSummary: 'سيتم التطبيق على {count} طفل، منهم {active} لديهم خطة نشطة ستُستبدل.',
+        bulkPlanSummary: 'تم: {done}، فشل: {failed}',
+        bulkPlanNoChildren: 'لم يتم تحديد أطفال',
+        bulkPlanNothing: 'أدخل حروفاً أو كلمات، أو اختر حفظ إعدادات اللعب',
+        bulkPlanSettingsDenied: 'ليس لديك صلاحية تعديل إعدادات اللعب',
+
+        // Copy plan sessions
+        planDuplicate: 'تكرار كجلسة تالية',
+        planCopy: 'نسخ إلى طفل آخر',
+        planCopySource: 'الجلسة',
+        planCopyDestination: 'إلى',
+        planCopyNextSession: 'نفس الطفل (الجلسة التالية)',
+        planCopyIncludeItems: 'نسخ الكلمات والحروف المضافة للجلسة مع صورها',
+        planCopyKeepSchedule: 'الإبقاء على جدول اللعب',
+        planCopyDropMastered: 'استبعاد ما أتقنه الطفل المستلم',
+        planCopySubmit: 'نسخ',
+        planCopyDuplicated: 'تم إنشاء {name} كجلسة تالية',
+        planCopyCopied: 'تم نسخ الجلسة إلى {child} ({name})',
+        planCopyDropped: 'تم استبعاد ما أتقنه: {targets}',
+        planCopyNothingLeft: 'لا يتبقى ما يُنسخ: الطفل أتقن كل حروف وكلمات الجلسة',
+        planCopyItemsSkipped: 'لم تُنسخ الكلمات المضافة للجلسة وصورها: الخادم لا يدعم نسخها',
+        planCopiedFrom: 'نسخة من {name} ({child})',
+
+        // Play schedule editor
+        scheduleAllDaysHint: 'إذا لم يتم اختيار أيام، سيتم السماح بكل الأيام.',
+        scheduleTimezone: 'المنطقة الزمنية للأوقات',
+        scheduleParentZone: 'منطقة ولي الأمر',
+        scheduleCopyToAllDays: 'نسخ هذا اليوم إلى كل الأيام',
+        scheduleRemoveWindow: 'انقر للحذف',
+        scheduleEditorHint: 'اسحب على خط اليوم لإضافة فترة أو اكتب الفترات مفصولة بفواصل (16:00-17:00, 18:00-19:00). اليوم المسموح بلا فترات يُسمح فيه باللعب طوال اليوم.',
+        schedulePreviewTitle: 'متى يمكن للطفل اللعب (بتوقيت ولي الأمر: {zone})',
+        schedulePreviewOff: 'الجدول غير مفعّل حالياً، فلا يُقيَّد وقت اللعب.',
+        schedulePreviewNotAllowed: 'غير مسموح',
+        schedulePreviewAllDay: 'طوال اليوم',
+        scheduleErrorFormat: 'صيغة الوقت غير صحيحة (HH:MM-HH:MM)',
+        scheduleErrorOrder: 'يجب أن تنتهي الفترة بعد بدايتها',
+        scheduleErrorOverlap: 'الفترات متداخلة',
+        scheduleErrorTimezone: 'المنطقة الزمنية غير معروفة',
+        scheduleCopyToChildren: 'نسخ جدول اللعب إلى أطفال آخرين',
+        scheduleCopyHint: 'يُنسخ الجدول المحفوظ؛ احفظ التعديلات أولاً.',
+        scheduleCopied: 'تم نسخ جدول اللعب إلى {count} من الأطفال',
+        scheduleCopyFailed: 'تعذر نسخ جدول اللعب إلى {count} من الأطفال',
+        scheduleCopySkipped: 'لم يُنسخ إلى {count} من الأطفال لأنهم ليسوا ضمن أطفالك',
+
         // Settings Tabs
         editProfile: 'تعديل الملف الشخصي',
         preferences: 'التفضيلات',
@@ -426,8 +807,413 @@ module.exports = {
         superadmin: 'Super Admin',
         admin: 'Center Admin',
         specialist: 'Specialist',
+        supervisor: 'Supervisor',
+        content_editor: 'Content Editor',
         parent: 'Parent',
 
+        // Permissions
+        rolesPermissions: 'Roles & permissions',
+        rolesPermissionsDesc: 'Choose what each role can do in this center. Changes apply to signed-in users within a minute.',
+        permission: 'Permission',
+        permissionLocked: 'Always granted to this role',
+        permChildrenRead: 'View children',
+        permChildrenWrite: 'Add children and edit their plan settings',
+        permParentsRead: 'View parents',
+        permParentsManage: 'Link parents and handle link requests',
+        permPlansRead: 'View plans and words',
+        permPlansWrite: 'Edit plans and words',
+        permReportsRead: 'View progress reports',
+        permReportsExport: 'Export reports',
+        permMessagesUse: 'Chat with parents',
+        permSpecialistsRead: 'View specialists',
+        permSpecialistsManage: 'Manage specialists',
+        permSpecialistsImpersonate: 'View as specialist',
+        permActivityRead: 'View the activity log',
+        permSettingsManage: 'Manage center settings',
+        permCentersManage: 'Manage centers',
+        permAdminsManage: 'Manage center admins',
+
+        // Two-factor authentication
+        twoFactorTitle: 'Two-factor authentication',
+        twoFactorLoginHint: 'Enter the 6-digit code from your authenticator app to finish signing in',
+        twoFactorCode: 'Verification code',
+        twoFactorVerify: 'Verify',
+        twoFactorUseRecoveryCode: 'Use a recovery code',
+        twoFactorRecoveryCode: 'Recovery code',
+        twoFactorBackToLogin: 'Back to sign in',
+        twoFactorExpired: 'Verification timed out, please sign in again',
+        twoFactorInvalidCode: 'Invalid verification code',
+        twoFactorRecoveryCodeUsed: 'A recovery code was used. You have {count} left; you can generate new ones from your profile',
+        twoFactorSetupRequired: 'Your center requires two-factor authentication before you can continue',
+        twoFactorAuthenticatorApp: 'Authenticator app',
+        twoFactorDesc: 'When signing in you will be asked for a code from an app such as Google Authenticator or Microsoft Authenticator in addition to your password.',
+        twoFactorOn: 'On',
+        twoFactorOff: 'Off',
+        twoFactorRequiredByCenter: 'Two-factor authentication is mandatory in your center',
+        twoFactorStartSetup: 'Set up two-factor authentication',
+        twoFactorStepScan: 'Scan the QR code with your authenticator app (or enter the key manually)',
+        twoFactorStepConfirm: 'Enter the code shown in the app to confirm',
+        twoFactorManualKey: 'Manual key',
+        twoFactorEnable: 'Enable',
+        twoFactorEnabled: 'Two-factor authentication enabled',
+        twoFactorDisable: 'Turn off two-factor authentication',
+        twoFactorDisableConfirm: 'Are you sure you want to turn off two-factor authentication?',
+        twoFactorDisabled: 'Two-factor authentication turned off',
+        twoFactorRecoveryCodes: 'Recovery codes',
+        twoFactorRecoveryCodesHint: 'Keep these codes somewhere safe. Each one works once if you lose your phone, and they will not be shown again.',
+        twoFactorRecoveryCodesLeft: 'Recovery codes left: {count}',
+        twoFactorRegenerateCodes: 'Generate new recovery codes',
+        twoFactorCodesRegenerated: 'New recovery codes generated',
+        twoFactorCopyCodes: 'Copy codes',
+        twoFactorManage: 'Manage two-factor authentication',
+        requireTwoFactor: 'Require two-factor authentication',
+        requireTwoFactorDesc: 'All center staff must turn on two-factor authentication before using the portal',
+        // Password reset & invitations
+        forgotPasswordTitle: 'Reset your password',
+        forgotPasswordHint: "Enter your email and we'll send you a link to set a new password",
+        sendResetLink: 'Send link',
+        resetLinkSent: "If that email is registered, you'll receive a link to reset your password",
+        passwordLinkInvalid: 'This link is invalid or has expired. Request a new one',
+        resetPasswordTitle: 'Set a new password',
+        resetPasswordHint: 'Choose a new password for your account',
+        resetPasswordSubmit: 'Save password',
+        invitationTitle: 'Welcome to BMO',
+        invitationHint: 'Choose a password to activate your account',
+        invitationSetPassword: 'Activate account',
+        passwordTooShort: 'Password must be at least 6 characters',
+        passwordsDoNotMatch: 'Passwords do not match',
+        passwordSetSuccess: 'Your password has been set. You can sign in now',
+        emailSendFailed: "The email couldn't be sent. Please try again later",
+        resetEmailSubject: 'Reset your password',
+        resetEmailBody: "We received a request to reset your account password. If it wasn't you, ignore this email.",
+        resetEmailAction: 'Set a new password',
+        invitationEmailSubject: "You're invited to the BMO portal",
+        invitationEmailBody: 'An account has been created for you on the BMO portal. Choose a password to activate it and sign in.',
+        invitationEmailAction: 'Activate account',
+        passwordLinkExpires: 'Valid until {date}',
+        invitationPending: 'Invitation pending',
+        resendInvitation: 'Resend invitation',
+        invitationResent: 'A new invitation has been sent',
+        invitationFormHint: 'An invitation to set a password will be sent to this email',
+        // Devices & sessions
+        devicesSessions: 'Devices & sessions',
+        devicesSessionsDesc: "Devices currently signed in to your account. Sign out any session you don't recognise",
+        sessionDevice: 'Device',
+        sessionIp: 'IP address',
+        sessionSignedIn: 'Signed in',
+        sessionLastActive: 'Last active',
+        sessionCurrent: 'This device',
+        sessionUnknownDevice: 'Unknown device',
+        sessionRevoke: 'Sign out',
+        sessionRevokeOthers: 'Sign out of all other devices',
+        sessionRevokeOthersConfirm: 'All other devices will be signed out. Continue?',
+        sessionRevoked: 'The session was signed out',
+        sessionsRevoked: '{count} session(s) signed out',
+        sessionNotFound: 'That session no longer exists',
+        forceSignOut: 'Force sign-out',
+        forceSignOutConfirm: 'This user will be signed out on every device. Continue?',
+        forceSignOutDone: 'The user was signed out of {count} session(s)',
+        centerSessions: 'Signed-in staff',
+        centerSessionsDesc: 'Everyone in your center who is signed in to the portal right now, in any role. Sign out someone who left the center from all their devices',
+        centerSessionsEmpty: 'Nobody is signed in right now',
+        centerSessionsUser: 'User',
+        centerSessionsRole: 'Role',
+        centerSessionsCount: 'Sessions',
+        userNotSignedIn: 'This user has no sessions in your center',
+        // Login protection
+        loginSlowDown: 'Too many login attempts. Wait {seconds} seconds and try again',
+        loginLocked: 'This account is temporarily locked after repeated failed logins. Try again in {minutes} minute(s) or contact your center admin',
+        loginIpBlocked: 'Too many failed logins from this device. Try again in {minutes} minute(s)',
+        accountLockedUntil: 'Locked until {time}',
+        unlockAccount: 'Unlock account',
+        accountUnlocked: 'The account has been unlocked',
+
+        // Single sign-on
+        orSignInWith: 'or sign in with',
+        signInWithCenter: 'Sign in with your {center} account',
+        ssoUnavailable: 'Single sign-on is not available for this center right now',
+        ssoFailed: 'Signing in through the identity provider failed. Please try again',
+        singleSignOn: 'Single sign-on (SSO)',
+        ssoDesc: 'Center staff sign in with their organization account through OpenID Connect. The account must exist in the center with the same email',
+        ssoEnabled: 'Enable single sign-on',
+        ssoIssuer: 'Identity provider (issuer) URL',
+        ssoClientId: 'Client ID',
+        ssoClientSecret: 'Client secret',
+        ssoClientSecretKeep: 'Leave empty to keep the current secret',
+        ssoEmailClaim: 'Email claim',
+        ssoCallbackUrl: 'Redirect URL to register with the identity provider',
+        portalUrlMissing: 'Set PORTAL_URL (the public portal URL) to get the redirect URL',
+        ssoSettingsIncomplete: 'To enable single sign-on, enter the identity provider URL, the client ID and the client secret',
+
+        // View as specialist
+        viewAsSpecialist: 'View as this specialist',
+        viewAsSpecialistHint: 'Browse the portal the way this specialist sees it for {minutes} minutes. This is recorded in the activity log',
+        impersonationStarted: 'You are now viewing the portal as {name}',
+        impersonationBanner: 'You are viewing the portal as {name}',
+        impersonationReadOnlyNote: 'read-only',
+        impersonationEndsAt: 'ends at {time}',
+        stopImpersonation: 'Back to my account',
+        impersonationStopped: 'Stopped viewing as {name}',
+        impersonationExpired: 'The view-as-specialist session ended and you are back on your account',
+        impersonationReadOnly: "Changes can't be made while viewing as a specialist",
+        impersonationActive: 'End the current view-as-specialist session first',
+
+        // Maintenance mode
+        maintenanceMode: 'Maintenance mode',
+        maintenanceModeDesc: 'Keep users out of the system (except administrators)',
+        maintenanceEnd: 'Expected end of maintenance (optional)',
+        maintenanceEndDesc: 'The portal reopens by itself at this time',
+        maintenanceEndInvalid: 'The maintenance end time is not valid',
+        maintenanceMessage: 'Maintenance page message (optional)',
+        maintenanceTitle: 'The portal is under maintenance',
+        maintenanceDefaultMessage: 'We are improving the portal and will be back shortly. Thank you for your patience.',
+        maintenanceUntil: 'Expected back: {time}',
+        maintenanceStaffLogin: 'Staff sign-in',
+        maintenanceBannerGlobal: 'Maintenance mode is on for the platform: non-admin users see the maintenance page',
+        maintenanceBannerCenter: 'Maintenance mode is on for this center: specialists and supervisors see the maintenance page',
+        maintenanceBannerUntil: 'until {time}',
+
+        // Branding
+        brandLogo: 'Logo',
+        brandLogoDesc: 'Shown in the sidebar, on the login page and in PDF reports (PNG, JPG, GIF or WebP, up to 2 MB)',
+        brandFavicon: 'Favicon',
+        brandFaviconDesc: 'Browser tab icon (ICO or square PNG)',
+        brandRemove: 'Remove',
+        brandFileInvalid: 'The logo or favicon file is not supported (2 MB at most)',
+        brandUploadFailed: 'Settings were saved but the logo or favicon could not be uploaded',
+
+        // Global search
+        searchBoxPlaceholder: 'Search children, parents, sessions, words...',
+        searchResultsFor: 'Search results for',
+        searchNoResults: 'No matching results',
+        searchEnterQuery: 'Type what you are looking for in the search box at the top of the page',
+        searchSeeAll: 'See all results',
+        searchFailed: 'Search failed, please try again',
+        searchGroupChildren: 'Children',
+        searchGroupParents: 'Parents',
+        searchGroupSpecialists: 'Specialists',
+        searchGroupSessions: 'Plan sessions',
+        searchGroupWords: 'Words & letters',
+        searchGroupMessages: 'Messages',
+        searchInactiveSession: 'Inactive',
+
+        // Command palette (Ctrl/Cmd+K)
+        cmdPaletteTitle: 'Command palette',
+        cmdPalettePlaceholder: 'Type a command, a page or a child\'s name...',
+        cmdSwitchLanguage: 'Switch language to',
+        cmdOpenAnalytics: 'Analytics for {name}',
+        cmdCreatePlanSession: 'Create plan session for {name}',
+        cmdExportPdf: 'Export PDF for {name}',
+        cmdSearchFor: 'Search for "{query}"',
+        cmdNoMatches: 'No matching commands',
+
+        // Sessions log
+        sessionsLogPlan: 'Plan session',
+        sessionsLogDuration: 'Duration (min)',
+        sessionsLogScore: 'Average score',
+        sessionsLogSuccessRate: 'Success rate',
+        sessionsLogMinScore: 'Minimum score',
+        sessionsLogMinDuration: 'Min duration (min)',
+        sessionsLogMaxDuration: 'Max duration (min)',
+        sessionsLogAllChildren: 'All children',
+        sessionsLogAllPlans: 'All plan sessions',
+        sessionsLogNoPlan: 'No plan',
+        sessionsLogClear: 'Clear filters',
+
+        // Session details
+        sessionDetails: 'Session details',
+        sessionDetailsOf: 'Session {n} of {total}',
+        sessionDetailsPrevious: 'Previous session',
+        sessionDetailsNext: 'Next session',
+        sessionDetailsBack: 'Back to analytics',
+        sessionDetailsAttempts: 'Attempts in order',
+        sessionDetailsNoAttempts: 'No attempts were recorded in this session',
+        sessionDetailsTarget: 'Target',
+        sessionDetailsReference: 'Reference text',
+        sessionDetailsRecognized: 'Recognized text',
+        sessionDetailsPronunciation: 'Pronunciation',
+        sessionDetailsAccuracy: 'Accuracy',
+        sessionDetailsFluency: 'Fluency',
+        sessionDetailsCompleteness: 'Completeness',
+        sessionDetailsSource: 'Analysis source',
+        sessionDetailsResult: 'Result',
+        sessionDetailsSinceStart: 'Since start',
+        sessionDetailsGap: 'After previous',
+        sessionDetailsTiming: 'Timing',
+        sessionDetailsElapsed: 'First to last attempt',
+        sessionDetailsAverageGap: 'Average time between attempts',
+        sessionDetailsLongestGap: 'Longest pause',
+        sessionDetailsSeconds: '{n}s',
+        sessionDetailsComparison: "Compared with the child's average",
+        sessionDetailsMetric: 'Metric',
+        sessionDetailsThisSession: 'This session',
+        sessionDetailsChildAverage: 'Child average',
+        sessionDetailsDifference: 'Difference',
+        sessionDetailsAttemptCount: 'Attempts',
+        sessionDetailsView: 'View session',
+
+        // Attempt recordings
+        attemptRecording: 'Recording',
+        attemptPlay: 'Play recording',
+        attemptPlaybackSpeed: 'Playback speed',
+        attemptNoRecording: 'No recording',
+        attemptRecordingFailed: 'Could not load the recording',
+        attemptReview: 'Review',
+        attemptFlag: 'Flag for review',
+        attemptFlaggedLabel: 'Flagged for review',
+        attemptUnflag: 'Clear flag',
+        attemptReviewNote: 'Specialist note',
+        attemptFlagged: 'The attempt was flagged for review',
+        attemptUnflagged: 'The review flag was cleared',
+
+        // Mastery rule (letters and words)
+        masteryRule: 'Mastery rule',
+        masteryRuleDesc: 'When a letter or word counts as mastered. Used by child analytics and the mastery summary (JSON).',
+        masteryRuleCenterDesc: "The center's rule for every child. Each specialist may replace it with their own for the children assigned to them.",
+        masteryMinAttempts: 'Minimum attempts',
+        masterySuccessThreshold: 'Success threshold (%)',
+        masteryWindowAttempts: 'Only the last N attempts',
+        masteryWindowAttemptsHint: '0 = every attempt',
+        masteryRequiredStreak: 'Consecutive successes at the end',
+        masteryRequiredStreakHint: '0 = not required',
+        masteryMinPronunciation: 'Minimum average pronunciation score',
+        masteryMinPronunciationHint: '0 = not required',
+        masteryRuleSaved: 'Mastery rule saved',
+        masteryRuleReset: "Your children now follow the center's rule",
+        masteryRuleInvalid: 'Invalid mastery rule (the attempt window may not be shorter than the minimum attempts or the streak)',
+        masteryRuleNoCenter: 'The mastery rule is set per center',
+        masteryUseCenterRule: "Use the center's rule",
+        masteryCenterRule: "Center's rule",
+        masteryOwnRuleActive: 'Your own rule applies to the children assigned to you.',
+        masteryCenterRuleActive: "The center's rule currently applies to your children.",
+        masterySourceSpecialist: "Specialist's rule",
+        masterySourceCenter: "Center's rule",
+        masterySourceDefault: 'Default rule',
+        masteryMastered: 'Mastered',
+        masteryRegressed: 'Regressed',
+        masteryLearning: 'Learning',
+        masteryNotStarted: 'Not started',
+        masteryMasteredOn: 'Mastered on {date}',
+        masteryRegressedOn: 'Regressed since {date}',
+        masteryRegressions: '{count} regressed',
+        masteryEditRule: 'Edit rule',
+
+        // Next plan session suggestion
+        planSuggest: 'Suggest next session',
+        planSuggestHint: 'From the attempt history: struggling, almost-mastered and mastered targets to maintain. Edit before creating.',
+        planSuggestStruggling: 'Struggling',
+        planSuggestAlmost: 'Almost mastered',
+        planSuggestMaintenance: 'Maintenance',
+        planSuggestSessionName: 'Session {n}',
+
+        // Plan session templates
+        planTemplates: 'Session templates',
+        planTemplate: 'Session template',
+        planTemplatesDesc: 'Ready-made letters, words, duration and play schedule to apply to one or more children. Shared templates are visible to the specialists of your center.',
+        planTemplatesEmpty: "No templates yet. Create one here or save a plan session from a child's analytics page.",
+        planTemplateNew: 'New template',
+        planTemplateName: 'Template name',
+        planTemplateContent: 'Letters and words',
+        planTemplateDuration: 'Session length (minutes)',
+        planTemplateLetters: 'Letters (one per line or comma separated)',
+        planTemplateWords: 'Words (one per line or comma separated)',
+        planTemplateSchedule: 'Enable the play schedule',
+        planTemplateShare: 'Share with my center',
+        planTemplateShared: 'Shared',
+        planTemplateVersion: 'Version',
+        planTemplateVersions: 'Version history',
+        planTemplateOwner: 'Owner',
+        planTemplateEditedBy: 'By',
+        planTemplateUsage: 'Sessions created',
+        planTemplateApply: 'Apply template',
+        planTemplateApplyHint: 'Each child gets a new plan session, which becomes the active one.',
+        planTemplateNoChildren: 'No children to apply the template to',
+        planTemplateEdit: 'Edit template',
+        planTemplateEditHint: 'Content changes are saved as a new version; sessions created from earlier versions stay as they are.',
+        planTemplateDeleteConfirm: 'Delete this template? Sessions created from it are kept.',
+        planTemplateSaved: 'Template saved',
+        planTemplateUpdated: 'Template saved (version {version})',
+        planTemplateDeleted: 'Template deleted',
+        planTemplateApplied: 'Created {count} session(s) from version {version}',
+        planTemplateSkipped: 'Skipped {count} child(ren) you cannot reach',
+        planTemplateChooseChildren: 'Choose at least one child',
+        planTemplateNotYours: "Only the template's owner or a center admin can change it",
+        planSaveAsTemplate: 'Save as template',
+        planFromTemplate: 'From template {name} (v{version})',
+        sunday: 'Sunday',
+        monday: 'Monday',
+        tuesday: 'Tuesday',
+        wednesday: 'Wednesday',
+        thursday: 'Thursday',
+        friday: 'Friday',
+        saturday: 'Saturday',
+
+        // Bulk plan assignment (children list)
+        selected: 'selected',
+        selectAll: 'Select all',
+        bulkPlanAction: 'Assign plan',
+        bulkPlanTitle: 'Assign a plan to the selected children',
+        bulkPlanHint: 'Each child gets a new plan session that becomes the active one, and the same play settings can be saved too. Preview first to see who already has an active plan.',
+        bulkPlanSession: 'Plan session (leave empty to save play settings only)',
+        bulkPlanApplySettings: 'Also save play settings',
+        bulkPlanDailyLimit: 'Daily limit (minutes)',
+        bulkPlanPlayDuration: 'Session length (minutes)',
+        bulkPlanBreakDuration: 'Break length (minutes)',
+        bulkPlanMaxAttempts: 'Max attempts per session',
+        bulkPlanCurrent: 'Current plan',
+        bulkPlanActive: 'Active',
+        bulkPlanNoActive: 'No active plan',
+        bulkPlanReady: 'Ready',
+        bulkPlanDone: 'Done',
+        bulkPlanFailed: 'Failed',
+        bulkPlanNotFound: 'Not available to you',
+        bulkPlanPreview: 'Preview',
+        bulkPlanApply: 'Apply',
+        bulkPlanConfirm: 'Apply the plan to {count} child(ren)?',
+        bulkPlanPreviewSummary: 'Will apply to {count} child(ren); {active} of them have an active plan that will be replaced.',
+        bulkPlanSummary: 'Done: {done}, failed: {failed}',
+        bulkPlanNoChildren: 'No children selected',
+        bulkPlanNothing: 'Enter letters or words, or choose to save play settings',
+        bulkPlanSettingsDenied: 'You are not allowed to change play settings',
+
+        // Copy plan sessions
+        planDuplicate: 'Duplicate as next session',
+        planCopy: 'Copy to another child',
+        planCopySource: 'Session',
+        planCopyDestination: 'To',
+        planCopyNextSession: 'Same child (next session)',
+        planCopyIncludeItems: 'Copy the words and letters added to the session, with their images',
+        planCopyKeepSchedule: 'Keep the play schedule',
+        planCopyDropMastered: 'Leave out what the receiving child has mastered',
+        planCopySubmit: 'Copy',
+        planCopyDuplicated: '{name} was created as the next session',
+        planCopyCopied: 'Session copied to {child} ({name})',
+        planCopyDropped: 'Left out as mastered: {targets}',
+        planCopyNothingLeft: 'Nothing left to copy: the child has mastered every letter and word of the session',
+        planCopyItemsSkipped: "The words added to the session and their images were not copied: the server doesn't support copying them",
+        planCopiedFrom: 'Copy of {name} ({child})',
+
+        // Play schedule editor
+        scheduleAllDaysHint: 'If no day is selected, every day is allowed.',
+        scheduleTimezone: 'Time zone of the times',
+        scheduleParentZone: "Parent's zone",
+        scheduleCopyToAllDays: 'Copy this day to every day',
+        scheduleRemoveWindow: 'click to remove',
+        scheduleEditorHint: "Drag on a day's line to add a window, or type windows separated by commas (16:00-17:00, 18:00-19:00). An allowed day without windows is open all day.",
+        schedulePreviewTitle: "When the child can play (parent's time: {zone})",
+        schedulePreviewOff: 'The schedule is not enabled, so play time is not restricted.',
+        schedulePreviewNotAllowed: 'Not allowed',
+        schedulePreviewAllDay: 'All day',
+        scheduleErrorFormat: 'Invalid time format (HH:MM-HH:MM)',
+        scheduleErrorOrder: 'A window must end after it starts',
+        scheduleErrorOverlap: 'Windows overlap',
+        scheduleErrorTimezone: 'Unknown time zone',
+        scheduleCopyToChildren: 'Copy the play schedule to other children',
+        scheduleCopyHint: 'The saved schedule is copied; save your changes first.',
+        scheduleCopied: 'Play schedule copied to {count} children',
+        scheduleCopyFailed: 'Could not copy the play schedule to {count} children',
+        scheduleCopySkipped: 'Not copied to {count} children who are not in your caseload',
+
         // Navigation
         home: 'Home',
         centers: 'Centers',
@@ -490,12 +1276,19 @@ module.exports = {
         pending: 'Pending',
         approved: 'Approved',
         rejected: 'Rejected',
+        reload: 'Reload',
 
         // Messages
         createdSuccessfully: 'Created successfully',
         updatedSuccessfully: 'Updated successfully',
         deletedSuccessfully: 'Deleted successfully',
         confirmDelete: 'Are you sure you want to delete?',
+        serverErrorTitle: 'Unexpected error',
+        serverErrorMessage: 'We had a problem processing your request. The issue has been logged and will be fixed soon.',
+        serviceUnavailableTitle: 'Service unavailable',
+        serviceUnavailableMessage: 'Sorry, we cannot reach the main server right now. It may be under maintenance or experiencing an outage. Please try again shortly.',
+        csrfTitle: 'This page has expired',
+        csrfMessage: 'We could not verify this request, perhaps because the page is out of date or you signed out in another window. Go back, reload the page and try again.',
         errorOccurred: 'An error occurred',
 
         // Errors
@@ -503,6 +1296,14 @@ module.exports = {
         pageNotFoundMessage: 'Sorry, the page you are looking for does not exist',
         error: 'Error',
         accessDenied: 'Access Denied',
+        loginFeatureTrackTitle: 'Track progress',
+        loginFeatureTrackDesc: 'Monitor children\'s performance with detailed reports',
+        loginFeatureCasesTitle: 'Case management',
+        loginFeatureCasesDesc: 'Organize children and parents files easily',
+        loginFeatureSessionsTitle: 'Interactive sessions',
+        loginFeatureSessionsDesc: 'Educational games designed to improve skills',
+        loginFeatureNotificationsTitle: 'Instant notifications',
+        loginFeatureNotificationsDesc: 'Stay updated with real-time alerts',
         loginRequired: 'Please login first',
 
         // Form
@@ -557,9 +1358,7 @@ module.exports = {
         returnToParents: 'Return to Parents',
         parentInfo: 'Parent Information',
         cancelLink: 'Unlink',
-        confirmUnlinkParent: 'Do you want to unlink this parent?',
         confirmUnlinkChild: 'Are you sure you want to unlink this child?',
-        parent: 'Parent',
 
         // Requests
         requestHistory: 'Request History',
@@ -586,7 +1385,6 @@ module.exports = {
         // Parents Page
         noParents: 'No Parents',
         parentsWillAppear: 'Parents will appear here when you accept link requests',
-        view: 'View',
         confirmUnlinkParent: 'Are you sure you want to unlink this parent?',
         parentsList: 'Parents List',
         manageLinkedParents: 'Manage Linked Parents',
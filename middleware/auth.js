@@ -1,3 +1,5 @@
+const { resolvePermissions, landingPageFor } = require('../utils/permissions');
+
 // Ensure user is authenticated
 const ensureAuthenticated = (req, res, next) => {
     if (req.isAuthenticated()) {
@@ -33,73 +35,60 @@ const ensureRole = (...roles) => {
     };
 };
 
-// Ensure user is superadmin
-const ensureSuperAdmin = (req, res, next) => {
-    if (!req.isAuthenticated()) {
-        req.flash('error_msg', 'يجب تسجيل الدخول أولاً');
-        return res.redirect('/auth/login');
-    }
+// Ensure user has every listed permission (config/permissions.js), e.g.
+// ensurePermission('plans:write'). Permissions come from the user's role as configured
+// for their center.
+const ensurePermission = (...perms) => {
+    return async (req, res, next) => {
+        if (!req.isAuthenticated()) {
+            req.flash('error_msg', 'يجب تسجيل الدخول أولاً');
+            return res.redirect('/auth/login');
+        }
 
-    if (req.user.role !== 'superadmin') {
-        req.flash('error_msg', 'ليس لديك صلاحية للوصول إلى هذه الصفحة');
-        return redirectByRole(req, res);
-    }
+        const granted = await resolvePermissions(req);
+        if (!perms.every(p => granted.includes(p))) {
+            req.flash('error_msg', 'ليس لديك صلاحية للوصول إلى هذه الصفحة');
+            return redirectByRole(req, res);
+        }
 
-    next();
+        next();
+    };
 };
 
-// Ensure user is admin or superadmin
-const ensureAdmin = (req, res, next) => {
-    if (!req.isAuthenticated()) {
-        req.flash('error_msg', 'يجب تسجيل الدخول أولاً');
-        return res.redirect('/auth/login');
-    }
+// Pages an account may still open while its center requires two-factor and it isn't set up yet
+const TWO_FACTOR_SETUP_PATHS = ['/specialist/profile/two-factor', '/auth/', '/lang/', '/health'];
 
-    if (!['admin', 'superadmin'].includes(req.user.role)) {
-        req.flash('error_msg', 'ليس لديك صلاحية للوصول إلى هذه الصفحة');
-        return redirectByRole(req, res);
+// Send staff of centers with mandatory two-factor to the setup page until they enable it
+const ensureTwoFactorEnrolled = (req, res, next) => {
+    if (!req.user || !req.user.twoFactorSetupRequired) {
+        return next();
     }
-
-    next();
-};
-
-// Ensure user is specialist, admin, or superadmin
-const ensureSpecialist = (req, res, next) => {
-    if (!req.isAuthenticated()) {
-        req.flash('error_msg', 'يجب تسجيل الدخول أولاً');
-        return res.redirect('/auth/login');
+    if (TWO_FACTOR_SETUP_PATHS.some(p => req.path.startsWith(p))) {
+        return next();
     }
 
-    if (!['specialist', 'admin', 'superadmin'].includes(req.user.role)) {
-        req.flash('error_msg', 'ليس لديك صلاحية للوصول إلى هذه الصفحة');
-        return redirectByRole(req, res);
+    const message = res.locals.__('twoFactorSetupRequired');
+    if (req.xhr || (req.get('Accept') || '').includes('application/json')) {
+        return res.status(403).json({ success: false, message });
     }
-
-    next();
+    req.flash('error_msg', message);
+    res.redirect('/specialist/profile/two-factor');
 };
 
-// Redirect user based on role
-const redirectByRole = (req, res) => {
-    const role = req.user?.role;
-
-    switch (role) {
-        case 'superadmin':
-            return res.redirect('/superadmin');
-        case 'admin':
-            return res.redirect('/admin');
-        case 'specialist':
-            return res.redirect('/specialist');
-        default:
-            return res.redirect('/auth/login');
+// Redirect user to the first landing page their permissions allow
+const redirectByRole = async (req, res) => {
+    if (!req.user) {
+        return res.redirect('/auth/login');
     }
+
+    return res.redirect(landingPageFor(await resolvePermissions(req)));
 };
 
 module.exports = {
     ensureAuthenticated,
     ensureGuest,
     ensureRole,
-    ensureSuperAdmin,
-    ensureAdmin,
-    ensureSpecialist,
+    ensurePermission,
+    ensureTwoFactorEnrolled,
     redirectByRole
 };
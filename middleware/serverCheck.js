@@ -1,5 +1,6 @@
 const axios = require('axios');
 const https = require('https');
+const breaker = require('../utils/circuitBreaker');
 let isServerUp = true;
 let lastCheckTime = 0;
 const CACHE_DURATION = 10000; // Check every 10 seconds
@@ -38,6 +39,20 @@ const withFallbackProtocols = (backendUrl) => {
     return Array.from(new Set(targets));
 };
 
+// While the circuit is open, answer immediately instead of letting every route time out.
+const renderServiceUnavailable = (req, res) => {
+    const retryAt = breaker.retryAt();
+    if (retryAt) {
+        res.set('Retry-After', String(Math.max(1, Math.ceil((retryAt.getTime() - Date.now()) / 1000))));
+    }
+
+    const wantsJson = req.xhr || req.path.startsWith('/api/') || (req.get('Accept') || '').includes('application/json');
+    if (wantsJson) {
+        return res.status(503).json({ success: false, message: res.locals.__('serviceUnavailableTitle') });
+    }
+    return res.status(503).render('errors/service-unavailable');
+};
+
 module.exports = async (req, res, next) => {
     // Skip check for health endpoint itself and assets
     if (req.path === '/health' || req.path.match(/\.(css|js|png|jpg|jpeg|gif|ico|woff|woff2)$/)) {
@@ -47,14 +62,21 @@ module.exports = async (req, res, next) => {
     const currentTime = Date.now();
     const backendUrl = (process.env.BACKEND_URL || 'http://localhost:8080').replace(/\/$/, '');
 
+    // Pages that must keep working while the backend is down.
+    const alwaysAllowed = req.path.startsWith('/lang/') || req.path === '/auth/logout';
+    if (breaker.isOpen() && !alwaysAllowed) {
+        res.locals.backendDown = true;
+        return renderServiceUnavailable(req, res);
+    }
+
     // Return cached status if within duration
     if (currentTime - lastCheckTime < CACHE_DURATION) {
-        res.locals.backendDown = !isServerUp;
+        res.locals.backendDown = !isServerUp || breaker.isOpen();
         return next();
     }
 
     // Never block the request waiting for backend checks (Railway health checks are time-sensitive)
-    res.locals.backendDown = !isServerUp;
+    res.locals.backendDown = !isServerUp || breaker.isOpen();
 
     if (!healthCheckInFlight) {
         healthCheckInFlight = true;
@@ -78,12 +100,42 @@ module.exports = async (req, res, next) => {
 
             isServerUp = ok;
             healthCheckInFlight = false;
+
+            // Share the probe result with apiClient's breaker so both see the same backend state.
+            if (ok) breaker.recordSuccess();
+            else breaker.recordFailure('health check failed');
         })().catch((err) => {
             console.error('❌ Backend health check background error:', err.message);
             isServerUp = false;
             healthCheckInFlight = false;
+            breaker.recordFailure(`health check error: ${err.message}`);
         });
     }
 
     return next();
 };
+
+// The circuit can also open while a request is in flight: its later backend calls fail fast and the route
+// handles that like any other error (flash + redirect, its own error page or JSON). Whatever it answers
+// is replaced by the unavailable page, so every route behaves the same without handling the error itself.
+const ANSWERS = ['render', 'redirect', 'json', 'send'];
+
+const answerUnavailable = (req, res, next) => {
+    const originals = {};
+    for (const method of ANSWERS) {
+        originals[method] = res[method];
+        res[method] = function (...args) {
+            if (!req.backendUnavailable || res.headersSent) {
+                return originals[method].apply(this, args);
+            }
+            Object.assign(res, originals);
+            // The route's own error message was meant for the page it redirected to
+            if (req.session) delete req.session.flash;
+            return renderServiceUnavailable(req, res);
+        };
+    }
+    breaker.requestContext.run(req, next);
+};
+
+module.exports.renderServiceUnavailable = renderServiceUnavailable;
+module.exports.answerUnavailable = answerUnavailable;
@@ -0,0 +1,38 @@
+// Bearer-token guards for the mock backend (mirrors the real backend's `protect` + role checks).
+
+const protect = (store) => (req, res, next) => {
+    const header = req.get('Authorization') || '';
+    const token = header.replace(/^Bearer\s+/i, '');
+    const user = token ? store.userForToken(token) : null;
+
+    if (!user) {
+        return res.status(401).json({ success: false, message: 'Not authorized' });
+    }
+
+    // "View as specialist" tokens are read-only unless the admin's portal allowed writes.
+    const impersonation = store.impersonations.get(token);
+    if (impersonation?.readOnly && !['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
+        return res.status(403).json({ success: false, message: 'Read-only impersonation session' });
+    }
+
+    req.user = user;
+    req.token = token;
+    next();
+};
+
+const allow = (...roles) => (req, res, next) => {
+    if (!roles.includes(req.user?.role)) {
+        return res.status(403).json({ success: false, message: 'Forbidden' });
+    }
+    next();
+};
+
+// Server-to-server calls from the portal (e.g. issuing password reset links it then emails).
+const portalOnly = (req, res, next) => {
+    if (req.get('X-Portal-Key') !== (process.env.PORTAL_API_KEY || 'dev-portal-key')) {
+        return res.status(403).json({ success: false, message: 'Forbidden' });
+    }
+    next();
+};
+
+module.exports = { protect, allow, portalOnly };
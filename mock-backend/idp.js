@@ -0,0 +1,198 @@
+const express = require('express');
+const crypto = require('crypto');
+
+// Local stand-in OpenID Connect provider for trying out and testing center single sign-on.
+// Mounted by the mock backend under /idp, so its issuer is e.g. http://localhost:8080/idp.
+//
+// It signs in whoever types an email on its sign-in page (no passwords: it stands in for
+// the organization's directory) and implements the authorization code flow with PKCE:
+// discovery, /authorize, /token, /userinfo and /jwks, RS256-signed ID tokens.
+//
+// Registered clients come from MOCK_IDP_CLIENTS ("id:secret,id2:secret2"),
+// default bmo-portal:bmo-portal-secret.
+
+const CODE_TTL_MS = 60 * 1000;
+const TOKEN_TTL_S = 3600;
+
+const base64url = (input) => Buffer.from(input).toString('base64url');
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (c) => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[c]));
+
+const parseClients = (spec) => new Map(String(spec).split(',')
+    .map(pair => pair.trim().split(':'))
+    .filter(([id, secret]) => id && secret));
+
+const createIdp = ({ clients = process.env.MOCK_IDP_CLIENTS || 'bmo-portal:bmo-portal-secret' } = {}) => {
+    const router = express.Router();
+    const registered = parseClients(clients);
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const kid = crypto.randomBytes(8).toString('hex');
+    const codes = new Map(); // code -> { clientId, redirectUri, nonce, codeChallenge, claims, expiresAt }
+    const accessTokens = new Map(); // token -> claims
+
+    const issuerOf = (req) => `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+
+    // Stable per-email subject, the way a directory would assign one
+    const subjectFor = (email) => `idp-${crypto.createHash('sha256').update(email).digest('hex').slice(0, 16)}`;
+
+    const signJwt = (payload) => {
+        const header = base64url(JSON.stringify({ alg: 'RS256', typ: 'JWT', kid }));
+        const body = base64url(JSON.stringify(payload));
+        const signature = crypto.sign('sha256', Buffer.from(`${header}.${body}`), privateKey).toString('base64url');
+        return `${header}.${body}.${signature}`;
+    };
+
+    // client_secret_basic (form-encoded id/secret) or client_secret_post
+    const authenticateClient = (req) => {
+        let id = req.body.client_id;
+        let secret = req.body.client_secret;
+        const basic = (req.get('Authorization') || '').match(/^Basic\s+(.+)$/i);
+        if (basic) {
+            const decoded = Buffer.from(basic[1], 'base64').toString();
+            const sep = decoded.indexOf(':');
+            id = decodeURIComponent(decoded.slice(0, sep));
+            secret = decodeURIComponent(decoded.slice(sep + 1));
+        }
+        return id && registered.get(id) === secret ? id : null;
+    };
+
+    const oauthError = (res, status, error, description) =>
+        res.status(status).json({ error, error_description: description });
+
+    router.use(express.urlencoded({ extended: false }));
+
+    router.get('/.well-known/openid-configuration', (req, res) => {
+        const issuer = issuerOf(req);
+        res.json({
+            issuer,
+            authorization_endpoint: `${issuer}/authorize`,
+            token_endpoint: `${issuer}/token`,
+            userinfo_endpoint: `${issuer}/userinfo`,
+            jwks_uri: `${issuer}/jwks`,
+            response_types_supported: ['code'],
+            subject_types_supported: ['public'],
+            id_token_signing_alg_values_supported: ['RS256'],
+            code_challenge_methods_supported: ['S256'],
+            token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+            scopes_supported: ['openid', 'email', 'profile'],
+            claims_supported: ['sub', 'email', 'email_verified', 'name']
+        });
+    });
+
+    router.get('/jwks', (req, res) => {
+        res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' }] });
+    });
+
+    // Sign-in page; the authorization request travels along in hidden fields.
+    router.get('/authorize', (req, res) => {
+        const { client_id: clientId, redirect_uri: redirectUri, response_type: responseType } = req.query;
+        if (!registered.has(clientId) || !redirectUri) {
+            return res.status(400).send('Unknown client or missing redirect_uri');
+        }
+        if (responseType !== 'code') {
+            return res.status(400).send('Only response_type=code is supported');
+        }
+
+        const hidden = ['client_id', 'redirect_uri', 'state', 'nonce', 'scope', 'code_challenge', 'code_challenge_method']
+            .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name])}">`)
+            .join('\n');
+        res.send(`<!DOCTYPE html>
+<html><head><meta charset="UTF-8"><title>Mock identity provider</title></head>
+<body style="font-family: sans-serif; max-width: 24rem; margin: 4rem auto;">
+<h1>Mock identity provider</h1>
+<p>Signing in to <strong>${escapeHtml(clientId)}</strong>. Any email is accepted.</p>
+<form method="POST" action="${escapeHtml(req.baseUrl)}/authorize">
+${hidden}
+<p><label>Email<br><input type="email" name="email" required autofocus></label></p>
+<p><label>Name<br><input type="text" name="name"></label></p>
+<p><button type="submit">Sign in</button> <button type="submit" name="cancel" value="1" formnovalidate>Cancel</button></p>
+</form>
+</body></html>`);
+    });
+
+    router.post('/authorize', (req, res) => {
+        const { client_id: clientId, redirect_uri: redirectUri, state } = req.body;
+        if (!registered.has(clientId) || !redirectUri) {
+            return res.status(400).send('Unknown client or missing redirect_uri');
+        }
+
+        const target = new URL(redirectUri);
+        if (state) target.searchParams.set('state', state);
+
+        if (req.body.cancel) {
+            target.searchParams.set('error', 'access_denied');
+            return res.redirect(target.toString());
+        }
+
+        const email = String(req.body.email || '').trim().toLowerCase();
+        if (!email) {
+            return res.status(400).send('Email is required');
+        }
+
+        const code = crypto.randomBytes(24).toString('hex');
+        codes.set(code, {
+            clientId,
+            redirectUri,
+            nonce: req.body.nonce || undefined,
+            codeChallenge: req.body.code_challenge || null,
+            claims: { sub: subjectFor(email), email, email_verified: true, name: req.body.name || email },
+            expiresAt: Date.now() + CODE_TTL_MS
+        });
+        target.searchParams.set('code', code);
+        res.redirect(target.toString());
+    });
+
+    router.post('/token', (req, res) => {
+        const clientId = authenticateClient(req);
+        if (!clientId) {
+            return oauthError(res, 401, 'invalid_client', 'Client authentication failed');
+        }
+        if (req.body.grant_type !== 'authorization_code') {
+            return oauthError(res, 400, 'unsupported_grant_type', 'Only authorization_code is supported');
+        }
+
+        const grant = codes.get(req.body.code);
+        codes.delete(req.body.code);
+        if (!grant || grant.expiresAt < Date.now() || grant.clientId !== clientId || grant.redirectUri !== req.body.redirect_uri) {
+            return oauthError(res, 400, 'invalid_grant', 'Invalid or expired authorization code');
+        }
+        if (grant.codeChallenge) {
+            const verifier = crypto.createHash('sha256').update(String(req.body.code_verifier || '')).digest('base64url');
+            if (verifier !== grant.codeChallenge) {
+                return oauthError(res, 400, 'invalid_grant', 'PKCE verification failed');
+            }
+        }
+
+        const now = Math.floor(Date.now() / 1000);
+        const accessToken = crypto.randomBytes(24).toString('hex');
+        accessTokens.set(accessToken, grant.claims);
+        res.json({
+            access_token: accessToken,
+            token_type: 'Bearer',
+            expires_in: TOKEN_TTL_S,
+            id_token: signJwt({
+                iss: issuerOf(req),
+                aud: clientId,
+                iat: now,
+                exp: now + TOKEN_TTL_S,
+                nonce: grant.nonce,
+                ...grant.claims
+            })
+        });
+    });
+
+    router.get('/userinfo', (req, res) => {
+        const token = (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+        const claims = accessTokens.get(token);
+        if (!claims) {
+            return res.status(401).json({ error: 'invalid_token' });
+        }
+        res.json(claims);
+    });
+
+    return router;
+};
+
+module.exports = { createIdp };
@@ -0,0 +1,137 @@
+const express = require('express');
+const http = require('http');
+const path = require('path');
+const { createStore } = require('./store');
+const { createIdp } = require('./idp');
+
+// Local stand-in for the BMO backend: implements the /api endpoints the portal calls,
+// backed by an in-memory store seeded from a JSON fixture.
+//
+// Test/dev control endpoints (never present on the real backend):
+//   POST   /__mock/reset   { fixture? }                 re-seed from the default or given fixture object
+//   POST   /__mock/faults  { method?, path, status, times?, body? }  make matching /api calls fail
+//   DELETE /__mock/faults                                clear injected faults
+//   GET    /__mock/state                                 dump the current store
+//
+// It also serves a stand-in OpenID Connect provider under /idp for center single sign-on (see idp.js).
+const createMockBackend = ({ fixture, realtime = true } = {}) => {
+    const store = createStore(fixture);
+    const app = express();
+    const server = http.createServer(app);
+
+    app.use(express.json({ limit: '5mb' }));
+    app.use(express.urlencoded({ extended: true }));
+
+    // ========================================
+    // REALTIME (Socket.IO events used by chat.ejs / notifications.js)
+    // ========================================
+    let io = null;
+    if (realtime) {
+        const { Server } = require('socket.io');
+        io = new Server(server, { path: '/socket.io', cors: { origin: true, credentials: true } });
+
+        io.on('connection', (socket) => {
+            const userId = socket.handshake.auth?.userId;
+            if (userId) socket.join(String(userId));
+
+            socket.on('typing', ({ receiverId, isTyping } = {}) => {
+                if (userId && receiverId) {
+                    io.to(String(receiverId)).emit('user_typing', { userId, isTyping: !!isTyping });
+                }
+            });
+        });
+    }
+
+    const emit = (userId, event, payload) => {
+        if (io && userId) io.to(String(userId)).emit(event, payload);
+    };
+
+    // ========================================
+    // FAULT INJECTION
+    // ========================================
+    let faults = [];
+
+    app.post('/__mock/reset', (req, res) => {
+        store.reset(req.body?.fixture);
+        faults = [];
+        res.json({ success: true });
+    });
+
+    app.post('/__mock/faults', (req, res) => {
+        const { method, path: pattern, status, times, body } = req.body || {};
+        if (!pattern || !status) {
+            return res.status(400).json({ success: false, message: 'path and status are required' });
+        }
+        faults.push({
+            method: method ? String(method).toUpperCase() : null,
+            pattern: new RegExp(pattern),
+            status: Number(status),
+            remaining: Number.isFinite(Number(times)) ? Number(times) : Infinity,
+            body: body || { success: false, message: `Injected ${status}` }
+        });
+        res.json({ success: true, faults: faults.length });
+    });
+
+    app.delete('/__mock/faults', (req, res) => {
+        faults = [];
+        res.json({ success: true });
+    });
+
+    app.get('/__mock/state', (req, res) => {
+        res.json(store.data);
+    });
+
+    app.use('/api', (req, res, next) => {
+        const fault = faults.find(f =>
+            f.remaining > 0 && (!f.method || f.method === req.method) && f.pattern.test(req.path));
+        if (!fault) return next();
+        fault.remaining -= 1;
+        return res.status(fault.status).json(fault.body);
+    });
+
+    // ========================================
+    // API
+    // ========================================
+    app.get('/health', (req, res) => {
+        res.json({ status: 'ok', mock: true });
+    });
+
+    app.use('/idp', createIdp());
+
+    app.use('/api/auth', require('./routes/auth')(store));
+    app.use('/api/progress', require('./routes/progress')(store));
+    app.use('/api/exercises', require('./routes/exercises')(store));
+    app.use('/api/plan-templates', require('./routes/planTemplates')(store));
+    app.use('/api/words', require('./routes/words')(store));
+    app.use('/api/superadmin', require('./routes/superadmin')(store));
+    app.use('/api', require('./routes/admin')(store));
+    app.use('/api', require('./routes/messages')(store, emit));
+    app.use('/api', require('./routes/specialists')(store));
+    app.use('/api', require('./routes/search')(store));
+
+    // Default avatars (backend names them avatar_1.png, the portal ships avatar_01.png)
+    app.get('/static/avatars/:file', (req, res) => {
+        const m = String(req.params.file).match(/^avatar_0*(\d+)\.png$/i);
+        if (!m) return res.status(404).end();
+        res.sendFile(path.join(__dirname, '..', 'public', 'avatars', `avatar_${m[1].padStart(2, '0')}.png`), (err) => {
+            if (err) res.status(404).end();
+        });
+    });
+
+    app.use('/api', (req, res) => {
+        res.status(404).json({ success: false, message: `Mock backend has no route for ${req.method} ${req.originalUrl}` });
+    });
+
+    const listen = (port = 0, host = '127.0.0.1') => new Promise((resolve) => {
+        server.listen(port, host, () => resolve(server.address()));
+    });
+
+    const close = () => new Promise((resolve) => {
+        if (io) io.close();
+        server.close(() => resolve());
+    });
+
+    return { app, server, io, store, listen, close };
+};
+
+module.exports = { createMockBackend };
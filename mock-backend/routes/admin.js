@@ -0,0 +1,345 @@
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const { protect, allow } = require('../auth');
+
+const upload = multer({ storage: multer.memoryStorage() });
+
+// /api/admin/* and /api/centers/:id
+module.exports = (store) => {
+    const router = express.Router();
+    router.use(protect(store));
+
+    const adminOnly = allow('admin', 'superadmin');
+
+    const populateSpecialist = (s) => ({
+        ...store.publicUser(s),
+        linkedParents: (s.linkedParents || []).map(store.userRef).filter(Boolean),
+        assignedChildren: store.childrenOfSpecialist(s._id).map(store.populateChild)
+    });
+
+    // Specialists the caller may manage (own center; superadmin sees all).
+    const manageableSpecialist = (req, id) => {
+        const s = store.findUser(id);
+        if (!s || s.role !== 'specialist') return null;
+        if (req.user.role !== 'superadmin' && String(s.center) !== String(req.user.center)) return null;
+        return s;
+    };
+
+    // GET /api/centers/:id
+    router.get('/centers/:id', (req, res) => {
+        const center = store.findCenter(req.params.id);
+        if (!center) return res.status(404).json({ success: false, message: 'Center not found' });
+        res.json({ success: true, center: { ...center, admin: store.userRef(center.admin) } });
+    });
+
+    // GET/PUT /api/centers/:id/roles (role -> permissions overrides; readable by the center's staff)
+    const ownCenter = (req) => req.user.role === 'superadmin' || String(req.user.center) === String(req.params.id);
+
+    router.get('/centers/:id/roles', (req, res) => {
+        if (!ownCenter(req)) return res.status(403).json({ success: false, message: 'Forbidden' });
+        const center = (store.data.settings.centers || {})[req.params.id] || {};
+        res.json({ success: true, roles: center.rolePermissions || {} });
+    });
+
+    router.put('/centers/:id/roles', adminOnly, (req, res) => {
+        if (!ownCenter(req)) return res.status(403).json({ success: false, message: 'Forbidden' });
+        const roles = req.body.roles;
+        if (!roles || typeof roles !== 'object') {
+            return res.status(400).json({ success: false, message: 'roles is required' });
+        }
+        store.data.settings.centers = store.data.settings.centers || {};
+        store.data.settings.centers[req.params.id] = { ...(store.data.settings.centers[req.params.id] || {}), rolePermissions: roles };
+        store.log(req.user, 'UPDATE_ROLES', 'Updated role permissions', req.ip);
+        res.json({ success: true, roles });
+    });
+
+    // GET/PUT /api/centers/:id/mastery (the center's mastery rule; `criteria: null` clears it)
+    router.get('/centers/:id/mastery', (req, res) => {
+        if (!ownCenter(req)) return res.status(403).json({ success: false, message: 'Forbidden' });
+        const center = (store.data.settings.centers || {})[req.params.id] || {};
+        res.json({ success: true, criteria: center.mastery || null });
+    });
+
+    router.put('/centers/:id/mastery', adminOnly, (req, res) => {
+        if (!ownCenter(req)) return res.status(403).json({ success: false, message: 'Forbidden' });
+        const criteria = req.body.criteria;
+        if (criteria !== null && (typeof criteria !== 'object' || Array.isArray(criteria))) {
+            return res.status(400).json({ success: false, message: 'criteria must be an object or null' });
+        }
+        store.data.settings.centers = store.data.settings.centers || {};
+        store.data.settings.centers[req.params.id] = { ...(store.data.settings.centers[req.params.id] || {}), mastery: criteria || null };
+        store.log(req.user, 'UPDATE_MASTERY_CRITERIA', 'Updated the center mastery rule', req.ip);
+        res.json({ success: true, criteria: criteria || null });
+    });
+
+    // GET /api/admin/stats
+    router.get('/admin/stats', adminOnly, (req, res) => {
+        const specialists = store.specialistsOfCenter(req.user.center);
+        const specialistIds = specialists.map(s => String(s._id));
+        const centerChildren = store.data.children.filter(c =>
+            String(c.center) === String(req.user.center) || specialistIds.includes(String(c.assignedSpecialist)));
+
+        res.json({
+            success: true,
+            stats: {
+                centerSpecialists: specialists.length,
+                myParents: (req.user.linkedParents || []).length,
+                centerChildren: centerChildren.length
+            },
+            recentSpecialists: specialists.slice(-5).reverse().map(store.publicUser)
+        });
+    });
+
+    // GET /api/admin/specialists?search=&status=&sort=&limit=
+    router.get('/admin/specialists', adminOnly, (req, res) => {
+        const q = String(req.query.search || '').trim().toLowerCase();
+        let specialists = req.user.role === 'superadmin'
+            ? store.data.users.filter(u => u.role === 'specialist')
+            : store.specialistsOfCenter(req.user.center);
+
+        if (q) {
+            specialists = specialists.filter(s => [s.name, s.email, s.staffId].some(v => String(v || '').toLowerCase().includes(q)));
+        }
+        if (req.query.status === 'active') specialists = specialists.filter(s => s.isActive !== false);
+        if (req.query.status === 'inactive') specialists = specialists.filter(s => s.isActive === false);
+
+        const sort = String(req.query.sort || '-createdAt');
+        const key = sort.replace(/^-/, '');
+        const dir = sort.startsWith('-') ? -1 : 1;
+        specialists = [...specialists].sort((a, b) => String(a[key] || '').localeCompare(String(b[key] || '')) * dir);
+
+        const limit = Number(req.query.limit) || specialists.length;
+        res.json({ success: true, specialists: specialists.slice(0, limit).map(populateSpecialist) });
+    });
+
+    // POST /api/admin/create-specialist
+    router.post('/admin/create-specialist', adminOnly, (req, res) => {
+        const { name, email, password, phone, specialization, licenseNumber, invite } = req.body;
+        if (!name || !email || (!password && !invite)) {
+            return res.status(400).json({ success: false, message: 'name, email and password are required' });
+        }
+        if (store.data.users.some(u => String(u.email).toLowerCase() === String(email).toLowerCase())) {
+            return res.status(400).json({ success: false, message: 'Email already in use' });
+        }
+
+        const specialist = {
+            _id: store.newId(),
+            name,
+            email: String(email).toLowerCase(),
+            password: String(password),
+            role: 'specialist',
+            center: req.user.center,
+            phone: phone || '',
+            specialization: specialization || '',
+            licenseNumber: licenseNumber || '',
+            staffId: `SP-${String(store.data.users.length + 1).padStart(4, '0')}`,
+            linkedParents: [],
+            isActive: true,
+            createdAt: new Date().toISOString()
+        };
+        const invitation = invite ? store.inviteUser(specialist) : null;
+        store.data.users.push(specialist);
+        store.log(req.user, 'CREATE_SPECIALIST', `Created specialist ${specialist.email}`, req.ip);
+        res.status(201).json({ success: true, specialist: store.publicUser(specialist), invitation });
+    });
+
+    // POST /api/admin/specialists/:id/unlock (the portal lifts its login lockout; recorded here)
+    router.post('/admin/specialists/:id/unlock', adminOnly, (req, res) => {
+        const specialist = manageableSpecialist(req, req.params.id);
+        if (!specialist) return res.status(404).json({ success: false, message: 'Specialist not found' });
+        store.log(req.user, 'UNLOCK_ACCOUNT', `Unlocked login for ${specialist.email}`, req.ip);
+        res.json({ success: true });
+    });
+
+    // POST /api/admin/specialists/:id/impersonate { minutes, readOnly } -> short-lived token for "view as specialist"
+    router.post('/admin/specialists/:id/impersonate', adminOnly, (req, res) => {
+        const specialist = manageableSpecialist(req, req.params.id);
+        if (!specialist) return res.status(404).json({ success: false, message: 'Specialist not found' });
+
+        const minutes = Math.min(120, Math.max(1, Number(req.body.minutes) || 30));
+        const readOnly = req.body.readOnly !== false && req.body.readOnly !== 'false';
+        const expiresAt = Date.now() + minutes * 60 * 1000;
+        const token = store.issueToken(specialist._id);
+        store.impersonations.set(token, { adminId: String(req.user._id), specialistId: String(specialist._id), expiresAt, readOnly });
+        store.log(req.user, 'IMPERSONATION_START',
+            `${req.user.email} started viewing the portal as ${specialist.email} (${readOnly ? 'read-only' : 'with changes allowed'}, ${minutes} min)`,
+            req.ip, specialist.center);
+        res.json({ success: true, token, user: store.publicUser(specialist), expiresAt: new Date(expiresAt).toISOString(), readOnly });
+    });
+
+    // POST /api/admin/specialists/:id/invitation (new link for an account that hasn't set its password)
+    router.post('/admin/specialists/:id/invitation', adminOnly, (req, res) => {
+        const specialist = manageableSpecialist(req, req.params.id);
+        if (!specialist) return res.status(404).json({ success: false, message: 'Specialist not found' });
+        if (!specialist.invitationPending) {
+            return res.status(400).json({ success: false, message: 'Invitation already accepted' });
+        }
+        res.json({ success: true, specialist: store.publicUser(specialist), invitation: store.issuePasswordToken(specialist, 'invitation') });
+    });
+
+    // GET /api/admin/specialists/:id
+    router.get('/admin/specialists/:id', adminOnly, (req, res) => {
+        const specialist = manageableSpecialist(req, req.params.id);
+        if (!specialist) return res.status(404).json({ success: false, message: 'Specialist not found' });
+        res.json({ success: true, specialist: populateSpecialist(specialist) });
+    });
+
+    // DELETE /api/admin/specialists/:id (removes the specialist from the center)
+    router.delete('/admin/specialists/:id', adminOnly, (req, res) => {
+        const specialist = manageableSpecialist(req, req.params.id);
+        if (!specialist) return res.status(404).json({ success: false, message: 'Specialist not found' });
+        specialist.center = null;
+        store.log(req.user, 'REMOVE_SPECIALIST', `Removed specialist ${specialist.email}`, req.ip);
+        res.json({ success: true });
+    });
+
+    // GET /api/admin/specialists/:id/search-parents?query=
+    router.get('/admin/specialists/:id/search-parents', adminOnly, (req, res) => {
+        const q = String(req.query.query || '').trim().toLowerCase();
+        const parents = store.data.users
+            .filter(u => u.role === 'parent')
+            .filter(u => !q || [u.name, u.email, u.phone].some(v => String(v || '').toLowerCase().includes(q)))
+            .map(p => ({
+                ...store.userRef(p._id),
+                children: store.data.children.filter(c => String(c.parent) === String(p._id)).map(store.populateChild)
+            }));
+        res.json({ success: true, parents });
+    });
+
+    // POST /api/admin/specialists/:id/link-parent { parentId }
+    router.post('/admin/specialists/:id/link-parent', adminOnly, (req, res) => {
+        const specialist = manageableSpecialist(req, req.params.id);
+        const parent = store.findUser(req.body.parentId);
+        if (!specialist || !parent || parent.role !== 'parent') {
+            return res.status(404).json({ success: false, message: 'Not found' });
+        }
+        specialist.linkedParents = Array.from(new Set([...(specialist.linkedParents || []).map(String), String(parent._id)]));
+        parent.linkedSpecialist = specialist._id;
+        res.json({ success: true });
+    });
+
+    // POST /api/admin/specialists/:id/unlink-parent/:parentId
+    router.post('/admin/specialists/:id/unlink-parent/:parentId', adminOnly, (req, res) => {
+        const specialist = manageableSpecialist(req, req.params.id);
+        const parentId = String(req.params.parentId);
+        if (!specialist || !(specialist.linkedParents || []).map(String).includes(parentId)) {
+            return res.status(404).json({ success: false, message: 'Not found' });
+        }
+        specialist.linkedParents = specialist.linkedParents.map(String).filter(id => id !== parentId);
+        const parent = store.findUser(parentId);
+        if (parent && String(parent.linkedSpecialist) === String(specialist._id)) parent.linkedSpecialist = null;
+        res.json({ success: true });
+    });
+
+    // POST /api/admin/specialists/:id/link-child { childId, parentId }
+    router.post('/admin/specialists/:id/link-child', adminOnly, (req, res) => {
+        const specialist = manageableSpecialist(req, req.params.id);
+        const child = store.findChild(req.body.childId);
+        if (!specialist || !child) return res.status(404).json({ success: false, message: 'Not found' });
+        if (child.assignedSpecialist && String(child.assignedSpecialist) !== String(specialist._id)) {
+            return res.status(400).json({ success: false, message: 'Child is assigned to another specialist' });
+        }
+        child.assignedSpecialist = specialist._id;
+        const parentId = String(child.parent);
+        specialist.linkedParents = Array.from(new Set([...(specialist.linkedParents || []).map(String), parentId]));
+        res.json({ success: true });
+    });
+
+    // POST /api/admin/specialists/:id/unlink-child/:childId
+    router.post('/admin/specialists/:id/unlink-child/:childId', adminOnly, (req, res) => {
+        const specialist = manageableSpecialist(req, req.params.id);
+        const child = store.findChild(req.params.childId);
+        if (!specialist || !child || String(child.assignedSpecialist) !== String(specialist._id)) {
+            return res.status(404).json({ success: false, message: 'Not found' });
+        }
+        child.assignedSpecialist = null;
+        res.json({ success: true });
+    });
+
+    // GET /api/admin/parents (admin acting as specialist)
+    router.get('/admin/parents', adminOnly, (req, res) => {
+        const parents = (req.user.linkedParents || []).map(store.userRef).filter(Boolean);
+        res.json({ success: true, parents });
+    });
+
+    // GET /api/admin/my-children (admin acting as specialist)
+    router.get('/admin/my-children', adminOnly, (req, res) => {
+        res.json({ success: true, children: store.childrenOfSpecialist(req.user._id).map(store.populateChild) });
+    });
+
+    // GET /api/admin/activity-log?page=
+    router.get('/admin/activity-log', adminOnly, (req, res) => {
+        const perPage = 20;
+        const page = Math.max(1, Number(req.query.page) || 1);
+        const logs = store.data.activityLogs
+            .filter(l => req.user.role === 'superadmin' || String(l.center) === String(req.user.center))
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+        res.json({
+            success: true,
+            logs: logs.slice((page - 1) * perPage, page * perPage).map(l => {
+                const u = store.findUser(l.user);
+                return { ...l, user: u ? { _id: u._id, name: u.name, role: u.role } : null };
+            }),
+            pages: Math.max(1, Math.ceil(logs.length / perPage)),
+            currentPage: page
+        });
+    });
+
+    // GET/POST /api/admin/settings (per center; superadmin edits the global defaults)
+    const settingsScope = (req) => (req.user.role === 'superadmin' || !req.user.center) ? null : String(req.user.center);
+
+    router.get('/admin/settings', adminOnly, (req, res) => {
+        const scope = settingsScope(req);
+        const global = store.data.settings.global || {};
+        const center = scope ? (store.data.settings.centers || {})[scope] || {} : {};
+        const security = scope ? { requireTwoFactor: Boolean(store.findCenter(scope)?.requireTwoFactor) } : {};
+        res.json({ success: true, settings: { ...global, ...center, ...security } });
+    });
+
+    router.post('/admin/settings', adminOnly, (req, res) => {
+        const scope = settingsScope(req);
+        if (scope) {
+            // Mandatory two-factor lives on the center record (superadmins set it from the center form too).
+            const { requireTwoFactor, ...updates } = req.body;
+            const center = store.findCenter(scope);
+            if (center && requireTwoFactor !== undefined) {
+                center.requireTwoFactor = requireTwoFactor === true || requireTwoFactor === 'true';
+            }
+            store.data.settings.centers = store.data.settings.centers || {};
+            store.data.settings.centers[scope] = { ...(store.data.settings.centers[scope] || {}), ...updates };
+        } else {
+            store.data.settings.global = { ...(store.data.settings.global || {}), ...req.body };
+        }
+        store.log(req.user, 'UPDATE_SETTINGS', 'Updated settings', req.ip);
+        res.json({ success: true });
+    });
+
+    // POST /api/admin/settings/branding (multipart: logo?, favicon?, removeLogo?, removeFavicon?)
+    router.post('/admin/settings/branding', adminOnly, upload.fields([{ name: 'logo' }, { name: 'favicon' }]), (req, res) => {
+        const scope = settingsScope(req);
+        let settings;
+        if (scope) {
+            store.data.settings.centers = store.data.settings.centers || {};
+            settings = store.data.settings.centers[scope] = store.data.settings.centers[scope] || {};
+        } else {
+            settings = store.data.settings.global = store.data.settings.global || {};
+        }
+
+        const files = req.files || {};
+        for (const name of ['logo', 'favicon']) {
+            const removeFlag = `remove${name[0].toUpperCase()}${name.slice(1)}`;
+            if (files[name]) {
+                const ext = path.extname(files[name][0].originalname).toLowerCase() || '.png';
+                settings[name] = `uploads/branding/${scope || 'global'}-${name}-${Date.now()}${ext}`;
+            } else if (req.body[removeFlag] === 'true') {
+                delete settings[name];
+            }
+        }
+        store.log(req.user, 'UPDATE_SETTINGS', 'Updated branding', req.ip);
+        res.json({ success: true, logo: settings.logo || null, favicon: settings.favicon || null });
+    });
+
+    return router;
+};
@@ -0,0 +1,316 @@
+const express = require('express');
+const multer = require('multer');
+const crypto = require('crypto');
+const { protect, portalOnly } = require('../auth');
+const totp = require('../totp');
+
+const upload = multer({ storage: multer.memoryStorage() });
+
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const CHALLENGE_ATTEMPTS = 5;
+const RECOVERY_CODES = 10;
+
+const hashCode = (code) => crypto.createHash('sha256').update(String(code).toLowerCase().replace(/[^a-z0-9]/g, '')).digest('hex');
+
+const newRecoveryCodes = () => Array.from({ length: RECOVERY_CODES }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+});
+
+module.exports = (store) => {
+    const router = express.Router();
+
+    const twoFactorStatus = (user) => ({
+        enabled: Boolean(user.twoFactor?.enabled),
+        required: store.twoFactorRequired(user),
+        recoveryCodesLeft: (user.twoFactor?.recoveryCodes || []).length
+    });
+
+    // A TOTP code, or an unused recovery code (consumed on success).
+    const checkSecondFactor = (user, code) => {
+        const tf = user.twoFactor || {};
+        if (totp.verify(tf.secret, code)) return { ok: true, usedRecoveryCode: false };
+        const idx = (tf.recoveryCodes || []).indexOf(hashCode(code));
+        if (idx === -1) return { ok: false };
+        tf.recoveryCodes.splice(idx, 1);
+        return { ok: true, usedRecoveryCode: true };
+    };
+
+    const issueRecoveryCodes = (user) => {
+        const codes = newRecoveryCodes();
+        user.twoFactor.recoveryCodes = codes.map(hashCode);
+        return codes;
+    };
+
+    // POST /api/auth/login
+    router.post('/login', (req, res) => {
+        const email = String(req.body.email || '').trim().toLowerCase();
+        const password = String(req.body.password || '');
+
+        const user = store.data.users.find(u => String(u.email).toLowerCase() === email);
+        if (!user || user.password !== password) {
+            return res.status(401).json({ success: false, message: 'Invalid credentials' });
+        }
+
+        // Second step required: no token until /auth/2fa/verify succeeds.
+        if (user.twoFactor?.enabled) {
+            const challenge = crypto.randomBytes(24).toString('hex');
+            store.challenges.set(challenge, { userId: String(user._id), expiresAt: Date.now() + CHALLENGE_TTL_MS, attempts: 0 });
+            return res.json({ success: true, twoFactorRequired: true, challenge });
+        }
+
+        const token = store.issueToken(user._id);
+        store.log(user, 'LOGIN', `${user.email} logged in`, req.ip);
+
+        res.json({ success: true, token, user: store.publicUser(user) });
+    });
+
+    // POST /api/auth/2fa/verify { challenge, code } (code: TOTP or recovery code)
+    router.post('/2fa/verify', (req, res) => {
+        const pending = store.challenges.get(String(req.body.challenge || ''));
+        if (!pending || pending.expiresAt < Date.now()) {
+            store.challenges.delete(String(req.body.challenge || ''));
+            return res.status(401).json({ success: false, message: 'Login challenge expired' });
+        }
+
+        const user = store.findUser(pending.userId);
+        const result = user ? checkSecondFactor(user, req.body.code) : { ok: false };
+        if (!result.ok) {
+            pending.attempts += 1;
+            if (pending.attempts >= CHALLENGE_ATTEMPTS) store.challenges.delete(req.body.challenge);
+            return res.status(400).json({ success: false, message: 'Invalid verification code' });
+        }
+
+        store.challenges.delete(req.body.challenge);
+        const token = store.issueToken(user._id);
+        store.log(user, 'LOGIN', `${user.email} logged in (two-factor${result.usedRecoveryCode ? ', recovery code' : ''})`, req.ip);
+        res.json({
+            success: true,
+            token,
+            user: store.publicUser(user),
+            usedRecoveryCode: result.usedRecoveryCode,
+            recoveryCodesLeft: user.twoFactor.recoveryCodes.length
+        });
+    });
+
+    // GET /api/auth/2fa
+    router.get('/2fa', protect(store), (req, res) => {
+        res.json({ success: true, twoFactor: twoFactorStatus(req.user) });
+    });
+
+    // POST /api/auth/2fa/setup -> new (not yet active) secret
+    router.post('/2fa/setup', protect(store), (req, res) => {
+        if (req.user.twoFactor?.enabled) {
+            return res.status(400).json({ success: false, message: 'Two-factor authentication is already enabled' });
+        }
+        const secret = totp.generateSecret();
+        req.user.twoFactor = { ...(req.user.twoFactor || {}), enabled: false, pendingSecret: secret };
+        res.json({ success: true, secret, otpauthUrl: totp.otpauthUrl(secret, req.user.email, 'BMO Care') });
+    });
+
+    // POST /api/auth/2fa/enable { code } -> recovery codes (shown once)
+    router.post('/2fa/enable', protect(store), (req, res) => {
+        const tf = req.user.twoFactor || {};
+        if (!tf.pendingSecret) {
+            return res.status(400).json({ success: false, message: 'Start the setup first' });
+        }
+        if (!totp.verify(tf.pendingSecret, req.body.code)) {
+            return res.status(400).json({ success: false, message: 'Invalid verification code' });
+        }
+        req.user.twoFactor = { enabled: true, secret: tf.pendingSecret, recoveryCodes: [] };
+        const recoveryCodes = issueRecoveryCodes(req.user);
+        store.log(req.user, 'ENABLE_2FA', `${req.user.email} enabled two-factor authentication`, req.ip);
+        res.json({ success: true, recoveryCodes });
+    });
+
+    // POST /api/auth/2fa/recovery-codes { code } -> replaces the recovery codes
+    router.post('/2fa/recovery-codes', protect(store), (req, res) => {
+        const tf = req.user.twoFactor || {};
+        if (!tf.enabled || !totp.verify(tf.secret, req.body.code)) {
+            return res.status(400).json({ success: false, message: 'Invalid verification code' });
+        }
+        const recoveryCodes = issueRecoveryCodes(req.user);
+        store.log(req.user, 'REGENERATE_2FA_CODES', `${req.user.email} regenerated recovery codes`, req.ip);
+        res.json({ success: true, recoveryCodes });
+    });
+
+    // POST /api/auth/2fa/disable { password }
+    router.post('/2fa/disable', protect(store), (req, res) => {
+        if (store.twoFactorRequired(req.user)) {
+            return res.status(400).json({ success: false, message: 'Two-factor authentication is required by your center' });
+        }
+        if (req.user.password !== req.body.password) {
+            return res.status(400).json({ success: false, message: 'Current password is incorrect' });
+        }
+        delete req.user.twoFactor;
+        store.log(req.user, 'DISABLE_2FA', `${req.user.email} disabled two-factor authentication`, req.ip);
+        res.json({ success: true });
+    });
+
+    // POST /api/auth/password-reset { email } (portal only) -> link token for the portal to email.
+    // Unknown emails still succeed with `reset: null` so the portal can't be used to probe accounts.
+    router.post('/password-reset', portalOnly, (req, res) => {
+        const email = String(req.body.email || '').trim().toLowerCase();
+        const user = store.data.users.find(u => String(u.email).toLowerCase() === email && u.isActive !== false);
+        if (!user) return res.json({ success: true, reset: null });
+
+        const issued = store.issuePasswordToken(user, user.invitationPending ? 'invitation' : 'reset');
+        res.json({ success: true, reset: { ...issued, user: { name: user.name, email: user.email } } });
+    });
+
+    // POST /api/auth/lockouts { email, ip, lockedUntil } (portal only) -> activity log entry
+    router.post('/lockouts', portalOnly, (req, res) => {
+        const email = String(req.body.email || '').trim().toLowerCase();
+        const user = store.data.users.find(u => String(u.email).toLowerCase() === email);
+        if (user) {
+            store.log(user, 'ACCOUNT_LOCKED', `${user.email} locked until ${req.body.lockedUntil} after repeated failed logins`, req.body.ip);
+        }
+        res.json({ success: true });
+    });
+
+    // Centers that sign their staff in through their own OpenID Connect provider
+    const ssoCenter = (id) => {
+        const center = store.findCenter(id);
+        return center && center.isActive !== false && center.sso?.enabled ? center : null;
+    };
+
+    // GET /api/auth/portal-settings -> the settings every page needs (maintenance mode, branding),
+    // global and per center. Read by the portal for guests too, so no session is required.
+    const PUBLIC_SETTINGS = ['maintenanceMode', 'maintenanceEnd', 'maintenanceMessage', 'appName', 'themeColor', 'logo', 'favicon'];
+    const publicSettings = (settings = {}) => Object.fromEntries(
+        PUBLIC_SETTINGS.filter(key => settings[key] !== undefined).map(key => [key, settings[key]])
+    );
+
+    router.get('/portal-settings', (req, res) => {
+        const centers = Object.entries(store.data.settings.centers || {})
+            .map(([id, settings]) => [id, publicSettings(settings)]);
+        res.json({
+            success: true,
+            global: publicSettings(store.data.settings.global),
+            centers: Object.fromEntries(centers)
+        });
+    });
+
+    // GET /api/auth/sso/centers -> the sign-in buttons of the login page
+    router.get('/sso/centers', (req, res) => {
+        const centers = store.data.centers
+            .filter(c => ssoCenter(c._id))
+            .map(c => ({ _id: c._id, name: c.name, nameEn: c.nameEn }));
+        res.json({ success: true, centers });
+    });
+
+    // GET /api/auth/sso/:centerId/config (portal only) -> provider settings, client secret included
+    router.get('/sso/:centerId/config', portalOnly, (req, res) => {
+        const center = ssoCenter(req.params.centerId);
+        if (!center) return res.status(404).json({ success: false, message: 'Single sign-on is not enabled for this center' });
+        const { issuer, clientId, clientSecret, emailClaim } = center.sso;
+        res.json({ success: true, sso: { issuer, clientId, clientSecret, emailClaim: emailClaim || 'email' } });
+    });
+
+    // POST /api/auth/sso/login { center, subject, email, name } (portal only), after the portal
+    // validated the provider's ID token. The account must already exist in that center; the
+    // provider subject is linked on first use and has to match afterwards.
+    router.post('/sso/login', portalOnly, (req, res) => {
+        const center = ssoCenter(req.body.center);
+        if (!center) return res.status(404).json({ success: false, message: 'Single sign-on is not enabled for this center' });
+
+        const subject = String(req.body.subject || '');
+        const email = String(req.body.email || '').trim().toLowerCase();
+        const user = store.data.users.find(u => String(u.center) === String(center._id) && (
+            u.sso?.subject ? u.sso.subject === subject : String(u.email).toLowerCase() === email));
+        if (!subject || !user || user.isActive === false) {
+            return res.status(401).json({ success: false, message: 'No account for this identity in the center' });
+        }
+        if (user.role === 'parent') {
+            return res.status(403).json({ success: false, message: 'Parents sign in through the app' });
+        }
+
+        if (!user.sso?.subject) {
+            user.sso = { subject, linkedAt: new Date().toISOString() };
+        }
+        user.invitationPending = false;
+        const token = store.issueToken(user._id);
+        store.log(user, 'LOGIN', `${user.email} logged in (single sign-on)`, req.ip);
+        res.json({ success: true, token, user: store.publicUser(user) });
+    });
+
+    // GET /api/auth/password-reset/:token -> who the link is for
+    router.get('/password-reset/:token', (req, res) => {
+        const entry = store.passwordTokenEntry(req.params.token);
+        if (!entry) return res.status(404).json({ success: false, message: 'Invalid or expired link' });
+        res.json({
+            success: true,
+            purpose: entry.purpose,
+            expiresAt: entry.expiresAt,
+            user: { name: entry.user.name, email: entry.user.email }
+        });
+    });
+
+    // POST /api/auth/password-reset/:token { password } -> sets the password and uses up the link
+    router.post('/password-reset/:token', (req, res) => {
+        const entry = store.passwordTokenEntry(req.params.token);
+        if (!entry) return res.status(404).json({ success: false, message: 'Invalid or expired link' });
+        const password = String(req.body.password || '');
+        if (password.length < 6) {
+            return res.status(400).json({ success: false, message: 'Password must be at least 6 characters' });
+        }
+
+        const { user, purpose } = entry;
+        user.password = password;
+        user.invitationPending = false;
+        store.passwordTokens.delete(store.hashToken(req.params.token));
+        store.revokeTokens(user._id);
+        store.log(user, purpose === 'invitation' ? 'ACCEPT_INVITATION' : 'RESET_PASSWORD',
+            `${user.email} ${purpose === 'invitation' ? 'accepted the invitation' : 'reset the password'}`, req.ip);
+        res.json({ success: true });
+    });
+
+    // POST /api/auth/impersonation/end { reason } with the "view as" token, also once it expired
+    router.post('/impersonation/end', (req, res) => {
+        const token = (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+        const impersonation = store.impersonations.get(token);
+        if (!impersonation) return res.status(404).json({ success: false, message: 'No impersonation session' });
+
+        store.impersonations.delete(token);
+        store.tokens.delete(token);
+        const admin = store.findUser(impersonation.adminId);
+        const specialist = store.findUser(impersonation.specialistId);
+        const why = req.body.reason === 'expired' ? ' (time limit reached)' : '';
+        store.log(admin, 'IMPERSONATION_STOP',
+            `${admin ? admin.email : 'An admin'} stopped viewing the portal as ${specialist ? specialist.email : impersonation.specialistId}${why}`,
+            req.ip, specialist ? specialist.center : null);
+        res.json({ success: true });
+    });
+
+    // GET /api/auth/me
+    router.get('/me', protect(store), (req, res) => {
+        res.json({ success: true, user: store.publicUser(req.user) });
+    });
+
+    // PUT /api/auth/profile (JSON or multipart with `photo`)
+    router.put('/profile', protect(store), upload.single('photo'), (req, res) => {
+        const allowed = ['name', 'email', 'phone', 'bio', 'specialization', 'language', 'emailNotifications'];
+        for (const key of allowed) {
+            if (req.body[key] !== undefined) req.user[key] = req.body[key];
+        }
+        if (req.file) {
+            req.user.profilePhoto = `uploads/profiles/${req.user._id}-${Date.now()}.png`;
+        }
+        res.json({ success: true, user: store.publicUser(req.user) });
+    });
+
+    // PUT /api/auth/change-password
+    router.put('/change-password', protect(store), (req, res) => {
+        const { currentPassword, newPassword } = req.body;
+        if (req.user.password !== currentPassword) {
+            return res.status(400).json({ success: false, message: 'Current password is incorrect' });
+        }
+        if (!newPassword || String(newPassword).length < 6) {
+            return res.status(400).json({ success: false, message: 'Password must be at least 6 characters' });
+        }
+        req.user.password = String(newPassword);
+        res.json({ success: true });
+    });
+
+    return router;
+};
@@ -0,0 +1,96 @@
+const express = require('express');
+const { protect, allow } = require('../auth');
+
+// /api/exercises/* (numbered plan sessions)
+module.exports = (store) => {
+    const router = express.Router();
+    router.use(protect(store));
+
+    // GET /api/exercises/child/:childId?includeInactive=1
+    router.get('/child/:childId', (req, res) => {
+        const includeInactive = req.query.includeInactive === '1' || req.query.includeInactive === 'true';
+        const exercises = store.data.exercises
+            .filter(e => String(e.child) === String(req.params.childId))
+            .filter(e => includeInactive || e.active !== false)
+            .sort((a, b) => (a.sessionIndex || 0) - (b.sessionIndex || 0));
+        res.json({ success: true, exercises });
+    });
+
+    // POST /api/exercises { childId, letters, words, targetDuration?, sessionName?, playSchedule? }
+    // Creating a new plan session deactivates the previous ones for that child.
+    router.post('/', allow('specialist', 'content_editor', 'admin', 'superadmin'), (req, res) => {
+        const { childId, letters, words, targetDuration, sessionName, playSchedule } = req.body;
+        const child = store.findChild(childId);
+        if (!child) return res.status(404).json({ success: false, message: 'Child not found' });
+
+        const exercise = store.createPlanSession(child, req.user, { letters, words, targetDuration, sessionName, playSchedule });
+        res.status(201).json({ success: true, exercise });
+    });
+
+    // POST /api/exercises/:id/copy { childId?, keepSchedule?, includeItems?, excludeTargets?, sessionName? }
+    // Copies a plan session as the next session of the same child (no childId) or of another child.
+    // includeItems also copies the words/letters added to the session (with their images);
+    // excludeTargets drops letters/words, e.g. the ones the destination child has already mastered.
+    // Returns { exercise, child, copiedItems, dropped }.
+    router.post('/:id/copy', allow('specialist', 'content_editor', 'admin', 'superadmin'), (req, res) => {
+        const visible = store.childrenVisibleTo(req.user);
+        const source = store.find('exercises', req.params.id);
+        if (!source || !visible.some(c => String(c._id) === String(source.child))) {
+            return res.status(404).json({ success: false, message: 'Plan session not found' });
+        }
+        const destination = visible.find(c => String(c._id) === String(req.body.childId || source.child));
+        if (!destination) return res.status(404).json({ success: false, message: 'Child not found' });
+
+        const excluded = new Set([].concat(req.body.excludeTargets || []).map(t => String(t).trim()));
+        const letters = (source.letters || []).filter(l => !excluded.has(l.letter));
+        const words = (source.words || []).filter(w => !excluded.has(w.word));
+        if (!letters.length && !words.length) {
+            return res.status(400).json({ success: false, message: 'No letters or words left to copy' });
+        }
+
+        // Default names ("Session 3") follow the destination's numbering; custom names are kept
+        const sourceName = /^Session \d+$/.test(source.sessionName || '') ? undefined : source.sessionName;
+        const exercise = store.createPlanSession(destination, req.user, {
+            letters: structuredClone(letters),
+            words: structuredClone(words),
+            targetDuration: source.targetDuration,
+            sessionName: String(req.body.sessionName || '').trim() || sourceName,
+            playSchedule: req.body.keepSchedule
+                ? structuredClone(source.playSchedule || { enabled: false, allowedDays: [], windows: [] })
+                : { enabled: false, allowedDays: [], windows: [] }
+        });
+        exercise.copiedFrom = {
+            _id: source._id,
+            child: { _id: source.child, name: store.findChild(source.child)?.name || null },
+            sessionIndex: source.sessionIndex,
+            sessionName: source.sessionName
+        };
+
+        let copiedItems = 0;
+        if (req.body.includeItems) {
+            const items = store.data.words.filter(w => String(w.session || '') === String(source._id) && !excluded.has(w.text));
+            for (const item of items) {
+                store.data.words.push({
+                    ...item,
+                    _id: store.newId(),
+                    child: destination._id,
+                    session: exercise._id,
+                    createdBy: req.user._id,
+                    createdAt: new Date().toISOString()
+                });
+                copiedItems++;
+            }
+        }
+
+        store.log(req.user, 'COPY_PLAN_SESSION', `${req.user.email} copied plan session "${source.sessionName}" to ${destination.name}`, req.ip);
+        res.status(201).json({
+            success: true,
+            exercise,
+            child: { _id: destination._id, name: destination.name },
+            copiedItems,
+            dropped: [...(source.letters || []).map(l => l.letter), ...(source.words || []).map(w => w.word)].filter(t => excluded.has(t))
+        });
+    });
+
+    return router;
+};
@@ -0,0 +1,144 @@
+const express = require('express');
+const { protect } = require('../auth');
+
+// /api/messages/* and /api/notifications/*
+// `emit(userId, event, payload)` pushes Socket.IO events when realtime is enabled.
+module.exports = (store, emit = () => {}) => {
+    const router = express.Router();
+    router.use(protect(store));
+
+    const me = (req) => String(req.user._id);
+    const involves = (m, a, b) =>
+        (String(m.sender) === a && String(m.receiver) === b) || (String(m.sender) === b && String(m.receiver) === a);
+
+    // GET /api/messages/conversations
+    router.get('/messages/conversations', (req, res) => {
+        const userId = me(req);
+        const byOther = new Map();
+        const sorted = store.data.messages
+            .filter(m => String(m.sender) === userId || String(m.receiver) === userId)
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+        for (const m of sorted) {
+            const other = String(m.sender) === userId ? String(m.receiver) : String(m.sender);
+            const conv = byOther.get(other) || { user: store.userRef(other), lastMessage: null, unreadCount: 0 };
+            conv.lastMessage = m;
+            if (String(m.receiver) === userId && !m.isRead) conv.unreadCount += 1;
+            byOther.set(other, conv);
+        }
+
+        const conversations = Array.from(byOther.values())
+            .filter(c => c.user)
+            .sort((a, b) => new Date(b.lastMessage.createdAt) - new Date(a.lastMessage.createdAt));
+        res.json({ success: true, conversations });
+    });
+
+    // GET /api/messages/unread/count
+    router.get('/messages/unread/count', (req, res) => {
+        const count = store.data.messages.filter(m => String(m.receiver) === me(req) && !m.isRead).length;
+        res.json({ success: true, count });
+    });
+
+    // GET /api/messages/:userId?page=&limit= (also marks the thread as read)
+    router.get('/messages/:userId', (req, res) => {
+        const userId = me(req);
+        const other = String(req.params.userId);
+        const page = Math.max(1, Number(req.query.page) || 1);
+        const limit = Math.max(1, Math.min(Number(req.query.limit) || 100, 500));
+
+        const thread = store.data.messages
+            .filter(m => involves(m, userId, other))
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+        thread.forEach(m => {
+            if (String(m.receiver) === userId) m.isRead = true;
+        });
+
+        const start = Math.max(0, thread.length - page * limit);
+        const end = thread.length - (page - 1) * limit;
+        res.json({ success: true, messages: thread.slice(start, end), total: thread.length, page });
+    });
+
+    // POST /api/messages { receiverId, content }
+    router.post('/messages', (req, res) => {
+        const { receiverId, content } = req.body;
+        if (!receiverId || !String(content || '').trim()) {
+            return res.status(400).json({ success: false, message: 'receiverId and content are required' });
+        }
+        if (!store.findUser(receiverId)) {
+            return res.status(404).json({ success: false, message: 'Receiver not found' });
+        }
+
+        const message = {
+            _id: store.newId(),
+            sender: me(req),
+            receiver: String(receiverId),
+            content: String(content).trim(),
+            isRead: false,
+            isEdited: false,
+            createdAt: new Date().toISOString()
+        };
+        store.data.messages.push(message);
+
+        emit(message.receiver, 'new_message', message);
+        emit(message.sender, 'new_message', message);
+        res.status(201).json({ success: true, message });
+    });
+
+    // PUT /api/messages/:messageId { content }
+    router.put('/messages/:messageId', (req, res) => {
+        const message = store.find('messages', req.params.messageId);
+        if (!message || String(message.sender) !== me(req)) {
+            return res.status(404).json({ success: false, message: 'Message not found' });
+        }
+        message.content = String(req.body.content || '').trim() || message.content;
+        message.isEdited = true;
+        message.updatedAt = new Date().toISOString();
+
+        emit(message.receiver, 'message_edited', message);
+        emit(message.sender, 'message_edited', message);
+        res.json({ success: true, message });
+    });
+
+    // DELETE /api/messages/:messageId
+    router.delete('/messages/:messageId', (req, res) => {
+        const message = store.find('messages', req.params.messageId);
+        if (!message || String(message.sender) !== me(req)) {
+            return res.status(404).json({ success: false, message: 'Message not found' });
+        }
+        store.remove('messages', message._id);
+
+        emit(message.receiver, 'message_deleted', { messageId: message._id });
+        emit(message.sender, 'message_deleted', { messageId: message._id });
+        res.json({ success: true });
+    });
+
+    // ========================================
+    // NOTIFICATIONS
+    // ========================================
+
+    const myNotifications = (req) => store.data.notifications.filter(n => String(n.user) === me(req));
+
+    router.get('/notifications', (req, res) => {
+        const notifications = myNotifications(req).sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+        res.json({ success: true, notifications });
+    });
+
+    router.get('/notifications/unread-count', (req, res) => {
+        res.json({ success: true, count: myNotifications(req).filter(n => !n.isRead).length });
+    });
+
+    router.post('/notifications/read-all', (req, res) => {
+        myNotifications(req).forEach(n => { n.isRead = true; });
+        res.json({ success: true });
+    });
+
+    router.post('/notifications/:id/read', (req, res) => {
+        const notification = myNotifications(req).find(n => String(n._id) === String(req.params.id));
+        if (!notification) return res.status(404).json({ success: false, message: 'Not found' });
+        notification.isRead = true;
+        res.json({ success: true, notification });
+    });
+
+    return router;
+};
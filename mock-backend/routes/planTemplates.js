@@ -0,0 +1,214 @@
+const express = require('express');
+const { protect, allow } = require('../auth');
+
+// /api/plan-templates/* (reusable plan sessions)
+// A template keeps every version of its content; editing appends a version, so sessions created from
+// an earlier one keep what they were created with (they store { _id, name, version }).
+// Templates are private to their owner unless shared with the owner's center.
+module.exports = (store) => {
+    const router = express.Router();
+    router.use(protect(store), allow('specialist', 'content_editor', 'supervisor', 'admin', 'superadmin'));
+    const writers = allow('specialist', 'content_editor', 'admin', 'superadmin');
+
+    const sameCenter = (template, user) => Boolean(user.center) && String(template.center) === String(user.center);
+    const isOwner = (template, user) => String(template.owner) === String(user._id);
+
+    const canSee = (template, user) => user.role === 'superadmin'
+        || isOwner(template, user)
+        || (sameCenter(template, user) && (template.shared || user.role === 'admin'));
+
+    const canEdit = (template, user) => user.role === 'superadmin'
+        || isOwner(template, user)
+        || (sameCenter(template, user) && user.role === 'admin');
+
+    const visibleTemplate = (req) => {
+        const template = store.find('planTemplates', req.params.id);
+        return template && canSee(template, req.user) ? template : null;
+    };
+
+    const list = (items, key) => (Array.isArray(items) ? items : [])
+        .map(item => String((item && typeof item === 'object' ? item[key] : item) || '').trim())
+        .filter(Boolean)
+        .map(value => ({ [key]: value }));
+
+    const windowList = (windows) => (Array.isArray(windows) ? windows.filter(w => w && w.start && w.end) : []);
+
+    // The versioned part of a template. Returns { content } or { error }.
+    const readContent = (body) => {
+        const name = String(body.name || '').trim();
+        if (!name) return { error: 'name is required' };
+        const letters = list(body.letters, 'letter');
+        const words = list(body.words, 'word');
+        if (!letters.length && !words.length) return { error: 'A template needs letters or words' };
+        const targetDuration = Number(body.targetDuration);
+        const schedule = body.playSchedule || {};
+        return {
+            content: {
+                name,
+                letters,
+                words,
+                ...(Number.isFinite(targetDuration) && targetDuration > 0 ? { targetDuration } : {}),
+                playSchedule: {
+                    enabled: Boolean(schedule.enabled),
+                    allowedDays: (Array.isArray(schedule.allowedDays) ? schedule.allowedDays : []).map(Number).filter(d => d >= 0 && d <= 6),
+                    windows: windowList(schedule.windows),
+                    ...(Array.isArray(schedule.windowsByDay) && schedule.windowsByDay.length === 7
+                        ? { windowsByDay: schedule.windowsByDay.map(windowList) } : {}),
+                    timezone: typeof schedule.timezone === 'string' && schedule.timezone ? schedule.timezone : null
+                }
+            }
+        };
+    };
+
+    const sameContent = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+    const usage = (template) => store.data.exercises.filter(e => String(e.template?._id) === String(template._id));
+
+    const view = (template, user, withVersions = false) => {
+        const current = template.versions[template.versions.length - 1];
+        const sessions = usage(template);
+        return {
+            _id: template._id,
+            ...current.content,
+            version: current.version,
+            shared: Boolean(template.shared),
+            owner: store.userRef(template.owner),
+            center: template.center,
+            canEdit: canEdit(template, user),
+            usageCount: sessions.length,
+            createdAt: template.createdAt,
+            updatedAt: current.createdAt,
+            ...(withVersions ? {
+                versions: template.versions.map(v => ({
+                    version: v.version,
+                    ...v.content,
+                    createdAt: v.createdAt,
+                    createdBy: store.userRef(v.createdBy),
+                    usageCount: sessions.filter(e => e.template.version === v.version).length
+                })).reverse()
+            } : {})
+        };
+    };
+
+    // GET /api/plan-templates (own templates, shared ones of the center; admins see the whole center)
+    router.get('/', (req, res) => {
+        const templates = store.data.planTemplates
+            .filter(t => canSee(t, req.user))
+            .map(t => view(t, req.user))
+            .sort((a, b) => a.name.localeCompare(b.name));
+        res.json({ success: true, templates });
+    });
+
+    // GET /api/plan-templates/:id (with every version, newest first)
+    router.get('/:id', (req, res) => {
+        const template = visibleTemplate(req);
+        if (!template) return res.status(404).json({ success: false, message: 'Template not found' });
+        res.json({ success: true, template: view(template, req.user, true) });
+    });
+
+    // POST /api/plan-templates { name, letters, words, targetDuration?, playSchedule?, shared? }
+    //   or { exerciseId, name?, shared? } to save an existing plan session as a template
+    router.post('/', writers, (req, res) => {
+        let body = req.body;
+        if (req.body.exerciseId) {
+            const exercise = store.find('exercises', req.body.exerciseId);
+            const visible = exercise && store.childrenVisibleTo(req.user).some(c => String(c._id) === String(exercise.child));
+            if (!visible) return res.status(404).json({ success: false, message: 'Plan session not found' });
+            body = {
+                name: req.body.name || exercise.sessionName,
+                letters: exercise.letters,
+                words: exercise.words,
+                targetDuration: exercise.targetDuration,
+                playSchedule: exercise.playSchedule
+            };
+        }
+
+        const { content, error } = readContent(body);
+        if (error) return res.status(400).json({ success: false, message: error });
+
+        const now = new Date().toISOString();
+        const template = {
+            _id: store.newId(),
+            owner: req.user._id,
+            center: req.user.center || null,
+            shared: req.body.shared === true || req.body.shared === 'true',
+            versions: [{ version: 1, content, createdAt: now, createdBy: req.user._id }],
+            createdAt: now
+        };
+        store.data.planTemplates.push(template);
+        store.log(req.user, 'CREATE_PLAN_TEMPLATE', `${req.user.email} created plan template "${content.name}"`, req.ip);
+        res.status(201).json({ success: true, template: view(template, req.user, true) });
+    });
+
+    // PUT /api/plan-templates/:id { name, letters, words, targetDuration?, playSchedule?, shared? }
+    // Changed content becomes a new version; sharing alone doesn't.
+    router.put('/:id', writers, (req, res) => {
+        const template = visibleTemplate(req);
+        if (!template) return res.status(404).json({ success: false, message: 'Template not found' });
+        if (!canEdit(template, req.user)) return res.status(403).json({ success: false, message: 'Forbidden' });
+
+        const { content, error } = readContent(req.body);
+        if (error) return res.status(400).json({ success: false, message: error });
+
+        const current = template.versions[template.versions.length - 1];
+        if (!sameContent(current.content, content)) {
+            template.versions.push({ version: current.version + 1, content, createdAt: new Date().toISOString(), createdBy: req.user._id });
+        }
+        if (req.body.shared !== undefined) template.shared = req.body.shared === true || req.body.shared === 'true';
+        store.log(req.user, 'UPDATE_PLAN_TEMPLATE', `${req.user.email} updated plan template "${content.name}"`, req.ip);
+        res.json({ success: true, template: view(template, req.user, true) });
+    });
+
+    // DELETE /api/plan-templates/:id (sessions created from it are kept)
+    router.delete('/:id', writers, (req, res) => {
+        const template = visibleTemplate(req);
+        if (!template) return res.status(404).json({ success: false, message: 'Template not found' });
+        if (!canEdit(template, req.user)) return res.status(403).json({ success: false, message: 'Forbidden' });
+        store.remove('planTemplates', template._id);
+        store.log(req.user, 'DELETE_PLAN_TEMPLATE', `${req.user.email} deleted a plan template`, req.ip);
+        res.json({ success: true });
+    });
+
+    // POST /api/plan-templates/:id/apply { childIds, version? }
+    // Creates a plan session from the template (latest version unless one is given) for each child.
+    router.post('/:id/apply', writers, (req, res) => {
+        const template = visibleTemplate(req);
+        if (!template) return res.status(404).json({ success: false, message: 'Template not found' });
+
+        const wanted = req.body.version === undefined || req.body.version === '' ? null : Number(req.body.version);
+        const version = wanted === null
+            ? template.versions[template.versions.length - 1]
+            : template.versions.find(v => v.version === wanted);
+        if (!version) return res.status(400).json({ success: false, message: 'Unknown template version' });
+
+        const childIds = [...new Set([].concat(req.body.childIds || []).map(String))];
+        if (!childIds.length) return res.status(400).json({ success: false, message: 'childIds is required' });
+
+        const visible = store.childrenVisibleTo(req.user);
+        const created = [];
+        const skipped = [];
+        for (const childId of childIds) {
+            const child = visible.find(c => String(c._id) === childId);
+            if (!child) {
+                skipped.push({ childId, reason: 'notFound' });
+                continue;
+            }
+            const { name, letters, words, targetDuration, playSchedule } = structuredClone(version.content);
+            const exercise = store.createPlanSession(child, req.user, {
+                letters,
+                words,
+                targetDuration,
+                sessionName: name,
+                playSchedule,
+                template: { _id: template._id, name, version: version.version }
+            });
+            created.push({ childId: child._id, childName: child.name, exercise });
+        }
+        if (created.length) {
+            store.log(req.user, 'APPLY_PLAN_TEMPLATE', `${req.user.email} applied plan template "${version.content.name}" v${version.version} to ${created.length} child(ren)`, req.ip);
+        }
+        res.json({ success: true, version: version.version, created, skipped });
+    });
+
+    return router;
+};
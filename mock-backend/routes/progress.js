@@ -0,0 +1,275 @@
+const express = require('express');
+const { protect } = require('../auth');
+
+// /api/progress/*
+// Set `features.progressSessionsEndpoint` / `features.progressAttemptsEndpoint` to false in the
+// fixture to emulate older backends that only expose /progress/child/:id.
+module.exports = (store) => {
+    const router = express.Router();
+    router.use(protect(store));
+
+    const features = () => store.data.features || {};
+
+    const summarizeSession = (s) => {
+        const totalAttempts = Number(s.totalAttempts ?? (s.attempts || []).length) || 0;
+        const successfulAttempts = Number(s.successfulAttempts ?? (s.attempts || []).filter(a => a.success).length) || 0;
+        return {
+            _id: s._id,
+            sessionDate: s.sessionDate,
+            duration: Number(s.duration) || 0,
+            totalAttempts,
+            successfulAttempts,
+            failedAttempts: Math.max(0, totalAttempts - successfulAttempts),
+            averageScore: Number(s.averageScore) || 0,
+            successRate: totalAttempts > 0 ? (successfulAttempts / totalAttempts) * 100 : 0,
+            plan: s.plan || null
+        };
+    };
+
+    // GET /api/progress/child/:childId
+    router.get('/child/:childId', (req, res) => {
+        const child = store.findChild(req.params.childId);
+        if (!child) return res.status(404).json({ success: false, message: 'Child not found' });
+
+        const progress = store.progressForChild(child._id) || { sessions: [] };
+        const sessions = progress.sessions || [];
+        const scores = sessions.map(s => Number(s.averageScore) || 0);
+
+        res.json({
+            success: true,
+            progress: {
+                ...structuredClone(progress),
+                child: store.populateChild(child),
+                totalSessions: sessions.length,
+                averageScore: scores.length ? Math.round(scores.reduce((a, b) => a + b, 0) / scores.length) : 0,
+                highestScore: scores.length ? Math.max(...scores) : 0,
+                totalPlayTime: sessions.reduce((sum, s) => sum + (Number(s.duration) || 0), 0)
+            }
+        });
+    });
+
+    // GET /api/progress/sessions?childId=&planId=&from=&to=&minScore=&minDuration=&maxDuration=&sort=&order=&page=&limit=
+    // Sessions log across every child the caller may see (caseload, or the center for admins).
+    // Also returns the children and plan sessions the filters can pick from.
+    const SESSION_SORTS = {
+        date: (s) => new Date(s.sessionDate).getTime() || 0,
+        child: (s) => s.child.name || '',
+        plan: (s) => (s.plan ? s.plan.sessionIndex || 0 : -1),
+        duration: (s) => s.duration,
+        score: (s) => s.averageScore,
+        successRate: (s) => s.successRate
+    };
+
+    router.get('/sessions', (req, res) => {
+        const { childId, planId, from, to } = req.query;
+        const number = (value) => (value === undefined || value === '' || Number.isNaN(Number(value)) ? null : Number(value));
+        const minScore = number(req.query.minScore);
+        const minDuration = number(req.query.minDuration);
+        const maxDuration = number(req.query.maxDuration);
+        const fromDate = from ? new Date(from) : null;
+        // A plain date as the end of the range includes that whole day
+        const toDate = to ? new Date(/^\d{4}-\d{2}-\d{2}$/.test(to) ? `${to}T23:59:59.999Z` : to) : null;
+
+        const children = store.childrenVisibleTo(req.user);
+        const childIds = children.map(c => String(c._id));
+        const plans = store.data.exercises
+            .filter(e => childIds.includes(String(e.child)) && (e.kind || 'plan') === 'plan')
+            .sort((a, b) => (a.sessionIndex || 0) - (b.sessionIndex || 0));
+        const planRef = (id) => {
+            const plan = id ? plans.find(p => String(p._id) === String(id?._id || id)) : null;
+            return plan ? { _id: plan._id, sessionName: plan.sessionName, sessionIndex: plan.sessionIndex } : null;
+        };
+
+        let sessions = [];
+        for (const child of children) {
+            if (childId && String(child._id) !== String(childId)) continue;
+            const ref = { _id: child._id, name: child.name, gender: child.gender, avatar: child.avatar };
+            for (const s of store.progressForChild(child._id)?.sessions || []) {
+                sessions.push({ ...summarizeSession(s), child: ref, plan: planRef(s.plan) });
+            }
+        }
+
+        sessions = sessions.filter(s => {
+            const date = new Date(s.sessionDate);
+            if (planId && String(s.plan?._id) !== String(planId)) return false;
+            if (fromDate && !(date >= fromDate)) return false;
+            if (toDate && !(date <= toDate)) return false;
+            if (minScore !== null && s.averageScore < minScore) return false;
+            if (minDuration !== null && s.duration < minDuration) return false;
+            if (maxDuration !== null && s.duration > maxDuration) return false;
+            return true;
+        });
+
+        const sort = SESSION_SORTS[req.query.sort] ? req.query.sort : 'date';
+        const direction = req.query.order === 'asc' ? 1 : -1;
+        const key = SESSION_SORTS[sort];
+        sessions.sort((a, b) => {
+            const x = key(a);
+            const y = key(b);
+            if (x === y) return SESSION_SORTS.date(b) - SESSION_SORTS.date(a);
+            return (typeof x === 'string' ? x.localeCompare(y) : x - y) * direction;
+        });
+
+        const limit = Math.max(1, Math.min(Number(req.query.limit) || 20, 100));
+        const total = sessions.length;
+        const pages = Math.max(1, Math.ceil(total / limit));
+        const page = Math.min(Math.max(1, Number(req.query.page) || 1), pages);
+
+        res.json({
+            success: true,
+            sessions: sessions.slice((page - 1) * limit, page * limit),
+            total,
+            page,
+            pages,
+            limit,
+            sort,
+            order: direction === 1 ? 'asc' : 'desc',
+            children: children.map(c => ({ _id: c._id, name: c.name })),
+            plans: plans
+                .filter(p => !childId || String(p.child) === String(childId))
+                .map(p => ({ ...planRef(p._id), child: p.child }))
+        });
+    });
+
+    // GET /api/progress/mastery-criteria/:childId
+    // The mastery rule for a child: its specialist's own rule, else its center's, else none (portal defaults).
+    router.get('/mastery-criteria/:childId', (req, res) => {
+        const child = store.childrenVisibleTo(req.user).find(c => String(c._id) === String(req.params.childId));
+        if (!child) return res.status(404).json({ success: false, message: 'Child not found' });
+
+        const specialist = child.assignedSpecialist ? store.findUser(child.assignedSpecialist) : null;
+        if (specialist?.masteryCriteria) {
+            return res.json({ success: true, criteria: specialist.masteryCriteria, source: 'specialist' });
+        }
+        const centerId = child.center || specialist?.center;
+        const center = centerId ? (store.data.settings.centers || {})[centerId] : null;
+        if (center?.mastery) {
+            return res.json({ success: true, criteria: center.mastery, source: 'center' });
+        }
+        res.json({ success: true, criteria: null, source: 'default' });
+    });
+
+    // GET /api/progress/sessions/:childId
+    router.get('/sessions/:childId', (req, res) => {
+        if (features().progressSessionsEndpoint === false) {
+            return res.status(404).json({ success: false, message: 'Not found' });
+        }
+        const progress = store.progressForChild(req.params.childId);
+        const sessions = (progress?.sessions || []).map(summarizeSession);
+        res.json({ success: true, sessions });
+    });
+
+    // GET /api/progress/attempts/:childId?limit=
+    router.get('/attempts/:childId', (req, res) => {
+        if (features().progressAttemptsEndpoint === false) {
+            return res.status(404).json({ success: false, message: 'Not found' });
+        }
+        const limit = Math.max(1, Math.min(Number(req.query.limit) || 50, 1000));
+        const progress = store.progressForChild(req.params.childId);
+        const attempts = [];
+        for (const s of progress?.sessions || []) {
+            for (const a of s.attempts || []) {
+                attempts.push({ ...a, sessionId: s._id, sessionDate: s.sessionDate, target: a.word || a.letter || a.vowel || '' });
+            }
+        }
+        attempts.sort((a, b) => new Date(b.timestamp || 0) - new Date(a.timestamp || 0));
+        res.json({ success: true, attempts: attempts.slice(0, limit) });
+    });
+
+    // Attempts of children outside the caller's reach are reported as missing.
+    const visibleAttempt = (req) => {
+        const found = store.findAttempt(req.params.attemptId);
+        if (!found) return null;
+        const visible = store.childrenVisibleTo(req.user).some(c => String(c._id) === String(found.progress.child));
+        return visible ? found : null;
+    };
+
+    // The fixture has no audio files: each recording is a short synthetic WAV (8 kHz mono PCM),
+    // one tone burst per character of the target so waveforms differ between attempts.
+    const synthesizeRecording = (attempt) => {
+        const rate = 8000;
+        const target = attempt.word || attempt.letter || attempt.vowel || '-';
+        const burst = Math.round(rate * 0.3);
+        const gap = Math.round(rate * 0.08);
+        const samples = new Int16Array((burst + gap) * target.length + gap);
+        const pitch = 180 + (Number(attempt.score) || 50) * 2;
+        [...target].forEach((char, i) => {
+            const offset = gap + i * (burst + gap);
+            const frequency = pitch + (char.codePointAt(0) % 40) * 3;
+            for (let n = 0; n < burst; n++) {
+                const envelope = Math.sin(Math.PI * n / burst);
+                samples[offset + n] = Math.round(envelope * 12000 * Math.sin(2 * Math.PI * frequency * n / rate));
+            }
+        });
+
+        const data = Buffer.from(samples.buffer);
+        const header = Buffer.alloc(44);
+        header.write('RIFF', 0);
+        header.writeUInt32LE(36 + data.length, 4);
+        header.write('WAVE', 8);
+        header.write('fmt ', 12);
+        header.writeUInt32LE(16, 16);
+        header.writeUInt16LE(1, 20); // PCM
+        header.writeUInt16LE(1, 22); // mono
+        header.writeUInt32LE(rate, 24);
+        header.writeUInt32LE(rate * 2, 28);
+        header.writeUInt16LE(2, 32);
+        header.writeUInt16LE(16, 34);
+        header.write('data', 36);
+        header.writeUInt32LE(data.length, 40);
+        return Buffer.concat([header, data]);
+    };
+
+    // GET /api/progress/attempts/:attemptId/audio (supports Range requests)
+    router.get('/attempts/:attemptId/audio', (req, res) => {
+        const found = visibleAttempt(req);
+        if (!found || !found.attempt.audio) {
+            return res.status(404).json({ success: false, message: 'Recording not found' });
+        }
+
+        const audio = synthesizeRecording(found.attempt);
+        res.set({ 'Content-Type': 'audio/wav', 'Accept-Ranges': 'bytes' });
+
+        const range = /^bytes=(\d*)-(\d*)$/.exec(req.get('Range') || '');
+        if (!range) return res.send(audio);
+
+        const start = range[1] === '' ? Math.max(0, audio.length - Number(range[2])) : Number(range[1]);
+        const end = range[1] !== '' && range[2] !== '' ? Math.min(Number(range[2]), audio.length - 1) : audio.length - 1;
+        if (start > end || start >= audio.length) {
+            return res.status(416).set('Content-Range', `bytes */${audio.length}`).end();
+        }
+        res.status(206).set('Content-Range', `bytes ${start}-${end}/${audio.length}`);
+        res.send(audio.subarray(start, end + 1));
+    });
+
+    // PUT /api/progress/attempts/:attemptId/review { flagged, note }
+    // Flags an attempt for review with a specialist note; `flagged: false` clears the flag.
+    router.put('/attempts/:attemptId/review', (req, res) => {
+        const found = visibleAttempt(req);
+        if (!found) return res.status(404).json({ success: false, message: 'Attempt not found' });
+
+        const flagged = req.body.flagged !== false && req.body.flagged !== 'false';
+        const note = String(req.body.note || '').trim();
+        if (note.length > 1000) {
+            return res.status(400).json({ success: false, message: 'Note is too long' });
+        }
+
+        const { attempt, session, progress } = found;
+        if (flagged) {
+            attempt.review = { flagged: true, note, by: store.userRef(req.user._id), at: new Date().toISOString() };
+        } else {
+            delete attempt.review;
+        }
+        store.log(req.user, flagged ? 'FLAG_ATTEMPT' : 'UNFLAG_ATTEMPT', `${req.user.email} ${flagged ? 'flagged' : 'cleared'} attempt ${attempt._id}`, req.ip);
+
+        res.json({
+            success: true,
+            review: attempt.review || null,
+            attemptId: attempt._id,
+            sessionId: session._id,
+            childId: progress.child
+        });
+    });
+
+    return router;
+};
@@ -0,0 +1,97 @@
+const express = require('express');
+const { protect, allow } = require('../auth');
+
+// /api/search?q=&limit= (header search: children, parents, specialists, plan sessions, words, messages)
+// Scoped like the rest of the backend: staff search their caseload, admins their center,
+// superadmins every center. Messages are always the caller's own conversations.
+module.exports = (store) => {
+    const router = express.Router();
+    router.use(protect(store), allow('specialist', 'supervisor', 'content_editor', 'admin', 'superadmin'));
+
+    const matches = (q, ...values) => values.some(v => String(v || '').toLowerCase().includes(q));
+
+    const specialistsInScope = (user) => {
+        if (user.role === 'superadmin') return store.data.users.filter(u => u.role === 'specialist');
+        return user.role === 'admin' ? store.specialistsOfCenter(user.center) : [];
+    };
+
+    // Parents of the children in scope plus those linked to the caller (or, for admins, to their specialists)
+    const parentsInScope = (user, children) => {
+        const parents = store.data.users.filter(u => u.role === 'parent');
+        if (user.role === 'superadmin') return parents;
+        const staffIds = [String(user._id), ...specialistsInScope(user).map(s => String(s._id))];
+        const ids = new Set([
+            ...children.map(c => String(c.parent)),
+            ...(user.linkedParents || []).map(String)
+        ]);
+        return parents.filter(p => ids.has(String(p._id)) || staffIds.includes(String(p.linkedSpecialist)));
+    };
+
+    router.get('/search', (req, res) => {
+        const q = String(req.query.q || '').trim().toLowerCase();
+        const limit = Math.max(1, Math.min(Number(req.query.limit) || 5, 20));
+        if (!q) {
+            return res.status(400).json({ success: false, message: 'q is required' });
+        }
+
+        const me = String(req.user._id);
+        const children = store.childrenVisibleTo(req.user);
+        const childIds = children.map(c => String(c._id));
+        const childName = (id) => (children.find(c => String(c._id) === String(id)) || {}).name || null;
+        const linkedToMe = (req.user.linkedParents || []).map(String);
+
+        const results = {
+            children: children
+                .filter(c => matches(q, c.name))
+                .slice(0, limit)
+                .map(c => ({ _id: c._id, name: c.name, age: c.age, parent: store.userRef(c.parent) })),
+            parents: parentsInScope(req.user, children)
+                .filter(p => matches(q, p.name, p.email, p.phone))
+                .slice(0, limit)
+                .map(p => ({
+                    ...store.userRef(p._id),
+                    linkedSpecialist: p.linkedSpecialist || null,
+                    linkedToMe: linkedToMe.includes(String(p._id))
+                })),
+            specialists: specialistsInScope(req.user)
+                .filter(s => matches(q, s.name, s.email, s.staffId))
+                .slice(0, limit)
+                .map(s => store.userRef(s._id)),
+            sessions: store.data.exercises
+                .filter(e => childIds.includes(String(e.child)) && matches(q, e.sessionName))
+                .slice(0, limit)
+                .map(e => ({
+                    _id: e._id,
+                    sessionName: e.sessionName,
+                    sessionIndex: e.sessionIndex,
+                    active: e.active !== false,
+                    child: { _id: e.child, name: childName(e.child) }
+                })),
+            words: store.data.words
+                .filter(w => childIds.includes(String(w.child)) && matches(q, w.text))
+                .slice(0, limit)
+                .map(w => ({
+                    _id: w._id,
+                    text: w.text,
+                    contentType: w.contentType || 'word',
+                    session: w.session || null,
+                    child: { _id: w.child, name: childName(w.child) }
+                })),
+            messages: store.data.messages
+                .filter(m => (String(m.sender) === me || String(m.receiver) === me) && matches(q, m.content))
+                .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+                .slice(0, limit)
+                .map(m => ({
+                    _id: m._id,
+                    content: m.content,
+                    createdAt: m.createdAt,
+                    with: store.userRef(String(m.sender) === me ? m.receiver : m.sender)
+                }))
+                .filter(m => m.with)
+        };
+
+        res.json({ success: true, query: q, results });
+    });
+
+    return router;
+};
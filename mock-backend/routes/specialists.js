@@ -0,0 +1,175 @@
+const express = require('express');
+const { protect, allow } = require('../auth');
+
+// /api/specialists/* and /api/specialist/dashboard
+module.exports = (store) => {
+    const router = express.Router();
+    router.use(protect(store), allow('specialist', 'supervisor', 'content_editor', 'admin', 'superadmin'));
+
+    const linkedParentIds = (user) => (user.linkedParents || []).map(String);
+
+    const parentWithSpecialist = (parent) => {
+        const linkedSpecialist = parent.linkedSpecialist ? store.userRef(parent.linkedSpecialist) : null;
+        return { ...store.publicUser(parent), linkedSpecialist };
+    };
+
+    // GET /api/specialists/my-children
+    router.get('/specialists/my-children', (req, res) => {
+        const children = store.caseloadOf(req.user).map(store.populateChild);
+        res.json({ success: true, children });
+    });
+
+    // GET /api/specialists/parents
+    router.get('/specialists/parents', (req, res) => {
+        const ids = linkedParentIds(req.user);
+        const parents = store.data.users
+            .filter(u => u.role === 'parent' && ids.includes(String(u._id)))
+            .map(u => store.userRef(u._id));
+        res.json({ success: true, parents });
+    });
+
+    // GET /api/specialists/search-parent?query=
+    // Like the real backend, already-linked parents are excluded.
+    router.get('/specialists/search-parent', (req, res) => {
+        const ids = linkedParentIds(req.user);
+        const q = String(req.query.query || '').trim().toLowerCase();
+        const parents = store.data.users
+            .filter(u => u.role === 'parent' && !ids.includes(String(u._id)))
+            .filter(u => !q || [u.name, u.email, u.phone, u.staffId].some(v => String(v || '').toLowerCase().includes(q)))
+            .map(parentWithSpecialist);
+        res.json({ success: true, parents });
+    });
+
+    // POST /api/specialists/link-parent { parentId }
+    router.post('/specialists/link-parent', (req, res) => {
+        const parent = store.findUser(req.body.parentId);
+        if (!parent || parent.role !== 'parent') {
+            return res.status(404).json({ success: false, message: 'Parent not found' });
+        }
+        req.user.linkedParents = Array.from(new Set([...linkedParentIds(req.user), String(parent._id)]));
+        parent.linkedSpecialist = req.user._id;
+        store.log(req.user, 'LINK_PARENT', `Linked parent ${parent.email}`, req.ip);
+        res.json({ success: true });
+    });
+
+    // DELETE /api/specialists/unlink-parent/:parentId
+    router.delete('/specialists/unlink-parent/:parentId', (req, res) => {
+        const ids = linkedParentIds(req.user);
+        if (!ids.includes(String(req.params.parentId))) {
+            return res.status(404).json({ success: false, message: 'Parent is not linked' });
+        }
+        req.user.linkedParents = ids.filter(id => id !== String(req.params.parentId));
+        const parent = store.findUser(req.params.parentId);
+        if (parent && String(parent.linkedSpecialist) === String(req.user._id)) parent.linkedSpecialist = null;
+        res.json({ success: true });
+    });
+
+    // GET /api/specialists/link-requests
+    router.get('/specialists/link-requests', (req, res) => {
+        const requests = store.data.linkRequests
+            .filter(r => String(r.to) === String(req.user._id))
+            .map(r => ({ ...r, from: store.userRef(r.from) }));
+        res.json({ success: true, requests });
+    });
+
+    const answerRequest = (status) => (req, res) => {
+        const request = store.find('linkRequests', req.params.requestId);
+        if (!request || String(request.to) !== String(req.user._id)) {
+            return res.status(404).json({ success: false, message: 'Request not found' });
+        }
+        if (request.status !== 'pending') {
+            return res.status(400).json({ success: false, message: 'Request already handled' });
+        }
+        request.status = status;
+        if (status === 'approved') {
+            req.user.linkedParents = Array.from(new Set([...linkedParentIds(req.user), String(request.from)]));
+            const parent = store.findUser(request.from);
+            if (parent) parent.linkedSpecialist = req.user._id;
+        }
+        res.json({ success: true, request });
+    };
+
+    router.post('/specialists/accept-link-request/:requestId', answerRequest('approved'));
+    router.post('/specialists/reject-link-request/:requestId', answerRequest('rejected'));
+
+    // POST /api/specialists/create-child
+    router.post('/specialists/create-child', (req, res) => {
+        const { name, age, gender, parentId, difficultyLevel } = req.body;
+        if (!name || !parentId) {
+            return res.status(400).json({ success: false, message: 'name and parentId are required' });
+        }
+        const parent = store.findUser(parentId);
+        if (!parent || parent.role !== 'parent') {
+            return res.status(404).json({ success: false, message: 'Parent not found' });
+        }
+        const child = {
+            _id: store.newId(),
+            name: String(name),
+            age: age ? Number(age) : null,
+            gender: gender === 'female' ? 'female' : 'male',
+            parent: parent._id,
+            assignedSpecialist: req.user._id,
+            center: req.user.center || null,
+            difficultyLevel: difficultyLevel || 'beginner',
+            targetLetters: [],
+            targetWords: [],
+            createdAt: new Date().toISOString()
+        };
+        store.data.children.push(child);
+        res.status(201).json({ success: true, child: store.populateChild(child) });
+    });
+
+    // POST /api/specialists/set-duration/:childId
+    router.post('/specialists/set-duration/:childId', (req, res) => {
+        const child = store.findChild(req.params.childId);
+        if (!child) return res.status(404).json({ success: false, message: 'Child not found' });
+
+        const { dailyPlayDuration, sessionStructure, playSchedule } = req.body;
+        if (typeof dailyPlayDuration === 'number') child.dailyPlayDuration = dailyPlayDuration;
+        if (sessionStructure) child.sessionStructure = { ...(child.sessionStructure || {}), ...sessionStructure };
+        if (playSchedule) child.playSchedule = { ...(child.playSchedule || {}), ...playSchedule };
+        res.json({ success: true, child: store.populateChild(child) });
+    });
+
+    // GET/PUT /api/specialists/mastery: the caller's own mastery rule for the children assigned to them
+    // (replaces the center's rule; `criteria: null` goes back to it)
+    router.get('/specialists/mastery', (req, res) => {
+        res.json({ success: true, criteria: req.user.masteryCriteria || null });
+    });
+
+    router.put('/specialists/mastery', (req, res) => {
+        const criteria = req.body.criteria;
+        if (criteria !== null && (typeof criteria !== 'object' || Array.isArray(criteria))) {
+            return res.status(400).json({ success: false, message: 'criteria must be an object or null' });
+        }
+        if (criteria) req.user.masteryCriteria = criteria;
+        else delete req.user.masteryCriteria;
+        store.log(req.user, 'UPDATE_MASTERY_CRITERIA', `${req.user.email} ${criteria ? 'updated' : 'cleared'} their mastery rule`, req.ip);
+        res.json({ success: true, criteria: req.user.masteryCriteria || null });
+    });
+
+    // GET /api/specialist/dashboard
+    router.get('/specialist/dashboard', (req, res) => {
+        const children = store.caseloadOf(req.user);
+        const sessions = children.reduce((sum, c) => sum + ((store.progressForChild(c._id)?.sessions || []).length), 0);
+        res.json({
+            success: true,
+            stats: {
+                parents: linkedParentIds(req.user).length,
+                children: children.length,
+                pendingRequests: store.data.linkRequests.filter(r => String(r.to) === String(req.user._id) && r.status === 'pending').length,
+                sessions
+            },
+            recentChildren: children.slice(-5).reverse().map(store.populateChild)
+        });
+    });
+
+    // GET /api/children/:id
+    router.get('/children/:id', (req, res) => {
+        const child = store.findChild(req.params.id);
+        if (!child) return res.status(404).json({ success: false, message: 'Child not found' });
+        res.json({ success: true, child: store.populateChild(child) });
+    });
+
+    return router;
+};
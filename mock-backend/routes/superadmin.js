@@ -0,0 +1,182 @@
+const express = require('express');
+const { protect, allow } = require('../auth');
+
+// /api/superadmin/*
+module.exports = (store) => {
+    const router = express.Router();
+    router.use(protect(store), allow('superadmin'));
+
+    const countRole = (role) => store.data.users.filter(u => u.role === role).length;
+    // The SSO client secret is write-only: the portal only learns whether one is set.
+    const publicSso = (sso) => {
+        if (!sso) return null;
+        const { clientSecret, ...rest } = sso;
+        return { ...rest, hasClientSecret: Boolean(clientSecret) };
+    };
+    const withAdmin = (center) => ({ ...center, admin: store.userRef(center.admin), sso: publicSso(center.sso) });
+
+    // GET /api/superadmin/dashboard
+    router.get('/dashboard', (req, res) => {
+        const stats = {
+            centers: store.data.centers.length,
+            admins: countRole('admin'),
+            specialists: countRole('specialist'),
+            parents: countRole('parent'),
+            children: store.data.children.length
+        };
+        res.json({
+            success: true,
+            stats,
+            chartData: {
+                labels: ['admins', 'specialists', 'parents'],
+                data: [stats.admins, stats.specialists, stats.parents]
+            },
+            recentCenters: store.data.centers.slice(-5).reverse().map(withAdmin)
+        });
+    });
+
+    // GET /api/superadmin/centers
+    router.get('/centers', (req, res) => {
+        res.json({ success: true, centers: store.data.centers.map(withAdmin) });
+    });
+
+    // GET /api/superadmin/centers/:id
+    router.get('/centers/:id', (req, res) => {
+        const center = store.findCenter(req.params.id);
+        if (!center) return res.status(404).json({ success: false, message: 'Center not found' });
+        res.json({ success: true, center: withAdmin(center) });
+    });
+
+    // POST /api/superadmin/centers (creates the center and its admin)
+    router.post('/centers', (req, res) => {
+        const { name, nameEn, phone, email, address, description, adminName, adminEmail, adminPassword, adminPhone, invite } = req.body;
+        if (!name || !adminName || !adminEmail || (!adminPassword && !invite)) {
+            return res.status(400).json({ success: false, message: 'Center name and admin details are required' });
+        }
+        if (store.data.users.some(u => String(u.email).toLowerCase() === String(adminEmail).toLowerCase())) {
+            return res.status(400).json({ success: false, message: 'Admin email already in use' });
+        }
+
+        const center = {
+            _id: store.newId(),
+            name,
+            nameEn: nameEn || '',
+            phone: phone || '',
+            email: email || '',
+            address: address || '',
+            description: description || '',
+            isActive: true,
+            createdAt: new Date().toISOString()
+        };
+        const admin = {
+            _id: store.newId(),
+            name: adminName,
+            email: String(adminEmail).toLowerCase(),
+            password: String(adminPassword),
+            phone: adminPhone || '',
+            role: 'admin',
+            center: center._id,
+            linkedParents: [],
+            createdAt: new Date().toISOString()
+        };
+        const invitation = invite ? store.inviteUser(admin) : null;
+        center.admin = admin._id;
+        store.data.centers.push(center);
+        store.data.users.push(admin);
+        res.status(201).json({ success: true, center: withAdmin(center), admin: store.publicUser(admin), invitation });
+    });
+
+    // PUT /api/superadmin/centers/:id
+    router.put('/centers/:id', (req, res) => {
+        const center = store.findCenter(req.params.id);
+        if (!center) return res.status(404).json({ success: false, message: 'Center not found' });
+        const checked = (value) => value === 'on' || value === true || value === 'true';
+
+        // Single sign-on: an empty secret keeps the current one.
+        const sso = {
+            enabled: checked(req.body.ssoEnabled),
+            issuer: String(req.body.ssoIssuer ?? center.sso?.issuer ?? '').trim().replace(/\/$/, ''),
+            clientId: String(req.body.ssoClientId ?? center.sso?.clientId ?? '').trim(),
+            clientSecret: req.body.ssoClientSecret || center.sso?.clientSecret || '',
+            emailClaim: String(req.body.ssoEmailClaim || center.sso?.emailClaim || 'email').trim()
+        };
+        if (sso.enabled && (!sso.issuer || !sso.clientId || !sso.clientSecret)) {
+            return res.status(400).json({ success: false, message: 'Single sign-on needs an issuer, a client ID and a client secret' });
+        }
+
+        for (const key of ['name', 'nameEn', 'phone', 'email', 'address', 'description']) {
+            if (req.body[key] !== undefined) center[key] = req.body[key];
+        }
+        center.isActive = checked(req.body.isActive);
+        center.requireTwoFactor = checked(req.body.requireTwoFactor);
+        center.sso = sso;
+        res.json({ success: true, center: withAdmin(center) });
+    });
+
+    // DELETE /api/superadmin/centers/:id
+    router.delete('/centers/:id', (req, res) => {
+        const center = store.remove('centers', req.params.id);
+        if (!center) return res.status(404).json({ success: false, message: 'Center not found' });
+        store.data.users.filter(u => String(u.center) === String(center._id)).forEach(u => { u.center = null; });
+        res.json({ success: true });
+    });
+
+    // GET /api/superadmin/admins?search=
+    router.get('/admins', (req, res) => {
+        const q = String(req.query.search || '').trim().toLowerCase();
+        const admins = store.data.users
+            .filter(u => u.role === 'admin')
+            .filter(u => !q || [u.name, u.email, u.staffId].some(v => String(v || '').toLowerCase().includes(q)))
+            .map(u => ({ ...store.publicUser(u), center: u.center ? store.findCenter(u.center) : null }));
+        const availableCenters = store.data.centers.filter(c => !c.admin);
+        res.json({ success: true, admins, availableCenters });
+    });
+
+    // POST /api/superadmin/admins { name, email, password, phone, centerId }
+    router.post('/admins', (req, res) => {
+        const { name, email, password, phone, centerId, invite } = req.body;
+        if (!name || !email || (!password && !invite)) {
+            return res.status(400).json({ success: false, message: 'name, email and password are required' });
+        }
+        if (store.data.users.some(u => String(u.email).toLowerCase() === String(email).toLowerCase())) {
+            return res.status(400).json({ success: false, message: 'Email already in use' });
+        }
+        const admin = {
+            _id: store.newId(),
+            name,
+            email: String(email).toLowerCase(),
+            password: String(password),
+            phone: phone || '',
+            role: 'admin',
+            center: centerId || null,
+            linkedParents: [],
+            createdAt: new Date().toISOString()
+        };
+        const invitation = invite ? store.inviteUser(admin) : null;
+        store.data.users.push(admin);
+        const center = centerId ? store.findCenter(centerId) : null;
+        if (center) center.admin = admin._id;
+        res.status(201).json({ success: true, admin: store.publicUser(admin), invitation });
+    });
+
+    // POST /api/superadmin/admins/:id/invitation (new link for an admin who hasn't set a password)
+    router.post('/admins/:id/invitation', (req, res) => {
+        const admin = store.findUser(req.params.id);
+        if (!admin || admin.role !== 'admin') return res.status(404).json({ success: false, message: 'Admin not found' });
+        if (!admin.invitationPending) {
+            return res.status(400).json({ success: false, message: 'Invitation already accepted' });
+        }
+        res.json({ success: true, admin: store.publicUser(admin), invitation: store.issuePasswordToken(admin, 'invitation') });
+    });
+
+    // DELETE /api/superadmin/admins/:id
+    router.delete('/admins/:id', (req, res) => {
+        const admin = store.findUser(req.params.id);
+        if (!admin || admin.role !== 'admin') return res.status(404).json({ success: false, message: 'Admin not found' });
+        store.remove('users', admin._id);
+        store.data.centers.filter(c => String(c.admin) === String(admin._id)).forEach(c => { c.admin = null; });
+        res.json({ success: true });
+    });
+
+    return router;
+};
@@ -0,0 +1,59 @@
+const express = require('express');
+const multer = require('multer');
+const { protect, allow } = require('../auth');
+
+const upload = multer({ storage: multer.memoryStorage() });
+
+// /api/words/*
+module.exports = (store) => {
+    const router = express.Router();
+    router.use(protect(store), allow('specialist', 'content_editor', 'admin', 'superadmin'));
+
+    // GET /api/words/child/:childId?difficulty=&contentType=&sessionId=
+    router.get('/child/:childId', (req, res) => {
+        const { difficulty, sessionId } = req.query;
+        const items = store.data.words
+            .filter(w => String(w.child) === String(req.params.childId))
+            .filter(w => !difficulty || w.difficulty === difficulty)
+            .filter(w => !sessionId || String(w.session || '') === String(sessionId));
+
+        res.json({
+            success: true,
+            words: items.filter(w => (w.contentType || 'word') === 'word'),
+            letters: items.filter(w => w.contentType === 'letter')
+        });
+    });
+
+    // POST /api/words (multipart: text, contentType, difficulty, childId, sessionId?, image?)
+    router.post('/', upload.single('image'), (req, res) => {
+        const { text, contentType, difficulty, childId, sessionId } = req.body;
+        if (!text || !childId) {
+            return res.status(400).json({ success: false, message: 'text and childId are required' });
+        }
+        const child = store.findChild(childId);
+        if (!child) return res.status(404).json({ success: false, message: 'Child not found' });
+
+        const item = {
+            _id: store.newId(),
+            child: child._id,
+            text: String(text),
+            contentType: contentType === 'letter' ? 'letter' : 'word',
+            difficulty: difficulty || 'easy',
+            session: sessionId || null,
+            image: req.file ? `uploads/words/${Date.now()}-${req.file.originalname}` : null,
+            createdBy: req.user._id,
+            createdAt: new Date().toISOString()
+        };
+        store.data.words.push(item);
+        res.status(201).json({ success: true, word: item });
+    });
+
+    // DELETE /api/words/:id
+    router.delete('/:id', (req, res) => {
+        const removed = store.remove('words', req.params.id);
+        if (!removed) return res.status(404).json({ success: false, message: 'Not found' });
+        res.json({ success: true, childId: removed.child });
+    });
+
+    return router;
+};
@@ -0,0 +1,25 @@
+// Start the mock backend for offline development:
+//   npm run mock-backend
+//   BACKEND_URL=http://localhost:8080 npm run dev
+//
+// MOCK_PORT (default 8080), MOCK_FIXTURES (path to a fixture JSON), MOCK_REALTIME=0 to disable Socket.IO.
+const { createMockBackend } = require('./index');
+
+const port = Number(process.env.MOCK_PORT) || 8080;
+const mock = createMockBackend({
+    fixture: process.env.MOCK_FIXTURES || undefined,
+    realtime: process.env.MOCK_REALTIME !== '0'
+});
+
+mock.listen(port, '0.0.0.0').then(() => {
+    console.log(`🧪 Mock backend running on http://localhost:${port} (API under /api)`);
+    const logins = mock.store.data.users
+        .filter(u => u.role !== 'parent')
+        .map(u => `   ${u.role.padEnd(14)} ${u.email} / ${u.password}`);
+    console.log(`Seeded portal logins:\n${logins.join('\n')}`);
+    console.log(`🔑 Stand-in OpenID Connect provider: http://localhost:${port}/idp (client bmo-portal / bmo-portal-secret)`);
+});
+
+const shutdown = () => mock.close().then(() => process.exit(0));
+process.on('SIGTERM', shutdown);
+process.on('SIGINT', shutdown);
@@ -0,0 +1,237 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_FIXTURE = path.join(__dirname, 'fixtures', 'default.json');
+
+// Collections every fixture file may provide (missing ones start empty).
+const COLLECTIONS = [
+    'users',
+    'centers',
+    'children',
+    'linkRequests',
+    'progress',
+    'exercises',
+    'planTemplates',
+    'words',
+    'messages',
+    'notifications',
+    'activityLogs'
+];
+
+const loadFixture = (fixture) => {
+    if (fixture && typeof fixture === 'object') return structuredClone(fixture);
+    const file = fixture || process.env.MOCK_FIXTURES || DEFAULT_FIXTURE;
+    return JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+};
+
+// In-memory data store seeded from a JSON fixture. `reset()` re-seeds it (used by tests).
+const createStore = (fixture) => {
+    const store = {
+        data: {},
+        tokens: new Map(), // token -> userId
+        challenges: new Map(), // two-factor login challenge -> { userId, expiresAt, attempts }
+        passwordTokens: new Map(), // sha256(token) -> { userId, purpose: 'reset'|'invitation', expiresAt }
+        impersonations: new Map() // token -> { adminId, specialistId, expiresAt, readOnly } ("view as specialist")
+    };
+
+    store.reset = (nextFixture = fixture) => {
+        const raw = loadFixture(nextFixture);
+        const data = {};
+        for (const name of COLLECTIONS) {
+            data[name] = Array.isArray(raw[name]) ? raw[name] : [];
+        }
+        data.settings = raw.settings || { global: {}, centers: {} };
+        data.features = raw.features || {};
+        store.data = data;
+        store.tokens.clear();
+        store.challenges.clear();
+        store.passwordTokens.clear();
+        store.impersonations.clear();
+        return store;
+    };
+
+    // 24-hex ids so they look like the backend's Mongo ObjectIds.
+    store.newId = () => crypto.randomBytes(12).toString('hex');
+
+    store.issueToken = (userId) => {
+        const token = `mock.${crypto.randomBytes(24).toString('hex')}`;
+        store.tokens.set(token, String(userId));
+        return token;
+    };
+
+    // Drop every session of a user (after a password reset).
+    store.revokeTokens = (userId) => {
+        for (const [token, id] of store.tokens) {
+            if (id === String(userId)) store.tokens.delete(token);
+        }
+    };
+
+    // Single-use links to set a password: a reset (1 hour) or an invitation (7 days).
+    // Only the hash is kept; issuing a new one replaces the user's previous link.
+    store.issuePasswordToken = (user, purpose) => {
+        const ttl = purpose === 'invitation' ? 7 * 24 * 60 * 60 * 1000 : 60 * 60 * 1000;
+        for (const [hash, entry] of store.passwordTokens) {
+            if (entry.userId === String(user._id)) store.passwordTokens.delete(hash);
+        }
+        const token = crypto.randomBytes(32).toString('hex');
+        const expiresAt = new Date(Date.now() + ttl).toISOString();
+        store.passwordTokens.set(store.hashToken(token), { userId: String(user._id), purpose, expiresAt });
+        return { token, expiresAt, purpose };
+    };
+
+    store.hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+    store.passwordTokenEntry = (token) => {
+        const entry = store.passwordTokens.get(store.hashToken(token));
+        if (!entry || new Date(entry.expiresAt) < new Date()) return null;
+        const user = store.findUser(entry.userId);
+        return user ? { ...entry, user } : null;
+    };
+
+    // Accounts created by invitation have no password until the link is used.
+    store.inviteUser = (user) => {
+        user.password = null;
+        user.invitationPending = true;
+        return store.issuePasswordToken(user, 'invitation');
+    };
+
+    store.userForToken = (token) => {
+        const userId = store.tokens.get(token);
+        const impersonation = store.impersonations.get(token);
+        if (impersonation && impersonation.expiresAt < Date.now()) return null;
+        return userId ? store.findUser(userId) : null;
+    };
+
+    store.find = (collection, id) => store.data[collection].find(x => String(x._id) === String(id)) || null;
+    store.findUser = (id) => store.find('users', id);
+    store.findChild = (id) => store.find('children', id);
+    store.findCenter = (id) => store.find('centers', id);
+
+    store.remove = (collection, id) => {
+        const list = store.data[collection];
+        const idx = list.findIndex(x => String(x._id) === String(id));
+        if (idx === -1) return null;
+        return list.splice(idx, 1)[0];
+    };
+
+    // Centers can make two-factor authentication mandatory for their staff.
+    store.twoFactorRequired = (user) => {
+        const center = user.center ? store.findCenter(user.center) : null;
+        return Boolean(center && center.requireTwoFactor);
+    };
+
+    // Public projection of a user (never leak the password or two-factor secrets).
+    store.publicUser = (user) => {
+        if (!user) return null;
+        const { password, twoFactor, ...rest } = user;
+        const twoFactorEnabled = Boolean(twoFactor && twoFactor.enabled);
+        return {
+            ...rest,
+            twoFactorEnabled,
+            twoFactorSetupRequired: !twoFactorEnabled && store.twoFactorRequired(user)
+        };
+    };
+
+    // Short projection used when "populating" references.
+    store.userRef = (id) => {
+        const u = store.findUser(id);
+        if (!u) return null;
+        return { _id: u._id, name: u.name, email: u.email, phone: u.phone, profilePhoto: u.profilePhoto, staffId: u.staffId, timezone: u.timezone };
+    };
+
+    store.populateChild = (child) => {
+        if (!child) return null;
+        return {
+            ...child,
+            parent: store.userRef(child.parent),
+            assignedSpecialist: store.userRef(child.assignedSpecialist)
+        };
+    };
+
+    store.childrenOfSpecialist = (specialistId) =>
+        store.data.children.filter(c => String(c.assignedSpecialist) === String(specialistId));
+
+    store.specialistsOfCenter = (centerId) =>
+        store.data.users.filter(u => u.role === 'specialist' && String(u.center) === String(centerId));
+
+    // Children a staff member works with: supervisors and content editors see their whole center.
+    store.caseloadOf = (user) => {
+        if (!['supervisor', 'content_editor'].includes(user.role)) {
+            return store.childrenOfSpecialist(user._id);
+        }
+        const specialistIds = store.specialistsOfCenter(user.center).map(s => String(s._id));
+        return store.data.children.filter(c =>
+            String(c.center) === String(user.center) || specialistIds.includes(String(c.assignedSpecialist)));
+    };
+
+    // Children a user may look up across pages (search, sessions log): the caseload for staff,
+    // the whole center for admins, every child for superadmins.
+    store.childrenVisibleTo = (user) => {
+        if (user.role === 'superadmin') return store.data.children;
+        if (user.role !== 'admin') return store.caseloadOf(user);
+        const staffIds = [...store.specialistsOfCenter(user.center).map(s => String(s._id)), String(user._id)];
+        return store.data.children.filter(c =>
+            String(c.center) === String(user.center) || staffIds.includes(String(c.assignedSpecialist)));
+    };
+
+    store.progressForChild = (childId) =>
+        store.data.progress.find(p => String(p.child) === String(childId)) || null;
+
+    // A recorded attempt with the session and progress document it belongs to.
+    store.findAttempt = (attemptId) => {
+        for (const progress of store.data.progress) {
+            for (const session of progress.sessions || []) {
+                const attempt = (session.attempts || []).find(a => String(a._id) === String(attemptId));
+                if (attempt) return { progress, session, attempt };
+            }
+        }
+        return null;
+    };
+
+    // New numbered plan session for a child; it becomes the active one and the child's targets follow it
+    // (the analytics page reads them). Used by POST /exercises and when applying a plan template.
+    store.createPlanSession = (child, user, { letters, words, targetDuration, sessionName, playSchedule, template }) => {
+        const existing = store.data.exercises.filter(e => String(e.child) === String(child._id));
+        existing.forEach(e => { e.active = false; });
+
+        const sessionIndex = existing.reduce((max, e) => Math.max(max, e.sessionIndex || 0), 0) + 1;
+        const exercise = {
+            _id: store.newId(),
+            child: child._id,
+            specialist: user._id,
+            kind: 'plan',
+            sessionIndex,
+            sessionName: sessionName || `Session ${sessionIndex}`,
+            letters: Array.isArray(letters) ? letters : [],
+            words: Array.isArray(words) ? words : [],
+            ...(typeof targetDuration === 'number' ? { targetDuration } : {}),
+            playSchedule: playSchedule || { enabled: false, allowedDays: [], windows: [] },
+            ...(template ? { template } : {}),
+            active: true,
+            createdAt: new Date().toISOString()
+        };
+        store.data.exercises.push(exercise);
+
+        child.targetLetters = exercise.letters.map(l => l.letter).filter(Boolean);
+        child.targetWords = exercise.words.map(w => w.word).filter(Boolean);
+        return exercise;
+    };
+
+    // Entries belong to the actor's center unless another one is given (e.g. a superadmin acting in a center).
+    store.log = (user, action, details, ipAddress = '127.0.0.1', center = user ? user.center || null : null) => {
+        store.data.activityLogs.push({
+            _id: store.newId(),
+            user: user ? user._id : null,
+            center,
+            action,
+            details,
+            ipAddress,
+            createdAt: new Date().toISOString()
+        });
+    };
+
+    return store.reset(fixture);
+};
+
+module.exports = { createStore, DEFAULT_FIXTURE };
@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+
+// RFC 6238 TOTP (SHA-1, 6 digits, 30s steps) — what authenticator apps use by default.
+
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+
+const base32Encode = (buffer) => {
+    let bits = '';
+    for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+    let out = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        out += BASE32[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return out;
+};
+
+const base32Decode = (text) => {
+    const clean = String(text).toUpperCase().replace(/[^A-Z2-7]/g, '');
+    let bits = '';
+    for (const ch of clean) bits += BASE32.indexOf(ch).toString(2).padStart(5, '0');
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    return Buffer.from(bytes);
+};
+
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const codeAt = (secret, time = Date.now()) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(Math.floor(time / 1000 / STEP_SECONDS)));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const value = (hmac.readUInt32BE(offset) & 0x7fffffff) % 1000000;
+    return String(value).padStart(6, '0');
+};
+
+// Accepts the current code and one step either side for clock drift.
+const verify = (secret, code, time = Date.now()) => {
+    const clean = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(clean)) return false;
+    return [-1, 0, 1].some(step => codeAt(secret, time + step * STEP_SECONDS * 1000) === clean);
+};
+
+const otpauthUrl = (secret, account, issuer) =>
+    `otpauth://totp/${encodeURIComponent(`${issuer}:${account}`)}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=6&period=${STEP_SECONDS}`;
+
+module.exports = { generateSecret, codeAt, verify, otpauthUrl };
@@ -35,6 +35,631 @@ document.addEventListener('DOMContentLoaded', function () {
         });
     }
 
+    // Global Search (live results under the header box; Enter opens the full results page)
+    const searchForm = document.getElementById('globalSearch');
+    const searchInput = document.getElementById('globalSearchInput');
+    const searchResults = document.getElementById('globalSearchResults');
+
+    if (searchForm && searchInput && searchResults) {
+        let searchTimer = null;
+        let searchRequest = 0;
+
+        const closeResults = function () {
+            searchResults.classList.remove('show');
+        };
+
+        const renderResults = function (groups) {
+            searchResults.innerHTML = '';
+            if (groups.length === 0) {
+                const empty = document.createElement('div');
+                empty.className = 'search-dropdown-empty';
+                empty.textContent = searchInput.dataset.noResults;
+                searchResults.appendChild(empty);
+            }
+            groups.forEach(function (group) {
+                const heading = document.createElement('div');
+                heading.className = 'search-dropdown-group';
+                heading.innerHTML = '<i class="fas ' + group.icon + '"></i> ';
+                heading.appendChild(document.createTextNode(group.label));
+                searchResults.appendChild(heading);
+
+                group.items.forEach(function (item) {
+                    const link = document.createElement('a');
+                    link.className = 'dropdown-item';
+                    link.href = item.url;
+                    const title = document.createElement('span');
+                    title.className = 'search-result-title';
+                    title.textContent = item.title;
+                    link.appendChild(title);
+                    if (item.subtitle) {
+                        const subtitle = document.createElement('span');
+                        subtitle.className = 'search-result-subtitle';
+                        subtitle.textContent = item.subtitle;
+                        link.appendChild(subtitle);
+                    }
+                    searchResults.appendChild(link);
+                });
+            });
+            if (groups.length > 0) {
+                const all = document.createElement('a');
+                all.className = 'dropdown-item';
+                all.href = '/search?q=' + encodeURIComponent(searchInput.value.trim());
+                all.textContent = searchInput.dataset.seeAll;
+                searchResults.appendChild(all);
+            }
+            searchResults.classList.add('show');
+        };
+
+        searchInput.addEventListener('input', function () {
+            clearTimeout(searchTimer);
+            const q = searchInput.value.trim();
+            if (!q) return closeResults();
+
+            searchTimer = setTimeout(function () {
+                const request = ++searchRequest;
+                fetch('/search?q=' + encodeURIComponent(q), { headers: { 'Accept': 'application/json' } })
+                    .then(function (res) { return res.json(); })
+                    .then(function (data) {
+                        // Ignore answers to queries the user has already typed past
+                        if (request === searchRequest && data.success) renderResults(data.groups);
+                    })
+                    .catch(closeResults);
+            }, 250);
+        });
+
+        // Arrow keys move through the results, Escape closes them
+        searchInput.addEventListener('keydown', function (e) {
+            const items = Array.from(searchResults.querySelectorAll('.dropdown-item'));
+            const current = items.findIndex(function (item) { return item.classList.contains('active'); });
+
+            if (e.key === 'Escape') {
+                closeResults();
+            } else if ((e.key === 'ArrowDown' || e.key === 'ArrowUp') && items.length > 0) {
+                e.preventDefault();
+                const next = e.key === 'ArrowDown'
+                    ? (current + 1) % items.length
+                    : (current <= 0 ? items.length - 1 : current - 1);
+                items.forEach(function (item) { item.classList.remove('active'); });
+                items[next].classList.add('active');
+                items[next].scrollIntoView({ block: 'nearest' });
+            } else if (e.key === 'Enter' && current !== -1 && searchResults.classList.contains('show')) {
+                e.preventDefault();
+                window.location.href = items[current].href;
+            }
+        });
+
+        searchForm.addEventListener('submit', function (e) {
+            if (!searchInput.value.trim()) e.preventDefault();
+        });
+
+        document.addEventListener('click', function (e) {
+            if (!searchForm.contains(e.target)) closeResults();
+        });
+    }
+
+    // Command Palette (Ctrl/Cmd+K): sidebar pages, user menu, actions and per-child commands.
+    // The commands come from partials/command-palette.ejs, already filtered by role.
+    const palette = document.getElementById('commandPalette');
+    const paletteInput = document.getElementById('commandPaletteInput');
+    const paletteList = document.getElementById('commandPaletteList');
+
+    if (palette && paletteInput && paletteList) {
+        const fill = function (text, values) {
+            return text.replace(/\{(\w+)\}/g, function (match, key) {
+                return values[key] !== undefined ? values[key] : match;
+            });
+        };
+
+        // Links already on the page: the sidebar (role-filtered) and the user menu
+        const pageCommands = Array.from(document.querySelectorAll('.sidebar .nav-item, #userDropdown .dropdown-item'))
+            .map(function (link) {
+                const icon = link.querySelector('i');
+                return {
+                    label: link.textContent.trim().replace(/\s+/g, ' '),
+                    icon: icon ? Array.from(icon.classList).find(function (c) { return c.indexOf('fa-') === 0 && c !== 'fa-solid'; }) : 'fa-link',
+                    url: link.getAttribute('href')
+                };
+            })
+            .filter(function (command) { return command.label && command.url; });
+
+        const actions = JSON.parse(palette.dataset.actions || '[]');
+        const childActions = JSON.parse(palette.dataset.childActions || '[]');
+        let childCommands = [];
+        let visible = [];
+        let selected = 0;
+        let lookupTimer = null;
+        let lookupRequest = 0;
+
+        // Every word typed must appear in the label ("pdf yusuf" finds "Export PDF for Yusuf")
+        const matches = function (command, words) {
+            const label = command.label.toLowerCase();
+            return words.every(function (word) { return label.indexOf(word) !== -1; });
+        };
+
+        const render = function () {
+            const query = paletteInput.value.trim();
+            const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+            visible = pageCommands.concat(actions, childCommands)
+                .filter(function (command) { return matches(command, words); })
+                .slice(0, 12);
+            if (query) {
+                visible.push({
+                    label: fill(palette.dataset.searchLabel, { query: query }),
+                    icon: 'fa-search',
+                    url: '/search?q=' + encodeURIComponent(query)
+                });
+            }
+            selected = Math.min(selected, Math.max(visible.length - 1, 0));
+
+            paletteList.innerHTML = '';
+            if (visible.length === 0) {
+                const empty = document.createElement('div');
+                empty.className = 'command-palette-empty';
+                empty.textContent = palette.dataset.noMatches;
+                paletteList.appendChild(empty);
+            }
+            visible.forEach(function (command, index) {
+                const item = document.createElement('div');
+                item.className = 'command-palette-item' + (index === selected ? ' active' : '');
+                item.setAttribute('role', 'option');
+                item.innerHTML = '<i class="fas ' + (command.icon || 'fa-angle-left') + '"></i>';
+                const label = document.createElement('span');
+                label.textContent = command.label;
+                item.appendChild(label);
+                item.addEventListener('mousemove', function () {
+                    if (selected !== index) {
+                        selected = index;
+                        render();
+                    }
+                });
+                item.addEventListener('click', function () { run(command); });
+                paletteList.appendChild(item);
+            });
+        };
+
+        // Children whose name matches the last word typed get the child actions
+        const lookupChildren = function () {
+            const words = paletteInput.value.trim().split(/\s+/).filter(Boolean);
+            const name = words[words.length - 1] || '';
+            if (childActions.length === 0 || name.length < 2) {
+                childCommands = [];
+                return render();
+            }
+            const request = ++lookupRequest;
+            fetch('/search?q=' + encodeURIComponent(name), { headers: { 'Accept': 'application/json' } })
+                .then(function (res) { return res.json(); })
+                .then(function (data) {
+                    if (request !== lookupRequest || !data.success) return;
+                    const children = (data.groups.find(function (g) { return g.key === 'children'; }) || { items: [] }).items;
+                    childCommands = [];
+                    children.forEach(function (child) {
+                        const id = (child.url.match(/\/child\/([^/]+)/) || [])[1];
+                        if (!id) return;
+                        childActions.forEach(function (action) {
+                            childCommands.push({
+                                label: fill(action.label, { name: child.title }),
+                                icon: action.icon,
+                                url: fill(action.url, { id: id })
+                            });
+                        });
+                    });
+                    render();
+                })
+                .catch(function () { childCommands = []; });
+        };
+
+        const openPalette = function () {
+            palette.hidden = false;
+            paletteInput.value = '';
+            childCommands = [];
+            selected = 0;
+            render();
+            paletteInput.focus();
+        };
+
+        const closePalette = function () {
+            palette.hidden = true;
+        };
+
+        const run = function (command) {
+            closePalette();
+            if (command.action === 'theme' && themeToggle) {
+                themeToggle.click();
+            } else if (command.url) {
+                window.location.href = command.url;
+            }
+        };
+
+        document.addEventListener('keydown', function (e) {
+            if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+                e.preventDefault();
+                if (palette.hidden) openPalette(); else closePalette();
+            }
+        });
+
+        paletteInput.addEventListener('input', function () {
+            selected = 0;
+            render();
+            clearTimeout(lookupTimer);
+            lookupTimer = setTimeout(lookupChildren, 200);
+        });
+
+        paletteInput.addEventListener('keydown', function (e) {
+            if (e.key === 'Escape') {
+                closePalette();
+            } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                if (visible.length === 0) return;
+                selected = (selected + (e.key === 'ArrowDown' ? 1 : visible.length - 1)) % visible.length;
+                render();
+                const active = paletteList.querySelector('.active');
+                if (active) active.scrollIntoView({ block: 'nearest' });
+            } else if (e.key === 'Enter' && visible[selected]) {
+                e.preventDefault();
+                run(visible[selected]);
+            }
+        });
+
+        // Clicking the backdrop closes it
+        palette.addEventListener('click', function (e) {
+            if (e.target === palette) closePalette();
+        });
+    }
+
+    // Arriving at a form through a link (e.g. #createPlanSession from the palette): focus its first field
+    if (window.location.hash.length > 1) {
+        const target = document.getElementById(window.location.hash.slice(1));
+        const field = target && target.tagName === 'FORM'
+            ? target.querySelector('input:not([type="hidden"]), textarea, select')
+            : null;
+        if (field) field.focus();
+    }
+
+    // Attempt recordings (partials/attempt-audio.ejs): the waveform is drawn when the row scrolls into
+    // view, the recording streams through the portal on play, one player at a time.
+    const players = document.querySelectorAll('.attempt-audio');
+    let playing = null;
+
+    function drawWaveform(player) {
+        const canvas = player.querySelector('.attempt-audio-wave');
+        const ctx = canvas.getContext('2d');
+        const peaks = player._peaks || [];
+        const audio = player._audio;
+        const progress = audio && audio.duration ? audio.currentTime / audio.duration : 0;
+        const styles = getComputedStyle(document.documentElement);
+        const played = styles.getPropertyValue('--primary').trim() || '#3b82f6';
+        const rest = styles.getPropertyValue('--gray-400').trim() || '#94a3b8';
+        const mid = canvas.height / 2;
+
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        peaks.forEach(function (peak, x) {
+            const h = Math.max(1, peak * (canvas.height - 4));
+            ctx.fillStyle = x / peaks.length < progress ? played : rest;
+            ctx.fillRect(x, mid - h / 2, 1, h);
+        });
+    }
+
+    function loadWaveform(player) {
+        if (player._waveform) return;
+        player._waveform = fetch(player.dataset.src)
+            .then(function (res) {
+                if (!res.ok) throw new Error('HTTP ' + res.status);
+                return res.arrayBuffer();
+            })
+            .then(function (buffer) {
+                const AudioCtx = window.AudioContext || window.webkitAudioContext;
+                return new AudioCtx().decodeAudioData(buffer);
+            })
+            .then(function (decoded) {
+                // Loudest sample per pixel column
+                const data = decoded.getChannelData(0);
+                const width = player.querySelector('.attempt-audio-wave').width;
+                const step = Math.max(1, Math.floor(data.length / width));
+                player._peaks = [];
+                for (let x = 0; x < width; x++) {
+                    let peak = 0;
+                    for (let i = x * step; i < Math.min(data.length, (x + 1) * step); i++) {
+                        peak = Math.max(peak, Math.abs(data[i]));
+                    }
+                    player._peaks.push(peak);
+                }
+                drawWaveform(player);
+            })
+            .catch(function () {
+                player.classList.add('failed');
+                player.title = player.dataset.error;
+            });
+    }
+
+    function audioFor(player) {
+        if (player._audio) return player._audio;
+        const audio = new Audio(player.dataset.src);
+        const icon = player.querySelector('.attempt-audio-play i');
+        audio.playbackRate = Number(player.querySelector('.attempt-audio-speed').value) || 1;
+        audio.addEventListener('timeupdate', function () { drawWaveform(player); });
+        audio.addEventListener('play', function () { icon.className = 'fas fa-pause'; });
+        audio.addEventListener('pause', function () { icon.className = 'fas fa-play'; });
+        audio.addEventListener('ended', function () { drawWaveform(player); });
+        audio.addEventListener('error', function () {
+            player.classList.add('failed');
+            player.title = player.dataset.error;
+        });
+        player._audio = audio;
+        return audio;
+    }
+
+    if (players.length) {
+        const observer = 'IntersectionObserver' in window
+            ? new IntersectionObserver(function (entries) {
+                entries.forEach(function (entry) {
+                    if (entry.isIntersecting) {
+                        loadWaveform(entry.target);
+                        observer.unobserve(entry.target);
+                    }
+                });
+            })
+            : null;
+
+        players.forEach(function (player) {
+            if (observer) observer.observe(player); else loadWaveform(player);
+
+            player.querySelector('.attempt-audio-play').addEventListener('click', function () {
+                const audio = audioFor(player);
+                if (!audio.paused) return audio.pause();
+                if (playing && playing !== audio) playing.pause();
+                playing = audio;
+                audio.play().catch(function () { /* blocked or failed; the error handler marks it */ });
+            });
+
+            // Click on the waveform to seek
+            player.querySelector('.attempt-audio-wave').addEventListener('click', function (e) {
+                const audio = audioFor(player);
+                const rect = this.getBoundingClientRect();
+                const ratio = (e.clientX - rect.left) / rect.width;
+                const seek = function () {
+                    audio.currentTime = Math.min(1, Math.max(0, ratio)) * audio.duration;
+                    drawWaveform(player);
+                };
+                if (audio.readyState >= 1) seek(); else audio.addEventListener('loadedmetadata', seek, { once: true });
+            });
+
+            player.querySelector('.attempt-audio-speed').addEventListener('change', function () {
+                if (player._audio) player._audio.playbackRate = Number(this.value) || 1;
+            });
+        });
+    }
+
+    // Flag for review (partials/attempt-review.ejs): saved inline, the form posts normally without JS
+    document.querySelectorAll('.attempt-review-form').forEach(function (form) {
+        form.addEventListener('submit', function (e) {
+            e.preventDefault();
+            const body = new URLSearchParams(new FormData(form));
+            body.set('flagged', e.submitter ? e.submitter.value : 'true');
+
+            fetch(form.action, {
+                method: 'POST',
+                headers: { 'Accept': 'application/json', 'Content-Type': 'application/x-www-form-urlencoded' },
+                body: body
+            })
+                .then(function (res) { return res.json(); })
+                .then(function (result) {
+                    if (!result.success) throw new Error(result.message);
+                    const box = form.closest('.attempt-review');
+                    const review = result.review;
+                    const flagged = Boolean(review && review.flagged);
+                    const note = box.querySelector('.attempt-review-note');
+                    const submit = form.querySelector('button[value="true"]');
+                    box.classList.toggle('flagged', flagged);
+                    box.querySelector('.attempt-review-label').textContent = flagged ? form.dataset.flaggedLabel : submit.textContent;
+                    form.querySelector('.attempt-review-clear').hidden = !flagged;
+                    if (!flagged) form.querySelector('textarea').value = '';
+                    note.textContent = flagged ? review.note : '';
+                    note.hidden = !(flagged && review.note);
+                    box.querySelector('details').open = false;
+                    showToast(result.message, 'fas fa-flag');
+                })
+                .catch(function (err) {
+                    alert(err.message || form.dataset.error);
+                });
+        });
+    });
+
+    // Suggest next plan session (child analytics): fills the create form in place; the link reloads
+    // the page with ?suggest=1 without JS. The specialist edits the proposal before creating the session.
+    const suggestButton = document.getElementById('suggestPlanSession');
+    if (suggestButton) {
+        suggestButton.addEventListener('click', function (e) {
+            e.preventDefault();
+            const form = document.getElementById('createPlanSession');
+            const list = document.getElementById('planSuggestion');
+
+            fetch(suggestButton.dataset.url, { headers: { 'Accept': 'application/json' } })
+                .then(function (res) { return res.json(); })
+                .then(function (result) {
+                    if (!result.success) throw new Error(result.message);
+                    const suggestion = result.suggestion;
+                    form.elements.sessionName.value = suggestion.sessionName;
+                    form.elements.targetDuration.value = suggestion.targetDuration;
+                    form.elements.lettersText.value = suggestion.letters.join('\n');
+                    form.elements.wordsText.value = suggestion.words.join('\n');
+
+                    list.innerHTML = '';
+                    suggestion.items.forEach(function (item) {
+                        const li = document.createElement('li');
+                        li.className = 'plan-suggestion-item group-' + item.group;
+                        const target = document.createElement('strong');
+                        target.textContent = item.target;
+                        const group = document.createElement('span');
+                        group.className = 'plan-suggestion-group';
+                        group.textContent = list.dataset['label' + item.group.charAt(0).toUpperCase() + item.group.slice(1)];
+                        const rate = document.createElement('span');
+                        rate.className = 'plan-suggestion-rate';
+                        rate.textContent = Math.round(item.successRate * 100) + '%';
+                        li.append(target, group, rate);
+                        list.appendChild(li);
+                    });
+                    list.hidden = suggestion.items.length === 0;
+                })
+                .catch(function (err) {
+                    alert(err.message || suggestButton.dataset.error);
+                });
+        });
+    }
+
+    // Weekly play schedule (partials/play-schedule-editor.ejs): the text field of each weekday is the source
+    // of truth and posts without JS. Dragging on a day's line adds a window (15 minute steps), clicking a
+    // window removes it, and the copy button gives every day that day's windows. Errors and the preview
+    // (plan settings only) come from the server.
+    document.querySelectorAll('.schedule-editor').forEach(function (editor) {
+        const form = editor.closest('form');
+        const previewBox = editor.querySelector('.schedule-preview');
+        const enabledBox = editor.querySelector('.schedule-enabled');
+        const step = 15;
+        let previewTimer = null;
+
+        const toMinutes = function (value) {
+            const match = /^(\d{1,2}):(\d{2})$/.exec(String(value).trim());
+            return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+        };
+        const fromMinutes = function (total) {
+            return String(Math.floor(total / 60)).padStart(2, '0') + ':' + String(total % 60).padStart(2, '0');
+        };
+        // Well-formed ranges only; the server reports the rest
+        const readRanges = function (input) {
+            return input.value.split(/[,\n;،]+/).map(function (range) {
+                const parts = range.split(/\s*[-–]\s*/);
+                return { start: toMinutes(parts[0] || ''), end: toMinutes(parts[1] || '') };
+            }).filter(function (r) { return r.start !== null && r.end !== null && r.end > r.start; });
+        };
+        const writeRanges = function (input, ranges) {
+            input.value = ranges
+                .sort(function (a, b) { return a.start - b.start; })
+                .map(function (r) { return fromMinutes(r.start) + '-' + fromMinutes(r.end); })
+                .join(', ');
+        };
+
+        const drawDay = function (row) {
+            const track = row.querySelector('.schedule-track');
+            track.querySelectorAll('.schedule-window').forEach(function (bar) { bar.remove(); });
+            readRanges(row.querySelector('.schedule-day-input')).forEach(function (r) {
+                const bar = document.createElement('span');
+                bar.className = 'schedule-window';
+                bar.style.left = (r.start / 1440 * 100) + '%';
+                bar.style.width = ((r.end - r.start) / 1440 * 100) + '%';
+                bar.title = fromMinutes(r.start) + '-' + fromMinutes(r.end) + ' (' + editor.dataset.removeLabel + ')';
+                bar.dataset.start = r.start;
+                track.appendChild(bar);
+            });
+        };
+
+        const showPreview = function () {
+            fetch(editor.dataset.previewUrl, {
+                method: 'POST',
+                headers: { 'Accept': 'application/json', 'Content-Type': 'application/x-www-form-urlencoded' },
+                body: new URLSearchParams(new FormData(form))
+            })
+                .then(function (res) { return res.json(); })
+                .then(function (result) {
+                    if (!result.success) throw new Error(result.message);
+                    const errors = result.errors || {};
+                    editor.querySelectorAll('.schedule-day').forEach(function (row) {
+                        const error = errors[row.dataset.day] || '';
+                        row.querySelector('.schedule-day-input').classList.toggle('is-invalid', Boolean(error));
+                        row.querySelector('.schedule-day-error').textContent = error;
+                    });
+                    editor.querySelector('.schedule-error').textContent = errors.timezone || '';
+                    if (!result.preview || !previewBox) return;
+                    const previewList = previewBox.querySelector('.schedule-preview-days');
+                    previewList.innerHTML = '';
+                    result.preview.days.forEach(function (d) {
+                        const li = document.createElement('li');
+                        const label = document.createElement('strong');
+                        label.textContent = d.label;
+                        const windows = document.createElement('span');
+                        windows.dir = 'ltr';
+                        windows.textContent = d.allDay ? previewList.dataset.allDay
+                            : d.allowed ? d.windows.map(function (w) { return w.start + '-' + w.end; }).join(', ')
+                            : previewList.dataset.notAllowed;
+                        li.append(label, windows);
+                        previewList.appendChild(li);
+                    });
+                })
+                .catch(function (err) {
+                    console.warn('Schedule preview failed:', err.message);
+                });
+        };
+        const schedulePreview = function () {
+            // Templates, bulk plans and read-only users have no live check
+            if (!editor.dataset.previewUrl) return;
+            clearTimeout(previewTimer);
+            previewTimer = setTimeout(showPreview, 300);
+        };
+
+        editor.querySelectorAll('.schedule-day').forEach(function (row) {
+            const track = row.querySelector('.schedule-track');
+            const input = row.querySelector('.schedule-day-input');
+            let drawing = null;
+
+            const minuteAt = function (e) {
+                const rect = track.getBoundingClientRect();
+                const ratio = Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 1);
+                return Math.round(ratio * 1440 / step) * step;
+            };
+            track.addEventListener('pointerdown', function (e) {
+                if (e.target.classList.contains('schedule-window')) return;
+                track.setPointerCapture(e.pointerId);
+                const bar = document.createElement('span');
+                bar.className = 'schedule-window is-drawing';
+                track.appendChild(bar);
+                drawing = { from: minuteAt(e), to: minuteAt(e), bar: bar };
+            });
+            track.addEventListener('pointermove', function (e) {
+                if (!drawing) return;
+                drawing.to = minuteAt(e);
+                drawing.bar.style.left = (Math.min(drawing.from, drawing.to) / 1440 * 100) + '%';
+                drawing.bar.style.width = (Math.abs(drawing.to - drawing.from) / 1440 * 100) + '%';
+            });
+            track.addEventListener('pointerup', function () {
+                if (!drawing) return;
+                const start = Math.min(drawing.from, drawing.to);
+                const end = Math.max(drawing.from, drawing.to);
+                drawing = null;
+                if (end > start) writeRanges(input, readRanges(input).concat([{ start: start, end: end }]));
+                drawDay(row);
+                schedulePreview();
+            });
+            track.addEventListener('click', function (e) {
+                if (!e.target.classList.contains('schedule-window') || e.target.classList.contains('is-drawing')) return;
+                writeRanges(input, readRanges(input).filter(function (r) { return String(r.start) !== e.target.dataset.start; }));
+                drawDay(row);
+                schedulePreview();
+            });
+            input.addEventListener('input', function () {
+                drawDay(row);
+                schedulePreview();
+            });
+
+            row.querySelector('.schedule-copy-all').addEventListener('click', function () {
+                editor.querySelectorAll('.schedule-day').forEach(function (other) {
+                    other.querySelector('.schedule-day-input').value = input.value;
+                    drawDay(other);
+                });
+                schedulePreview();
+            });
+
+            drawDay(row);
+        });
+
+        editor.querySelectorAll('input[name="allowedDays"], .schedule-timezone').forEach(function (field) {
+            field.addEventListener('change', schedulePreview);
+        });
+        if (previewBox) {
+            enabledBox.addEventListener('change', function () {
+                previewBox.querySelector('.schedule-preview-off').hidden = enabledBox.checked;
+            });
+        }
+    });
+
     // Alert Auto-dismiss
     const alerts = document.querySelectorAll('.alert');
     alerts.forEach(function (alert) {
@@ -1,10 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const apiClient = require('../utils/apiClient');
-const { ensureAdmin } = require('../middleware/auth');
+const { ensurePermission } = require('../middleware/auth');
 
 // View Activity Log
-router.get('/', ensureAdmin, async (req, res) => {
+router.get('/', ensurePermission('activity:read'), async (req, res) => {
     try {
         const page = parseInt(req.query.page) || 1;
         const response = await apiClient.authGet(req, '/admin/activity-log', {
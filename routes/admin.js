@@ -1,13 +1,16 @@
 const express = require('express');
 const router = express.Router();
 const apiClient = require('../utils/apiClient');
-const { ensureAdmin } = require('../middleware/auth');
+const { ensurePermission } = require('../middleware/auth');
+const { sendInvitation } = require('../utils/mailer');
+const { revokeSessions, listCenterSessions, signedInToCenter } = require('../utils/sessions');
+const loginThrottle = require('../utils/loginThrottle');
+const { startImpersonation, TTL_MINUTES, READ_ONLY } = require('../utils/impersonation');
 
-// Apply admin middleware to all routes
-router.use(ensureAdmin);
+// Each route is guarded by the permission it needs (config/permissions.js)
 
 // Dashboard
-router.get('/', async (req, res) => {
+router.get('/', ensurePermission('specialists:read'), async (req, res) => {
     try {
         // Fetch dashboard stats from backend API
         // Assuming backend has an endpoint for admin dashboard stats
@@ -64,7 +67,7 @@ router.get('/', async (req, res) => {
 // ========================================
 
 // List all specialists in center
-router.get('/specialists', async (req, res) => {
+router.get('/specialists', ensurePermission('specialists:read'), async (req, res) => {
     try {
         if (!req.user.center) {
             req.flash('error_msg', 'لا يوجد مركز مرتبط بحسابك');
@@ -98,7 +101,7 @@ router.get('/specialists', async (req, res) => {
 
 
 // Create specialist form
-router.get('/specialists/create', (req, res) => {
+router.get('/specialists/create', ensurePermission('specialists:manage'), (req, res) => {
     if (!req.user.center) {
         req.flash('error_msg', 'لا يوجد مركز مرتبط بحسابك');
         return res.redirect('/admin');
@@ -112,19 +115,25 @@ router.get('/specialists/create', (req, res) => {
 });
 
 // Create specialist POST
-router.post('/specialists', async (req, res) => {
+router.post('/specialists', ensurePermission('specialists:manage'), async (req, res) => {
     try {
         if (!req.user.center) {
             req.flash('error_msg', 'لا يوجد مركز مرتبط بحسابك');
             return res.redirect('/admin');
         }
 
-        // Just forward the body to the backend API
-        // Backend handles validation, email checking, hashing, creation
-        const response = await apiClient.authPost(req, '/admin/create-specialist', req.body);
+        // Backend handles validation, email checking and creation. No password here:
+        // the specialist sets one from the invitation link.
+        const { password, ...details } = req.body;
+        const response = await apiClient.authPost(req, '/admin/create-specialist', { ...details, invite: true });
 
         if (response.data.success) {
-            req.flash('success_msg', 'تم إنشاء حساب الأخصائي بنجاح');
+            const { specialist, invitation } = response.data;
+            if (await sendInvitation(req, specialist, invitation)) {
+                req.flash('success_msg', 'تم إنشاء حساب الأخصائي بنجاح وأُرسلت دعوة إلى بريده الإلكتروني');
+            } else {
+                req.flash('error_msg', 'تم إنشاء حساب الأخصائي بنجاح لكن تعذّر إرسال الدعوة، أعد إرسالها من صفحة الأخصائي');
+            }
             res.redirect('/admin/specialists');
         } else {
             req.flash('error_msg', response.data.message || 'فشل إنشاء الحساب');
@@ -142,7 +151,7 @@ router.post('/specialists', async (req, res) => {
 
 
 // View specialist details
-router.get('/specialists/:id', async (req, res) => {
+router.get('/specialists/:id', ensurePermission('specialists:read'), async (req, res) => {
     try {
         const response = await apiClient.authGet(req, `/admin/specialists/${req.params.id}`);
 
@@ -153,7 +162,9 @@ router.get('/specialists/:id', async (req, res) => {
 
         res.render('admin/specialist-details', {
             title: response.data.specialist.name,
-            specialist: response.data.specialist
+            specialist: response.data.specialist,
+            loginLock: loginThrottle.lockStatus(response.data.specialist.email),
+            impersonationMinutes: TTL_MINUTES
         });
     } catch (error) {
         console.error('Spec Details Error:', error.message);
@@ -162,8 +173,146 @@ router.get('/specialists/:id', async (req, res) => {
     }
 });
 
+// Force sign-out: end every portal session of a specialist (e.g. when they leave the center)
+router.post('/specialists/:id/sign-out', ensurePermission('specialists:manage'), async (req, res) => {
+    try {
+        // Only specialists the backend lets this admin manage
+        const response = await apiClient.authGet(req, `/admin/specialists/${req.params.id}`);
+        if (!response.data.success) {
+            req.flash('error_msg', 'الأخصائي غير موجود');
+            return res.redirect('/admin/specialists');
+        }
+
+        const count = await revokeSessions(req, response.data.specialist._id);
+        req.flash('success_msg', res.locals.__('forceSignOutDone').replace('{count}', count));
+        res.redirect(`/admin/specialists/${req.params.id}`);
+    } catch (error) {
+        if (error.response?.status === 404) {
+            req.flash('error_msg', 'الأخصائي غير موجود');
+            return res.redirect('/admin/specialists');
+        }
+        console.error('Force Sign-out Error:', error.message);
+        req.flash('error_msg', 'حدث خطأ في تسجيل خروج الأخصائي');
+        res.redirect(`/admin/specialists/${req.params.id}`);
+    }
+});
+
+// Everyone of the center signed in to the portal, in any role, with force sign-out
+// (read through the session index, see utils/sessions.js)
+router.get('/sessions', ensurePermission('specialists:manage'), async (req, res) => {
+    const centerId = req.user.center?._id || req.user.center;
+    if (!centerId) {
+        req.flash('error_msg', 'لا يوجد مركز مرتبط بحسابك');
+        return res.redirect('/admin');
+    }
+    try {
+        res.render('admin/sessions', {
+            title: res.locals.__('centerSessions'),
+            users: await listCenterSessions(req, centerId)
+        });
+    } catch (error) {
+        console.error('Center Sessions Error:', error.message);
+        req.flash('error_msg', res.locals.__('errorOccurred'));
+        res.redirect('/admin');
+    }
+});
+
+// Force sign-out of any user who signed in as a member of this center
+router.post('/users/:id/sign-out', ensurePermission('specialists:manage'), async (req, res) => {
+    const centerId = req.user.center?._id || req.user.center;
+    try {
+        if (!centerId || !(await signedInToCenter(req, centerId, req.params.id))) {
+            req.flash('error_msg', res.locals.__('userNotSignedIn'));
+            return res.redirect('/admin/sessions');
+        }
+        const count = await revokeSessions(req, req.params.id);
+        req.flash('success_msg', res.locals.__('forceSignOutDone').replace('{count}', count));
+    } catch (error) {
+        console.error('Force Sign-out Error:', error.message);
+        req.flash('error_msg', res.locals.__('errorOccurred'));
+    }
+    res.redirect('/admin/sessions');
+});
+
+// Lift a login lockout (utils/loginThrottle) before it expires
+router.post('/specialists/:id/unlock', ensurePermission('specialists:manage'), async (req, res) => {
+    try {
+        const response = await apiClient.authGet(req, `/admin/specialists/${req.params.id}`);
+        if (!response.data.success) {
+            req.flash('error_msg', 'الأخصائي غير موجود');
+            return res.redirect('/admin/specialists');
+        }
+
+        loginThrottle.unlock(response.data.specialist.email);
+        // Recorded in the activity log by the backend
+        await apiClient.authPost(req, `/admin/specialists/${req.params.id}/unlock`);
+        req.flash('success_msg', res.locals.__('accountUnlocked'));
+        res.redirect(`/admin/specialists/${req.params.id}`);
+    } catch (error) {
+        if (error.response?.status === 404) {
+            req.flash('error_msg', 'الأخصائي غير موجود');
+            return res.redirect('/admin/specialists');
+        }
+        console.error('Unlock Account Error:', error.message);
+        req.flash('error_msg', 'حدث خطأ في إلغاء قفل الحساب');
+        res.redirect(`/admin/specialists/${req.params.id}`);
+    }
+});
+
+// "View as specialist" (utils/impersonation.js): browse the portal with the specialist's account
+router.post('/specialists/:id/impersonate', ensurePermission('specialists:impersonate'), async (req, res, next) => {
+    if (req.session.impersonation) {
+        req.flash('error_msg', res.locals.__('impersonationActive'));
+        return res.redirect(`/admin/specialists/${req.params.id}`);
+    }
+
+    let grant;
+    try {
+        // Recorded in the activity log by the backend
+        const response = await apiClient.authPost(req, `/admin/specialists/${req.params.id}/impersonate`, {
+            minutes: TTL_MINUTES,
+            readOnly: READ_ONLY
+        });
+        grant = response.data;
+    } catch (error) {
+        if (error.response?.status === 404) {
+            req.flash('error_msg', 'الأخصائي غير موجود');
+            return res.redirect('/admin/specialists');
+        }
+        console.error('Impersonation Start Error:', error.message);
+        req.flash('error_msg', 'حدث خطأ في بدء العرض كأخصائي');
+        return res.redirect(`/admin/specialists/${req.params.id}`);
+    }
+
+    try {
+        await startImpersonation(req, grant);
+    } catch (error) {
+        return next(error);
+    }
+    req.flash('success_msg', res.locals.__('impersonationStarted').replace('{name}', grant.user.name));
+    res.redirect('/specialist');
+});
+
+// Send a new invitation link to a specialist who hasn't set a password yet
+router.post('/specialists/:id/resend-invitation', ensurePermission('specialists:manage'), async (req, res) => {
+    try {
+        const response = await apiClient.authPost(req, `/admin/specialists/${req.params.id}/invitation`);
+        const { specialist, invitation } = response.data;
+
+        if (await sendInvitation(req, specialist, invitation)) {
+            req.flash('success_msg', res.locals.__('invitationResent'));
+        } else {
+            req.flash('error_msg', res.locals.__('emailSendFailed'));
+        }
+    } catch (error) {
+        console.error('Resend Invitation Error:', error.message);
+        req.flash('error_msg', error.response?.data?.message || 'حدث خطأ في إرسال الدعوة');
+    }
+    res.redirect(`/admin/specialists/${req.params.id}`);
+});
+
 // Delete specialist
-router.post('/specialists/:id/delete', async (req, res) => {
+router.post('/specialists/:id/delete', ensurePermission('specialists:manage'), async (req, res) => {
     try {
         const response = await apiClient.authDelete(req, `/admin/specialists/${req.params.id}`);
 
@@ -182,7 +331,7 @@ router.post('/specialists/:id/delete', async (req, res) => {
 
 
 // Bulk delete specialists
-router.post('/specialists/bulk-delete', async (req, res) => {
+router.post('/specialists/bulk-delete', ensurePermission('specialists:manage'), async (req, res) => {
     try {
         const { ids } = req.body;
 
@@ -210,7 +359,7 @@ router.post('/specialists/bulk-delete', async (req, res) => {
 });
 
 // Search parents for specialist (AJAX)
-router.get('/specialists/:id/search-parents', async (req, res) => {
+router.get('/specialists/:id/search-parents', ensurePermission('specialists:manage'), async (req, res) => {
     try {
         const response = await apiClient.authGet(req, `/admin/specialists/${req.params.id}/search-parents`, {
             params: req.query
@@ -224,7 +373,7 @@ router.get('/specialists/:id/search-parents', async (req, res) => {
 });
 
 // Link parent to specialist
-router.post('/specialists/:id/link-parent', async (req, res) => {
+router.post('/specialists/:id/link-parent', ensurePermission('specialists:manage'), async (req, res) => {
     try {
         const { parentId } = req.body;
         const response = await apiClient.authPost(req, `/admin/specialists/${req.params.id}/link-parent`, { parentId });
@@ -242,94 +391,26 @@ router.post('/specialists/:id/link-parent', async (req, res) => {
     }
 });
 
-
-// Link parent to specialist
-router.post('/specialists/:id/link-parent', async (req, res) => {
-    try {
-        const { parentId } = req.body;
-        const specialistId = req.params.id;
-
-        const specialist = await User.findById(specialistId);
-        if (!specialist || specialist.role !== 'specialist') {
-            req.flash('error_msg', 'الأخصائي غير موجود');
-            return res.redirect('/admin/specialists');
-        }
-
-        // Verify specialist belongs to admin's center
-        if (!specialist.center || specialist.center.toString() !== req.user.center.toString()) {
-            req.flash('error_msg', 'غير مصرح لك بالوصول');
-            return res.redirect('/admin/specialists');
-        }
-
-        const parent = await User.findById(parentId);
-        if (!parent || parent.role !== 'parent') {
-            req.flash('error_msg', 'ولي الأمر غير موجود');
-            return res.redirect(`/admin/specialists/${specialistId}`);
-        }
-
-        // Check if already linked
-        if (specialist.linkedParents && specialist.linkedParents.includes(parentId)) {
-            req.flash('error_msg', 'ولي الأمر مرتبط بالفعل بهذا الأخصائي');
-            return res.redirect(`/admin/specialists/${specialistId}`);
-        }
-
-        // Link parent to specialist
-        await User.findByIdAndUpdate(specialistId, {
-            $addToSet: { linkedParents: parentId }
-        });
-
-        // Update parent's linkedSpecialist
-        await User.findByIdAndUpdate(parentId, {
-            linkedSpecialist: specialistId
-        });
-
-        req.flash('success_msg', 'تم ربط ولي الأمر بالأخصائي بنجاح');
-        res.redirect(`/admin/specialists/${specialistId}`);
-    } catch (error) {
-        console.error(error);
-        req.flash('error_msg', 'حدث خطأ في ربط ولي الأمر');
-        res.redirect('/admin/specialists');
-    }
-});
-
 // Unlink parent from specialist
-router.post('/specialists/:id/unlink-parent/:parentId', async (req, res) => {
+router.post('/specialists/:id/unlink-parent/:parentId', ensurePermission('specialists:manage'), async (req, res) => {
     try {
-        const { id: specialistId, parentId } = req.params;
+        const response = await apiClient.authPost(req, `/admin/specialists/${req.params.id}/unlink-parent/${req.params.parentId}`);
 
-        const specialist = await User.findById(specialistId);
-        if (!specialist || specialist.role !== 'specialist') {
-            req.flash('error_msg', 'الأخصائي غير موجود');
-            return res.redirect('/admin/specialists');
-        }
-
-        // Verify specialist belongs to admin's center
-        if (!specialist.center || specialist.center.toString() !== req.user.center.toString()) {
-            req.flash('error_msg', 'غير مصرح لك بالوصول');
-            return res.redirect('/admin/specialists');
+        if (response.data.success) {
+            req.flash('success_msg', 'تم إلغاء ربط ولي الأمر');
+        } else {
+            req.flash('error_msg', response.data.message || 'فشل إلغاء الربط');
         }
-
-        // Remove parent from specialist's linkedParents
-        await User.findByIdAndUpdate(specialistId, {
-            $pull: { linkedParents: parentId }
-        });
-
-        // Remove specialist from parent's linkedSpecialist
-        await User.findByIdAndUpdate(parentId, {
-            linkedSpecialist: null
-        });
-
-        req.flash('success_msg', 'تم إلغاء ربط ولي الأمر');
-        res.redirect(`/admin/specialists/${specialistId}`);
+        res.redirect(`/admin/specialists/${req.params.id}`);
     } catch (error) {
-        console.error(error);
+        console.error('Unlink Parent Error:', error.message);
         req.flash('error_msg', 'حدث خطأ');
         res.redirect('/admin/specialists');
     }
 });
 
 // Link specific child to specialist
-router.post('/specialists/:id/link-child', async (req, res) => {
+router.post('/specialists/:id/link-child', ensurePermission('specialists:manage'), async (req, res) => {
     try {
         const { childId, parentId } = req.body;
         const response = await apiClient.authPost(req, `/admin/specialists/${req.params.id}/link-child`, { childId, parentId });
@@ -349,7 +430,7 @@ router.post('/specialists/:id/link-child', async (req, res) => {
 });
 
 // Unlink child from specialist
-router.post('/specialists/:id/unlink-child/:childId', async (req, res) => {
+router.post('/specialists/:id/unlink-child/:childId', ensurePermission('specialists:manage'), async (req, res) => {
     try {
         const response = await apiClient.authPost(req, `/admin/specialists/${req.params.id}/unlink-child/${req.params.childId}`);
 
@@ -371,7 +452,7 @@ router.post('/specialists/:id/unlink-child/:childId', async (req, res) => {
 // ========================================
 
 // My parents
-router.get('/parents', async (req, res) => {
+router.get('/parents', ensurePermission('parents:read'), async (req, res) => {
     try {
         const response = await apiClient.authGet(req, '/admin/parents');
         const parents = response.data.success ? response.data.parents : [];
@@ -388,7 +469,7 @@ router.get('/parents', async (req, res) => {
 });
 
 // My children
-router.get('/children', async (req, res) => {
+router.get('/children', ensurePermission('children:read'), async (req, res) => {
     try {
         const response = await apiClient.authGet(req, '/admin/my-children');
         const children = response.data.success ? response.data.children : [];
@@ -2,26 +2,378 @@ const express = require('express');
 const router = express.Router();
 const passport = require('passport');
 const { ensureGuest, redirectByRole } = require('../middleware/auth');
+const apiClient = require('../utils/apiClient');
+const { sendPasswordLink, portalUrl } = require('../utils/mailer');
+const loginThrottle = require('../utils/loginThrottle');
+const { useCenterSso } = require('../config/passport');
+const { portalHeaders } = require('../config/portalKey');
+const { stopImpersonation } = require('../utils/impersonation');
+
+// Centers offering single sign-on, shown as buttons on the login page
+const ssoCenters = async () => {
+    try {
+        const response = await apiClient.get('/auth/sso/centers');
+        return response.data.centers || [];
+    } catch (error) {
+        console.error('SSO Centers Error:', error.message);
+        return [];
+    }
+};
 
 // Login page
-router.get('/login', ensureGuest, (req, res) => {
+router.get('/login', ensureGuest, async (req, res) => {
     res.render('auth/login', {
         title: res.locals.__('loginTitle'),
+        ssoCenters: await ssoCenters(),
         layout: false
     });
 });
 
+// Two-factor challenges are short-lived on the backend too.
+const TWO_FACTOR_TTL_MS = 5 * 60 * 1000;
+
+// Translated reason a login attempt was refused by utils/loginThrottle
+const throttleMessage = (res, { reason, retryAfterMs }) => {
+    if (reason === 'delay') {
+        return res.locals.__('loginSlowDown').replace('{seconds}', Math.ceil(retryAfterMs / 1000));
+    }
+    const minutes = Math.ceil(retryAfterMs / 60000);
+    return res.locals.__(reason === 'ip' ? 'loginIpBlocked' : 'loginLocked').replace('{minutes}', minutes);
+};
+
+// Account lockouts go to the center's activity log (best effort).
+const reportLockout = (email, ip, lockedUntil) => {
+    apiClient.post('/auth/lockouts', { email, ip, lockedUntil }, {
+        headers: portalHeaders()
+    }).catch((error) => console.error('Lockout Report Error:', error.message));
+};
+
+// Count a wrong password or two-factor code against the account and the IP. Returns the message
+// to show when that failure locked one of them, otherwise null.
+const countFailure = (res, email, ip) => {
+    const failure = loginThrottle.recordFailure(email, ip);
+    if (failure.locked === 'account') {
+        console.warn(`🔒 Login locked for ${email} until ${failure.lockedUntil.toISOString()}`);
+        reportLockout(email, ip, failure.lockedUntil);
+    } else if (failure.locked === 'ip') {
+        console.warn(`🔒 Logins from ${ip} blocked until ${failure.lockedUntil.toISOString()}`);
+    }
+    if (!failure.locked) return null;
+    const reason = failure.locked === 'ip' ? 'ip' : 'locked';
+    return throttleMessage(res, { reason, retryAfterMs: failure.lockedUntil - Date.now() });
+};
+
 // Login POST
 router.post('/login', (req, res, next) => {
-    passport.authenticate('local', {
-        successRedirect: '/',
-        failureRedirect: '/auth/login',
-        failureFlash: true
+    const email = String(req.body.email || '').trim().toLowerCase();
+
+    const gate = loginThrottle.check(email, req.ip);
+    if (!gate.allowed) {
+        req.flash('error', throttleMessage(res, gate));
+        return res.redirect('/auth/login');
+    }
+
+    passport.authenticate('local', (err, user, info = {}) => {
+        if (err) {
+            return next(err);
+        }
+
+        if (!user && info.invalidCredentials) {
+            const locked = countFailure(res, email, req.ip);
+            if (locked) {
+                req.flash('error', locked);
+                return res.redirect('/auth/login');
+            }
+        } else if (user) {
+            // With two-factor on, the account only starts over once the code is right (POST /2fa):
+            // a new challenge must not clear the wrong codes counted so far.
+            loginThrottle.recordSuccess(email);
+        }
+
+        // Password OK, second step pending: nothing is stored in the session but the challenge.
+        if (info.twoFactorChallenge) {
+            req.session.twoFactor = {
+                challenge: info.twoFactorChallenge,
+                email: req.body.email,
+                expiresAt: Date.now() + TWO_FACTOR_TTL_MS
+            };
+            return res.redirect('/auth/2fa');
+        }
+
+        if (!user) {
+            req.flash('error', info.message);
+            return res.redirect('/auth/login');
+        }
+
+        req.logIn(user, (loginErr) => (loginErr ? next(loginErr) : res.redirect('/')));
     })(req, res, next);
 });
 
+// Single sign-on through the center's own identity provider (strategy in config/passport.js).
+// Two-factor is left to the provider: a successful SSO login gets a token straight away.
+const ssoCallbackUrl = (req) => `${portalUrl()}/auth/sso/${encodeURIComponent(req.params.centerId)}/callback`;
+
+const centerSso = async (req, res, next) => {
+    try {
+        req.ssoStrategy = await useCenterSso(passport, req.params.centerId, ssoCallbackUrl(req));
+        next();
+    } catch (error) {
+        if (error.response?.status !== 404) {
+            console.error('SSO Setup Error:', error.message);
+        }
+        req.flash('error_msg', res.locals.__('ssoUnavailable'));
+        res.redirect('/auth/login');
+    }
+};
+
+router.get('/sso/:centerId', ensureGuest, centerSso, (req, res, next) => {
+    passport.authenticate(req.ssoStrategy)(req, res, next);
+});
+
+router.get('/sso/:centerId/callback', ensureGuest, centerSso, (req, res, next) => {
+    passport.authenticate(req.ssoStrategy, (err, user, info = {}) => {
+        if (err || !user) {
+            // Provider and protocol errors come as Error objects; only our own refusals carry a message to show.
+            const problem = err || (info instanceof Error ? info : null);
+            if (problem) {
+                console.error('SSO Callback Error:', problem.message);
+            }
+            req.flash('error', (!problem && info.message) || res.locals.__('ssoFailed'));
+            return res.redirect('/auth/login');
+        }
+
+        req.logIn(user, (loginErr) => (loginErr ? next(loginErr) : res.redirect('/')));
+    })(req, res, next);
+});
+
+// Pending two-factor login (set by POST /login), or null once expired
+const pendingTwoFactor = (req) => {
+    const pending = req.session.twoFactor;
+    if (!pending || pending.expiresAt < Date.now()) {
+        delete req.session.twoFactor;
+        return null;
+    }
+    return pending;
+};
+
+// Second login step: authenticator or recovery code
+router.get('/2fa', ensureGuest, (req, res) => {
+    const pending = pendingTwoFactor(req);
+    if (!pending) {
+        return res.redirect('/auth/login');
+    }
+
+    res.render('auth/two-factor', {
+        title: res.locals.__('twoFactorTitle'),
+        email: pending.email,
+        layout: false
+    });
+});
+
+router.post('/2fa', ensureGuest, async (req, res, next) => {
+    const pending = pendingTwoFactor(req);
+    if (!pending) {
+        req.flash('error_msg', res.locals.__('twoFactorExpired'));
+        return res.redirect('/auth/login');
+    }
+
+    // Wrong codes count like wrong passwords (utils/loginThrottle.js)
+    const email = String(pending.email || '').trim().toLowerCase();
+    const gate = loginThrottle.check(email, req.ip);
+    if (!gate.allowed) {
+        if (gate.reason === 'delay') {
+            req.flash('error_msg', throttleMessage(res, gate));
+            return res.redirect('/auth/2fa');
+        }
+        delete req.session.twoFactor;
+        req.flash('error', throttleMessage(res, gate));
+        return res.redirect('/auth/login');
+    }
+
+    try {
+        const response = await apiClient.post('/auth/2fa/verify', {
+            challenge: pending.challenge,
+            code: String(req.body.code || '').trim()
+        });
+
+        const { token, user } = response.data || {};
+        if (!token || !user) {
+            req.flash('error_msg', res.locals.__('twoFactorInvalidCode'));
+            return res.redirect('/auth/2fa');
+        }
+
+        user.token = token;
+        delete req.session.twoFactor;
+        loginThrottle.recordSuccess(email);
+        req.logIn(user, (err) => {
+            if (err) {
+                return next(err);
+            }
+            if (response.data.usedRecoveryCode) {
+                req.flash('error_msg', res.locals.__('twoFactorRecoveryCodeUsed').replace('{count}', response.data.recoveryCodesLeft));
+            }
+            // Straight to the landing page: the extra hop through '/' would swallow the flash.
+            redirectByRole(req, res);
+        });
+    } catch (error) {
+        const status = error.response?.status;
+
+        if (status === 400) {
+            const locked = countFailure(res, email, req.ip);
+            if (locked) {
+                delete req.session.twoFactor;
+                req.flash('error', locked);
+                return res.redirect('/auth/login');
+            }
+            req.flash('error_msg', res.locals.__('twoFactorInvalidCode'));
+            return res.redirect('/auth/2fa');
+        }
+
+        delete req.session.twoFactor;
+        if (status === 401) {
+            req.flash('error_msg', res.locals.__('twoFactorExpired'));
+        } else {
+            console.error('Two-factor Verify Error:', error.message);
+            req.flash('error_msg', 'الخادم غير متاح حالياً. حاول مرة أخرى بعد دقيقة.');
+        }
+        res.redirect('/auth/login');
+    }
+});
+
+// Forgot password
+router.get('/forgot-password', ensureGuest, (req, res) => {
+    res.render('auth/forgot-password', {
+        title: res.locals.__('forgotPasswordTitle'),
+        layout: false
+    });
+});
+
+router.post('/forgot-password', ensureGuest, async (req, res) => {
+    const email = String(req.body.email || '').trim().toLowerCase();
+    if (!email) {
+        return res.redirect('/auth/forgot-password');
+    }
+
+    let reset;
+    try {
+        const response = await apiClient.post('/auth/password-reset', { email }, {
+            headers: portalHeaders()
+        });
+        reset = response.data?.reset;
+    } catch (error) {
+        console.error('Password Reset Request Error:', error.message);
+        req.flash('error_msg', 'الخادم غير متاح حالياً. حاول مرة أخرى بعد دقيقة.');
+        return res.redirect('/auth/forgot-password');
+    }
+
+    if (reset) {
+        try {
+            await sendPasswordLink(req, reset.user, reset);
+        } catch (error) {
+            console.error('Password Reset Email Error:', error.message);
+            req.flash('error_msg', res.locals.__('emailSendFailed'));
+            return res.redirect('/auth/forgot-password');
+        }
+    }
+
+    // Same answer whether or not the account exists.
+    req.flash('success_msg', res.locals.__('resetLinkSent'));
+    res.redirect('/auth/forgot-password');
+});
+
+// Looks up a reset/invitation link; null when it is unknown, used or expired
+const passwordLink = async (token) => {
+    try {
+        const response = await apiClient.get(`/auth/password-reset/${encodeURIComponent(token)}`);
+        return response.data?.success ? response.data : null;
+    } catch (error) {
+        if (error.response?.status === 404) return null;
+        throw error;
+    }
+};
+
+// Set a password from an emailed link (password reset or first-login invitation)
+router.get('/reset-password/:token', ensureGuest, async (req, res) => {
+    try {
+        const link = await passwordLink(req.params.token);
+        if (!link) {
+            req.flash('error_msg', res.locals.__('passwordLinkInvalid'));
+            return res.redirect('/auth/forgot-password');
+        }
+
+        const isInvitation = link.purpose === 'invitation';
+        res.render('auth/reset-password', {
+            title: res.locals.__(isInvitation ? 'invitationTitle' : 'resetPasswordTitle'),
+            token: req.params.token,
+            email: link.user.email,
+            isInvitation,
+            layout: false
+        });
+    } catch (error) {
+        console.error('Password Link Error:', error.message);
+        req.flash('error_msg', 'الخادم غير متاح حالياً. حاول مرة أخرى بعد دقيقة.');
+        res.redirect('/auth/login');
+    }
+});
+
+router.post('/reset-password/:token', ensureGuest, async (req, res) => {
+    const { password, confirmPassword } = req.body;
+    const back = `/auth/reset-password/${encodeURIComponent(req.params.token)}`;
+
+    if (!password || password.length < 6) {
+        req.flash('error_msg', res.locals.__('passwordTooShort'));
+        return res.redirect(back);
+    }
+    if (password !== confirmPassword) {
+        req.flash('error_msg', res.locals.__('passwordsDoNotMatch'));
+        return res.redirect(back);
+    }
+
+    try {
+        await apiClient.post(`/auth/password-reset/${encodeURIComponent(req.params.token)}`, { password });
+        req.flash('success_msg', res.locals.__('passwordSetSuccess'));
+        res.redirect('/auth/login');
+    } catch (error) {
+        const status = error.response?.status;
+        if (status === 404) {
+            req.flash('error_msg', res.locals.__('passwordLinkInvalid'));
+            return res.redirect('/auth/forgot-password');
+        }
+        if (status === 400) {
+            req.flash('error_msg', error.response.data?.message || res.locals.__('passwordTooShort'));
+            return res.redirect(back);
+        }
+        console.error('Password Reset Error:', error.message);
+        req.flash('error_msg', 'الخادم غير متاح حالياً. حاول مرة أخرى بعد دقيقة.');
+        res.redirect(back);
+    }
+});
+
+// End "view as specialist" and return to the admin's own account
+router.post('/impersonation/stop', async (req, res, next) => {
+    try {
+        const ended = await stopImpersonation(req);
+        if (!ended) {
+            return res.redirect('/');
+        }
+        req.flash('success_msg', res.locals.__('impersonationStopped').replace('{name}', ended.specialistName));
+        res.redirect(`/admin/specialists/${ended.specialistId}`);
+    } catch (error) {
+        next(error);
+    }
+});
+
 // Logout
-router.get('/logout', (req, res, next) => {
+router.get('/logout', async (req, res, next) => {
+    // Signing out while viewing as a specialist ends that view first (and logs it).
+    try {
+        await stopImpersonation(req);
+    } catch (error) {
+        return next(error);
+    }
+
+    // Drop cached backend responses for this token before the session goes away.
+    apiClient.clearCache(req);
     req.logout((err) => {
         if (err) {
             return next(err);
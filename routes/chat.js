@@ -1,10 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const apiClient = require('../utils/apiClient');
-const { ensureAuthenticated } = require('../middleware/auth');
+const { ensurePermission } = require('../middleware/auth');
 
 // Get all conversations for current user
-router.get('/conversations', ensureAuthenticated, async (req, res) => {
+router.get('/conversations', ensurePermission('messages:use'), async (req, res) => {
     try {
         // Backend uses /api/messages/*
         const response = await apiClient.authGet(req, '/messages/conversations');
@@ -19,7 +19,7 @@ router.get('/conversations', ensureAuthenticated, async (req, res) => {
 });
 
 // Get conversation with specific user
-router.get('/:userId', ensureAuthenticated, async (req, res) => {
+router.get('/:userId', ensurePermission('messages:use'), async (req, res) => {
     try {
         const response = await apiClient.authGet(req, `/messages/${req.params.userId}`);
         res.json(response.data);
@@ -33,7 +33,7 @@ router.get('/:userId', ensureAuthenticated, async (req, res) => {
 });
 
 // Send message
-router.post('/send', ensureAuthenticated, async (req, res) => {
+router.post('/send', ensurePermission('messages:use'), async (req, res) => {
     try {
         const { receiverId, message } = req.body;
         const response = await apiClient.authPost(req, '/messages', {
@@ -51,7 +51,7 @@ router.post('/send', ensureAuthenticated, async (req, res) => {
 });
 
 // Edit message
-router.put('/:messageId/edit', ensureAuthenticated, async (req, res) => {
+router.put('/:messageId/edit', ensurePermission('messages:use'), async (req, res) => {
     try {
         const response = await apiClient.authPut(req, `/messages/${req.params.messageId}`, {
             content: req.body.message
@@ -67,7 +67,7 @@ router.put('/:messageId/edit', ensureAuthenticated, async (req, res) => {
 });
 
 // Delete message
-router.delete('/:messageId', ensureAuthenticated, async (req, res) => {
+router.delete('/:messageId', ensurePermission('messages:use'), async (req, res) => {
     try {
         const response = await apiClient.authDelete(req, `/messages/${req.params.messageId}`);
         res.json(response.data);
@@ -81,7 +81,7 @@ router.delete('/:messageId', ensureAuthenticated, async (req, res) => {
 });
 
 // Mark messages as seen
-router.put('/:userId/seen', ensureAuthenticated, async (req, res) => {
+router.put('/:userId/seen', ensurePermission('messages:use'), async (req, res) => {
     try {
         // Backend marks messages as read during GET /messages/:userId
         // Use a tiny page size to avoid large payloads.
@@ -100,7 +100,7 @@ router.put('/:userId/seen', ensureAuthenticated, async (req, res) => {
 });
 
 // Get unread count
-router.get('/unread/count', ensureAuthenticated, async (req, res) => {
+router.get('/unread/count', ensurePermission('messages:use'), async (req, res) => {
     try {
         const response = await apiClient.authGet(req, '/messages/unread/count');
         res.json(response.data);
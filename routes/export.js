@@ -2,10 +2,10 @@ const express = require('express');
 const router = express.Router();
 const apiClient = require('../utils/apiClient');
 const { exportToPDF } = require('../utils/pdfExporter');
-const { ensureAdmin } = require('../middleware/auth');
+const { ensurePermission } = require('../middleware/auth');
 
 // Export Specialists
-router.get('/specialists', ensureAdmin, async (req, res) => {
+router.get('/specialists', ensurePermission('specialists:read', 'reports:export'), async (req, res) => {
     try {
         const { format } = req.query;
         // Fetch Data from Backend API
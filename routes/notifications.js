@@ -31,8 +31,10 @@ router.post('/:id/read', ensureAuthenticated, async (req, res) => {
         const response = await apiClient.authPost(req, `/notifications/${req.params.id}/read`);
         res.json(response.data);
     } catch (error) {
-        console.error('Mark Read Error:', error.message);
-        res.status(500).json({ success: false });
+        // Notifications of other users are unknown to the backend (404), not a server error
+        const status = error.response?.status;
+        if (status !== 404) console.error('Mark Read Error:', error.message);
+        res.status(status === 404 ? 404 : 500).json({ success: false });
     }
 });
 
@@ -0,0 +1,147 @@
+const express = require('express');
+const router = express.Router();
+const apiClient = require('../utils/apiClient');
+const { ensureAuthenticated, redirectByRole } = require('../middleware/auth');
+const { fetchCaseload } = require('../utils/caseload');
+
+// Result groups in display order. The backend scopes every group to what the caller may see
+// (caseload, center or everything); a group is only shown when the role has its permission.
+const GROUPS = [
+    {
+        key: 'children',
+        label: 'searchGroupChildren',
+        icon: 'fa-child',
+        permission: 'children:read',
+        item: (child) => ({
+            title: child.name,
+            subtitle: child.parent ? child.parent.name : '',
+            url: `/specialist/child/${child._id}/analytics`
+        })
+    },
+    {
+        key: 'parents',
+        label: 'searchGroupParents',
+        icon: 'fa-user-friends',
+        permission: 'parents:read',
+        // Parents linked to someone else open on their specialist's page (admins)
+        item: (parent, can) => ({
+            title: parent.name,
+            subtitle: parent.email || parent.phone || '',
+            url: !parent.linkedToMe && parent.linkedSpecialist && can('specialists:read')
+                ? `/admin/specialists/${parent.linkedSpecialist}`
+                : `/specialist/parents/${parent._id}`
+        })
+    },
+    {
+        key: 'specialists',
+        label: 'searchGroupSpecialists',
+        icon: 'fa-user-md',
+        permission: 'specialists:read',
+        item: (specialist) => ({
+            title: specialist.name,
+            subtitle: specialist.email || '',
+            url: `/admin/specialists/${specialist._id}`
+        })
+    },
+    {
+        key: 'sessions',
+        label: 'searchGroupSessions',
+        icon: 'fa-calendar-check',
+        permission: 'plans:read',
+        item: (session, can, __) => ({
+            title: session.sessionName,
+            subtitle: [session.child.name, session.active ? '' : __('searchInactiveSession')].filter(Boolean).join(' · '),
+            url: `/specialist/child/${session.child._id}/analytics`
+        })
+    },
+    {
+        key: 'words',
+        label: 'searchGroupWords',
+        icon: 'fa-font',
+        permission: 'plans:read',
+        item: (word, can, __) => {
+            const params = new URLSearchParams({ childId: word.child._id, contentType: word.contentType });
+            if (word.session) params.set('sessionId', word.session);
+            return {
+                title: word.text,
+                subtitle: [__(word.contentType === 'letter' ? 'letterText' : 'wordText'), word.child.name].filter(Boolean).join(' · '),
+                url: `/specialist/words?${params}`
+            };
+        }
+    },
+    {
+        key: 'messages',
+        label: 'searchGroupMessages',
+        icon: 'fa-comments',
+        permission: 'messages:use',
+        item: (message) => ({
+            title: message.content,
+            subtitle: message.with.name,
+            url: `/specialist/chat?target=${message.with._id}`
+        })
+    }
+];
+
+// [{ key, label, icon, items: [{ title, subtitle, url }] }] for the groups with matches
+const groupResults = (results, { can, __ }) => GROUPS
+    .filter(group => can(group.permission))
+    .map(group => ({
+        key: group.key,
+        label: __(group.label),
+        icon: group.icon,
+        items: (results[group.key] || []).map(entry => group.item(entry, can, __))
+    }))
+    .filter(group => group.items.length > 0);
+
+// Backends without GET /api/search (404): the caseload's children whose name matches, the one
+// group the portal can search on its own
+const searchCaseload = async (req, q, limit) => {
+    const needle = q.toLocaleLowerCase();
+    const children = (await fetchCaseload(req))
+        .filter(child => String(child.name || '').toLocaleLowerCase().includes(needle))
+        .slice(0, limit);
+    return { children };
+};
+
+const fetchResults = async (req, q, limit) => {
+    try {
+        const response = await apiClient.authGet(req, '/search', { params: { q, limit } });
+        return response.data.success ? response.data.results || {} : null;
+    } catch (error) {
+        if (error.response?.status !== 404) throw error;
+        return searchCaseload(req, q, limit);
+    }
+};
+
+const wantsJson = (req) => req.xhr || (req.get('Accept') || '').includes('application/json');
+
+// GET /search?q= : results page, or JSON for the header's live results
+router.get('/', ensureAuthenticated, async (req, res) => {
+    const q = String(req.query.q || '').trim().slice(0, 100);
+    const json = wantsJson(req);
+
+    let groups = [];
+    if (q) {
+        try {
+            const results = await fetchResults(req, q, json ? 5 : 20);
+            groups = results ? groupResults(results, res.locals) : [];
+        } catch (error) {
+            console.error('Search Error:', error.message);
+            if (json) return res.status(502).json({ success: false, message: res.locals.__('searchFailed') });
+            req.flash('error_msg', res.locals.__('searchFailed'));
+            return redirectByRole(req, res);
+        }
+    }
+
+    if (json) {
+        return res.json({ success: true, query: q, groups });
+    }
+
+    res.render('search', {
+        title: q ? `${res.locals.__('searchResultsFor')} "${q}"` : res.locals.__('search'),
+        searchQuery: q,
+        groups
+    });
+});
+
+module.exports = router;
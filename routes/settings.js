@@ -1,10 +1,69 @@
 const express = require('express');
 const router = express.Router();
+const multer = require('multer');
+const FormData = require('form-data');
 const apiClient = require('../utils/apiClient');
-const { ensureAdmin } = require('../middleware/auth');
+const { ensurePermission } = require('../middleware/auth');
+const { PERMISSIONS, PLATFORM_PERMISSIONS, CONFIGURABLE_ROLES, LOCKED } = require('../config/permissions');
+const { normalizeRoleMap, permissionsForRole, fetchCenterRoles } = require('../utils/permissions');
+const portalSettings = require('../utils/portalSettings');
+const { isThemeColor } = require('../utils/branding');
+const { parseCriteria } = require('../utils/mastery');
+const { csrfAfterUpload } = require('../utils/csrf');
+
+const { centerIdOf } = portalSettings;
+
+// Value for a datetime-local input (the portal's time zone) from an ISO date
+const localInputValue = (iso) => {
+    const date = iso ? new Date(iso) : null;
+    if (!date || Number.isNaN(date.getTime())) return '';
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+// Logo and favicon uploads (memory storage, relayed to the backend). No SVG: it can carry scripts.
+const BRANDING_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/x-icon', 'image/vnd.microsoft.icon'];
+const brandingUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 2 * 1024 * 1024 }, // 2MB
+    fileFilter: (req, file, cb) => {
+        if (BRANDING_TYPES.includes(file.mimetype)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Unsupported branding image'));
+        }
+    }
+}).fields([{ name: 'logo', maxCount: 1 }, { name: 'favicon', maxCount: 1 }]);
+
+const receiveBranding = (req, res, next) => {
+    brandingUpload(req, res, (err) => {
+        if (err) {
+            req.flash('error_msg', res.locals.__('brandFileInvalid'));
+            return res.redirect('/settings');
+        }
+        next();
+    });
+};
+
+// Send new or removed logo/favicon to the backend (nothing to do when neither changed)
+const saveBrandingFiles = async (req, { removeLogo, removeFavicon }) => {
+    const files = req.files || {};
+    if (!files.logo && !files.favicon && !removeLogo && !removeFavicon) return;
+
+    const form = new FormData();
+    for (const name of ['logo', 'favicon']) {
+        if (files[name]) form.append(name, files[name][0].buffer, files[name][0].originalname);
+    }
+    if (removeLogo) form.append('removeLogo', 'true');
+    if (removeFavicon) form.append('removeFavicon', 'true');
+
+    const authConfig = apiClient.withAuth(req);
+    const headers = { ...authConfig.headers, ...form.getHeaders() };
+    await apiClient.post('/admin/settings/branding', form, { headers });
+};
 
 // Get Settings Page
-router.get('/', ensureAdmin, async (req, res) => {
+router.get('/', ensurePermission('settings:manage'), async (req, res) => {
     try {
         const response = await apiClient.authGet(req, '/admin/settings');
         const settings = response.data.success ? response.data.settings : {};
@@ -14,13 +73,39 @@ router.get('/', ensureAdmin, async (req, res) => {
             appName: 'Portal',
             appEmail: 'admin@portal.com',
             maintenanceMode: false,
+            maintenanceEnd: null,
+            maintenanceMessage: '',
             maxUploadSize: 5,
             themeColor: '#3b82f6'
         };
 
+        // Roles & permissions matrix and mastery rule (per center; superadmins have no center to configure)
+        let roles = null;
+        let mastery = null;
+        if (centerIdOf(req.user)) {
+            const overrides = await fetchCenterRoles(req);
+            roles = CONFIGURABLE_ROLES.map(role => ({
+                role,
+                permissions: permissionsForRole(role, overrides),
+                locked: LOCKED[role] || []
+            }));
+
+            try {
+                const masteryResp = await apiClient.authGet(req, `/centers/${centerIdOf(req.user)}/mastery`);
+                mastery = parseCriteria(masteryResp.data?.criteria || {}).criteria;
+            } catch (error) {
+                console.error('Mastery Rule Fetch Error:', error.message);
+                mastery = parseCriteria({}).criteria;
+            }
+        }
+
         res.render('admin/settings', {
             title: 'Settings',
             settings: { ...defaults, ...settings },
+            maintenanceEndValue: localInputValue(settings.maintenanceEnd),
+            roles,
+            mastery,
+            permissionLabels: Object.entries(PERMISSIONS).filter(([key]) => !PLATFORM_PERMISSIONS.includes(key)),
             activePage: 'settings'
         });
     } catch (error) {
@@ -31,17 +116,40 @@ router.get('/', ensureAdmin, async (req, res) => {
 });
 
 // Update Settings
-router.post('/', ensureAdmin, async (req, res) => {
+router.post('/', ensurePermission('settings:manage'), receiveBranding, csrfAfterUpload, async (req, res) => {
     try {
-        const updates = req.body;
+        const { removeLogo, removeFavicon, ...updates } = req.body;
+
+        // The color ends up in a <style> block: only plain #rrggbb values
+        if (!isThemeColor(updates.themeColor)) delete updates.themeColor;
 
         // Handle checkbox (maintenanceMode)
         if (!updates.maintenanceMode) updates.maintenanceMode = false;
         else updates.maintenanceMode = true;
 
+        // Optional scheduled end (datetime-local, the portal's time zone) and message for the maintenance page
+        const end = updates.maintenanceEnd ? new Date(updates.maintenanceEnd) : null;
+        if (end && Number.isNaN(end.getTime())) {
+            req.flash('error_msg', res.locals.__('maintenanceEndInvalid'));
+            return res.redirect('/settings');
+        }
+        updates.maintenanceEnd = end ? end.toISOString() : null;
+        updates.maintenanceMessage = String(updates.maintenanceMessage || '').trim();
+
+        // Mandatory two-factor is a center setting (superadmins set it per center)
+        if (centerIdOf(req.user)) updates.requireTwoFactor = Boolean(updates.requireTwoFactor);
+        else delete updates.requireTwoFactor;
+
         const response = await apiClient.authPost(req, '/admin/settings', updates);
 
         if (response.data.success) {
+            try {
+                await saveBrandingFiles(req, { removeLogo, removeFavicon });
+            } catch (error) {
+                console.error('Branding Upload Error:', error.message);
+                req.flash('error_msg', res.locals.__('brandUploadFailed'));
+            }
+            await portalSettings.reload();
             req.flash('success_msg', 'Settings updated successfully');
         } else {
             req.flash('error_msg', response.data.message || 'Error updating settings');
@@ -54,5 +162,59 @@ router.post('/', ensureAdmin, async (req, res) => {
     }
 });
 
+// Update the center's role -> permissions map
+router.post('/roles', ensurePermission('settings:manage'), async (req, res) => {
+    const centerId = centerIdOf(req.user);
+    if (!centerId) {
+        req.flash('error_msg', 'Role permissions are configured per center');
+        return res.redirect('/settings');
+    }
+
+    try {
+        // Unchecked roles are missing from the body: they keep no permissions.
+        const submitted = req.body.roles || {};
+        const roles = normalizeRoleMap(Object.fromEntries(
+            CONFIGURABLE_ROLES.map(role => [role, [].concat(submitted[role] || [])])
+        ));
+
+        const response = await apiClient.authPut(req, `/centers/${centerId}/roles`, { roles });
+
+        if (response.data.success) {
+            req.flash('success_msg', 'Role permissions updated successfully');
+        } else {
+            req.flash('error_msg', response.data.message || 'Error updating role permissions');
+        }
+        res.redirect('/settings');
+    } catch (error) {
+        console.error('Role Permissions Update Error:', error.message);
+        req.flash('error_msg', 'Error updating role permissions');
+        res.redirect('/settings');
+    }
+});
+
+// Update the center's mastery rule for letters and words (specialists may replace it for their own children)
+router.post('/mastery', ensurePermission('settings:manage'), async (req, res) => {
+    const centerId = centerIdOf(req.user);
+    if (!centerId) {
+        req.flash('error_msg', res.locals.__('masteryRuleNoCenter'));
+        return res.redirect('/settings');
+    }
+
+    const { criteria, errors } = parseCriteria(req.body);
+    if (errors.length) {
+        req.flash('error_msg', res.locals.__('masteryRuleInvalid'));
+        return res.redirect('/settings');
+    }
+
+    try {
+        await apiClient.authPut(req, `/centers/${centerId}/mastery`, { criteria });
+        req.flash('success_msg', res.locals.__('masteryRuleSaved'));
+    } catch (error) {
+        console.error('Mastery Rule Update Error:', error.message);
+        req.flash('error_msg', res.locals.__('errorOccurred'));
+    }
+    res.redirect('/settings');
+});
+
 module.exports = router;
 
@@ -3,18 +3,29 @@ const router = express.Router();
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
-const { ensureSpecialist } = require('../middleware/auth');
+const { pipeline } = require('stream');
+const { ensureAuthenticated, ensurePermission } = require('../middleware/auth');
 const apiClient = require('../utils/apiClient');
 const FormData = require('form-data');
 const ejs = require('ejs');
 const puppeteer = require('puppeteer');
+const QRCode = require('qrcode');
+const { listSessions, revokeSessions } = require('../utils/sessions');
+const { csrfAfterUpload } = require('../utils/csrf');
+const { parseCriteria, fetchMasteryCriteria, computeMastery, summarizeMastery } = require('../utils/mastery');
+const { suggestPlanSession } = require('../utils/planSuggestion');
+const { planFromInput, settingsFromInput, runBulkPlan } = require('../utils/bulkPlan');
+const playSchedule = require('../utils/playSchedule');
+const { fetchCaseload } = require('../utils/caseload');
+const { fetchSessionsLog } = require('../utils/sessionsLog');
+const { targetsFromInput } = require('../utils/planInput');
 
-// Apply specialist middleware to all routes
-router.use(ensureSpecialist);
+// Each route is guarded by the permission it needs (config/permissions.js); the
+// profile pages only require a session.
 
 
 // Dashboard
-router.get('/', async (req, res) => {
+router.get('/', ensurePermission('children:read'), async (req, res) => {
     try {
         // Fetch dashboard stats from API (New endpoint added to backend)
         const response = await apiClient.authGet(req, '/specialist/dashboard');
@@ -45,7 +56,7 @@ router.get('/', async (req, res) => {
 });
 
 // Chat Page
-router.get('/chat', async (req, res) => {
+router.get('/chat', ensurePermission('messages:use'), async (req, res) => {
     try {
         res.render('specialist/chat', {
             title: 'الدردشة',
@@ -63,7 +74,7 @@ router.get('/chat', async (req, res) => {
 // ========================================
 
 // List ALL KEY parents (User requested "All parents")
-router.get('/parents', async (req, res) => {
+router.get('/parents', ensurePermission('parents:read'), async (req, res) => {
     try {
         // CORRECTED PATH: /specialists/parents (plural) in backend/routes/specialist.js
         const response = await apiClient.authGet(req, '/specialists/parents');
@@ -89,7 +100,7 @@ router.get('/parents', async (req, res) => {
 
 // API endpoint to fetch parents as JSON (Used by children.ejs modal)
 // Proxies to backend
-router.get('/api/parents', async (req, res) => {
+router.get('/api/parents', ensurePermission('parents:read'), async (req, res) => {
     try {
         const response = await apiClient.authGet(req, '/specialists/parents');
 
@@ -108,7 +119,7 @@ router.get('/api/parents', async (req, res) => {
 
 // API endpoint to create child (Used by children.ejs modal)
 // Proxies to backend
-router.post('/api/create-child', async (req, res) => {
+router.post('/api/create-child', ensurePermission('children:write'), async (req, res) => {
     try {
         // CORRECTED PATH: /specialists/create-child
         const response = await apiClient.authPost(req, '/specialists/create-child', req.body);
@@ -125,7 +136,7 @@ router.post('/api/create-child', async (req, res) => {
 
 
 // View parent details with their children
-router.get('/parents/:id', async (req, res) => {
+router.get('/parents/:id', ensurePermission('parents:read'), async (req, res) => {
     try {
         // We don't have a direct "get parent details" in specialist.js EXCEPT via getting linked parents list
         // However, we can use /specialists/search-parent?email=... if we had email.
@@ -164,7 +175,7 @@ router.get('/parents/:id', async (req, res) => {
 });
 
 // Unlink parent
-router.post('/parents/:id/unlink', async (req, res) => {
+router.post('/parents/:id/unlink', ensurePermission('parents:manage'), async (req, res) => {
     try {
         // CORRECTED PATH: /specialists/unlink-parent/:parentId
         const response = await apiClient.authDelete(req, `/specialists/unlink-parent/${req.params.id}`);
@@ -187,7 +198,7 @@ router.post('/parents/:id/unlink', async (req, res) => {
 // ========================================
 
 // List my children
-router.get('/children', async (req, res) => {
+router.get('/children', ensurePermission('children:read'), async (req, res) => {
     try {
         // CORRECTED PATH: /specialists/my-children
         const response = await apiClient.authGet(req, '/specialists/my-children');
@@ -195,7 +206,8 @@ router.get('/children', async (req, res) => {
 
         res.render('specialist/children', {
             title: res.locals.__('myChildren'),
-            children
+            children,
+            scheduleEditor: playSchedule.editorFor(null)
         });
     } catch (error) {
         console.error('List Children Error:', error.message);
@@ -204,8 +216,45 @@ router.get('/children', async (req, res) => {
     }
 });
 
+// Bulk plan assignment from the children list (JSON, used by the bulk actions bar)
+// { ids, dryRun, sessionName, targetDuration, lettersText, wordsText, applySettings, ...play settings fields }
+router.post('/children/bulk-plan', ensurePermission('plans:write'), async (req, res) => {
+    const ids = [].concat(req.body.ids || []).filter(Boolean);
+    if (ids.length === 0) {
+        return res.status(400).json({ success: false, message: res.locals.__('bulkPlanNoChildren') });
+    }
+
+    const plan = planFromInput(req.body);
+    const { settings, errors } = settingsFromInput(req.body);
+    if (errors.length) {
+        return res.status(400).json({ success: false, message: playSchedule.errorMessage(res.locals.__, errors) });
+    }
+    if (!plan && !settings) {
+        return res.status(400).json({ success: false, message: res.locals.__('bulkPlanNothing') });
+    }
+    // Play settings are saved with children:write, as on the analytics page
+    if (settings && !res.locals.can('children:write')) {
+        return res.status(403).json({ success: false, message: res.locals.__('bulkPlanSettingsDenied') });
+    }
+
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+    try {
+        const results = await runBulkPlan(req, { ids, plan, settings, dryRun });
+        const count = (status) => results.filter(r => r.status === status).length;
+        res.json({
+            success: true,
+            dryRun,
+            results,
+            summary: { done: count('done'), failed: count('failed'), notFound: count('notFound'), withActivePlan: results.filter(r => r.activePlan).length }
+        });
+    } catch (error) {
+        console.error('Bulk Plan Error:', error.message);
+        res.status(500).json({ success: false, message: res.locals.__('errorOccurred') });
+    }
+});
+
 // View child details and progress - REDIRECT TO ANALYTICS (Unified View)
-router.get('/children/:id', async (req, res) => {
+router.get('/children/:id', ensurePermission('children:read'), async (req, res) => {
     res.redirect(`/specialist/child/${req.params.id}/analytics`);
 });
 
@@ -215,7 +264,7 @@ router.get('/children/:id', async (req, res) => {
 // ========================================
 
 // List link requests
-router.get('/requests', async (req, res) => {
+router.get('/requests', ensurePermission('parents:manage'), async (req, res) => {
     try {
         // CORRECTED PATH: /specialists/link-requests
         const response = await apiClient.authGet(req, '/specialists/link-requests');
@@ -242,7 +291,7 @@ router.get('/requests', async (req, res) => {
 });
 
 // Accept request
-router.post('/requests/:id/accept', async (req, res) => {
+router.post('/requests/:id/accept', ensurePermission('parents:manage'), async (req, res) => {
     try {
         // CORRECTED PATH: /specialists/accept-link-request/:requestId
         const response = await apiClient.authPost(req, `/specialists/accept-link-request/${req.params.id}`);
@@ -261,7 +310,7 @@ router.post('/requests/:id/accept', async (req, res) => {
 });
 
 // Reject request
-router.post('/requests/:id/reject', async (req, res) => {
+router.post('/requests/:id/reject', ensurePermission('parents:manage'), async (req, res) => {
     try {
         // CORRECTED PATH: /specialists/reject-link-request/:requestId
         const response = await apiClient.authPost(req, `/specialists/reject-link-request/${req.params.id}`);
@@ -286,7 +335,7 @@ router.post('/requests/:id/reject', async (req, res) => {
 
 // Account management page
 // Account management page
-router.get('/account', async (req, res) => {
+router.get('/account', ensurePermission('parents:manage'), async (req, res) => {
     try {
         // Fetch both Linked Parents and Available (Unlinked) Parents
         const [linkedResponse, availableResponse] = await Promise.all([
@@ -311,7 +360,7 @@ router.get('/account', async (req, res) => {
 });
 
 // Search for parents
-router.get('/account/search', async (req, res) => {
+router.get('/account/search', ensurePermission('parents:manage'), async (req, res) => {
     try {
         const { query } = req.query;
 
@@ -334,7 +383,9 @@ router.get('/account/search', async (req, res) => {
 
         res.render('specialist/account', {
             title: res.locals.__('accountManagement'),
+            allParents: searchResults,
             linkedParents: linkedParents,
+            currentSpecialistId: req.user.id,
             searchQuery: query || '',
             searchResults: searchResults
         });
@@ -346,7 +397,7 @@ router.get('/account/search', async (req, res) => {
 });
 
 // Link a parent
-router.post('/account/link/:parentId', async (req, res) => {
+router.post('/account/link/:parentId', ensurePermission('parents:manage'), async (req, res) => {
     try {
         const { parentId } = req.params;
 
@@ -388,7 +439,7 @@ const upload = multer({
 });
 
 // View Profile
-router.get('/profile', async (req, res) => {
+router.get('/profile', ensureAuthenticated, async (req, res) => {
     try {
         const [meResponse, dashboardResponse] = await Promise.all([
             apiClient.authGet(req, '/auth/me'),
@@ -404,10 +455,19 @@ router.get('/profile', async (req, res) => {
             sessions: dashboardStats && typeof dashboardStats.sessions === 'number' ? dashboardStats.sessions : 0
         };
 
+        // Devices & sessions tab (read through the session index, see utils/sessions.js)
+        let sessions = [];
+        try {
+            sessions = await listSessions(req);
+        } catch (error) {
+            console.warn('Sessions list failed (ignored):', error.message);
+        }
+
         res.render('specialist/profile', {
             title: res.locals.__('profile'),
             user,
-            stats
+            stats,
+            sessions
         });
     } catch (error) {
         console.error('Profile View Error:', error.message);
@@ -417,7 +477,7 @@ router.get('/profile', async (req, res) => {
 });
 
 // Update Profile
-router.post('/profile/update', async (req, res) => {
+router.post('/profile/update', ensureAuthenticated, async (req, res) => {
     try {
         // CORRECTED PATH: /auth/profile (PUT)
         const response = await apiClient.authPut(req, '/auth/profile', req.body);
@@ -436,7 +496,7 @@ router.post('/profile/update', async (req, res) => {
 });
 
 // Upload Profile Photo (Relay to Backend)
-router.post('/profile/upload-photo', upload.single('photo'), async (req, res) => {
+router.post('/profile/upload-photo', ensureAuthenticated, upload.single('photo'), csrfAfterUpload, async (req, res) => {
     try {
         if (!req.file) {
             req.flash('error_msg', 'الرجاء اختيار صورة');
@@ -474,7 +534,7 @@ router.post('/profile/upload-photo', upload.single('photo'), async (req, res) =>
 });
 
 // Change Password
-router.post('/profile/change-password', async (req, res) => {
+router.post('/profile/change-password', ensureAuthenticated, async (req, res) => {
     try {
         // CORRECTED PATH: /auth/change-password (PUT)
         const response = await apiClient.authPut(req, '/auth/change-password', req.body);
@@ -492,30 +552,152 @@ router.post('/profile/change-password', async (req, res) => {
     }
 });
 
+// ===== DEVICES & SESSIONS =====
+// Listed on the profile (Devices & sessions tab); this used to be a page of its own.
+
+router.get('/profile/sessions', ensureAuthenticated, (req, res) => {
+    res.redirect('/specialist/profile#devices');
+});
+
+// Sign out one of the user's other sessions
+router.post('/profile/sessions/:id/revoke', ensureAuthenticated, async (req, res) => {
+    try {
+        const count = await revokeSessions(req, req.user._id, [req.params.id]);
+        req.flash(count ? 'success_msg' : 'error_msg', res.locals.__(count ? 'sessionRevoked' : 'sessionNotFound'));
+    } catch (error) {
+        console.error('Revoke Session Error:', error.message);
+        req.flash('error_msg', res.locals.__('errorOccurred'));
+    }
+    res.redirect('/specialist/profile#devices');
+});
+
+// Sign out everywhere but here
+router.post('/profile/sessions/revoke-others', ensureAuthenticated, async (req, res) => {
+    try {
+        const count = await revokeSessions(req, req.user._id);
+        req.flash('success_msg', res.locals.__('sessionsRevoked').replace('{count}', count));
+    } catch (error) {
+        console.error('Revoke Sessions Error:', error.message);
+        req.flash('error_msg', res.locals.__('errorOccurred'));
+    }
+    res.redirect('/specialist/profile#devices');
+});
+
+// ===== TWO-FACTOR AUTHENTICATION (TOTP) =====
+// The backend keeps the secret and recovery codes; a secret being set up stays in the session
+// until the first code confirms it.
+
+const renderTwoFactor = async (req, res, extra = {}) => {
+    const response = await apiClient.authGet(req, '/auth/2fa');
+    const twoFactor = response.data && response.data.success ? response.data.twoFactor : { enabled: false };
+
+    const setup = !twoFactor.enabled ? req.session.twoFactorSetup : null;
+    const qrCode = setup ? await QRCode.toDataURL(setup.otpauthUrl, { margin: 1, width: 220 }) : null;
+
+    res.render('specialist/two-factor', {
+        title: res.locals.__('twoFactorTitle'),
+        twoFactor,
+        setup,
+        qrCode,
+        recoveryCodes: null,
+        activePage: 'profile',
+        ...extra
+    });
+};
+
+router.get('/profile/two-factor', ensureAuthenticated, async (req, res) => {
+    try {
+        await renderTwoFactor(req, res);
+    } catch (error) {
+        console.error('Two-factor View Error:', error.message);
+        req.flash('error_msg', res.locals.__('errorOccurred'));
+        res.redirect('/specialist/profile');
+    }
+});
+
+// Start setup: new secret + QR code
+router.post('/profile/two-factor/setup', ensureAuthenticated, async (req, res) => {
+    try {
+        const response = await apiClient.authPost(req, '/auth/2fa/setup');
+        const { secret, otpauthUrl } = response.data || {};
+        req.session.twoFactorSetup = { secret, otpauthUrl };
+    } catch (error) {
+        console.error('Two-factor Setup Error:', error.message);
+        req.flash('error_msg', error.response?.data?.message || res.locals.__('errorOccurred'));
+    }
+    res.redirect('/specialist/profile/two-factor');
+});
+
+// Confirm setup with the first code; recovery codes are shown once
+router.post('/profile/two-factor/enable', ensureAuthenticated, async (req, res) => {
+    try {
+        const response = await apiClient.authPost(req, '/auth/2fa/enable', { code: String(req.body.code || '').trim() });
+        delete req.session.twoFactorSetup;
+        req.user.twoFactorEnabled = true;
+        req.user.twoFactorSetupRequired = false;
+        res.locals.success_msg = [res.locals.__('twoFactorEnabled')];
+        await renderTwoFactor(req, res, { recoveryCodes: response.data.recoveryCodes || [] });
+    } catch (error) {
+        const invalid = error.response?.status === 400;
+        if (!invalid) console.error('Two-factor Enable Error:', error.message);
+        req.flash('error_msg', invalid ? res.locals.__('twoFactorInvalidCode') : res.locals.__('errorOccurred'));
+        res.redirect('/specialist/profile/two-factor');
+    }
+});
+
+// Replace the recovery codes (requires a current code)
+router.post('/profile/two-factor/recovery-codes', ensureAuthenticated, async (req, res) => {
+    try {
+        const response = await apiClient.authPost(req, '/auth/2fa/recovery-codes', { code: String(req.body.code || '').trim() });
+        res.locals.success_msg = [res.locals.__('twoFactorCodesRegenerated')];
+        await renderTwoFactor(req, res, { recoveryCodes: response.data.recoveryCodes || [] });
+    } catch (error) {
+        const invalid = error.response?.status === 400;
+        if (!invalid) console.error('Two-factor Recovery Codes Error:', error.message);
+        req.flash('error_msg', invalid ? res.locals.__('twoFactorInvalidCode') : res.locals.__('errorOccurred'));
+        res.redirect('/specialist/profile/two-factor');
+    }
+});
+
+// Turn 2FA off (not allowed when the center requires it)
+router.post('/profile/two-factor/disable', ensureAuthenticated, async (req, res) => {
+    try {
+        await apiClient.authPost(req, '/auth/2fa/disable', { password: req.body.password });
+        req.flash('success_msg', res.locals.__('twoFactorDisabled'));
+    } catch (error) {
+        const message = error.response?.status === 400 ? error.response.data?.message : null;
+        if (!message) console.error('Two-factor Disable Error:', error.message);
+        req.flash('error_msg', message || res.locals.__('errorOccurred'));
+    }
+    res.redirect('/specialist/profile/two-factor');
+});
+
 
 // ===== CHILD ANALYTICS ROUTES =====
 
 function _normalizeSessionsForCharts(progressSessions) {
     const sessions = Array.isArray(progressSessions) ? progressSessions : [];
     // Keep only the fields the portal charts expect.
-    return sessions.slice(-30).map((s) => {
-        const totalAttempts = Number(s.totalAttempts ?? s.total_attempts ?? 0) || 0;
-        const successfulAttempts = Number(s.successfulAttempts ?? s.successful_attempts ?? 0) || 0;
-        const failedAttempts = Number(s.failedAttempts ?? s.failed_attempts ?? 0) || Math.max(0, totalAttempts - successfulAttempts);
-        const averageScore = Number(s.averageScore ?? s.average_score ?? 0) || 0;
-        const duration = Number(s.duration ?? 0) || 0;
-        const sessionDate = s.sessionDate ?? s.session_date;
+    return sessions.slice(-30).map(_summarizeSession);
+}
 
-        return {
-            sessionDate,
-            duration,
-            totalAttempts,
-            successfulAttempts,
-            failedAttempts,
-            averageScore,
-            successRate: totalAttempts > 0 ? (successfulAttempts / totalAttempts) * 100 : 0,
-        };
-    });
+function _summarizeSession(s) {
+    const totalAttempts = Number(s.totalAttempts ?? s.total_attempts ?? 0) || 0;
+    const successfulAttempts = Number(s.successfulAttempts ?? s.successful_attempts ?? 0) || 0;
+    const failedAttempts = Number(s.failedAttempts ?? s.failed_attempts ?? 0) || Math.max(0, totalAttempts - successfulAttempts);
+    const averageScore = Number(s.averageScore ?? s.average_score ?? 0) || 0;
+    const duration = Number(s.duration ?? 0) || 0;
+    const sessionDate = s.sessionDate ?? s.session_date;
+
+    return {
+        sessionDate,
+        duration,
+        totalAttempts,
+        successfulAttempts,
+        failedAttempts,
+        averageScore,
+        successRate: totalAttempts > 0 ? (successfulAttempts / totalAttempts) * 100 : 0,
+    };
 }
 
 function _flattenAttemptsFromProgress(progressSessions, limit = 50) {
@@ -527,6 +709,7 @@ function _flattenAttemptsFromProgress(progressSessions, limit = 50) {
         for (const a of sessionAttempts) {
             const target = a.word || a.letter || a.vowel || '';
             attempts.push({
+                _id: a._id,
                 sessionDate,
                 timestamp: a.timestamp,
                 target,
@@ -542,6 +725,8 @@ function _flattenAttemptsFromProgress(progressSessions, limit = 50) {
                 recognizedText: a.recognizedText,
                 referenceText: a.referenceText,
                 analysisSource: a.analysisSource,
+                hasAudio: Boolean(a.audio),
+                review: a.review || null,
             });
         }
     }
@@ -565,6 +750,7 @@ function _flattenAllAttemptsFromProgress(progressSessions, limit = 5000) {
         for (const a of sessionAttempts) {
             const target = a.word || a.letter || a.vowel || '';
             attempts.push({
+                _id: a._id,
                 sessionDate,
                 timestamp: a.timestamp,
                 target,
@@ -580,6 +766,8 @@ function _flattenAllAttemptsFromProgress(progressSessions, limit = 5000) {
                 recognizedText: a.recognizedText,
                 referenceText: a.referenceText,
                 analysisSource: a.analysisSource,
+                hasAudio: Boolean(a.audio),
+                review: a.review || null,
             });
         }
     }
@@ -594,8 +782,81 @@ function _flattenAllAttemptsFromProgress(progressSessions, limit = 5000) {
     return attempts.slice(0, safeLimit);
 }
 
+// The zone the parent sees times in (the server's when the backend does not know it)
+function _parentTimeZone(child) {
+    const zone = child?.parent?.timezone;
+    return playSchedule.isValidTimeZone(zone) ? zone : playSchedule.serverTimeZone();
+}
+
+// The week in the parent's zone for the view and the JSON endpoint: { shift, days: [{ day, label, allowed, allDay, windows }] }
+function _schedulePreview(res, schedule, parentZone) {
+    const week = playSchedule.previewWeek(schedule, schedule.timezone || parentZone, parentZone);
+    return { ...week, days: week.days.map(d => ({ ...d, label: res.locals.__(playSchedule.DAY_KEYS[d.day]) })) };
+}
+
+// Which of these letters/words the child has mastered, by the rule that applies to them (utils/mastery.js).
+// A child without recorded progress has mastered nothing.
+async function _masteredTargets(req, childId, letters, words) {
+    let sessions = [];
+    try {
+        const progressResponse = await apiClient.authGet(req, `/progress/child/${childId}`);
+        sessions = progressResponse.data?.progress?.sessions || [];
+    } catch (error) {
+        if (error.response?.status !== 404) throw error;
+    }
+    const { criteria } = await fetchMasteryCriteria(req, childId);
+    const attempts = _flattenAllAttemptsFromProgress(sessions, 5000);
+    return [
+        ...computeMastery(attempts, letters, 'letter', criteria),
+        ...computeMastery(attempts, words, 'word', criteria)
+    ].filter(row => row.status === 'mastered').map(row => row.target);
+}
+
+// POST /exercises/:id/copy, or the same copy through POST /exercises on backends without that endpoint.
+// The endpoint also answers 404 for a child out of reach, so the fallback only copies to the plan's own
+// child or one of the caseload. It can't bring along the words added to the session with their images,
+// so `itemsSkipped` is set when they were asked for.
+async function _copyPlanSession(req, plan, { childId, includeItems, keepSchedule, excludeTargets }) {
+    try {
+        const response = await apiClient.authPost(req, `/exercises/${plan._id}/copy`, { childId, includeItems, keepSchedule, excludeTargets });
+        return response.data;
+    } catch (error) {
+        if (error.response?.status !== 404) throw error;
+        const reachable = String(childId) === String(plan.child)
+            || (await fetchCaseload(req)).some(c => String(c._id) === String(childId));
+        if (!reachable) throw error;
+    }
+
+    const excluded = new Set(excludeTargets);
+    const letters = (plan.letters || []).filter(l => !excluded.has(l.letter)).map(l => ({ letter: l.letter }));
+    const words = (plan.words || []).filter(w => !excluded.has(w.word)).map(w => ({ word: w.word }));
+    // Default names ("Session 3") follow the destination's numbering; custom names are kept
+    const sessionName = /^Session \d+$/.test(plan.sessionName || '') ? undefined : plan.sessionName;
+    const response = await apiClient.authPost(req, '/exercises', {
+        childId,
+        letters,
+        words,
+        ...(typeof plan.targetDuration === 'number' ? { targetDuration: plan.targetDuration } : {}),
+        ...(sessionName ? { sessionName } : {}),
+        playSchedule: keepSchedule && plan.playSchedule ? plan.playSchedule : { enabled: false, allowedDays: [], windows: [] }
+    });
+
+    let child = null;
+    try {
+        child = (await apiClient.authGet(req, `/children/${childId}`)).data?.child || null;
+    } catch (error) {
+        console.warn('Child fetch failed (ignored):', error.message);
+    }
+    return {
+        exercise: response.data.exercise,
+        child: child ? { _id: child._id, name: child.name } : null,
+        dropped: [...(plan.letters || []).map(l => l.letter), ...(plan.words || []).map(w => w.word)].filter(t => excluded.has(t)),
+        itemsSkipped: includeItems
+    };
+}
+
 // Child Analytics Page (The Unified View)
-router.get('/child/:id/analytics', async (req, res) => {
+router.get('/child/:id/analytics', ensurePermission('reports:read'), async (req, res) => {
     try {
         const childId = req.params.id;
 
@@ -653,43 +914,13 @@ router.get('/child/:id/analytics', async (req, res) => {
             attempts = _flattenAttemptsFromProgress(progress.sessions, 200);
         }
 
-        // Build target-based progress for letters/words (only specialist-selected targets).
+        // Mastery of the specialist-selected letters/words, by the center's or specialist's rule (utils/mastery.js).
+        const mastery = await fetchMasteryCriteria(req, childId);
         try {
-            const targetLetters = Array.isArray(child.targetLetters) ? child.targetLetters : [];
-            const targetWords = Array.isArray(child.targetWords) ? child.targetWords : [];
-
             // Use all sessions attempts so target progress is accurate.
             const attemptsForTargets = _flattenAllAttemptsFromProgress(fullProgressSessions, 5000);
-
-            const computeTargetProgress = (targets, kind) => {
-                const rows = [];
-                for (const t of targets) {
-                    const target = String(t || '').trim();
-                    if (!target) continue;
-                    const relevant = attemptsForTargets.filter(a => String(a?.[kind] || '').trim() === target);
-                    const total = relevant.length;
-                    const success = relevant.reduce((sum, a) => sum + (a?.success ? 1 : 0), 0);
-                    const successRate = total > 0 ? (success / total) : 0;
-                    const mastered = total >= 3 && successRate >= 0.8;
-                    rows.push({
-                        [kind]: target,
-                        attempts: total,
-                        successRate,
-                        mastered,
-                    });
-                }
-
-                rows.sort((a, b) => {
-                    const ma = a.mastered ? 1 : 0;
-                    const mb = b.mastered ? 1 : 0;
-                    if (mb !== ma) return mb - ma;
-                    return (b.attempts || 0) - (a.attempts || 0);
-                });
-                return rows;
-            };
-
-            progress.letterProgress = computeTargetProgress(targetLetters, 'letter');
-            progress.wordProgress = computeTargetProgress(targetWords, 'word');
+            progress.letterProgress = computeMastery(attemptsForTargets, child.targetLetters, 'letter', mastery.criteria);
+            progress.wordProgress = computeMastery(attemptsForTargets, child.targetWords, 'word', mastery.criteria);
         } catch (e) {
             console.warn('Failed to compute target progress:', e.message);
         }
@@ -700,7 +931,8 @@ router.get('/child/:id/analytics', async (req, res) => {
         // Final word analysis: take latest session's attempts and keep last attempt per target
         let finalWordAnalysis = [];
         try {
-            const sessionsForFinal = Array.isArray(progress.sessions) ? progress.sessions : [];
+            // progress.sessions now holds summaries without attempts, so read the full sessions
+            const sessionsForFinal = fullProgressSessions;
             const latestSession = sessionsForFinal.length > 0 ? sessionsForFinal[sessionsForFinal.length - 1] : null;
             const sAttempts = latestSession && Array.isArray(latestSession.attempts) ? latestSession.attempts : [];
             const map = new Map(); // target -> last attempt
@@ -714,10 +946,13 @@ router.get('/child/:id/analytics', async (req, res) => {
                 }
             }
             finalWordAnalysis = Array.from(map.entries()).map(([target, a]) => ({
+                _id: a._id,
                 target,
                 recognizedText: a.recognizedText,
                 score: typeof a.pronunciationScore === 'number' ? a.pronunciationScore : (typeof a.score === 'number' ? a.score : null),
                 analysisSource: a.analysisSource,
+                hasAudio: Boolean(a.audio),
+                review: a.review || null,
             }));
         } catch (e) {
             console.warn('Failed to compute finalWordAnalysis:', e.message);
@@ -734,13 +969,68 @@ router.get('/child/:id/analytics', async (req, res) => {
             console.warn('Plans fetch failed (ignored):', e.message);
         }
 
+        // Templates the specialist can apply from here (own and shared in the center)
+        let templates = [];
+        if (res.locals.can('plans:write')) {
+            try {
+                const templatesResp = await apiClient.authGet(req, '/plan-templates');
+                templates = templatesResp?.data?.templates || [];
+            } catch (e) {
+                console.warn('Plan templates fetch failed (ignored):', e.message);
+            }
+        }
+
+        // Children a plan session or the play schedule can be copied to (the caseload; the center for admins)
+        let copyTargets = [];
+        if ((res.locals.can('plans:write') && plans.length) || res.locals.can('children:write')) {
+            try {
+                copyTargets = (await fetchCaseload(req)).filter(c => String(c._id) !== String(childId));
+            } catch (e) {
+                console.warn('Copy targets fetch failed (ignored):', e.message);
+            }
+        }
+
+        // Play schedule editor and the week in the parent's time zone
+        const parentTimezone = _parentTimeZone(child);
+        const scheduleEditor = playSchedule.editorFor(child.playSchedule, {
+            parentTimezone,
+            preview: _schedulePreview(res, playSchedule.fromSchedule(child.playSchedule), parentTimezone),
+            previewUrl: res.locals.can('children:write') ? `/specialist/child/${childId}/schedule-preview` : ''
+        });
+
+        // "Suggest next session" without JavaScript: the form comes back filled in (?suggest=1)
+        let suggestion = null;
+        if (req.query.suggest && res.locals.can('plans:write')) {
+            suggestion = suggestPlanSession({
+                attempts: _flattenAllAttemptsFromProgress(fullProgressSessions, 5000),
+                sessions: fullProgressSessions,
+                child,
+                criteria: mastery.criteria,
+                plans,
+                __: res.locals.__
+            });
+        }
+
+        // Every recorded session, newest first, each linking to its details page
+        const playedSessions = fullProgressSessions
+            .filter(s => s._id)
+            .map(s => ({ _id: s._id, ..._summarizeSession(s) }))
+            .reverse();
+
         res.render('specialist/child-analytics', {
             title: `تحليلات ${child.name}`,
             child,
             progress,
             attempts,
             finalWordAnalysis,
-            plans
+            plans,
+            playedSessions,
+            mastery,
+            suggestion,
+            templates,
+            copyTargets,
+            copyPlanId: req.query.copyPlan || null,
+            scheduleEditor
         });
     } catch (error) {
         const status = error?.response?.status;
@@ -751,8 +1041,325 @@ router.get('/child/:id/analytics', async (req, res) => {
     }
 });
 
+// Mastery of the child's target letters and words as JSON (same rule and engine as the analytics page)
+router.get('/child/:id/mastery', ensurePermission('reports:read'), async (req, res) => {
+    try {
+        const childId = req.params.id;
+        const progressResponse = await apiClient.authGet(req, `/progress/child/${childId}`);
+        const progress = progressResponse.data.progress;
+        if (!progressResponse.data.success || !progress) {
+            return res.status(404).json({ success: false, message: res.locals.__('not_found') });
+        }
+
+        let child = progress.child || {};
+        try {
+            const childResp = await apiClient.authGet(req, `/children/${childId}`);
+            child = childResp?.data?.child || child;
+        } catch (e) {
+            console.warn('Child details fetch failed (will use progress.child):', e.message);
+        }
+
+        const { criteria, source } = await fetchMasteryCriteria(req, childId);
+        const attempts = _flattenAllAttemptsFromProgress(progress.sessions, 5000);
+        const letters = computeMastery(attempts, child.targetLetters, 'letter', criteria);
+        const words = computeMastery(attempts, child.targetWords, 'word', criteria);
+
+        res.json({
+            success: true,
+            childId,
+            criteria,
+            source,
+            letters,
+            words,
+            summary: summarizeMastery([...letters, ...words])
+        });
+    } catch (error) {
+        const status = error.response?.status;
+        console.error('Mastery JSON Error:', status || error.message);
+        res.status(status === 404 ? 404 : 500).json({ success: false, message: res.locals.__(status === 404 ? 'not_found' : 'errorOccurred') });
+    }
+});
+
+// Proposed next plan session from the child's weak, almost-mastered and mastered targets (utils/planSuggestion.js).
+// Only a proposal: the specialist edits it in the create-plan-session form before anything is posted.
+router.get('/child/:id/plan-suggestion', ensurePermission('plans:write'), async (req, res) => {
+    try {
+        const childId = req.params.id;
+        const progressResponse = await apiClient.authGet(req, `/progress/child/${childId}`);
+        const progress = progressResponse.data.progress;
+        if (!progressResponse.data.success || !progress) {
+            return res.status(404).json({ success: false, message: res.locals.__('not_found') });
+        }
+
+        let child = progress.child || {};
+        try {
+            const childResp = await apiClient.authGet(req, `/children/${childId}`);
+            child = childResp?.data?.child || child;
+        } catch (e) {
+            console.warn('Child details fetch failed (will use progress.child):', e.message);
+        }
+
+        let plans = [];
+        try {
+            const plansResp = await apiClient.authGet(req, `/exercises/child/${childId}?includeInactive=1`);
+            plans = (plansResp?.data?.exercises || []).filter(p => (p?.kind || 'plan') === 'plan');
+        } catch (e) {
+            console.warn('Plans fetch failed (ignored):', e.message);
+        }
+
+        const { criteria } = await fetchMasteryCriteria(req, childId);
+        const sessions = Array.isArray(progress.sessions) ? progress.sessions : [];
+        res.json({
+            success: true,
+            childId,
+            suggestion: suggestPlanSession({
+                attempts: _flattenAllAttemptsFromProgress(sessions, 5000),
+                sessions,
+                child,
+                criteria,
+                plans,
+                __: res.locals.__
+            })
+        });
+    } catch (error) {
+        const status = error.response?.status;
+        console.error('Plan Suggestion Error:', status || error.message);
+        res.status(status === 404 ? 404 : 500).json({ success: false, message: res.locals.__(status === 404 ? 'not_found' : 'errorOccurred') });
+    }
+});
+
+// The specialist's own mastery rule (replaces the center's for the children assigned to them)
+router.get('/mastery', ensurePermission('children:write'), async (req, res) => {
+    try {
+        const [ownResp, centerCriteria] = await Promise.all([
+            apiClient.authGet(req, '/specialists/mastery'),
+            _centerMasteryCriteria(req)
+        ]);
+        const own = ownResp.data?.criteria || null;
+
+        res.render('specialist/mastery', {
+            title: res.locals.__('masteryRule'),
+            criteria: parseCriteria(own || centerCriteria || {}).criteria,
+            hasOwnRule: Boolean(own),
+            centerCriteria: parseCriteria(centerCriteria || {}).criteria,
+            centerHasRule: Boolean(centerCriteria)
+        });
+    } catch (error) {
+        console.error('Mastery Rule View Error:', error.message);
+        req.flash('error_msg', res.locals.__('errorOccurred'));
+        res.redirect('/specialist');
+    }
+});
+
+router.post('/mastery', ensurePermission('children:write'), async (req, res) => {
+    try {
+        // "Use the center's rule" clears the specialist's own
+        let criteria = null;
+        if (req.body.reset !== 'true') {
+            const parsed = parseCriteria(req.body);
+            if (parsed.errors.length) {
+                req.flash('error_msg', res.locals.__('masteryRuleInvalid'));
+                return res.redirect('/specialist/mastery');
+            }
+            criteria = parsed.criteria;
+        }
+
+        await apiClient.authPut(req, '/specialists/mastery', { criteria });
+        req.flash('success_msg', res.locals.__(criteria ? 'masteryRuleSaved' : 'masteryRuleReset'));
+        res.redirect('/specialist/mastery');
+    } catch (error) {
+        console.error('Mastery Rule Update Error:', error.message);
+        req.flash('error_msg', res.locals.__('errorOccurred'));
+        res.redirect('/specialist/mastery');
+    }
+});
+
+// The center's mastery rule, or null (none set, no center, or the backend can't say)
+async function _centerMasteryCriteria(req) {
+    const centerId = req.user?.center?._id || req.user?.center;
+    if (!centerId) return null;
+    try {
+        const response = await apiClient.authGet(req, `/centers/${centerId}/mastery`);
+        return response.data?.criteria || null;
+    } catch (error) {
+        console.warn('Center mastery rule fetch failed (ignored):', error.message);
+        return null;
+    }
+}
+
+// Score dimensions shown per attempt and compared with the child's average
+const ATTEMPT_SCORES = ['pronunciationScore', 'accuracyScore', 'fluencyScore', 'completenessScore'];
+
+// One session: every attempt in order, the time between attempts, and the session against the child's average
+router.get('/child/:id/sessions/:sessionId', ensurePermission('reports:read'), async (req, res) => {
+    const childId = req.params.id;
+    try {
+        const progressResponse = await apiClient.authGet(req, `/progress/child/${childId}`);
+        const progress = progressResponse.data.progress;
+        const allSessions = (Array.isArray(progress?.sessions) ? progress.sessions : [])
+            .slice()
+            .sort((a, b) => new Date(a.sessionDate || 0) - new Date(b.sessionDate || 0));
+        const index = allSessions.findIndex(s => String(s._id) === String(req.params.sessionId));
+
+        if (!progressResponse.data.success || index === -1) {
+            req.flash('error_msg', res.locals.__('not_found'));
+            return res.redirect(`/specialist/child/${childId}/analytics`);
+        }
+
+        const session = allSessions[index];
+        const summary = _summarizeSession(session);
+
+        // Oldest first, with seconds since the first attempt and since the previous one
+        const attempts = _flattenAllAttemptsFromProgress([session]).reverse();
+        const startedAt = attempts.length ? new Date(attempts[0].timestamp || 0).getTime() : 0;
+        attempts.forEach((a, i) => {
+            const at = new Date(a.timestamp || 0).getTime();
+            a.number = i + 1;
+            a.sinceStart = a.timestamp ? Math.round((at - startedAt) / 1000) : null;
+            a.gap = (i > 0 && a.timestamp && attempts[i - 1].timestamp)
+                ? Math.round((at - new Date(attempts[i - 1].timestamp).getTime()) / 1000)
+                : null;
+        });
+        const gaps = attempts.map(a => a.gap).filter(g => g !== null);
+
+        const average = (values) => {
+            const numbers = values.filter(v => typeof v === 'number' && Number.isFinite(v));
+            return numbers.length ? numbers.reduce((sum, v) => sum + v, 0) / numbers.length : null;
+        };
+        const row = (key, value, childAverage) => ({
+            key,
+            session: value,
+            average: childAverage,
+            delta: (value !== null && childAverage !== null) ? value - childAverage : null
+        });
+
+        const summaries = allSessions.map(_summarizeSession);
+        const allAttempts = _flattenAllAttemptsFromProgress(allSessions);
+        const comparison = [
+            row('averageScore', summary.averageScore, average(summaries.map(s => s.averageScore))),
+            row('successRate', summary.successRate, average(summaries.map(s => s.successRate))),
+            row('duration', summary.duration, average(summaries.map(s => s.duration))),
+            row('totalAttempts', summary.totalAttempts, average(summaries.map(s => s.totalAttempts))),
+            ...ATTEMPT_SCORES.map(key => row(key, average(attempts.map(a => a[key])), average(allAttempts.map(a => a[key]))))
+        ];
+
+        // Name the plan session this was played under, when the backend records it
+        let plan = null;
+        const planId = session.plan?._id || session.plan;
+        if (planId) {
+            try {
+                const plansResp = await apiClient.authGet(req, `/exercises/child/${childId}?includeInactive=1`);
+                plan = (plansResp?.data?.exercises || []).find(p => String(p._id) === String(planId)) || null;
+            } catch (e) {
+                console.warn('Plans fetch failed (ignored):', e.message);
+            }
+        }
+
+        const child = progress.child || { _id: childId, name: '' };
+        res.render('specialist/session-details', {
+            title: `${res.locals.__('sessionDetails')} - ${child.name}`,
+            child,
+            session: summary,
+            plan,
+            attempts,
+            timing: {
+                elapsed: attempts.length ? attempts[attempts.length - 1].sinceStart : null,
+                averageGap: average(gaps),
+                longestGap: gaps.length ? Math.max(...gaps) : null
+            },
+            comparison,
+            sessionNumber: index + 1,
+            sessionCount: allSessions.length,
+            previousSession: allSessions[index - 1] ? allSessions[index - 1]._id : null,
+            nextSession: allSessions[index + 1] ? allSessions[index + 1]._id : null
+        });
+    } catch (error) {
+        console.error('Session Details Error:', error.message);
+        req.flash('error_msg', res.locals.__('errorOccurred'));
+        res.redirect('/specialist/children');
+    }
+});
+
+// Is the attempt one of the child's? The backend serves attempts by id alone, so the routes under
+// /child/:id check it before acting on :attemptId (a fresh read if the cached progress misses it).
+const _isAttemptOfChild = async (req, childId, attemptId) => {
+    const found = (response) => (response.data?.progress?.sessions || [])
+        .some(s => (Array.isArray(s.attempts) ? s.attempts : []).some(a => String(a._id) === String(attemptId)));
+    return found(await apiClient.authGet(req, `/progress/child/${childId}`))
+        || found(await apiClient.authGet(req, `/progress/child/${childId}`, { fresh: true }));
+};
+
+// Stream an attempt's recording from the backend. Range requests pass through so the player can seek.
+router.get('/child/:id/attempts/:attemptId/audio', ensurePermission('reports:read'), async (req, res) => {
+    try {
+        if (!await _isAttemptOfChild(req, req.params.id, req.params.attemptId)) {
+            return res.status(404).end();
+        }
+        const range = req.get('Range');
+        const response = await apiClient.get(`/progress/attempts/${req.params.attemptId}/audio`, {
+            responseType: 'stream',
+            headers: { ...apiClient.withAuth(req).headers, ...(range ? { Range: range } : {}) }
+        });
+
+        res.status(response.status);
+        for (const header of ['content-type', 'content-length', 'content-range', 'accept-ranges']) {
+            if (response.headers[header]) res.set(header, response.headers[header]);
+        }
+        res.set('Cache-Control', 'private, max-age=3600');
+        // pipeline destroys both ends when either fails: a backend that drops mid-stream ends the
+        // response instead of leaving it open, and a player that goes away stops the download.
+        pipeline(response.data, res, (err) => {
+            if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+                console.error('Attempt Audio Stream Error:', err.message);
+            }
+        });
+    } catch (error) {
+        const status = error.response?.status;
+        if (status === 404 || status === 416) return res.status(status).end();
+        console.error('Attempt Audio Error:', status || error.message);
+        res.status(502).end();
+    }
+});
+
+// Flag an attempt for review with a specialist note, or clear the flag (flagged=false)
+router.post('/child/:id/attempts/:attemptId/review', ensurePermission('children:write'), async (req, res) => {
+    const wantsJson = req.xhr || (req.get('Accept') || '').includes('application/json');
+    const childId = req.params.id;
+    const flagged = req.body.flagged !== 'false' && req.body.flagged !== false;
+
+    try {
+        if (!await _isAttemptOfChild(req, childId, req.params.attemptId)) {
+            if (wantsJson) return res.status(404).json({ success: false, message: res.locals.__('not_found') });
+            req.flash('error_msg', res.locals.__('not_found'));
+            return res.redirect(`/specialist/child/${childId}/analytics`);
+        }
+        const response = await apiClient.authPut(req, `/progress/attempts/${req.params.attemptId}/review`, {
+            flagged,
+            note: String(req.body.note || '').trim()
+        });
+        const message = res.locals.__(flagged ? 'attemptFlagged' : 'attemptUnflagged');
+        if (wantsJson) {
+            return res.json({ success: true, review: response.data.review, message });
+        }
+        req.flash('success_msg', message);
+        res.redirect(`/specialist/child/${childId}/sessions/${response.data.sessionId}`);
+    } catch (error) {
+        const status = error.response?.status;
+        const message = status === 400 ? error.response.data?.message
+            : status === 404 ? res.locals.__('not_found')
+                : null;
+        if (!message) console.error('Attempt Review Error:', error.message);
+        if (wantsJson) {
+            return res.status(status === 400 || status === 404 ? status : 500)
+                .json({ success: false, message: message || res.locals.__('errorOccurred') });
+        }
+        req.flash('error_msg', message || res.locals.__('errorOccurred'));
+        res.redirect(`/specialist/child/${childId}/analytics`);
+    }
+});
+
 // Update child play settings (duration + schedule)
-router.post('/child/:id/plan-settings', async (req, res) => {
+router.post('/child/:id/plan-settings', ensurePermission('children:write'), async (req, res) => {
     try {
         const childId = req.params.id;
 
@@ -763,14 +1370,32 @@ router.post('/child/:id/plan-settings', async (req, res) => {
 
         const scheduleEnabled = req.body.scheduleEnabled === 'on' || req.body.scheduleEnabled === 'true';
 
-        const allowedDaysRaw = req.body.allowedDays;
-        const allowedDays = ([]).concat(allowedDaysRaw || [])
-            .map(x => Number(x))
-            .filter(x => Number.isFinite(x) && x >= 0 && x <= 6);
+        let schedule;
+        if (playSchedule.DAYS.some(day => req.body[`windows_${day}`] !== undefined)) {
+            // Weekly editor: several windows per weekday (utils/playSchedule.js)
+            const parsed = playSchedule.parseScheduleForm(req.body);
+            if (parsed.errors.length) {
+                req.flash('error_msg', playSchedule.errorMessage(res.locals.__, parsed.errors));
+                return res.redirect(`/specialist/child/${childId}/analytics#playSchedule`);
+            }
+            schedule = parsed.schedule;
+        } else {
+            const allowedDaysRaw = req.body.allowedDays;
+            const allowedDays = ([]).concat(allowedDaysRaw || [])
+                .map(x => Number(x))
+                .filter(x => Number.isFinite(x) && x >= 0 && x <= 6);
+
+            const windowStart = String(req.body.windowStart || '').trim();
+            const windowEnd = String(req.body.windowEnd || '').trim();
+            const windows = (windowStart && windowEnd) ? [{ start: windowStart, end: windowEnd }] : [];
 
-        const windowStart = String(req.body.windowStart || '').trim();
-        const windowEnd = String(req.body.windowEnd || '').trim();
-        const windows = (windowStart && windowEnd) ? [{ start: windowStart, end: windowEnd }] : [];
+            schedule = {
+                enabled: scheduleEnabled,
+                enforce: true,
+                allowedDays,
+                windows,
+            };
+        }
 
         const payload = {
             ...(typeof dailyPlayDuration === 'number' ? { dailyPlayDuration } : {}),
@@ -779,12 +1404,7 @@ router.post('/child/:id/plan-settings', async (req, res) => {
                 ...(typeof breakDuration === 'number' ? { breakDuration } : {}),
                 ...(typeof maxAttempts === 'number' ? { maxAttempts } : {}),
             },
-            playSchedule: {
-                enabled: scheduleEnabled,
-                enforce: true,
-                allowedDays,
-                windows,
-            }
+            playSchedule: schedule
         };
 
         await apiClient.authPost(req, `/specialists/set-duration/${childId}`, payload);
@@ -797,8 +1417,60 @@ router.post('/child/:id/plan-settings', async (req, res) => {
     }
 });
 
+// Checks the schedule editor and shows the week in the parent's time zone (JSON, nothing is saved)
+router.post('/child/:id/schedule-preview', ensurePermission('children:write'), async (req, res) => {
+    const { schedule, errors } = playSchedule.parseScheduleForm(req.body);
+    try {
+        const childResp = await apiClient.authGet(req, `/children/${req.params.id}`);
+        res.json({
+            success: true,
+            errors: playSchedule.errorMessages(res.locals.__, errors),
+            preview: errors.length ? null : _schedulePreview(res, schedule, _parentTimeZone(childResp.data?.child))
+        });
+    } catch (error) {
+        const status = error.response?.status === 404 ? 404 : 500;
+        if (status === 500) console.error('Schedule Preview Error:', error.message);
+        res.status(status).json({ success: false, message: res.locals.__(status === 404 ? 'not_found' : 'errorOccurred') });
+    }
+});
+
+// Copy this child's saved play schedule to other children of the caseload (childIds)
+router.post('/child/:id/copy-schedule', ensurePermission('children:write'), async (req, res) => {
+    const childId = req.params.id;
+    const back = `/specialist/child/${childId}/analytics#playSchedule`;
+    const childIds = [...new Set([].concat(req.body.childIds || []).map(String))].filter(id => id && id !== String(childId));
+    if (!childIds.length) {
+        req.flash('error_msg', res.locals.__('bulkPlanNoChildren'));
+        return res.redirect(back);
+    }
+
+    try {
+        const childResp = await apiClient.authGet(req, `/children/${childId}`);
+        // Every field is sent: the backend merges playSchedule, so anything left out would keep the target's value
+        const schedule = playSchedule.toSchedule(playSchedule.fromSchedule(childResp.data?.child?.playSchedule));
+        const caseload = new Set((await fetchCaseload(req)).map(c => String(c._id)));
+
+        const targets = childIds.filter(id => caseload.has(id));
+        const skipped = childIds.length - targets.length;
+        const results = await Promise.allSettled(targets
+            .map(id => apiClient.authPost(req, `/specialists/set-duration/${id}`, { playSchedule: schedule })));
+        results.filter(r => r.status === 'rejected').forEach(r => console.error('Copy Schedule Error:', r.reason.message));
+        const copied = results.filter(r => r.status === 'fulfilled').length;
+        const failed = results.length - copied;
+
+        if (copied) req.flash('success_msg', res.locals.__('scheduleCopied').replace('{count}', copied));
+        if (failed) req.flash('error_msg', res.locals.__('scheduleCopyFailed').replace('{count}', failed));
+        if (skipped) req.flash('error_msg', res.locals.__('scheduleCopySkipped').replace('{count}', skipped));
+        res.redirect(back);
+    } catch (error) {
+        console.error('Copy Schedule Error:', error.message);
+        req.flash('error_msg', res.locals.__('errorOccurred'));
+        res.redirect(back);
+    }
+});
+
 // Create a new numbered plan session (Session 1/2/3...) with letters/words
-router.post('/child/:id/create-plan-session', async (req, res) => {
+router.post('/child/:id/create-plan-session', ensurePermission('plans:write'), async (req, res) => {
     try {
         const childId = req.params.id;
 
@@ -812,13 +1484,7 @@ router.post('/child/:id/create-plan-session', async (req, res) => {
         const windowStart = req.body.windowStart || '';
         const windowEnd = req.body.windowEnd || '';
 
-        const parseLines = (s) => String(s || '')
-            .split(/\r?\n|,/g)
-            .map(x => x.trim())
-            .filter(Boolean);
-
-        const letters = parseLines(req.body.lettersText).map(letter => ({ letter }));
-        const words = parseLines(req.body.wordsText).map(word => ({ word }));
+        const { letters, words } = targetsFromInput(req.body);
 
         // إعدادات مدى ووقت اللعب للجلسة
         const playSchedule = {
@@ -845,8 +1511,65 @@ router.post('/child/:id/create-plan-session', async (req, res) => {
     }
 });
 
+// Copy a plan session as the child's next session, or to another child (targetChildId).
+// Options: includeItems (words/letters added to the session, with images), keepSchedule, dropMastered
+// (leave out targets the destination child has already mastered).
+router.post('/child/:id/copy-plan', ensurePermission('plans:write'), async (req, res) => {
+    const childId = req.params.id;
+    const back = `/specialist/child/${childId}/analytics`;
+    const checked = (value) => value === 'on' || value === 'true';
+    try {
+        const targetChildId = String(req.body.targetChildId || childId);
+        const plansResp = await apiClient.authGet(req, `/exercises/child/${childId}?includeInactive=1`);
+        const plan = (plansResp.data?.exercises || []).find(p => String(p._id) === String(req.body.planId));
+        if (!plan) {
+            req.flash('error_msg', res.locals.__('not_found'));
+            return res.redirect(back);
+        }
+
+        const excludeTargets = checked(req.body.dropMastered)
+            ? await _masteredTargets(req, targetChildId,
+                (plan.letters || []).map(l => l.letter),
+                (plan.words || []).map(w => w.word))
+            : [];
+        // Same answer as the backend's 400, before anything is created
+        const remaining = [...(plan.letters || []).map(l => l.letter), ...(plan.words || []).map(w => w.word)]
+            .filter(t => !excludeTargets.includes(t));
+        if (!remaining.length) {
+            req.flash('error_msg', res.locals.__('planCopyNothingLeft'));
+            return res.redirect(back);
+        }
+
+        const result = await _copyPlanSession(req, plan, {
+            childId: targetChildId,
+            includeItems: checked(req.body.includeItems),
+            keepSchedule: checked(req.body.keepSchedule),
+            excludeTargets
+        });
+        const copy = result.exercise;
+        const sameChild = targetChildId === String(childId);
+        let message = (sameChild ? res.locals.__('planCopyDuplicated') : res.locals.__('planCopyCopied'))
+            .replace('{name}', copy.sessionName)
+            .replace('{child}', result.child?.name || '');
+        if (result.dropped?.length) {
+            message += ' ' + res.locals.__('planCopyDropped').replace('{targets}', result.dropped.join('، '));
+        }
+        req.flash('success_msg', message);
+        if (result.itemsSkipped) req.flash('error_msg', res.locals.__('planCopyItemsSkipped'));
+        res.redirect(back);
+    } catch (error) {
+        const status = error.response?.status;
+        const message = status === 400 ? res.locals.__('planCopyNothingLeft')
+            : status === 404 ? res.locals.__('not_found')
+                : res.locals.__('errorOccurred');
+        if (status !== 400 && status !== 404) console.error('Copy plan session failed:', error.message);
+        req.flash('error_msg', message);
+        res.redirect(back);
+    }
+});
+
 // Child Analytics Data API
-router.get('/child/:id/analytics/data', async (req, res) => {
+router.get('/child/:id/analytics/data', ensurePermission('reports:read'), async (req, res) => {
     try {
         const childId = req.params.id;
 
@@ -1013,7 +1736,7 @@ router.get('/child/:id/analytics/data', async (req, res) => {
 });
 
 // Child Analytics PDF Export (for the header button)
-router.get('/child/:id/analytics/pdf', async (req, res) => {
+router.get('/child/:id/analytics/pdf', ensurePermission('reports:export'), async (req, res) => {
     try {
         const childId = req.params.id;
 
@@ -1197,6 +1920,8 @@ router.get('/child/:id/analytics/pdf', async (req, res) => {
                 lastSessions,
                 recentAvgScore,
                 recentSuccessRate,
+                // Center name, color and logo in the report header (utils/branding.js)
+                branding: res.locals.branding,
             },
             { async: true }
         );
@@ -1257,56 +1982,62 @@ router.get('/child/:id/analytics/pdf', async (req, res) => {
 // ========================================
 // CHAT REDIRECT
 // ========================================
-router.get('/chat/init/:userId', async (req, res) => {
+router.get('/chat/init/:userId', ensurePermission('messages:use'), async (req, res) => {
     res.redirect('/specialist/chat?target=' + req.params.userId);
 });
 
 // ========================================
 // SESSIONS LOG (Progress Reports)
 // ========================================
-router.get('/sessions', async (req, res) => {
-    // Current backend does not seem to have a dedicated "search sessions" endpoint
-    // It has /progress/child/:id which returns all sessions inside progress.
-    // To list ALL sessions for ALL children, request /specialists/my-children then iterate?
-    // That's too heavy.
-    // We should implement /api/specialist/sessions in backend/routes/specialistPortal.js or specialist.js.
-    // For now, let's keep it limited or assume we can filter locally if data is small?
-    // Recommendation: Add endpoint to backend later. For now, try to do simple logic or disable.
-
-    // We can use /progress/child/:id for the selected child only.
-    try {
-        const { child, childId, dateFrom, dateTo } = req.query;
-        let sessions = [];
-
-        // Fetch children for dropdown
-        const childrenResponse = await apiClient.authGet(req, '/specialists/my-children');
-        const children = childrenResponse.data.success ? childrenResponse.data.children : [];
+// Filters of the sessions log, as sent to GET /api/progress/sessions and kept in the page links
+const SESSION_LOG_FILTERS = ['childId', 'planId', 'dateFrom', 'dateTo', 'minScore', 'minDuration', 'maxDuration'];
+const SESSION_LOG_SORTS = ['date', 'child', 'plan', 'duration', 'score', 'successRate'];
+
+// Sessions across the whole caseload (admins: their center), filtered, sorted and paged by the backend
+// (or by utils/sessionsLog.js when the backend has no /progress/sessions)
+router.get('/sessions', ensurePermission('reports:read'), async (req, res) => {
+    const filters = {};
+    for (const name of SESSION_LOG_FILTERS) {
+        const value = String(req.query[name] || '').trim();
+        if (value) filters[name] = value;
+    }
+    // Older links used ?child=
+    if (!filters.childId && req.query.child) filters.childId = String(req.query.child);
+    const sort = SESSION_LOG_SORTS.includes(req.query.sort) ? req.query.sort : 'date';
+    const order = req.query.order === 'asc' ? 'asc' : 'desc';
 
-        if (childId) {
-            const progressResponse = await apiClient.authGet(req, `/progress/child/${childId}`);
-            if (progressResponse.data.success && progressResponse.data.progress) {
-                sessions = progressResponse.data.progress.sessions || [];
-            }
-        }
+    try {
+        const data = await fetchSessionsLog(req, {
+            childId: filters.childId,
+            planId: filters.planId,
+            from: filters.dateFrom,
+            to: filters.dateTo,
+            minScore: filters.minScore,
+            minDuration: filters.minDuration,
+            maxDuration: filters.maxDuration,
+            sort,
+            order,
+            page: parseInt(req.query.page) || 1
+        });
 
-        // Filter by date locally
-        if (dateFrom || dateTo) {
-            const from = dateFrom ? new Date(dateFrom) : new Date(0);
-            const to = dateTo ? new Date(dateTo) : new Date();
-            sessions = sessions.filter(s => {
-                const d = new Date(s.sessionDate);
-                return d >= from && d <= to;
-            });
-        }
+        // Link to this page with the current filters, changing only `changes`
+        const pageUrl = (changes = {}) => {
+            const params = new URLSearchParams({ ...filters, sort, order, ...changes });
+            return `/specialist/sessions?${params}`;
+        };
 
         res.render('specialist/sessions', {
             title: res.locals.__('sessionsLog') || 'سجل الجلسات',
-            sessions: sessions,
-            children: children,
-            selectedChild: child || '',
-            childIdInput: childId || '',
-            dateFrom: dateFrom || '',
-            dateTo: dateTo || '',
+            sessions: data.sessions || [],
+            total: data.total || 0,
+            currentPage: data.page || 1,
+            pages: data.pages || 1,
+            children: data.children || [],
+            plans: data.plans || [],
+            filters,
+            sort,
+            order,
+            pageUrl,
             activePage: 'sessions'
         });
     } catch (error) {
@@ -1,10 +1,20 @@
 const express = require('express');
 const router = express.Router();
 const apiClient = require('../utils/apiClient');
-const { ensureSuperAdmin } = require('../middleware/auth');
+const { sendInvitation, portalUrl } = require('../utils/mailer');
+const { ensurePermission } = require('../middleware/auth');
 
-// Apply superadmin middleware to all routes
-router.use(ensureSuperAdmin);
+// Platform management: centers here, their admins below
+router.use(ensurePermission('centers:manage'));
+
+// The SSO redirect URL to register with the identity provider (null until PORTAL_URL is set)
+const ssoCallbackUrl = (center) => {
+    try {
+        return `${portalUrl()}/auth/sso/${center._id}/callback`;
+    } catch (error) {
+        return null;
+    }
+};
 
 // Dashboard
 router.get('/', async (req, res) => {
@@ -70,10 +80,16 @@ router.get('/centers/create', (req, res) => {
 // Create center POST
 router.post('/centers', async (req, res) => {
     try {
-        const response = await apiClient.authPost(req, '/superadmin/centers', req.body);
+        // The center admin sets a password from the invitation link.
+        const { adminPassword, ...details } = req.body;
+        const response = await apiClient.authPost(req, '/superadmin/centers', { ...details, invite: true });
 
         if (response.data.success) {
-            req.flash('success_msg', 'تم إنشاء المركز والمدير بنجاح');
+            if (await sendInvitation(req, response.data.admin, response.data.invitation)) {
+                req.flash('success_msg', 'تم إنشاء المركز والمدير بنجاح وأُرسلت دعوة إلى بريد المدير');
+            } else {
+                req.flash('error_msg', 'تم إنشاء المركز والمدير بنجاح لكن تعذّر إرسال الدعوة، أعد إرسالها من قائمة المدراء');
+            }
             res.redirect('/superadmin/centers');
         } else {
             req.flash('error_msg', response.data.message || 'فشل إنشاء المركز');
@@ -101,6 +117,7 @@ router.get('/centers/:id/edit', async (req, res) => {
         res.render('superadmin/center-form', {
             title: res.locals.__('edit') + ' ' + center.name,
             center,
+            ssoCallbackUrl: ssoCallbackUrl(center),
             isEdit: true
         });
     } catch (error) {
@@ -122,6 +139,11 @@ router.post('/centers/:id', async (req, res) => {
         }
         res.redirect('/superadmin/centers');
     } catch (error) {
+        // Incomplete single sign-on settings: back to the form
+        if (error.response?.status === 400) {
+            req.flash('error_msg', res.locals.__('ssoSettingsIncomplete'));
+            return res.redirect(`/superadmin/centers/${req.params.id}/edit`);
+        }
         console.error('Update Center Error:', error.message);
         req.flash('error_msg', 'حدث خطأ في تحديث المركز');
         res.redirect('/superadmin/centers');
@@ -156,7 +178,7 @@ router.post('/centers/:id/delete', async (req, res) => {
 // ========================================
 
 // List all admins
-router.get('/admins', async (req, res) => {
+router.get('/admins', ensurePermission('admins:manage'), async (req, res) => {
     try {
         const { search } = req.query;
 
@@ -180,7 +202,7 @@ router.get('/admins', async (req, res) => {
 });
 
 // Create admin form
-router.get('/admins/create', async (req, res) => {
+router.get('/admins/create', ensurePermission('admins:manage'), async (req, res) => {
     try {
         // Fetch centers for dropdown
         const response = await apiClient.authGet(req, '/superadmin/centers');
@@ -200,12 +222,17 @@ router.get('/admins/create', async (req, res) => {
 });
 
 // Create admin POST
-router.post('/admins', async (req, res) => {
+router.post('/admins', ensurePermission('admins:manage'), async (req, res) => {
     try {
-        const response = await apiClient.authPost(req, '/superadmin/admins', req.body);
+        const { password, ...details } = req.body;
+        const response = await apiClient.authPost(req, '/superadmin/admins', { ...details, invite: true });
 
         if (response.data.success) {
-            req.flash('success_msg', 'تم إنشاء حساب المدير بنجاح');
+            if (await sendInvitation(req, response.data.admin, response.data.invitation)) {
+                req.flash('success_msg', 'تم إنشاء حساب المدير بنجاح وأُرسلت دعوة إلى بريده الإلكتروني');
+            } else {
+                req.flash('error_msg', 'تم إنشاء حساب المدير بنجاح لكن تعذّر إرسال الدعوة، أعد إرسالها من قائمة المدراء');
+            }
             res.redirect('/superadmin/admins');
         } else {
             req.flash('error_msg', response.data.message || 'فشل إنشاء المدير');
@@ -218,8 +245,26 @@ router.post('/admins', async (req, res) => {
     }
 });
 
+// Send a new invitation link to an admin who hasn't set a password yet
+router.post('/admins/:id/resend-invitation', ensurePermission('admins:manage'), async (req, res) => {
+    try {
+        const response = await apiClient.authPost(req, `/superadmin/admins/${req.params.id}/invitation`);
+        const { admin, invitation } = response.data;
+
+        if (await sendInvitation(req, admin, invitation)) {
+            req.flash('success_msg', res.locals.__('invitationResent'));
+        } else {
+            req.flash('error_msg', res.locals.__('emailSendFailed'));
+        }
+    } catch (error) {
+        console.error('Resend Invitation Error:', error.message);
+        req.flash('error_msg', error.response?.data?.message || 'حدث خطأ في إرسال الدعوة');
+    }
+    res.redirect('/superadmin/admins');
+});
+
 // Delete admin
-router.post('/admins/:id/delete', async (req, res) => {
+router.post('/admins/:id/delete', ensurePermission('admins:manage'), async (req, res) => {
     try {
         const response = await apiClient.authDelete(req, `/superadmin/admins/${req.params.id}`);
 
@@ -0,0 +1,176 @@
+const express = require('express');
+const router = express.Router();
+const { ensurePermission } = require('../middleware/auth');
+const apiClient = require('../utils/apiClient');
+const { fetchCaseload } = require('../utils/caseload');
+const { targetsFromInput } = require('../utils/planInput');
+const playSchedule = require('../utils/playSchedule');
+
+// Plan session templates (/specialist/templates): reusable letters, words, duration and play schedule.
+// The backend versions them (/api/plan-templates); sessions created from a template keep the version they used.
+
+// Template fields from the create/edit form (same inputs as the create-plan-session form, with the
+// weekly schedule editor). Returns { template, errors } with the schedule editor's errors.
+const templateFromForm = (body) => {
+    const targetDuration = body.targetDuration ? Number(body.targetDuration) : undefined;
+    const { schedule, errors } = playSchedule.parseScheduleForm(body);
+    const { enforce, ...templateSchedule } = schedule;
+
+    return {
+        template: {
+            name: String(body.name || '').trim(),
+            ...targetsFromInput(body),
+            ...(typeof targetDuration === 'number' && targetDuration > 0 ? { targetDuration } : {}),
+            playSchedule: templateSchedule,
+            shared: body.shared === 'on' || body.shared === 'true'
+        },
+        errors
+    };
+};
+
+// Children the user may apply a template to (their caseload; the center for admins)
+const fetchChildren = async (req) => {
+    try {
+        return await fetchCaseload(req);
+    } catch (error) {
+        console.warn('Children fetch failed (ignored):', error.message);
+        return [];
+    }
+};
+
+// Backend validation messages are shown as they are; anything else is a generic error
+const failureMessage = (res, error) => {
+    const status = error.response?.status;
+    if (status === 400) return error.response.data?.message || res.locals.__('errorOccurred');
+    if (status === 404) return res.locals.__('not_found');
+    if (status === 403) return res.locals.__('planTemplateNotYours');
+    console.error('Plan Template Error:', error.message);
+    return res.locals.__('errorOccurred');
+};
+
+// Template library
+router.get('/', ensurePermission('plans:read'), async (req, res) => {
+    try {
+        const response = await apiClient.authGet(req, '/plan-templates');
+        res.render('specialist/templates', {
+            title: res.locals.__('planTemplates'),
+            activePage: 'templates',
+            templates: response.data?.templates || [],
+            scheduleEditor: playSchedule.editorFor(null)
+        });
+    } catch (error) {
+        console.error('Plan Templates View Error:', error.message);
+        req.flash('error_msg', res.locals.__('errorOccurred'));
+        res.redirect('/specialist');
+    }
+});
+
+// Create a template from the form, or save an existing plan session (exerciseId) from child analytics
+router.post('/', ensurePermission('plans:write'), async (req, res) => {
+    const fromPlan = Boolean(req.body.exerciseId);
+    const back = fromPlan && req.body.childId ? `/specialist/child/${req.body.childId}/analytics` : '/specialist/templates';
+    try {
+        let payload;
+        if (fromPlan) {
+            payload = { exerciseId: req.body.exerciseId, shared: req.body.shared === 'on' || req.body.shared === 'true' };
+        } else {
+            const { template, errors } = templateFromForm(req.body);
+            if (errors.length) {
+                req.flash('error_msg', playSchedule.errorMessage(res.locals.__, errors));
+                return res.redirect(back);
+            }
+            payload = template;
+        }
+        const response = await apiClient.authPost(req, '/plan-templates', payload);
+        req.flash('success_msg', res.locals.__('planTemplateSaved'));
+        res.redirect(`/specialist/templates/${response.data.template._id}`);
+    } catch (error) {
+        req.flash('error_msg', failureMessage(res, error));
+        res.redirect(back);
+    }
+});
+
+// Apply a template (latest or chosen version) to one or many children in one step
+router.post('/apply', ensurePermission('plans:write'), async (req, res) => {
+    const templateId = String(req.body.templateId || '');
+    const childIds = [].concat(req.body.childIds || []).filter(Boolean);
+    // From a child's analytics page, go back there
+    const back = req.body.from === 'analytics' && childIds.length === 1
+        ? `/specialist/child/${childIds[0]}/analytics`
+        : templateId ? `/specialist/templates/${templateId}` : '/specialist/templates';
+
+    if (!templateId || !childIds.length) {
+        req.flash('error_msg', res.locals.__('planTemplateChooseChildren'));
+        return res.redirect(back);
+    }
+
+    try {
+        const response = await apiClient.authPost(req, `/plan-templates/${templateId}/apply`, {
+            childIds,
+            ...(req.body.version ? { version: Number(req.body.version) } : {})
+        });
+        const { created = [], skipped = [] } = response.data;
+        if (created.length) {
+            req.flash('success_msg', res.locals.__('planTemplateApplied')
+                .replace('{count}', created.length)
+                .replace('{version}', response.data.version));
+        }
+        if (skipped.length) {
+            req.flash('error_msg', res.locals.__('planTemplateSkipped').replace('{count}', skipped.length));
+        }
+        res.redirect(back);
+    } catch (error) {
+        req.flash('error_msg', failureMessage(res, error));
+        res.redirect(back);
+    }
+});
+
+// One template: current content, version history and the apply form
+router.get('/:id', ensurePermission('plans:read'), async (req, res) => {
+    try {
+        const [response, children] = await Promise.all([
+            apiClient.authGet(req, `/plan-templates/${req.params.id}`),
+            fetchChildren(req)
+        ]);
+        const template = response.data.template;
+        res.render('specialist/template-details', {
+            title: `${res.locals.__('planTemplate')} - ${template.name}`,
+            activePage: 'templates',
+            template,
+            children,
+            scheduleEditor: playSchedule.editorFor(template.playSchedule)
+        });
+    } catch (error) {
+        req.flash('error_msg', failureMessage(res, error));
+        res.redirect('/specialist/templates');
+    }
+});
+
+// Edit: changed content becomes a new version; sessions already created keep theirs
+router.post('/:id', ensurePermission('plans:write'), async (req, res) => {
+    const { template, errors } = templateFromForm(req.body);
+    if (errors.length) {
+        req.flash('error_msg', playSchedule.errorMessage(res.locals.__, errors));
+        return res.redirect(`/specialist/templates/${req.params.id}`);
+    }
+    try {
+        const response = await apiClient.authPut(req, `/plan-templates/${req.params.id}`, template);
+        req.flash('success_msg', res.locals.__('planTemplateUpdated').replace('{version}', response.data.template.version));
+    } catch (error) {
+        req.flash('error_msg', failureMessage(res, error));
+    }
+    res.redirect(`/specialist/templates/${req.params.id}`);
+});
+
+router.post('/:id/delete', ensurePermission('plans:write'), async (req, res) => {
+    try {
+        await apiClient.authDelete(req, `/plan-templates/${req.params.id}`);
+        req.flash('success_msg', res.locals.__('planTemplateDeleted'));
+        res.redirect('/specialist/templates');
+    } catch (error) {
+        req.flash('error_msg', failureMessage(res, error));
+        res.redirect(`/specialist/templates/${req.params.id}`);
+    }
+});
+
+module.exports = router;
@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const multer = require('multer');
 const FormData = require('form-data');
-const { ensureSpecialist } = require('../middleware/auth');
+const { ensurePermission } = require('../middleware/auth');
 const apiClient = require('../utils/apiClient');
 
 // Setup multer for memory storage (to forward to backend)
@@ -22,11 +22,8 @@ const upload = multer({
 // SPECIALIST ROUTES (Protected)
 // ==========================================
 
-// Apply middleware
-router.use(ensureSpecialist);
-
 // List Words/Letters (or Select Child)
-router.get('/', async (req, res) => {
+router.get('/', ensurePermission('plans:read'), async (req, res) => {
     try {
         const { childId, difficulty, contentType, sessionId } = req.query;
 
@@ -92,7 +89,7 @@ router.get('/', async (req, res) => {
 });
 
 // Add Content (Word or Letter)
-router.post('/add', upload.single('image'), async (req, res) => {
+router.post('/add', ensurePermission('plans:write'), upload.single('image'), async (req, res) => {
     try {
         const { text, contentType, difficulty, childId, sessionId } = req.body;
 
@@ -149,7 +146,7 @@ router.post('/add', upload.single('image'), async (req, res) => {
 });
 
 // Delete Content (Word or Letter)
-router.post('/delete/:id', async (req, res) => {
+router.post('/delete/:id', ensurePermission('plans:write'), async (req, res) => {
     try {
         // CORRECTED PATH: /words/:id (DELETE)
         const response = await apiClient.authDelete(req, `/words/${req.params.id}`);
@@ -96,6 +96,23 @@ app.use(express.json());
 app.use(cookieParser());
 app.use(express.static(path.join(__dirname, 'public')));
 
+// Health check: answered before any middleware that calls the backend, from the last known settings,
+// so a slow backend can't fail the platform's health check
+const { lastKnownSettings } = require('./utils/portalSettings');
+const maintenance = require('./utils/maintenance');
+app.get('/health', (req, res) => {
+    const { global, centers } = lastKnownSettings() || { global: {}, centers: {} };
+    res.json({
+        status: 'ok',
+        message: '🌐 Web Portal is running',
+        maintenance: {
+            global: maintenance.isActive(global),
+            until: maintenance.isActive(global) ? global.maintenanceEnd || null : null,
+            centers: Object.keys(centers).filter(id => maintenance.isActive(centers[id]))
+        }
+    });
+});
+
 // Upload redirect
 app.use('/uploads', (req, res) => {
     if (!BACKEND_URL) return res.status(500).send('Backend URL missing');
@@ -154,6 +171,23 @@ if (sessionMongoUrl) {
 app.use(session(sessionOptions));
 
 console.log('NODE_ENV =', process.env.NODE_ENV);
+
+// Email links and SSO callbacks are only built from PORTAL_URL (utils/mailer.js)
+const { portalUrl } = require('./utils/mailer');
+try {
+    console.log('PORTAL_URL =', portalUrl());
+} catch (error) {
+    if (isRailway || process.env.NODE_ENV === 'production') {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+    console.warn(`⚠️ ${error.message}: password/invitation emails and SSO are disabled`);
+}
+// Server-to-server calls to the backend (config/portalKey.js)
+if (!require('./config/portalKey').PORTAL_API_KEY) {
+    console.error('❌ PORTAL_API_KEY must be set in production');
+    process.exit(1);
+}
 console.log('SESSION_STORE =', sessionMongoUrl ? 'mongo' : 'memory');
 
 // Passport
@@ -243,9 +277,57 @@ app.use((req, res, next) => {
     next();
 });
 
+// Center branding (name, colors, logo, favicon) for every view, error pages included
+const { branding } = require('./utils/branding');
+app.use(branding);
+
+// CSRF tokens for every form and fetch call that changes something (utils/csrf.js)
+const { csrfProtection, csrfToken } = require('./utils/csrf');
+app.use(csrfProtection);
+
+// The session's token for scripts that post without a rendered page (no backend call needed)
+app.get('/auth/csrf-token', (req, res) => {
+    res.json({ success: true, csrfToken: csrfToken(req) });
+});
+
+// Record device/activity of signed-in sessions (profile → Devices & sessions)
+const { trackSession } = require('./utils/sessions');
+app.use(trackSession);
+
+// "View as specialist" sessions: time limit, read-only guard and the banner
+const { impersonation } = require('./utils/impersonation');
+app.use(impersonation);
+
+// Maintenance mode from the settings: maintenance page, or a banner for admins
+app.use(maintenance.maintenanceGuard);
+
 // Server check middleware
 const serverCheck = require('./middleware/serverCheck');
 app.use(serverCheck);
+app.use(serverCheck.answerUnavailable);
+
+// Permissions of the signed-in user and the `can('perm', ...)` view helper
+const { resolvePermissions } = require('./utils/permissions');
+app.use(async (req, res, next) => {
+    let permissions;
+    try {
+        permissions = await resolvePermissions(req);
+    } catch (error) {
+        // The center's role permissions can't be read: deny everything rather than use the defaults
+        console.error('Role permissions fetch error:', error.message);
+        permissions = req.permissions = [];
+        if (!req.path.startsWith('/lang/') && req.path !== '/auth/logout') {
+            return serverCheck.renderServiceUnavailable(req, res);
+        }
+    }
+    res.locals.permissions = permissions;
+    res.locals.can = (...perms) => perms.every(p => permissions.includes(p));
+    next();
+});
+
+// Centers with mandatory two-factor: unenrolled staff can only reach the setup page
+const { ensureTwoFactorEnrolled } = require('./middleware/auth');
+app.use(ensureTwoFactorEnrolled);
 
 // Routes
 app.use('/', require('./routes/index'));
@@ -269,24 +351,36 @@ app.use('/chat', require('./routes/chat'));
 app.use('/admin', require('./routes/admin'));
 app.use('/superadmin', require('./routes/superadmin'));
 app.use('/specialist/words', require('./routes/words'));
+app.use('/specialist/templates', require('./routes/templates'));
 app.use('/specialist', require('./routes/specialist'));
 app.use('/settings', require('./routes/settings'));
 app.use('/admin/activity', require('./routes/activity'));
-
-// Health check
-app.get('/health', (req, res) => {
-    res.send('🌐 Web Portal is running');
-});
+app.use('/notifications', require('./routes/notifications'));
+app.use('/search', require('./routes/search'));
+app.use('/export', require('./routes/export'));
 
 // 404 handler
 app.use((req, res) => {
     res.status(404).render('errors/404');
 });
 
-// Start server
-
-const PORT = process.env.PORT || 3000;
-_server = app.listen(PORT, '0.0.0.0', () => {
-    console.log(`🚀 Web Portal running on port ${PORT}`);
+// Backend circuit open (apiClient fails fast with BackendUnavailableError) in a middleware that passes
+// the error on; routes are covered by serverCheck.answerUnavailable.
+const { BackendUnavailableError } = require('./utils/circuitBreaker');
+app.use((err, req, res, next) => {
+    if (err instanceof BackendUnavailableError) {
+        return serverCheck.renderServiceUnavailable(req, res);
+    }
+    next(err);
 });
 
+// Start server (tests require this module and listen on their own port)
+if (require.main === module) {
+    const PORT = process.env.PORT || 3000;
+    _server = app.listen(PORT, '0.0.0.0', () => {
+        console.log(`🚀 Web Portal running on port ${PORT}`);
+    });
+}
+
+module.exports = app;
+
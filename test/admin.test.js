@@ -0,0 +1,280 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startPortal, IDS } = require('./helpers');
+
+let portal;
+let huda;
+
+const SARA = IDS.user(3);
+const OMAR = IDS.user(4);
+const KHALED = IDS.user(7);
+
+before(async () => {
+    portal = await startPortal();
+    huda = await portal.loggedIn('admin');
+});
+
+after(async () => {
+    await portal.close();
+});
+
+describe('dashboard', () => {
+    test('GET /admin shows the center and its stats', async () => {
+        const res = await huda.get('/admin');
+        assert.equal(res.status, 200);
+        assert.match(res.text, /مركز النطق الأول/);
+    });
+
+    test('GET /admin still renders when the stats endpoint fails', async () => {
+        await portal.fault({ method: 'GET', path: '^/admin/stats$', status: 500, times: 1 });
+        const res = await huda.get('/admin?fresh=1');
+        assert.equal(res.status, 200);
+    });
+
+    test('specialists are redirected away from the admin area', async () => {
+        const sara = await portal.loggedIn('specialist');
+        const res = await sara.get('/admin/specialists');
+        assert.equal(res.status, 302);
+        assert.equal(res.location, '/specialist');
+    });
+});
+
+describe('specialists', () => {
+    test('GET /admin/specialists lists the center\'s specialists', async () => {
+        const res = await huda.get('/admin/specialists');
+        assert.equal(res.status, 200);
+        assert.match(res.text, /Sara Specialist/);
+        assert.match(res.text, /Omar Specialist/);
+    });
+
+    test('GET /admin/specialists passes search filters through', async () => {
+        const res = await huda.get('/admin/specialists?search=omar');
+        assert.equal(res.status, 200);
+        assert.match(res.text, /Omar Specialist/);
+        assert.doesNotMatch(res.text, /Sara Specialist/);
+    });
+
+    test('GET /admin/specialists/create renders the form', async () => {
+        const res = await huda.get('/admin/specialists/create');
+        assert.equal(res.status, 200);
+        assert.match(res.text, /action="\/admin\/specialists"/);
+    });
+
+    test('POST /admin/specialists creates an account', async () => {
+        const res = await huda.post('/admin/specialists', {
+            name: 'Noura Specialist',
+            email: 'noura@bmo.test',
+            password: 'password123',
+            phone: '0511111111'
+        });
+        assert.equal(res.status, 302);
+        assert.equal(res.location, '/admin/specialists');
+
+        const page = await huda.follow(res);
+        assert.match(page.text, /تم إنشاء حساب الأخصائي بنجاح/);
+        assert.match(page.text, /Noura Specialist/);
+    });
+
+    test('POST /admin/specialists with a taken email returns to the form', async () => {
+        const res = await huda.post('/admin/specialists', {
+            name: 'Dup', email: 'noura@bmo.test', password: 'password123'
+        });
+        assert.equal(res.status, 302);
+        assert.equal(res.location, '/admin/specialists/create');
+        const page = await huda.follow(res);
+        assert.match(page.text, /Email already in use/);
+    });
+
+    test('GET /admin/specialists/:id shows linked parents and children', async () => {
+        const res = await huda.get(`/admin/specialists/${SARA}`);
+        assert.equal(res.status, 200);
+        assert.match(res.text, /specialist@bmo\.test/);
+        assert.match(res.text, /Ahmed Parent/);
+        assert.match(res.text, /يوسف/);
+    });
+
+    test('GET /admin/specialists/:id for an unknown id redirects with a flash', async () => {
+        const res = await huda.get(`/admin/specialists/${IDS.user(99)}`);
+        assert.equal(res.status, 302);
+        assert.equal(res.location, '/admin/specialists');
+        const page = await huda.follow(res);
+        assert.match(page.text, /حدث خطأ في عرض التفاصيل|الأخصائي غير موجود/);
+    });
+
+    test('GET /admin/specialists/:id/search-parents returns JSON', async () => {
+        const res = await huda.get(`/admin/specialists/${OMAR}/search-parents?query=mona`);
+        assert.equal(res.status, 200);
+        const body = res.json();
+        assert.equal(body.success, true);
+        assert.deepEqual(body.parents.map(p => p.email), ['parent2@bmo.test']);
+    });
+
+    test('linking and unlinking a parent', async () => {
+        const mona = IDS.user(6);
+        const linked = await huda.post(`/admin/specialists/${OMAR}/link-parent`, { parentId: mona });
+        assert.equal(linked.status, 302);
+        assert.equal(linked.location, `/admin/specialists/${OMAR}`);
+        const page = await huda.follow(linked);
+        assert.match(page.text, /تم ربط ولي الأمر بالأخصائي بنجاح/);
+        assert.match(page.text, /Mona Parent/);
+
+        const unlinked = await huda.post(`/admin/specialists/${OMAR}/unlink-parent/${mona}`);
+        assert.equal(unlinked.status, 302);
+        assert.equal(unlinked.location, `/admin/specialists/${OMAR}`);
+        const after = await huda.follow(unlinked);
+        assert.match(after.text, /تم إلغاء ربط ولي الأمر/);
+        assert.ok(!portal.store.findUser(OMAR).linkedParents.map(String).includes(mona));
+        // As the removed Mongo route did, the parent is no longer linked to the specialist either
+        assert.equal(portal.store.findUser(mona).linkedSpecialist, null);
+    });
+
+    test('specialists cannot link or unlink parents', async () => {
+        const sara = await portal.loggedIn('specialist');
+        const mona = IDS.user(6);
+        const res = await sara.post(`/admin/specialists/${OMAR}/link-parent`, { parentId: mona });
+        assert.equal(res.status, 302);
+        assert.ok(!(portal.store.findUser(OMAR).linkedParents || []).map(String).includes(mona));
+    });
+
+    test('unlinking a parent that is not linked flashes an error', async () => {
+        const res = await huda.post(`/admin/specialists/${OMAR}/unlink-parent/${IDS.user(5)}`);
+        assert.equal(res.status, 302);
+        const page = await huda.follow(res);
+        assert.match(page.text, /حدث خطأ/);
+    });
+
+    test('linking and unlinking a child', async () => {
+        const noor = IDS.child(4);
+        portal.store.findChild(noor).assignedSpecialist = null;
+
+        const linked = await huda.follow(await huda.post(`/admin/specialists/${OMAR}/link-child`, { childId: noor, parentId: KHALED }));
+        assert.match(linked.text, /تم ربط الطفل بالأخصائي بنجاح/);
+        assert.equal(String(portal.store.findChild(noor).assignedSpecialist), OMAR);
+
+        const unlinked = await huda.post(`/admin/specialists/${OMAR}/unlink-child/${noor}`);
+        assert.equal(unlinked.location, `/admin/specialists/${OMAR}`);
+        const page = await huda.follow(unlinked);
+        assert.match(page.text, /تم إلغاء تعيين الطفل/);
+        assert.equal(portal.store.findChild(noor).assignedSpecialist, null);
+        portal.store.findChild(noor).assignedSpecialist = IDS.user(2);
+    });
+
+    test('linking a child owned by another specialist flashes an error', async () => {
+        const page = await huda.follow(await huda.post(`/admin/specialists/${OMAR}/link-child`, { childId: IDS.child(1) }));
+        assert.match(page.text, /حدث خطأ في ربط الطفل/);
+    });
+
+    test('POST /admin/specialists/:id/delete removes the specialist from the center', async () => {
+        const noura = portal.store.data.users.find(u => u.email === 'noura@bmo.test');
+        const res = await huda.post(`/admin/specialists/${noura._id}/delete`);
+        assert.equal(res.status, 302);
+        assert.equal(res.location, '/admin/specialists');
+        const page = await huda.follow(res);
+        assert.match(page.text, /تم إزالة الأخصائي من المركز/);
+        assert.doesNotMatch(page.text, /Noura Specialist/);
+    });
+
+    test('POST /admin/specialists/bulk-delete validates and reports failures', async () => {
+        const empty = await huda.request('POST', '/admin/specialists/bulk-delete', { json: { ids: [] } });
+        assert.deepEqual(empty.json(), { success: false, message: 'لا توجد عناصر محددة للحذف' });
+
+        const partial = await huda.request('POST', '/admin/specialists/bulk-delete', { json: { ids: [IDS.user(99)] } });
+        assert.equal(partial.json().success, false);
+        assert.match(partial.json().message, /فشل حذف 1/);
+
+        const ok = await huda.request('POST', '/admin/specialists/bulk-delete', { json: { ids: [OMAR] } });
+        assert.deepEqual(ok.json(), { success: true });
+        assert.equal(portal.store.findUser(OMAR).center, null);
+    });
+});
+
+describe('admin as specialist', () => {
+    test('GET /admin/parents lists the admin\'s own parents', async () => {
+        const res = await huda.get('/admin/parents');
+        assert.equal(res.status, 200);
+        assert.match(res.text, /Khaled Parent/);
+    });
+
+    test('GET /admin/children lists the admin\'s own children', async () => {
+        const res = await huda.get('/admin/children');
+        assert.equal(res.status, 200);
+        assert.match(res.text, /نور/);
+    });
+});
+
+describe('settings', () => {
+    test('GET /settings renders the center settings', async () => {
+        const res = await huda.get('/settings');
+        assert.equal(res.status, 200);
+        assert.match(res.text, /name="appName"[^>]*value="BMO Care"/);
+    });
+
+    test('POST /settings saves and normalizes the maintenance checkbox', async () => {
+        const res = await huda.post('/settings', { appName: 'Center Portal', themeColor: '#10b981', appEmail: 'c@bmo.test', maxUploadSize: '8' });
+        assert.equal(res.status, 302);
+        assert.equal(res.location, '/settings');
+
+        const page = await huda.follow(res);
+        assert.match(page.text, /Settings updated successfully/);
+        assert.match(page.text, /value="Center Portal"/);
+
+        const saved = portal.store.data.settings.centers[IDS.center];
+        assert.equal(saved.maintenanceMode, false);
+        assert.equal(portal.store.data.settings.global.appName, 'BMO Care');
+    });
+
+    test('POST /settings flashes backend errors', async () => {
+        await portal.fault({ method: 'POST', path: '^/admin/settings$', status: 500, times: 1 });
+        const page = await huda.follow(await huda.post('/settings', { appName: 'x' }));
+        assert.match(page.text, /Error updating settings/);
+    });
+
+    test('GET /settings is admin-only', async () => {
+        const sara = await portal.loggedIn('specialist');
+        const res = await sara.get('/settings');
+        assert.equal(res.status, 302);
+        assert.equal(res.location, '/specialist');
+    });
+});
+
+describe('activity log', () => {
+    test('GET /admin/activity lists the center\'s activity', async () => {
+        const res = await huda.get('/admin/activity');
+        assert.equal(res.status, 200);
+        assert.match(res.text, /CREATE_SPECIALIST/);
+        assert.match(res.text, /UPDATE_SETTINGS/);
+    });
+
+    test('GET /admin/activity falls back to the dashboard when the log is unavailable', async () => {
+        await portal.fault({ method: 'GET', path: '^/admin/activity-log$', status: 500, times: 1 });
+        const res = await huda.get('/admin/activity');
+        assert.equal(res.status, 302);
+        assert.equal(res.location, '/admin');
+        const page = await huda.follow(res);
+        assert.match(page.text, /Error loading activity log/);
+    });
+});
+
+describe('export', () => {
+    test('GET /export/specialists?format=pdf streams a PDF', async () => {
+        const res = await huda.get('/export/specialists?format=pdf');
+        assert.equal(res.status, 200);
+        assert.equal(res.headers.get('content-type'), 'application/pdf');
+        assert.match(res.text, /^%PDF/);
+    });
+
+    test('GET /export/specialists rejects other formats', async () => {
+        const res = await huda.get('/export/specialists?format=csv');
+        assert.equal(res.status, 400);
+    });
+
+    test('specialists and guests cannot export the center\'s specialists', async () => {
+        const sara = await portal.loggedIn('specialist');
+        const refused = await sara.get('/export/specialists?format=pdf');
+        assert.equal(refused.status, 302);
+        assert.equal(refused.location, '/specialist');
+
+        const guest = await portal.client().get('/export/specialists?format=pdf');
+        assert.equal(guest.location, '/auth/login');
+    });
+});
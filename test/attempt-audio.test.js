@@ -0,0 +1,126 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startPortal, IDS } = require('./helpers');
+
+let portal;
+
+const YOUSEF = IDS.child(1);
+const REEM = IDS.child(2);
+const ADAM = IDS.child(3);
+const FIRST_SESSION = '6500000000000000000b0101';
+// Attempt ids in the fixture: 0c + child + session + attempt
+const attemptId = (child, session, attempt) => `65000000000000000c${[child, session, attempt].map(n => String(n).padStart(2, '0')).join('')}`;
+const audioUrl = (childId, id) => `/specialist/child/${childId}/attempts/${id}/audio`;
+const reviewUrl = (childId, id) => `/specialist/child/${childId}/attempts/${id}/review`;
+
+before(async () => {
+    portal = await startPortal();
+});
+
+after(async () => {
+    await portal.close();
+});
+
+beforeEach(async () => {
+    await portal.reset();
+});
+
+describe('attempt recordings', () => {
+    test('the session and analytics attempt tables get an inline player', async () => {
+        const sara = await portal.loggedIn('specialist');
+        const session = await sara.get(`/specialist/child/${YOUSEF}/sessions/${FIRST_SESSION}`);
+        assert.match(session.text, new RegExp(`class="attempt-audio" data-src="${audioUrl(YOUSEF, attemptId(1, 1, 1))}"`));
+        assert.match(session.text, /class="attempt-audio-speed"/);
+        // The last attempt of the first session was not recorded
+        assert.doesNotMatch(session.text, new RegExp(audioUrl(YOUSEF, attemptId(1, 1, 6))));
+        assert.match(session.text, /لا يوجد تسجيل/);
+
+        const analytics = await sara.get(`/specialist/child/${YOUSEF}/analytics`);
+        assert.match(analytics.text, new RegExp(`data-src="${audioUrl(YOUSEF, attemptId(1, 8, 5))}"`));
+    });
+
+    test('recordings stream through the portal, with range requests', async () => {
+        const sara = await portal.loggedIn('specialist');
+        const full = await sara.get(audioUrl(YOUSEF, attemptId(1, 1, 1)));
+        assert.equal(full.status, 200);
+        assert.equal(full.headers.get('content-type'), 'audio/wav');
+        assert.equal(full.headers.get('accept-ranges'), 'bytes');
+        assert.ok(full.text.startsWith('RIFF'));
+        const size = Number(full.headers.get('content-length'));
+
+        const part = await sara.get(audioUrl(YOUSEF, attemptId(1, 1, 1)), { headers: { Range: 'bytes=0-99' } });
+        assert.equal(part.status, 206);
+        assert.equal(part.headers.get('content-range'), `bytes 0-99/${size}`);
+        assert.equal(part.headers.get('content-length'), '100');
+    });
+
+    test('a recording the backend drops mid-stream ends the response', async () => {
+        const sara = await portal.loggedIn('specialist');
+        const { Readable } = require('stream');
+        const apiClient = require('../utils/apiClient');
+        const get = apiClient.get;
+        apiClient.get = async (url, ...rest) => {
+            if (!url.endsWith('/audio')) return get(url, ...rest);
+            const data = new Readable({ read() {} });
+            data.push(Buffer.alloc(100));
+            setTimeout(() => data.destroy(new Error('socket hang up')), 20);
+            return { status: 200, headers: { 'content-type': 'audio/wav', 'content-length': '1000' }, data };
+        };
+        try {
+            await assert.rejects(sara.get(audioUrl(YOUSEF, attemptId(1, 1, 1))));
+        } finally {
+            apiClient.get = get;
+        }
+        // The portal keeps serving
+        assert.equal((await sara.get(`/specialist/child/${YOUSEF}/analytics`)).status, 200);
+    });
+
+    test('missing recordings and other caseloads answer 404', async () => {
+        const sara = await portal.loggedIn('specialist');
+        assert.equal((await sara.get(audioUrl(YOUSEF, attemptId(1, 1, 6)))).status, 404);
+        assert.equal((await sara.get(audioUrl(ADAM, attemptId(3, 1, 1)))).status, 404);
+
+        // Another child's attempt under this child's URL
+        assert.equal((await sara.get(audioUrl(YOUSEF, attemptId(2, 1, 1)))).status, 404);
+        assert.equal((await sara.get(audioUrl(REEM, attemptId(2, 1, 1)))).status, 200);
+        const review = await sara.post(reviewUrl(YOUSEF, attemptId(2, 1, 1)), { flagged: 'true' }, { headers: { Accept: 'application/json' } });
+        assert.equal(review.status, 404);
+        assert.equal(portal.store.findAttempt(attemptId(2, 1, 1)).attempt.review, undefined);
+
+        // Admins reach every child of their center
+        const huda = await portal.loggedIn('admin');
+        assert.equal((await huda.get(audioUrl(ADAM, attemptId(3, 1, 1)))).status, 200);
+    });
+
+    test('flags an attempt for review with a note, and clears it', async () => {
+        const sara = await portal.loggedIn('specialist');
+        const id = attemptId(1, 1, 4);
+
+        const flagged = await sara.post(reviewUrl(YOUSEF, id), { flagged: 'true', note: 'يحذف الباء الأخيرة' }, { headers: { Accept: 'application/json' } });
+        assert.equal(flagged.status, 200);
+        assert.equal(flagged.json().review.note, 'يحذف الباء الأخيرة');
+        const stored = portal.store.findAttempt(id).attempt.review;
+        assert.equal(stored.flagged, true);
+        assert.equal(stored.by.name, portal.store.findUser(IDS.user(3)).name);
+
+        const page = await sara.get(`/specialist/child/${YOUSEF}/sessions/${FIRST_SESSION}`);
+        assert.match(page.text, /class="attempt-review flagged"/);
+        assert.match(page.text, /يحذف الباء الأخيرة/);
+
+        // Without JavaScript the form posts normally and lands back on the session
+        const cleared = await sara.post(reviewUrl(YOUSEF, id), { flagged: 'false' });
+        assert.equal(cleared.location, `/specialist/child/${YOUSEF}/sessions/${FIRST_SESSION}`);
+        assert.equal(portal.store.findAttempt(id).attempt.review, undefined);
+    });
+
+    test('supervisors can listen but not flag', async () => {
+        const samir = await portal.loggedIn('supervisor');
+        assert.equal((await samir.get(audioUrl(YOUSEF, attemptId(1, 1, 1)))).status, 200);
+
+        const page = await samir.get(`/specialist/child/${YOUSEF}/sessions/${FIRST_SESSION}`);
+        assert.doesNotMatch(page.text, /attempt-review-form/);
+        const res = await samir.post(reviewUrl(YOUSEF, attemptId(1, 1, 1)), { flagged: 'true', note: 'x' });
+        assert.equal(res.status, 302);
+        assert.equal(portal.store.findAttempt(attemptId(1, 1, 1)).attempt.review, undefined);
+    });
+});
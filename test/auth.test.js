@@ -0,0 +1,165 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startPortal, PASSWORD } = require('./helpers');
+
+let portal;
+
+before(async () => {
+    portal = await startPortal();
+});
+
+after(async () => {
+    await portal.close();
+});
+
+test('GET / renders the login page for guests', async () => {
+    const res = await portal.client().get('/');
+    assert.equal(res.status, 200);
+    assert.match(res.text, /name="email"/);
+    assert.match(res.text, /action="\/auth\/login"/);
+});
+
+test('GET /health reports the portal is up', async () => {
+    const res = await portal.client().get('/health');
+    assert.equal(res.status, 200);
+    assert.match(res.text, /Web Portal is running/);
+});
+
+test('unknown pages render the 404 view', async () => {
+    const res = await portal.client().get('/no-such-page');
+    assert.equal(res.status, 404);
+});
+
+test('protected pages redirect guests to the login page with a flash', async () => {
+    const client = portal.client();
+    const res = await client.get('/specialist');
+    assert.equal(res.status, 302);
+    assert.equal(res.location, '/auth/login');
+
+    const page = await client.follow(res);
+    assert.equal(page.status, 200);
+    assert.match(page.text, /يجب تسجيل الدخول أولاً/);
+});
+
+for (const [role, home, marker] of [
+    ['superadmin', '/superadmin', /Super Admin|المدير العام|مراكز/],
+    ['admin', '/admin', /مركز|Center/],
+    ['specialist', '/specialist', /سارة|Sara/]
+]) {
+    test(`${role} logs in through the LocalStrategy and lands on ${home}`, async () => {
+        const client = portal.client();
+        const res = await client.login(role);
+        assert.equal(res.status, 302);
+        assert.equal(res.location, '/');
+
+        const root = await client.get('/');
+        assert.equal(root.status, 302);
+        assert.equal(root.location, home);
+
+        const dashboard = await client.get(home);
+        assert.equal(dashboard.status, 200);
+        assert.match(dashboard.text, marker);
+
+        // Already signed in: the login page bounces back to the dashboard.
+        const login = await client.get('/auth/login');
+        assert.equal(login.status, 302);
+        assert.equal(login.location, home);
+    });
+}
+
+test('wrong password flashes the invalid-credentials message', async () => {
+    const client = portal.client();
+    const res = await client.post('/auth/login', { email: 'specialist@bmo.test', password: 'nope' });
+    assert.equal(res.status, 302);
+    assert.equal(res.location, '/auth/login');
+
+    const page = await client.follow(res);
+    assert.match(page.text, /اسم المستخدم أو كلمة المرور غير صحيحة/);
+});
+
+test('parents cannot sign in to the portal', async () => {
+    const client = portal.client();
+    const page = await client.follow(await client.post('/auth/login', { email: 'parent1@bmo.test', password: PASSWORD }));
+    assert.match(page.text, /ليس لديك صلاحية للدخول إلى هذه البوابة/);
+});
+
+test('backend outage during login flashes the server-unavailable message', async () => {
+    await portal.fault({ method: 'POST', path: '^/auth/login', status: 502, times: 1 });
+    const client = portal.client();
+    const page = await client.follow(await client.login('specialist'));
+    assert.match(page.text, /الخادم غير متاح حالياً/);
+    await portal.clearFaults();
+});
+
+test('role guards redirect to the caller\'s own dashboard', async () => {
+    const client = await portal.loggedIn('specialist');
+    const res = await client.get('/superadmin');
+    assert.equal(res.status, 302);
+    assert.equal(res.location, '/specialist');
+
+    const page = await client.follow(res);
+    assert.match(page.text, /ليس لديك صلاحية للوصول إلى هذه الصفحة/);
+});
+
+test('logout ends the session', async () => {
+    const client = await portal.loggedIn('admin');
+    const res = await client.get('/auth/logout');
+    assert.equal(res.status, 302);
+    assert.equal(res.location, '/auth/login');
+
+    const page = await client.follow(res);
+    assert.match(page.text, /تم تسجيل الخروج بنجاح/);
+
+    const after = await client.get('/admin');
+    assert.equal(after.status, 302);
+    assert.equal(after.location, '/auth/login');
+});
+
+test('401 from /auth/me logs the user out', async () => {
+    const client = await portal.loggedIn('specialist');
+    assert.equal((await client.get('/specialist')).status, 200);
+
+    await portal.fault({ method: 'GET', path: '^/auth/me$', status: 401, body: { success: false, message: 'Token expired' } });
+    const res = await client.get('/specialist');
+    assert.equal(res.status, 302);
+    assert.equal(res.location, '/auth/login');
+    await portal.clearFaults();
+});
+
+test('backend errors other than 401 on /auth/me keep the session', async () => {
+    const client = await portal.loggedIn('specialist');
+
+    await portal.fault({ method: 'GET', path: '^/auth/me$', status: 500, times: 1 });
+    const res = await client.get('/specialist/profile');
+    assert.equal(res.status, 200);
+    await portal.clearFaults();
+});
+
+test('language switcher sets the lang cookie and returns to the referer', async () => {
+    const client = portal.client();
+    const res = await client.get('/lang/en', { headers: { referer: `${portal.baseUrl}/auth/login` } });
+    assert.equal(res.status, 302);
+    assert.equal(res.location, '/auth/login');
+    assert.equal(client.cookies.get('lang'), 'en');
+
+    const page = await client.get('/auth/login');
+    assert.match(page.text, /Login|Sign in/i);
+
+    const bad = await client.get('/lang/fr');
+    assert.equal(bad.status, 302);
+    assert.equal(client.cookies.get('lang'), 'en');
+});
+
+test('production refuses to start without PORTAL_API_KEY', async () => {
+    const { execFile } = require('child_process');
+    const path = require('path');
+    const env = { ...process.env, NODE_ENV: 'production', PORTAL_URL: 'https://portal.example.com', PORT: '0' };
+    delete env.PORTAL_API_KEY;
+    const result = await new Promise((resolve) => {
+        execFile(process.execPath, [path.join(__dirname, '..', 'server.js')], { env, timeout: 30000 }, (error, stdout, stderr) => {
+            resolve({ code: error ? error.code : 0, stderr });
+        });
+    });
+    assert.equal(result.code, 1);
+    assert.match(result.stderr, /PORTAL_API_KEY must be set/);
+});
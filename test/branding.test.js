@@ -0,0 +1,95 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startPortal, IDS } = require('./helpers');
+
+let portal;
+
+const PNG = Buffer.from('89504e470d0a1a0a', 'hex');
+
+const settingsForm = (fields, files = {}) => {
+    const form = new FormData();
+    for (const [key, value] of Object.entries(fields)) form.append(key, value);
+    for (const [key, { name, type }] of Object.entries(files)) form.append(key, new Blob([PNG], { type }), name);
+    return form;
+};
+
+before(async () => {
+    portal = await startPortal();
+});
+
+after(async () => {
+    await portal.close();
+});
+
+beforeEach(async () => {
+    await portal.reset();
+});
+
+describe('branding', () => {
+    test("a center's name and color apply to its staff; guests keep the global branding", async () => {
+        const huda = await portal.loggedIn('admin');
+        const res = await huda.request('POST', '/settings', {
+            multipart: settingsForm({ appName: 'Little Voices', themeColor: '#10b981' })
+        });
+        assert.equal(res.location, '/settings');
+
+        const sara = await portal.loggedIn('specialist');
+        const page = await sara.get('/specialist');
+        assert.match(page.text, /\| Little Voices/);
+        assert.match(page.text, /--primary: #10b981;/);
+        assert.match(page.text, /--primary-hover: #0e9d6e;/);
+        assert.match(page.text, /--primary-light: rgba\(16, 185, 129, 0\.1\);/);
+
+        const login = await portal.client().get('/auth/login');
+        assert.match(login.text, /BMO Care/);
+        assert.doesNotMatch(login.text, /Little Voices/);
+        assert.match(login.text, /--primary: #2563eb;/);
+    });
+
+    test('logo and favicon uploads show in the sidebar, the tab and the login page', async () => {
+        const root = await portal.loggedIn('superadmin');
+        await root.request('POST', '/settings', {
+            multipart: settingsForm({ appName: 'BMO Care' }, {
+                logo: { name: 'logo.png', type: 'image/png' },
+                favicon: { name: 'favicon.ico', type: 'image/x-icon' }
+            })
+        });
+        const { logo, favicon } = portal.store.data.settings.global;
+        assert.match(logo, /^uploads\/branding\/global-logo-\d+\.png$/);
+        assert.match(favicon, /^uploads\/branding\/global-favicon-\d+\.ico$/);
+
+        const login = await portal.client().get('/auth/login');
+        assert.match(login.text, new RegExp(`class="brand-logo"`));
+        assert.match(login.text, new RegExp(`<link rel="icon" href="${portal.backendUrl}/${favicon}">`));
+
+        const sara = await portal.loggedIn('specialist');
+        const page = await sara.get('/specialist');
+        assert.match(page.text, new RegExp(`<img src="${portal.backendUrl}/${logo}" alt="BMO Care"`));
+    });
+
+    test('a logo can be removed again', async () => {
+        const huda = await portal.loggedIn('admin');
+        await huda.request('POST', '/settings', {
+            multipart: settingsForm({ appName: 'Little Voices' }, { logo: { name: 'logo.png', type: 'image/png' } })
+        });
+        assert.ok(portal.store.data.settings.centers[IDS.center].logo);
+        assert.match((await huda.get('/settings')).text, /name="removeLogo"/);
+
+        await huda.request('POST', '/settings', { multipart: settingsForm({ appName: 'Little Voices', removeLogo: 'on' }) });
+        assert.equal(portal.store.data.settings.centers[IDS.center].logo, undefined);
+        assert.match((await huda.get('/admin')).text, /src="\/images\/logo-full\.png"/);
+    });
+
+    test('only plain hex colors and images are accepted', async () => {
+        const huda = await portal.loggedIn('admin');
+        await huda.post('/settings', { appName: 'Little Voices', themeColor: 'red;}</style><script>alert(1)</script>' });
+        assert.equal(portal.store.data.settings.centers[IDS.center].themeColor, undefined);
+        assert.doesNotMatch((await huda.get('/admin')).text, /alert\(1\)/);
+
+        const res = await huda.request('POST', '/settings', {
+            multipart: settingsForm({ appName: 'Other' }, { logo: { name: 'logo.svg', type: 'image/svg+xml' } })
+        });
+        assert.match((await huda.follow(res)).text, /ملف الشعار أو الأيقونة غير مدعوم/);
+        assert.equal(portal.store.data.settings.centers[IDS.center].appName, 'Little Voices');
+    });
+});
@@ -0,0 +1,231 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startPortal, IDS } = require('./helpers');
+
+let portal;
+
+const YOUSEF = IDS.child(1);
+const REEM = IDS.child(2);
+const ADAM = IDS.child(3);
+const NOOR = IDS.child(4);
+
+const sessionsOf = (childId) => portal.store.data.exercises.filter(e => String(e.child) === childId);
+const activeSession = (childId) => sessionsOf(childId).find(e => e.active);
+
+const bulkPlan = (client, json) => client.request('POST', '/specialist/children/bulk-plan', { json });
+
+before(async () => {
+    portal = await startPortal();
+});
+
+after(async () => {
+    await portal.close();
+});
+
+beforeEach(async () => {
+    await portal.reset();
+});
+
+describe('bulk plan assignment', () => {
+    test('the children list lets plan writers select children for the bulk action', async () => {
+        const sara = await portal.loggedIn('specialist');
+        const page = await sara.get('/specialist/children');
+        assert.equal(page.status, 200);
+        assert.match(page.text, new RegExp(`class="item-checkbox" value="${YOUSEF}"`));
+        assert.match(page.text, /id="bulkActionsBar"/);
+        assert.match(page.text, /openBulkPlanModal\(\)/);
+        assert.match(page.text, /id="bulkPlanForm"/);
+        // The delete action of the partial is not offered here
+        assert.doesNotMatch(page.text, /onclick="bulkDelete\(\)"/);
+
+        const samir = await portal.loggedIn('supervisor');
+        const readOnly = await samir.get('/specialist/children');
+        assert.doesNotMatch(readOnly.text, /class="item-checkbox"|id="bulkPlanForm"/);
+    });
+
+    test('dry run shows who has an active plan without changing anything', async () => {
+        const sara = await portal.loggedIn('specialist');
+        const before = portal.store.data.exercises.length;
+
+        const res = await bulkPlan(sara, { ids: [YOUSEF, REEM, ADAM], dryRun: true, lettersText: 'ف', applySettings: 'on', playDuration: '8' });
+        const body = res.json();
+        assert.equal(body.success, true);
+        assert.equal(body.dryRun, true);
+        assert.deepEqual(body.results.map(r => [r.childId, r.status, r.activePlan && r.activePlan.sessionName]), [
+            [YOUSEF, 'ready', 'Session 2'],
+            [REEM, 'ready', 'Session 1'],
+            [ADAM, 'notFound', null]
+        ]);
+        assert.deepEqual(body.results[0].plan, 'ready');
+        assert.deepEqual(body.results[0].settings, 'ready');
+        assert.equal(body.summary.withActivePlan, 2);
+
+        assert.equal(portal.store.data.exercises.length, before);
+        assert.equal(portal.store.findChild(YOUSEF).sessionStructure.playDuration, 10);
+    });
+
+    test('applies one plan session and play settings to every selected child', async () => {
+        const sara = await portal.loggedIn('specialist');
+        const res = await bulkPlan(sara, {
+            ids: [YOUSEF, REEM, ADAM],
+            sessionName: 'Group A',
+            targetDuration: '12',
+            lettersText: 'ف\nق',
+            wordsText: 'فيل',
+            applySettings: 'on',
+            playDuration: '8',
+            maxAttempts: '20',
+            scheduleEnabled: 'on',
+            allowedDays: ['0', '2'],
+            windows_0: '15:00-16:00',
+            windows_2: '10:00-11:00, 15:00-16:00'
+        });
+        const body = res.json();
+        assert.equal(body.success, true);
+        assert.deepEqual(body.summary, { done: 2, failed: 0, notFound: 1, withActivePlan: 2 });
+        assert.deepEqual(body.results.map(r => [r.status, r.plan, r.settings]), [
+            ['done', 'done', 'done'],
+            ['done', 'done', 'done'],
+            ['notFound', 'skip', 'skip']
+        ]);
+
+        for (const childId of [YOUSEF, REEM]) {
+            const session = activeSession(childId);
+            assert.equal(session.sessionName, 'Group A');
+            assert.equal(session.targetDuration, 12);
+            assert.deepEqual(session.letters, [{ letter: 'ف' }, { letter: 'ق' }]);
+            const child = portal.store.findChild(childId);
+            assert.equal(child.sessionStructure.playDuration, 8);
+            assert.equal(child.sessionStructure.maxAttempts, 20);
+            assert.deepEqual(child.playSchedule.allowedDays, [0, 2]);
+            assert.deepEqual(child.playSchedule.windowsByDay[0], [{ start: '15:00', end: '16:00' }]);
+            assert.deepEqual(child.playSchedule.windowsByDay[2], [{ start: '10:00', end: '11:00' }, { start: '15:00', end: '16:00' }]);
+        }
+        // Adam is not in Sara's caseload and is never sent to the backend
+        assert.equal(sessionsOf(ADAM).length, 0);
+    });
+
+    test('play settings alone leave the plan sessions as they are', async () => {
+        const sara = await portal.loggedIn('specialist');
+        const before = portal.store.data.exercises.length;
+        const res = await bulkPlan(sara, { ids: [YOUSEF], applySettings: 'on', breakDuration: '3' });
+        assert.deepEqual(res.json().results.map(r => [r.plan, r.settings]), [['skip', 'done']]);
+        assert.equal(portal.store.data.exercises.length, before);
+        assert.equal(portal.store.findChild(YOUSEF).sessionStructure.breakDuration, 3);
+        assert.equal(activeSession(YOUSEF).sessionName, 'Session 2');
+    });
+
+    test("changing only the daily limit keeps each child's schedule and session structure", async () => {
+        const yousef = portal.store.findChild(YOUSEF);
+        yousef.sessionStructure = { playDuration: 7, breakDuration: 2, maxAttempts: 15 };
+        yousef.playSchedule = { enabled: true, enforce: true, allowedDays: [1, 3], windows: [{ start: '16:00', end: '17:00' }] };
+
+        const sara = await portal.loggedIn('specialist');
+        const res = await bulkPlan(sara, { ids: [YOUSEF], applySettings: 'on', dailyPlayDuration: '25' });
+        assert.deepEqual(res.json().results.map(r => r.settings), ['done']);
+
+        const child = portal.store.findChild(YOUSEF);
+        assert.equal(child.dailyPlayDuration, 25);
+        assert.deepEqual(child.sessionStructure, { playDuration: 7, breakDuration: 2, maxAttempts: 15 });
+        assert.deepEqual(child.playSchedule, { enabled: true, enforce: true, allowedDays: [1, 3], windows: [{ start: '16:00', end: '17:00' }] });
+
+        // Checking the box with nothing filled in is not a change
+        const empty = await bulkPlan(sara, { ids: [YOUSEF], applySettings: 'on' });
+        assert.equal(empty.status, 400);
+    });
+
+    test('schedule errors are reported per weekday and nothing is applied', async () => {
+        const sara = await portal.loggedIn('specialist');
+        const before = structuredClone(portal.store.findChild(YOUSEF).playSchedule);
+        const res = await bulkPlan(sara, {
+            ids: [YOUSEF, REEM],
+            applySettings: 'on',
+            playDuration: '9',
+            windows_4: '16:00-18:00, 17:00-19:00'
+        });
+        assert.equal(res.status, 400);
+        assert.equal(res.json().message, 'الخميس: الفترات متداخلة');
+        assert.deepEqual(portal.store.findChild(YOUSEF).playSchedule, before);
+        assert.notEqual(portal.store.findChild(YOUSEF).sessionStructure?.playDuration, 9);
+
+        const page = await sara.get('/specialist/children');
+        assert.match(page.text, /id="bulkPlanSettings" disabled>[\s\S]*name="windows_0"/);
+    });
+
+    test('reports per-child backend failures', async () => {
+        const sara = await portal.loggedIn('specialist');
+        // The caseload is read (and cached) before the child disappears from the backend
+        await bulkPlan(sara, { ids: [YOUSEF, REEM], lettersText: 'ف', dryRun: true });
+        portal.store.data.children.find(c => String(c._id) === REEM)._id = IDS.child(98);
+        const res = await bulkPlan(sara, { ids: [YOUSEF, REEM], lettersText: 'ف' });
+        const body = res.json();
+        assert.equal(body.summary.done, 1);
+        assert.equal(body.summary.failed, 1);
+        assert.equal(body.results[1].status, 'failed');
+        assert.match(body.results[1].error, /Child not found/);
+    });
+
+    test("admins use their own children, not a specialist's caseload", async () => {
+        const huda = await portal.loggedIn('admin');
+        const res = await bulkPlan(huda, { ids: [NOOR, YOUSEF], lettersText: 'ف' });
+        assert.deepEqual(res.json().results.map(r => [r.childId, r.status]), [[NOOR, 'done'], [YOUSEF, 'notFound']]);
+        assert.equal(activeSession(NOOR).letters[0].letter, 'ف');
+        assert.equal(sessionsOf(YOUSEF).filter(e => e.active).length, 1);
+    });
+
+    test('only a few children are sent to the backend at the same time', async () => {
+        const yousef = portal.store.findChild(YOUSEF);
+        const ids = [YOUSEF, REEM];
+        for (let i = 0; i < 8; i++) {
+            const id = IDS.child(50 + i);
+            portal.store.data.children.push({ ...structuredClone(yousef), _id: id });
+            ids.push(id);
+        }
+
+        const apiClient = require('../utils/apiClient');
+        const authPost = apiClient.authPost;
+        let inFlight = 0;
+        let peak = 0;
+        apiClient.authPost = async (...args) => {
+            inFlight++;
+            peak = Math.max(peak, inFlight);
+            try {
+                await new Promise(resolve => setTimeout(resolve, 20));
+                return await authPost(...args);
+            } finally {
+                inFlight--;
+            }
+        };
+        try {
+            const sara = await portal.loggedIn('specialist');
+            const body = (await bulkPlan(sara, { ids, lettersText: 'ف' })).json();
+            assert.deepEqual(body.results.map(r => [r.childId, r.status]), ids.map(id => [id, 'done']));
+            assert.ok(peak > 1 && peak <= 4, `${peak} children at once`);
+        } finally {
+            apiClient.authPost = authPost;
+        }
+    });
+
+    test('the caseload endpoint follows the permissions, not the role name', () => {
+        const { caseloadPath } = require('../utils/caseload');
+        assert.equal(caseloadPath({ user: { role: 'admin' }, permissions: ['children:read', 'specialists:read'] }), '/admin/my-children');
+        // A center that takes the specialists list away from its admins
+        assert.equal(caseloadPath({ user: { role: 'admin' }, permissions: ['children:read'] }), '/specialists/my-children');
+        assert.equal(caseloadPath({ user: { role: 'supervisor' }, permissions: ['children:read', 'specialists:read'] }), '/admin/my-children');
+    });
+
+    test('validates the selection and the content', async () => {
+        const sara = await portal.loggedIn('specialist');
+        const empty = await bulkPlan(sara, { ids: [], lettersText: 'ف' });
+        assert.equal(empty.status, 400);
+        assert.equal(empty.json().message, 'لم يتم تحديد أطفال');
+
+        const nothing = await bulkPlan(sara, { ids: [YOUSEF], lettersText: ' ' });
+        assert.equal(nothing.status, 400);
+        assert.equal(nothing.json().message, 'أدخل حروفاً أو كلمات، أو اختر حفظ إعدادات اللعب');
+
+        const samir = await portal.loggedIn('supervisor');
+        const denied = await bulkPlan(samir, { ids: [YOUSEF], lettersText: 'ف' });
+        assert.equal(denied.status, 302);
+    });
+});
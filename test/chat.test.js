@@ -0,0 +1,126 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startPortal, IDS } = require('./helpers');
+
+let portal;
+let sara;
+
+const AHMED = IDS.user(5);
+
+before(async () => {
+    portal = await startPortal();
+    sara = await portal.loggedIn('specialist');
+});
+
+after(async () => {
+    await portal.close();
+});
+
+describe('chat', () => {
+    test('JSON endpoints require a session', async () => {
+        const res = await portal.client().get('/chat/conversations');
+        assert.equal(res.status, 302);
+        assert.equal(res.location, '/auth/login');
+    });
+
+    test('GET /chat/unread/count counts unread messages', async () => {
+        const res = await sara.get('/chat/unread/count');
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.json(), { success: true, count: 1 });
+    });
+
+    test('GET /chat/conversations lists conversations', async () => {
+        const res = await sara.get('/chat/conversations');
+        assert.equal(res.status, 200);
+        const { conversations } = res.json();
+        assert.equal(conversations.length, 1);
+        assert.equal(conversations[0].user.name, 'Ahmed Parent');
+        assert.equal(conversations[0].unreadCount, 1);
+    });
+
+    test('GET /chat/:userId returns the thread', async () => {
+        const res = await sara.get(`/chat/${AHMED}`);
+        assert.equal(res.status, 200);
+        const { messages } = res.json();
+        assert.equal(messages.length, 3);
+        assert.equal(messages.at(-1).content, 'شكراً جزيلاً!');
+    });
+
+    test('PUT /chat/:userId/seen marks the thread as read', async () => {
+        portal.store.data.messages.forEach(m => { m.isRead = false; });
+        const res = await sara.request('PUT', `/chat/${AHMED}/seen`);
+        assert.deepEqual(res.json(), { success: true, message: 'marked' });
+        assert.ok(portal.store.data.messages
+            .filter(m => String(m.receiver) === IDS.user(3))
+            .every(m => m.isRead));
+    });
+
+    test('POST /chat/send, PUT /chat/:id/edit and DELETE /chat/:id', async () => {
+        const sent = await sara.request('POST', '/chat/send', { json: { receiverId: AHMED, message: 'موعدنا غداً' } });
+        assert.equal(sent.status, 201);
+        const message = sent.json().message;
+        assert.equal(message.content, 'موعدنا غداً');
+
+        const edited = await sara.request('PUT', `/chat/${message._id}/edit`, { json: { message: 'موعدنا بعد غد' } });
+        assert.equal(edited.status, 200);
+        assert.equal(edited.json().message.isEdited, true);
+
+        const deleted = await sara.request('DELETE', `/chat/${message._id}`);
+        assert.equal(deleted.status, 200);
+        assert.ok(!portal.store.data.messages.some(m => String(m._id) === String(message._id)));
+    });
+
+    test('backend failures become 500 JSON responses', async () => {
+        const empty = await sara.request('POST', '/chat/send', { json: { receiverId: AHMED, message: '' } });
+        assert.equal(empty.status, 500);
+        assert.equal(empty.json().success, false);
+
+        const missing = await sara.request('DELETE', `/chat/${IDS.user(99)}`);
+        assert.equal(missing.status, 500);
+    });
+});
+
+describe('notifications', () => {
+    test('GET /notifications lists the user\'s notifications', async () => {
+        const res = await sara.get('/notifications');
+        assert.equal(res.status, 200);
+        const body = res.json();
+        assert.equal(body.notifications.length, 1);
+        assert.equal(body.notifications[0].title, 'New link request');
+    });
+
+    test('GET /notifications/unread-count, POST /:id/read and POST /read-all', async () => {
+        assert.deepEqual((await sara.get('/notifications/unread-count')).json(), { success: true, count: 1 });
+
+        const [notification] = portal.store.data.notifications;
+        const read = await sara.request('POST', `/notifications/${notification._id}/read`);
+        assert.equal(read.json().notification.isRead, true);
+        assert.deepEqual((await sara.get('/notifications/unread-count')).json(), { success: true, count: 0 });
+
+        notification.isRead = false;
+        assert.deepEqual((await sara.request('POST', '/notifications/read-all')).json(), { success: true });
+        assert.equal(notification.isRead, true);
+    });
+
+    test('unknown notifications return 404 JSON', async () => {
+        const res = await sara.request('POST', `/notifications/${IDS.user(99)}/read`);
+        assert.equal(res.status, 404);
+        assert.deepEqual(res.json(), { success: false });
+    });
+
+    test("another user's notification cannot be read or marked", async () => {
+        const [notification] = portal.store.data.notifications;
+        notification.isRead = false;
+        const huda = await portal.loggedIn('admin');
+        assert.equal((await huda.get('/notifications')).json().notifications.length, 0);
+        const res = await huda.request('POST', `/notifications/${notification._id}/read`);
+        assert.equal(res.status, 404);
+        assert.equal(notification.isRead, false);
+    });
+
+    test('guests are redirected to the login page', async () => {
+        const res = await portal.client().get('/notifications');
+        assert.equal(res.status, 302);
+        assert.equal(res.location, '/auth/login');
+    });
+});
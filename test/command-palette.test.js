@@ -0,0 +1,82 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startPortal, IDS } = require('./helpers');
+
+let portal;
+
+// Commands rendered into partials/command-palette.ejs for the Ctrl/Cmd+K palette
+const paletteData = (html, name) => {
+    const match = html.match(new RegExp(`data-${name}="([^"]*)"`));
+    assert.ok(match, `no data-${name} on the page`);
+    const decoded = match[1]
+        .replace(/&#34;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+    return JSON.parse(decoded);
+};
+
+before(async () => {
+    portal = await startPortal();
+});
+
+after(async () => {
+    await portal.close();
+});
+
+beforeEach(async () => {
+    await portal.reset();
+});
+
+describe('command palette', () => {
+    test('specialists get every child action and the language switch', async () => {
+        const sara = await portal.loggedIn('specialist');
+        const page = await sara.get('/specialist');
+        assert.match(page.text, /id="commandPalette"/);
+
+        const childActions = paletteData(page.text, 'child-actions');
+        assert.deepEqual(childActions.map(a => a.url), [
+            '/specialist/child/{id}/analytics',
+            '/specialist/child/{id}/analytics#createPlanSession',
+            '/specialist/child/{id}/analytics/pdf'
+        ]);
+        assert.equal(childActions[1].label, 'إنشاء جلسة خطة لـ {name}');
+
+        const actions = paletteData(page.text, 'actions');
+        assert.ok(actions.some(a => a.url === '/lang/en' && a.label === 'تبديل اللغة إلى English'));
+        assert.ok(actions.some(a => a.action === 'theme'));
+
+        // "Create plan session for X" lands on the analytics form
+        const analytics = await sara.get(`/specialist/child/${IDS.child(1)}/analytics`);
+        assert.match(analytics.text, /<form [^>]*id="createPlanSession"/);
+    });
+
+    test('commands are filtered by role', async () => {
+        const samir = await portal.loggedIn('supervisor');
+        const page = await samir.get('/specialist');
+        assert.deepEqual(paletteData(page.text, 'child-actions').map(a => a.url), [
+            '/specialist/child/{id}/analytics',
+            '/specialist/child/{id}/analytics/pdf'
+        ]);
+
+        // A center that takes reports away from supervisors leaves them nothing to run on a child
+        portal.store.data.settings.centers[IDS.center] = { rolePermissions: { supervisor: ['children:read'] } };
+        const limited = await (await portal.loggedIn('supervisor')).get('/specialist');
+        assert.deepEqual(paletteData(limited.text, 'child-actions'), []);
+    });
+
+    test('the language command offers the other language', async () => {
+        const huda = await portal.loggedIn('admin');
+        await huda.get('/lang/en');
+        const page = await huda.get('/admin');
+        const actions = paletteData(page.text, 'actions');
+        assert.ok(actions.some(a => a.url === '/lang/ar' && a.label === 'Switch language to العربية'));
+        assert.equal(paletteData(page.text, 'child-actions')[2].label, 'Export PDF for {name}');
+    });
+
+    test('guests get no palette', async () => {
+        const login = await portal.client().get('/auth/login');
+        assert.doesNotMatch(login.text, /commandPalette/);
+    });
+});
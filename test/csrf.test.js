@@ -0,0 +1,126 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startPortal, ACCOUNTS, PASSWORD, IDS } = require('./helpers');
+
+let portal;
+
+const SARA = IDS.user(3);
+
+const formToken = (html) => (html.match(/name="_csrf" value="([^"]+)"/) || [])[1];
+
+before(async () => {
+    portal = await startPortal();
+});
+
+after(async () => {
+    await portal.close();
+});
+
+beforeEach(async () => {
+    await portal.reset();
+});
+
+describe('CSRF protection', () => {
+    test('pages embed the session token in their forms and scripts', async () => {
+        const guest = portal.client();
+        const login = await guest.get('/auth/login');
+        assert.ok(formToken(login.text));
+
+        const sara = await portal.loggedIn('specialist');
+        const profile = await sara.get('/specialist/profile');
+        assert.equal(formToken(profile.text), await sara.csrf());
+        assert.match(profile.text, /action="\/specialist\/profile\/upload-photo" method="POST" enctype="multipart\/form-data" id="photoForm">\s*<input type="hidden" name="_csrf"/);
+        assert.doesNotMatch(profile.text, /\?_csrf=/);
+
+        const chat = await sara.get('/specialist/chat');
+        assert.match(chat.text, new RegExp(`const csrfToken = '${await sara.csrf()}'`));
+    });
+
+    test('a form posted without the token gets the translated error page and changes nothing', async () => {
+        const sara = await portal.loggedIn('specialist');
+
+        const res = await sara.post('/specialist/profile/update', { name: 'Forged' }, {
+            csrf: false,
+            headers: { referer: `${portal.baseUrl}/specialist/profile` }
+        });
+        assert.equal(res.status, 403);
+        assert.match(res.text, /انتهت صلاحية الصفحة/);
+        assert.match(res.text, /href="\/specialist\/profile"/);
+        assert.equal(portal.store.findUser(SARA).name, 'Sara Specialist');
+
+        sara.cookies.set('lang', 'en');
+        const english = await sara.post('/specialist/profile/update', { name: 'Forged' }, { csrf: 'not-the-token' });
+        assert.equal(english.status, 403);
+        assert.match(english.text, /This page has expired/);
+        assert.match(english.text, /href="\/"/);
+    });
+
+    test('the hidden form field is accepted and not forwarded to the backend', async () => {
+        const sara = await portal.loggedIn('specialist');
+        const _csrf = formToken((await sara.get('/specialist/profile')).text);
+
+        const res = await sara.post('/specialist/profile/update', { _csrf, name: 'Sara S.' }, { csrf: false });
+        assert.equal(res.status, 302);
+        assert.equal(portal.store.findUser(SARA).name, 'Sara S.');
+        assert.equal(portal.store.findUser(SARA)._csrf, undefined);
+    });
+
+    test('fetch calls without the header get a JSON 403', async () => {
+        const sara = await portal.loggedIn('specialist');
+        const res = await sara.request('POST', '/chat/send', {
+            json: { receiverId: IDS.user(5), message: 'hello' },
+            csrf: false
+        });
+        assert.equal(res.status, 403);
+        assert.equal(res.json().success, false);
+        assert.match(res.json().message, /تعذّر التحقق من هذا الطلب/);
+    });
+
+    test('multipart forms send the token as a field, checked once the upload is parsed', async () => {
+        const sara = await portal.loggedIn('specialist');
+        const photoForm = (token) => {
+            const form = new FormData();
+            if (token) form.append('_csrf', token);
+            form.append('photo', new Blob([Buffer.from('89504e470d0a1a0a', 'hex')], { type: 'image/png' }), 'me.png');
+            return form;
+        };
+
+        const forged = await sara.request('POST', '/specialist/profile/upload-photo', { multipart: photoForm('not-the-token'), csrf: false });
+        assert.equal(forged.status, 403);
+        const missing = await sara.request('POST', '/specialist/profile/upload-photo', { multipart: photoForm(), csrf: false });
+        assert.equal(missing.status, 403);
+        // The URL is no longer read
+        const inUrl = await sara.request('POST', `/specialist/profile/upload-photo?_csrf=${await sara.csrf()}`, { multipart: photoForm(), csrf: false });
+        assert.equal(inUrl.status, 403);
+        assert.equal(portal.store.findUser(SARA).profilePhoto, undefined);
+
+        const res = await sara.request('POST', '/specialist/profile/upload-photo', { multipart: photoForm(await sara.csrf()), csrf: false });
+        assert.equal(res.status, 302);
+        assert.ok(portal.store.findUser(SARA).profilePhoto);
+    });
+
+    test('a multipart body is not a way around the token on other routes', async () => {
+        const sara = await portal.loggedIn('specialist');
+        const form = new FormData();
+        form.append('_csrf', await sara.csrf());
+        form.append('name', 'Forged');
+        const res = await sara.request('POST', '/specialist/profile/update', { multipart: form, csrf: false });
+        assert.equal(res.status, 403);
+        assert.notEqual(portal.store.findUser(SARA).name, 'Forged');
+    });
+
+    test('logging in needs the login page token and replaces it', async () => {
+        const guest = portal.client();
+        const forged = await guest.post('/auth/login', { email: ACCOUNTS.specialist, password: PASSWORD }, { csrf: false });
+        assert.equal(forged.status, 403);
+
+        const before = await guest.csrf();
+        const res = await guest.login('specialist');
+        assert.equal(res.location, '/');
+
+        const after = await guest.csrf();
+        assert.notEqual(after, before);
+        const stale = await guest.post('/specialist/profile/update', { name: 'Forged' }, { csrf: before });
+        assert.equal(stale.status, 403);
+    });
+});
@@ -0,0 +1,177 @@
+// Shared harness for the end-to-end suite: boots the mock backend and the portal
+// in-process, and drives the portal with a cookie-keeping fetch client.
+//
+// node --test runs every test file in its own process, so each file gets a fresh
+// mock store, session store, response cache and circuit breaker.
+const { createMockBackend } = require('../mock-backend');
+
+const PASSWORD = 'password123';
+
+const ACCOUNTS = {
+    superadmin: 'superadmin@bmo.test',
+    admin: 'admin@bmo.test',
+    specialist: 'specialist@bmo.test',
+    supervisor: 'supervisor@bmo.test',
+    parent: 'parent1@bmo.test'
+};
+
+// Fixture ids (mock-backend/fixtures/default.json)
+const IDS = {
+    center: '6500000000000000000c0001',
+    user: (n) => `65000000000000000000${String(n).padStart(4, '0')}`,
+    child: (n) => `6500000000000000000a${String(n).padStart(4, '0')}`,
+    exercise: (n) => `6500000000000000000e${String(n).padStart(4, '0')}`
+};
+
+class Client {
+    constructor(baseUrl) {
+        this.baseUrl = baseUrl;
+        this.cookies = new Map();
+        this.csrfToken = null;
+    }
+
+    cookieHeader() {
+        return Array.from(this.cookies, ([k, v]) => `${k}=${v}`).join('; ');
+    }
+
+    storeCookies(res) {
+        for (const raw of res.headers.getSetCookie()) {
+            const [pair] = raw.split(';');
+            const eq = pair.indexOf('=');
+            const name = pair.slice(0, eq).trim();
+            const value = pair.slice(eq + 1).trim();
+            // A new session (e.g. after login) comes with a new CSRF token.
+            if (name === 'connect.sid' && this.cookies.get(name) !== value) this.csrfToken = null;
+            if (/expires=Thu, 01 Jan 1970/i.test(raw) || value === '') this.cookies.delete(name);
+            else this.cookies.set(name, value);
+        }
+    }
+
+    // The session's CSRF token, fetched once per session (utils/csrf.js)
+    async csrf() {
+        if (!this.csrfToken) {
+            this.csrfToken = (await this.get('/auth/csrf-token')).json().csrfToken;
+        }
+        return this.csrfToken;
+    }
+
+    // Never follows redirects: tests assert on them explicitly (see follow()).
+    // Non-GET requests carry the CSRF token unless `csrf` is given (false to leave it out).
+    async request(method, path, { form, json, multipart, headers = {}, csrf } = {}) {
+        const init = { method, redirect: 'manual', headers: { ...headers } };
+        if (!['GET', 'HEAD'].includes(method) && csrf !== false) {
+            init.headers['x-csrf-token'] = csrf || await this.csrf();
+        }
+        if (this.cookies.size) init.headers.cookie = this.cookieHeader();
+        if (form) {
+            init.headers['content-type'] = 'application/x-www-form-urlencoded';
+            init.body = new URLSearchParams(form).toString();
+        } else if (multipart) {
+            init.body = multipart; // FormData: fetch sets the boundary header
+        } else if (json) {
+            init.headers['content-type'] = 'application/json';
+            init.body = JSON.stringify(json);
+        }
+
+        const res = await fetch(new URL(path, this.baseUrl), init);
+        this.storeCookies(res);
+        const text = await res.text();
+        const location = res.headers.get('location');
+        return {
+            status: res.status,
+            headers: res.headers,
+            location: location ? new URL(location, this.baseUrl).pathname + new URL(location, this.baseUrl).search : null,
+            text,
+            json: () => JSON.parse(text)
+        };
+    }
+
+    get(path, options) {
+        return this.request('GET', path, options);
+    }
+
+    post(path, form, options = {}) {
+        return this.request('POST', path, { ...options, form: form || {} });
+    }
+
+    // Follow a redirect chain with GETs, as a browser would after a form post.
+    async follow(res, maxHops = 5) {
+        let current = res;
+        for (let i = 0; i < maxHops && current.location; i++) {
+            current = await this.get(current.location);
+        }
+        return current;
+    }
+
+    async login(role) {
+        const email = ACCOUNTS[role] || role;
+        return this.post('/auth/login', { email, password: PASSWORD });
+    }
+}
+
+const startPortal = async () => {
+    const mock = createMockBackend({ realtime: false });
+    const { port: mockPort } = await mock.listen(0);
+    const backendUrl = `http://127.0.0.1:${mockPort}`;
+
+    // Read at require-time by server.js, apiClient and the circuit breaker.
+    process.env.BACKEND_URL = backendUrl;
+    process.env.API_RETRIES = process.env.API_RETRIES || '0';
+    process.env.API_TIMEOUT_MS = process.env.API_TIMEOUT_MS || '3000';
+    process.env.BREAKER_THRESHOLD = process.env.BREAKER_THRESHOLD || '1000';
+    process.env.SESSION_MONGO_URL = '';
+    process.env.MONGO_URI = '';
+    process.env.MONGODB_URI = '';
+    process.env.MAIL_TRANSPORT = 'memory';
+
+    const app = require('../server');
+    const server = await new Promise((resolve) => {
+        const s = app.listen(0, '127.0.0.1', () => resolve(s));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    // Links in emails and SSO callbacks (utils/mailer.js)
+    process.env.PORTAL_URL = baseUrl;
+
+    const mockCall = async (method, path, body) => {
+        const res = await fetch(`${backendUrl}${path}`, {
+            method,
+            headers: { 'content-type': 'application/json' },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        return res.json();
+    };
+
+    return {
+        baseUrl,
+        backendUrl,
+        mock,
+        store: mock.store,
+        // Emails sent by the portal (utils/mailer.js memory transport)
+        outbox: require('../utils/mailer').outbox,
+        client: () => new Client(baseUrl),
+        async loggedIn(role) {
+            const client = new Client(baseUrl);
+            const res = await client.login(role);
+            if (res.status !== 302 || res.location === '/auth/login') {
+                throw new Error(`login as ${role} failed (${res.status} → ${res.location})`);
+            }
+            return client;
+        },
+        // Make matching backend calls fail, e.g. fault({ method: 'GET', path: '^/progress/sessions/', status: 404 })
+        fault: (spec) => mockCall('POST', '/__mock/faults', spec),
+        clearFaults: () => mockCall('DELETE', '/__mock/faults'),
+        // Re-seed the backend and drop cached API responses and portal settings.
+        async reset() {
+            await mockCall('POST', '/__mock/reset');
+            require('../utils/apiClient').clearCache();
+            require('../utils/portalSettings').clearCache();
+        },
+        async close() {
+            await new Promise((resolve) => server.close(resolve));
+            server.closeAllConnections?.();
+            await mock.close();
+        }
+    };
+};
+
+module.exports = { startPortal, Client, ACCOUNTS, IDS, PASSWORD };
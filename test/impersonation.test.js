@@ -0,0 +1,146 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startPortal, IDS } = require('./helpers');
+
+let portal;
+
+const SARA = IDS.user(3);
+
+const logsOf = (action) => portal.store.data.activityLogs.filter(l => l.action === action);
+
+// Signs in as `role` and starts viewing the portal as Sara.
+const viewAsSara = async (role = 'admin') => {
+    const client = await portal.loggedIn(role);
+    const res = await client.post(`/admin/specialists/${SARA}/impersonate`);
+    assert.equal(res.location, '/specialist');
+    return client;
+};
+
+before(async () => {
+    portal = await startPortal();
+});
+
+after(async () => {
+    await portal.close();
+});
+
+beforeEach(async () => {
+    await portal.reset();
+});
+
+describe('view as specialist', () => {
+    test('admins get the button on the specialist page, supervisors do not', async () => {
+        const huda = await portal.loggedIn('admin');
+        assert.match((await huda.get(`/admin/specialists/${SARA}`)).text, /\/impersonate"/);
+
+        const samir = await portal.loggedIn('supervisor');
+        await samir.post(`/admin/specialists/${SARA}/impersonate`);
+        assert.equal(logsOf('IMPERSONATION_START').length, 0);
+        assert.doesNotMatch((await samir.get('/specialist')).text, /impersonation-banner/);
+    });
+
+    test('the admin sees the portal as the specialist, with a banner on every page', async () => {
+        const huda = await viewAsSara();
+
+        const home = await huda.get('/specialist');
+        assert.equal(home.status, 200);
+        assert.match(home.text, /impersonation-banner/);
+        assert.match(home.text, /أنت تتصفح البوابة كـ Sara Specialist/);
+        assert.match(home.text, /للعرض فقط/);
+
+        const profile = await huda.get('/specialist/profile');
+        assert.match(profile.text, /specialist@bmo\.test/);
+        assert.match(profile.text, /action="\/auth\/impersonation\/stop"/);
+
+        const [start] = logsOf('IMPERSONATION_START');
+        assert.equal(String(start.user), IDS.user(2));
+        assert.equal(String(start.center), IDS.center);
+        assert.match(start.details, /specialist@bmo\.test/);
+    });
+
+    test('write actions are blocked', async () => {
+        const huda = await viewAsSara();
+
+        const res = await huda.post('/specialist/profile/update', { name: 'Changed by admin' });
+        assert.match((await huda.follow(res)).text, /لا يمكن إجراء تغييرات أثناء العرض كأخصائي/);
+
+        const json = await huda.post('/specialist/profile/update', { name: 'Changed by admin' }, { headers: { accept: 'application/json' } });
+        assert.equal(json.status, 403);
+        assert.equal(portal.store.findUser(SARA).name, 'Sara Specialist');
+
+        // The backend refuses writes with the view-as token too.
+        const [token] = portal.store.impersonations.keys();
+        const direct = await fetch(`${portal.backendUrl}/api/auth/profile`, {
+            method: 'PUT',
+            headers: { 'content-type': 'application/json', authorization: `Bearer ${token}` },
+            body: JSON.stringify({ name: 'Changed by admin' })
+        });
+        assert.equal(direct.status, 403);
+    });
+
+    test('stopping returns to the admin account and is logged', async () => {
+        const huda = await viewAsSara();
+
+        const res = await huda.post('/auth/impersonation/stop');
+        assert.equal(res.location, `/admin/specialists/${SARA}`);
+        const page = await huda.follow(res);
+        assert.match(page.text, /انتهى العرض كـ Sara Specialist/);
+        assert.doesNotMatch(page.text, /impersonation-banner"/);
+        assert.equal((await huda.get('/admin')).status, 200);
+
+        assert.equal(logsOf('IMPERSONATION_STOP').length, 1);
+        assert.equal(portal.store.impersonations.size, 0);
+
+        const log = await huda.get('/admin/activity');
+        assert.match(log.text, /IMPERSONATION_START/);
+        assert.match(log.text, /IMPERSONATION_STOP/);
+        assert.match(log.text, /fa-user-secret/);
+    });
+
+    test('the view ends by itself when its time is up', async () => {
+        const huda = await viewAsSara();
+        for (const entry of portal.store.impersonations.values()) {
+            entry.expiresAt = Date.now() - 1000;
+        }
+
+        const res = await huda.get('/specialist');
+        assert.equal(res.location, `/admin/specialists/${SARA}`);
+        assert.match((await huda.follow(res)).text, /انتهت مدة العرض كأخصائي/);
+        assert.equal((await huda.get('/admin')).status, 200);
+
+        const [stop] = logsOf('IMPERSONATION_STOP');
+        assert.match(stop.details, /time limit reached/);
+    });
+
+    test('signing out while viewing as a specialist logs the end of the view', async () => {
+        const huda = await viewAsSara();
+        await huda.get('/auth/logout');
+        assert.equal(logsOf('IMPERSONATION_STOP').length, 1);
+        assert.equal((await huda.get('/admin')).location, '/auth/login');
+    });
+
+    test("the admin's session is not listed among the specialist's sessions", async () => {
+        const huda = await viewAsSara();
+        const devices = await huda.get('/specialist/profile');
+        assert.equal(devices.status, 200);
+        assert.doesNotMatch(devices.text, /هذا الجهاز/);
+    });
+
+    test('superadmins can view as specialists of any center; the center sees it in its log', async () => {
+        const root = await viewAsSara('superadmin');
+        assert.match((await root.get('/specialist')).text, /Sara Specialist/);
+
+        const [start] = logsOf('IMPERSONATION_START');
+        assert.equal(String(start.user), IDS.user(1));
+        assert.equal(String(start.center), IDS.center);
+
+        const huda = await portal.loggedIn('admin');
+        assert.match((await huda.get('/admin/activity')).text, /IMPERSONATION_START/);
+    });
+
+    test('unknown specialists are refused', async () => {
+        const huda = await portal.loggedIn('admin');
+        const res = await huda.post('/admin/specialists/650000000000000000009999/impersonate');
+        assert.equal(res.location, '/admin/specialists');
+    });
+});
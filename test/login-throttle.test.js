@@ -0,0 +1,147 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startPortal, ACCOUNTS, PASSWORD, IDS } = require('./helpers');
+
+// Short delays so the progressive slow-down can be waited out; read when the portal loads.
+process.env.LOGIN_DELAY_BASE_MS = '100';
+process.env.LOGIN_IP_MAX_FAILURES = '8';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+let portal;
+let loginThrottle;
+
+const attempt = async (client, email, password) => client.follow(await client.post('/auth/login', { email, password }));
+
+// Fails until the account locks, waiting out each progressive delay.
+const lockOut = async (client, email) => {
+    for (let i = 1; i <= 5; i++) {
+        const page = await attempt(client, email, 'wrong-password');
+        if (i >= 3) await sleep(100 * (2 ** (i - 3)) + 50);
+        if (i === 5) return page;
+    }
+};
+
+before(async () => {
+    portal = await startPortal();
+    loginThrottle = require('../utils/loginThrottle');
+});
+
+after(async () => {
+    await portal.close();
+});
+
+beforeEach(() => {
+    loginThrottle.reset();
+});
+
+describe('per-account protection', () => {
+    test('a few wrong passwords only show the usual message', async () => {
+        const client = portal.client();
+        for (let i = 0; i < 2; i++) {
+            const page = await attempt(client, ACCOUNTS.specialist, 'wrong-password');
+            assert.match(page.text, /اسم المستخدم أو كلمة المرور غير صحيحة/);
+        }
+        assert.equal((await client.post('/auth/login', { email: ACCOUNTS.specialist, password: PASSWORD })).location, '/');
+    });
+
+    test('after three failures the next attempt has to wait', async () => {
+        const client = portal.client();
+        for (let i = 0; i < 3; i++) {
+            await attempt(client, ACCOUNTS.specialist, 'wrong-password');
+        }
+
+        // Even the right password is refused until the delay passes.
+        const early = await attempt(client, ACCOUNTS.specialist, PASSWORD);
+        assert.match(early.text, /انتظر 1 ثانية/);
+
+        await sleep(150);
+        const res = await client.post('/auth/login', { email: ACCOUNTS.specialist, password: PASSWORD });
+        assert.equal(res.location, '/');
+    });
+
+    test('five failures lock the account with a translated message', async () => {
+        const client = portal.client();
+        client.cookies.set('lang', 'en');
+        const page = await lockOut(client, ACCOUNTS.specialist);
+        assert.match(page.text, /temporarily locked after repeated failed logins\. Try again in 15 minute/);
+
+        const again = await attempt(client, ACCOUNTS.specialist, PASSWORD);
+        assert.match(again.text, /temporarily locked/);
+
+        // Other accounts are not affected.
+        assert.equal((await portal.client().login('omar@bmo.test')).location, '/');
+    });
+
+    test('the lockout is written to the center activity log', async () => {
+        await lockOut(portal.client(), ACCOUNTS.specialist);
+        await sleep(50);
+
+        const entry = portal.store.data.activityLogs.find(l => l.action === 'ACCOUNT_LOCKED');
+        assert.ok(entry);
+        assert.equal(String(entry.user), IDS.user(3));
+        assert.equal(String(entry.center), IDS.center);
+
+        const huda = await portal.loggedIn('admin');
+        const log = await huda.get('/admin/activity');
+        assert.match(log.text, /ACCOUNT_LOCKED/);
+        assert.match(log.text, /fa-lock"/);
+    });
+
+    test('admins unlock the account from the specialist page', async () => {
+        const huda = await portal.loggedIn('admin');
+        await lockOut(portal.client(), ACCOUNTS.specialist);
+
+        const details = await huda.get(`/admin/specialists/${IDS.user(3)}`);
+        assert.match(details.text, /مقفل حتى/);
+        assert.match(details.text, /\/unlock"/);
+
+        const res = await huda.post(`/admin/specialists/${IDS.user(3)}/unlock`);
+        assert.equal(res.location, `/admin/specialists/${IDS.user(3)}`);
+        const page = await huda.follow(res);
+        assert.match(page.text, /تم إلغاء قفل الحساب/);
+        assert.doesNotMatch(page.text, /مقفل حتى/);
+        assert.ok(portal.store.data.activityLogs.some(l => l.action === 'UNLOCK_ACCOUNT'));
+
+        assert.equal((await portal.client().login('specialist')).location, '/');
+    });
+
+    test('unlocking needs specialists:manage', async () => {
+        await lockOut(portal.client(), ACCOUNTS.specialist);
+        const samir = await portal.loggedIn('supervisor');
+        await samir.post(`/admin/specialists/${IDS.user(3)}/unlock`);
+        assert.ok(loginThrottle.lockStatus(ACCOUNTS.specialist));
+    });
+});
+
+describe('per-IP protection', () => {
+    test('many failures from one IP block every account from it', async () => {
+        const client = portal.client();
+        let page;
+        for (let i = 0; i < 8; i++) {
+            page = await attempt(client, `nobody${i}@bmo.test`, 'wrong-password');
+        }
+        assert.match(page.text, /محاولات دخول فاشلة كثيرة من هذا الجهاز/);
+
+        const other = await attempt(portal.client(), ACCOUNTS.admin, PASSWORD);
+        assert.match(other.text, /من هذا الجهاز/);
+
+        // Lockout events are only logged for real accounts.
+        assert.ok(!portal.store.data.activityLogs.some(l => l.action === 'ACCOUNT_LOCKED' && !l.user));
+    });
+
+    test('backend outages are not counted as failures', async () => {
+        await portal.fault({ method: 'POST', path: '^/auth/login$', status: 503 });
+        try {
+            const client = portal.client();
+            for (let i = 0; i < 6; i++) {
+                const page = await attempt(client, ACCOUNTS.specialist, PASSWORD);
+                assert.match(page.text, /الخادم غير متاح حالياً/);
+            }
+        } finally {
+            await portal.clearFaults();
+        }
+        assert.equal(loginThrottle.lockStatus(ACCOUNTS.specialist), null);
+        assert.equal((await portal.client().login('specialist')).location, '/');
+    });
+});
@@ -0,0 +1,166 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+// Settings go stale quickly so the background refresh can be seen
+process.env.SETTINGS_CACHE_MS = '200';
+
+const { startPortal, IDS } = require('./helpers');
+
+let portal;
+
+const inOneHour = () => {
+    const date = new Date(Date.now() + 60 * 60 * 1000);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+before(async () => {
+    portal = await startPortal();
+});
+
+after(async () => {
+    await portal.close();
+});
+
+beforeEach(async () => {
+    await portal.reset();
+});
+
+describe('maintenance mode', () => {
+    test("a center admin's maintenance mode closes the portal to the center's staff", async () => {
+        const huda = await portal.loggedIn('admin');
+        const saved = await huda.post('/settings', {
+            maintenanceMode: 'on',
+            maintenanceEnd: inOneHour(),
+            maintenanceMessage: 'نقوم بتحديث الخطط العلاجية'
+        });
+        assert.equal(saved.location, '/settings');
+        assert.ok(portal.store.data.settings.centers[IDS.center].maintenanceEnd);
+
+        const sara = await portal.loggedIn('specialist');
+        const page = await sara.get('/specialist');
+        assert.equal(page.status, 503);
+        assert.match(page.text, /البوابة قيد الصيانة/);
+        assert.match(page.text, /نقوم بتحديث الخطط العلاجية/);
+        assert.match(page.text, /الموعد المتوقع للعودة/);
+        const retryAfter = Number(page.headers.get('retry-after'));
+        assert.ok(retryAfter > 3000 && retryAfter <= 3600);
+
+        const json = await sara.get('/specialist/api/parents', { headers: { accept: 'application/json' } });
+        assert.equal(json.status, 503);
+        assert.equal(json.json().success, false);
+
+        const samir = await portal.loggedIn('supervisor');
+        assert.equal((await samir.get('/specialist')).status, 503);
+
+        // Admins keep working, with a reminder on every page.
+        const dashboard = await huda.get('/admin');
+        assert.equal(dashboard.status, 200);
+        assert.match(dashboard.text, /maintenance-banner/);
+        assert.match(dashboard.text, /وضع الصيانة مفعّل للمركز/);
+    });
+
+    test('switching it off reopens the portal at once', async () => {
+        const huda = await portal.loggedIn('admin');
+        await huda.post('/settings', { maintenanceMode: 'on' });
+        const sara = await portal.loggedIn('specialist');
+        assert.equal((await sara.get('/specialist')).status, 503);
+
+        await huda.post('/settings', {});
+        assert.equal((await sara.get('/specialist')).status, 200);
+        assert.doesNotMatch((await huda.get('/admin')).text, /maintenance-banner"/);
+    });
+
+    test("the superadmin's global setting closes the portal for everyone but admins", async () => {
+        const root = await portal.loggedIn('superadmin');
+        await root.post('/settings', { maintenanceMode: 'on' });
+        assert.equal(portal.store.data.settings.global.maintenanceMode, true);
+
+        const guest = portal.client();
+        const home = await guest.get('/');
+        assert.equal(home.status, 503);
+        assert.match(home.text, /href="\/auth\/login"/);
+        assert.equal((await guest.get('/auth/login')).status, 200);
+
+        const sara = await portal.loggedIn('specialist');
+        assert.equal((await sara.get('/specialist')).status, 503);
+
+        const huda = await portal.loggedIn('admin');
+        const dashboard = await huda.get('/admin');
+        assert.equal(dashboard.status, 200);
+        assert.match(dashboard.text, /وضع الصيانة مفعّل للمنصة/);
+
+        const health = await guest.get('/health');
+        assert.equal(health.status, 200);
+        assert.equal(health.json().maintenance.global, true);
+    });
+
+    test('/health lists the centers in maintenance', async () => {
+        const huda = await portal.loggedIn('admin');
+        await huda.post('/settings', { maintenanceMode: 'on' });
+
+        const health = (await portal.client().get('/health')).json();
+        assert.equal(health.status, 'ok');
+        assert.deepEqual(health.maintenance, { global: false, until: null, centers: [IDS.center] });
+    });
+
+    test('pages and /health never wait for the settings once they are known', async () => {
+        const apiClient = require('../utils/apiClient');
+        const get = apiClient.get;
+        let slow = true;
+        let calls = 0;
+        apiClient.get = async (url, ...rest) => {
+            if (url === '/auth/portal-settings') {
+                calls++;
+                if (slow) await new Promise(resolve => setTimeout(resolve, 1500));
+            }
+            return get(url, ...rest);
+        };
+        try {
+            const guest = portal.client();
+            // /health calls nothing, even before the first fetch
+            assert.equal((await guest.get('/health')).status, 200);
+            assert.equal(calls, 0);
+
+            slow = false;
+            assert.equal((await guest.get('/auth/login')).status, 200);
+            assert.equal(calls, 1);
+
+            // Stale settings are served while one background call refreshes them
+            slow = true;
+            await new Promise(resolve => setTimeout(resolve, 250));
+            const started = Date.now();
+            await guest.get('/auth/login');
+            await guest.get('/auth/login');
+            assert.ok(Date.now() - started < 1000);
+            assert.equal(calls, 2);
+        } finally {
+            apiClient.get = get;
+        }
+    });
+
+    test('a maintenance window whose scheduled end has passed is over', async () => {
+        portal.store.data.settings.global.maintenanceMode = true;
+        portal.store.data.settings.global.maintenanceEnd = new Date(Date.now() - 60 * 1000).toISOString();
+
+        const sara = await portal.loggedIn('specialist');
+        assert.equal((await sara.get('/specialist')).status, 200);
+        assert.equal((await portal.client().get('/health')).json().maintenance.global, false);
+    });
+
+    test('an admin viewing as a specialist is not locked out', async () => {
+        const huda = await portal.loggedIn('admin');
+        await huda.post('/settings', { maintenanceMode: 'on' });
+        await huda.post(`/admin/specialists/${IDS.user(3)}/impersonate`);
+
+        const page = await huda.get('/specialist');
+        assert.equal(page.status, 200);
+        assert.match(page.text, /maintenance-banner/);
+    });
+
+    test('an invalid end time is refused', async () => {
+        const huda = await portal.loggedIn('admin');
+        const res = await huda.post('/settings', { maintenanceMode: 'on', maintenanceEnd: 'next tuesday' });
+        assert.match((await huda.follow(res)).text, /وقت نهاية الصيانة غير صالح/);
+        assert.equal(portal.store.data.settings.centers[IDS.center], undefined);
+    });
+});
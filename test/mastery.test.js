@@ -0,0 +1,180 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startPortal, IDS } = require('./helpers');
+
+let portal;
+let evaluateTarget, parseCriteria, DEFAULT_CRITERIA;
+
+const YOUSEF = IDS.child(1);
+const masteryUrl = `/specialist/child/${YOUSEF}/mastery`;
+const letter = (body, target) => body.letters.find(l => l.letter === target);
+
+before(async () => {
+    portal = await startPortal();
+    // Loaded after the portal so apiClient picks up the test backend URL
+    ({ evaluateTarget, parseCriteria, DEFAULT_CRITERIA } = require('../utils/mastery'));
+});
+
+after(async () => {
+    await portal.close();
+});
+
+beforeEach(async () => {
+    await portal.reset();
+});
+
+describe('mastery engine', () => {
+    const at = (minute) => `2026-09-01T10:${String(minute).padStart(2, '0')}:00.000Z`;
+    const attempts = (results) => results.map((success, i) => ({ success, timestamp: at(i) }));
+
+    test('records the first time the rule held and flags a later regression', () => {
+        const criteria = { ...DEFAULT_CRITERIA, windowAttempts: 3 };
+        const mastered = evaluateTarget(attempts([false, true, true, true]), criteria);
+        assert.equal(mastered.status, 'mastered');
+        assert.equal(mastered.masteredAt, at(3));
+
+        const regressed = evaluateTarget(attempts([false, true, true, true, true, false]), criteria);
+        assert.equal(regressed.status, 'regressed');
+        assert.equal(regressed.masteredAt, at(3));
+        assert.equal(regressed.regressedAt, at(5));
+
+        // Mastered again once the window recovers
+        const recovered = evaluateTarget(attempts([true, true, true, false, true, true, true]), criteria);
+        assert.equal(recovered.status, 'mastered');
+        assert.equal(recovered.masteredAt, at(2));
+        assert.equal(recovered.regressedAt, null);
+    });
+
+    test('applies the streak and pronunciation conditions', () => {
+        const streak = { ...DEFAULT_CRITERIA, successThreshold: 50, requiredStreak: 2 };
+        assert.equal(evaluateTarget(attempts([true, true, false]), streak).status, 'learning');
+        assert.equal(evaluateTarget(attempts([false, true, true]), streak).status, 'mastered');
+
+        const pronunciation = { ...DEFAULT_CRITERIA, minPronunciationScore: 70 };
+        const scored = (score) => attempts([true, true, true]).map(a => ({ ...a, pronunciationScore: score }));
+        assert.equal(evaluateTarget(scored(65), pronunciation).mastered, false);
+        assert.equal(evaluateTarget(scored(75), pronunciation).mastered, true);
+        assert.equal(evaluateTarget([], pronunciation).status, 'notStarted');
+    });
+
+    test('only the attempts still in the window count as the history grows', () => {
+        const criteria = { ...DEFAULT_CRITERIA, windowAttempts: 5, minPronunciationScore: 70 };
+        const history = Array.from({ length: 5000 }, (_, i) => ({
+            success: i >= 4000,
+            pronunciationScore: i >= 4000 ? 90 : 20,
+            timestamp: new Date(Date.UTC(2026, 8, 1) + i * 60000).toISOString()
+        }));
+        const result = evaluateTarget(history, criteria);
+        assert.equal(result.status, 'mastered');
+        // 4 of the last 5 attempts succeed (80%) and their scores average 76 once attempt 4003 is in
+        assert.equal(result.masteredAt, history[4003].timestamp);
+        assert.equal(result.windowAttempts, 5);
+        assert.equal(result.streak, 1000);
+    });
+
+    test('rejects rules nothing could ever meet', () => {
+        assert.deepEqual(parseCriteria({ minAttempts: '0' }).errors, ['minAttempts']);
+        assert.deepEqual(parseCriteria({ successThreshold: '101' }).errors, ['successThreshold']);
+        assert.deepEqual(parseCriteria({ minAttempts: '5', windowAttempts: '3' }).errors, ['windowAttempts']);
+        assert.deepEqual(parseCriteria({ minAttempts: '2', windowAttempts: '4', requiredStreak: '2' }).errors, []);
+    });
+});
+
+describe('child mastery', () => {
+    test('JSON uses the default rule until the center sets one', async () => {
+        const sara = await portal.loggedIn('specialist');
+        const res = await sara.get(masteryUrl);
+        assert.equal(res.status, 200);
+        const body = res.json();
+        assert.equal(body.source, 'default');
+        assert.deepEqual(body.criteria, DEFAULT_CRITERIA);
+        assert.deepEqual(body.letters.map(l => l.letter).sort(), ['ب', 'ت', 'س']);
+        assert.equal(letter(body, 'ب').status, 'learning');
+        assert.equal(body.summary.targets, 5);
+        assert.equal(body.summary.mastered, 0);
+    });
+
+    test("the center's rule applies to every child of the center", async () => {
+        const huda = await portal.loggedIn('admin');
+        const saved = await huda.post('/settings/mastery', { minAttempts: '3', successThreshold: '80', windowAttempts: '5', requiredStreak: '0', minPronunciationScore: '0' });
+        assert.equal(saved.location, '/settings');
+        assert.equal(portal.store.data.settings.centers[IDS.center].mastery.windowAttempts, 5);
+        assert.match((await huda.get('/settings')).text, /id="centerMasteryRule"/);
+
+        const sara = await portal.loggedIn('specialist');
+        const body = (await sara.get(masteryUrl)).json();
+        assert.equal(body.source, 'center');
+        // The last six attempts at ب all succeeded
+        assert.equal(letter(body, 'ب').status, 'mastered');
+        assert.ok(letter(body, 'ب').masteredAt);
+
+        const analytics = await sara.get(`/specialist/child/${YOUSEF}/analytics`);
+        assert.match(analytics.text, /class="progress-item item-success" data-status="mastered"/);
+        assert.match(analytics.text, /قاعدة المركز/);
+    });
+
+    test('a mastered target that starts failing again is flagged as regressed', async () => {
+        const huda = await portal.loggedIn('admin');
+        await huda.post('/settings/mastery', { minAttempts: '3', successThreshold: '80', windowAttempts: '5' });
+
+        const sessions = portal.store.progressForChild(YOUSEF).sessions;
+        const latest = sessions[sessions.length - 1];
+        const failures = ['2026-09-17T10:00:00.000Z', '2026-09-17T10:00:30.000Z'];
+        for (const timestamp of failures) {
+            latest.attempts.push({ letter: 'ب', success: false, score: 20, timestamp });
+        }
+
+        const sara = await portal.loggedIn('specialist');
+        const ba = letter((await sara.get(masteryUrl)).json(), 'ب');
+        assert.equal(ba.status, 'regressed');
+        assert.equal(ba.regressed, true);
+        assert.equal(ba.regressedAt, failures[1]);
+        assert.ok(new Date(ba.masteredAt) < new Date(failures[0]));
+
+        const analytics = await sara.get(`/specialist/child/${YOUSEF}/analytics`);
+        assert.match(analytics.text, /class="progress-item item-regressed" data-status="regressed"/);
+    });
+
+    test("a specialist's own rule replaces the center's for their children", async () => {
+        const huda = await portal.loggedIn('admin');
+        await huda.post('/settings/mastery', { minAttempts: '3', successThreshold: '80', windowAttempts: '5' });
+
+        const sara = await portal.loggedIn('specialist');
+        const page = await sara.get('/specialist/mastery');
+        assert.equal(page.status, 200);
+        assert.match(page.text, /id="specialistMasteryRule"/);
+
+        await sara.post('/specialist/mastery', { minAttempts: '3', successThreshold: '80', windowAttempts: '10', requiredStreak: '7' });
+        assert.equal(portal.store.findUser(IDS.user(3)).masteryCriteria.requiredStreak, 7);
+        let body = (await sara.get(masteryUrl)).json();
+        assert.equal(body.source, 'specialist');
+        assert.equal(letter(body, 'ب').status, 'learning');
+
+        // Supervisors see the same results for the same child
+        const samir = await portal.loggedIn('supervisor');
+        assert.equal((await samir.get(masteryUrl)).json().source, 'specialist');
+
+        const reset = await sara.post('/specialist/mastery', { reset: 'true' });
+        assert.equal(reset.location, '/specialist/mastery');
+        assert.equal(portal.store.findUser(IDS.user(3)).masteryCriteria, undefined);
+        body = (await sara.get(masteryUrl)).json();
+        assert.equal(body.source, 'center');
+    });
+
+    test('invalid rules are rejected and supervisors cannot set one', async () => {
+        const sara = await portal.loggedIn('specialist');
+        const res = await sara.post('/specialist/mastery', { minAttempts: '5', successThreshold: '80', windowAttempts: '3' });
+        assert.equal(res.location, '/specialist/mastery');
+        assert.equal(portal.store.findUser(IDS.user(3)).masteryCriteria, undefined);
+        assert.match((await sara.get('/specialist/mastery')).text, /قيم قاعدة الإتقان غير صحيحة/);
+
+        const huda = await portal.loggedIn('admin');
+        await huda.post('/settings/mastery', { successThreshold: '0' });
+        assert.equal(portal.store.data.settings.centers[IDS.center]?.mastery, undefined);
+
+        const samir = await portal.loggedIn('supervisor');
+        assert.equal((await samir.get('/specialist/mastery')).status, 302);
+        assert.equal((await samir.post('/specialist/mastery', { minAttempts: '3' })).status, 302);
+        assert.equal(portal.store.findUser(IDS.user(3)).masteryCriteria, undefined);
+    });
+});
@@ -0,0 +1,227 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startPortal, ACCOUNTS, PASSWORD, IDS } = require('./helpers');
+
+let portal;
+
+const lastMailTo = (email) => [...portal.outbox].reverse().find(m => m.to === email);
+const linkIn = (mail) => new URL(mail.text.match(/https?:\/\/\S+\/auth\/reset-password\/[a-f0-9]+/)[0]).pathname;
+
+before(async () => {
+    portal = await startPortal();
+});
+
+after(async () => {
+    await portal.close();
+});
+
+describe('forgot password', () => {
+    test('the login page links to it', async () => {
+        const res = await portal.client().get('/auth/login');
+        assert.match(res.text, /href="\/auth\/forgot-password"/);
+    });
+
+    test('GET /auth/forgot-password renders the form', async () => {
+        const res = await portal.client().get('/auth/forgot-password');
+        assert.equal(res.status, 200);
+        assert.match(res.text, /action="\/auth\/forgot-password"/);
+    });
+
+    test('an unknown email gets the same answer and no email', async () => {
+        const client = portal.client();
+        const sent = portal.outbox.length;
+        const res = await client.post('/auth/forgot-password', { email: 'nobody@bmo.test' });
+        assert.equal(res.location, '/auth/forgot-password');
+        assert.match((await client.follow(res)).text, /إذا كان البريد مسجلاً لدينا/);
+        assert.equal(portal.outbox.length, sent);
+    });
+
+    test('the backend refuses reset links to anyone but the portal', async () => {
+        const res = await fetch(`${portal.backendUrl}/api/auth/password-reset`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: JSON.stringify({ email: ACCOUNTS.specialist })
+        });
+        assert.equal(res.status, 403);
+    });
+
+    test('links point at PORTAL_URL whatever Host the request came with', async () => {
+        // fetch always sends the real Host, so this one goes through http.request
+        const client = portal.client();
+        const token = await client.csrf();
+        const body = new URLSearchParams({ email: ACCOUNTS.specialist }).toString();
+        const status = await new Promise((resolve, reject) => {
+            const req = require('http').request(`${portal.baseUrl}/auth/forgot-password`, {
+                method: 'POST',
+                headers: {
+                    host: 'evil.example',
+                    cookie: client.cookieHeader(),
+                    'x-csrf-token': token,
+                    'content-type': 'application/x-www-form-urlencoded',
+                    'content-length': Buffer.byteLength(body)
+                }
+            }, (res) => { res.resume(); resolve(res.statusCode); });
+            req.on('error', reject);
+            req.end(body);
+        });
+        assert.equal(status, 302);
+        const mail = lastMailTo(ACCOUNTS.specialist);
+        assert.equal(new URL(mail.text.match(/https?:\/\/\S+\/auth\/reset-password\/[a-f0-9]+/)[0]).origin, portal.baseUrl);
+        assert.doesNotMatch(mail.text + mail.html, /evil\.example/);
+    });
+
+    test('nothing is sent while PORTAL_URL is missing', async () => {
+        const saved = process.env.PORTAL_URL;
+        delete process.env.PORTAL_URL;
+        try {
+            const client = portal.client();
+            const sent = portal.outbox.length;
+            const res = await client.post('/auth/forgot-password', { email: ACCOUNTS.specialist });
+            assert.match((await client.follow(res)).text, /تعذّر إرسال/);
+            assert.equal(portal.outbox.length, sent);
+        } finally {
+            process.env.PORTAL_URL = saved;
+        }
+    });
+
+    test('a registered email receives a link that sets a new password once', async () => {
+        const client = portal.client();
+        const res = await client.post('/auth/forgot-password', { email: 'Specialist@bmo.test' });
+        assert.match((await client.follow(res)).text, /إذا كان البريد مسجلاً لدينا/);
+
+        const mail = lastMailTo(ACCOUNTS.specialist);
+        assert.equal(mail.subject, 'إعادة تعيين كلمة المرور');
+        assert.match(mail.html, /Sara Specialist/);
+        const link = linkIn(mail);
+
+        const page = await client.get(link);
+        assert.equal(page.status, 200);
+        assert.match(page.text, /specialist@bmo\.test/);
+        assert.match(page.text, /تعيين كلمة مرور جديدة/);
+
+        const mismatch = await client.post(link, { password: 'brandnew1', confirmPassword: 'brandnew2' });
+        assert.equal(mismatch.location, link);
+        assert.match((await client.follow(mismatch)).text, /كلمتا المرور غير متطابقتين/);
+
+        const short = await client.follow(await client.post(link, { password: 'abc', confirmPassword: 'abc' }));
+        assert.match(short.text, /6 أحرف على الأقل/);
+
+        const ok = await client.post(link, { password: 'brandnew1', confirmPassword: 'brandnew1' });
+        assert.equal(ok.location, '/auth/login');
+        assert.match((await client.follow(ok)).text, /تم تعيين كلمة المرور بنجاح/);
+        assert.equal(portal.store.findUser(IDS.user(3)).password, 'brandnew1');
+
+        const reused = await client.get(link);
+        assert.equal(reused.location, '/auth/forgot-password');
+        assert.match((await client.follow(reused)).text, /الرابط غير صالح/);
+
+        portal.store.findUser(IDS.user(3)).password = PASSWORD;
+    });
+
+    test('resetting the password signs out existing sessions', async () => {
+        const sara = await portal.loggedIn('specialist');
+        await portal.client().post('/auth/forgot-password', { email: ACCOUNTS.specialist });
+        const link = linkIn(lastMailTo(ACCOUNTS.specialist));
+        await portal.client().post(link, { password: 'another12', confirmPassword: 'another12' });
+
+        const res = await sara.get('/specialist');
+        assert.equal(res.location, '/auth/login');
+        portal.store.findUser(IDS.user(3)).password = PASSWORD;
+    });
+
+    test('expired links are refused', async () => {
+        await portal.client().post('/auth/forgot-password', { email: ACCOUNTS.specialist });
+        const link = linkIn(lastMailTo(ACCOUNTS.specialist));
+        for (const entry of portal.store.passwordTokens.values()) {
+            entry.expiresAt = new Date(Date.now() - 1000).toISOString();
+        }
+        const res = await portal.client().post(link, { password: 'brandnew1', confirmPassword: 'brandnew1' });
+        assert.equal(res.location, '/auth/forgot-password');
+        assert.equal(portal.store.findUser(IDS.user(3)).password, PASSWORD);
+    });
+});
+
+describe('invitations', () => {
+    let huda;
+
+    before(async () => {
+        huda = await portal.loggedIn('admin');
+    });
+
+    test('the create form no longer asks for a password', async () => {
+        const res = await huda.get('/admin/specialists/create');
+        assert.doesNotMatch(res.text, /name="password"/);
+    });
+
+    test('a new specialist is invited and sets a password on first login', async () => {
+        const res = await huda.post('/admin/specialists', { name: 'Rana Specialist', email: 'rana@bmo.test' });
+        assert.equal(res.location, '/admin/specialists');
+        assert.match((await huda.follow(res)).text, /أُرسلت دعوة/);
+
+        const rana = portal.store.data.users.find(u => u.email === 'rana@bmo.test');
+        assert.equal(rana.invitationPending, true);
+        assert.equal(rana.password, null);
+
+        const mail = lastMailTo('rana@bmo.test');
+        assert.equal(mail.subject, 'دعوة للانضمام إلى بوابة BMO');
+        const link = linkIn(mail);
+
+        const page = await portal.client().get(link);
+        assert.match(page.text, /تفعيل الحساب/);
+
+        // The account can't be used before the invitation is accepted.
+        const early = await portal.client().post('/auth/login', { email: 'rana@bmo.test', password: '' });
+        assert.equal(early.location, '/auth/login');
+
+        const client = portal.client();
+        await client.post(link, { password: 'ranapass1', confirmPassword: 'ranapass1' });
+        assert.equal(rana.invitationPending, false);
+        const login = await client.post('/auth/login', { email: 'rana@bmo.test', password: 'ranapass1' });
+        assert.equal(login.location, '/');
+    });
+
+    test('admins can resend a pending invitation from the specialist page', async () => {
+        await huda.post('/admin/specialists', { name: 'Pending Specialist', email: 'pending@bmo.test' });
+        const pending = portal.store.data.users.find(u => u.email === 'pending@bmo.test');
+        const first = linkIn(lastMailTo('pending@bmo.test'));
+
+        const details = await huda.get(`/admin/specialists/${pending._id}`);
+        assert.match(details.text, /بانتظار قبول الدعوة/);
+        assert.match(details.text, /resend-invitation/);
+
+        const res = await huda.post(`/admin/specialists/${pending._id}/resend-invitation`);
+        assert.equal(res.location, `/admin/specialists/${pending._id}`);
+        assert.match((await huda.follow(res)).text, /تم إرسال دعوة جديدة/);
+
+        // The new link replaces the old one.
+        const second = linkIn(lastMailTo('pending@bmo.test'));
+        assert.notEqual(second, first);
+        assert.equal((await portal.client().get(first)).location, '/auth/forgot-password');
+        assert.equal((await portal.client().get(second)).status, 200);
+    });
+
+    test('superadmins invite new admins and center admins', async () => {
+        const root = await portal.loggedIn('superadmin');
+        await root.post('/superadmin/admins', { name: 'Invited Admin', email: 'invited@bmo.test' });
+        assert.equal(lastMailTo('invited@bmo.test').subject, 'دعوة للانضمام إلى بوابة BMO');
+
+        const list = await root.get('/superadmin/admins');
+        assert.match(list.text, /بانتظار قبول الدعوة/);
+
+        await root.post('/superadmin/centers', { name: 'مركز الرجاء', adminName: 'Hope Admin', adminEmail: 'raja@bmo.test' });
+        assert.ok(lastMailTo('raja@bmo.test'));
+        assert.equal(portal.store.data.users.find(u => u.email === 'raja@bmo.test').invitationPending, true);
+    });
+
+    test('a failed email still creates the account and says so', async () => {
+        const { registerTransport } = require('../utils/mailer');
+        registerTransport('memory', () => ({ send: async () => { throw new Error('SMTP down'); } }));
+        try {
+            const res = await huda.follow(await huda.post('/admin/specialists', { name: 'No Mail', email: 'nomail@bmo.test' }));
+            assert.match(res.text, /تعذّر إرسال الدعوة/);
+            assert.ok(portal.store.data.users.some(u => u.email === 'nomail@bmo.test'));
+        } finally {
+            registerTransport('memory', () => ({ send: async (message) => { portal.outbox.push(message); } }));
+        }
+    });
+});
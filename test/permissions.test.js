@@ -0,0 +1,168 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startPortal, IDS } = require('./helpers');
+
+let portal;
+let permissionsForRole;
+let normalizeRoleMap;
+
+const YOUSEF = IDS.child(1);
+const DENIED = /ليس لديك صلاحية للوصول إلى هذه الصفحة/;
+
+const centerRoles = () => (portal.store.data.settings.centers[IDS.center] || {}).rolePermissions;
+
+before(async () => {
+    portal = await startPortal();
+    // After startPortal: apiClient reads BACKEND_URL when first required.
+    ({ permissionsForRole, normalizeRoleMap } = require('../utils/permissions'));
+});
+
+after(async () => {
+    await portal.close();
+});
+
+describe('registry', () => {
+    test('superadmin always has every permission, admins never get platform ones', () => {
+        assert.ok(permissionsForRole('superadmin', { superadmin: [] }).includes('centers:manage'));
+        assert.ok(!permissionsForRole('admin').includes('centers:manage'));
+        assert.deepEqual(permissionsForRole('specialist', { specialist: ['children:read'] }), ['children:read']);
+        assert.deepEqual(permissionsForRole('parent'), []);
+    });
+
+    test('center overrides drop unknown and platform permissions and keep locked ones', () => {
+        const roles = normalizeRoleMap({
+            admin: ['children:read', 'centers:manage'],
+            specialist: ['plans:read', 'bogus:perm'],
+            parent: ['children:read']
+        });
+        assert.deepEqual(roles, {
+            admin: ['children:read', 'settings:manage'],
+            specialist: ['plans:read']
+        });
+    });
+});
+
+describe('supervisor (read-only role)', () => {
+    let samir;
+
+    before(async () => {
+        samir = await portal.loggedIn('supervisor');
+    });
+
+    test('signs in and sees the center caseload without write actions', async () => {
+        const res = await samir.get('/specialist/children');
+        assert.equal(res.status, 200);
+        assert.match(res.text, /يوسف/);
+        assert.match(res.text, /Adam/);
+        assert.doesNotMatch(res.text, /openAddChildModal\(\)" class/);
+        assert.doesNotMatch(res.text, /href="\/specialist\/chat"/);
+    });
+
+    test('can read reports but not change plans', async () => {
+        const analytics = await samir.get(`/specialist/child/${YOUSEF}/analytics`);
+        assert.equal(analytics.status, 200);
+        assert.match(analytics.text, /analytics\/pdf/);
+        assert.doesNotMatch(analytics.text, /create-plan-session/);
+
+        const res = await samir.post(`/specialist/child/${YOUSEF}/plan-settings`, { dailyPlayDuration: '45' });
+        assert.equal(res.status, 302);
+        assert.equal(res.location, '/specialist');
+        assert.match((await samir.follow(res)).text, DENIED);
+        assert.notEqual(portal.store.findChild(YOUSEF).dailyPlayDuration, 45);
+    });
+
+    test('is kept out of chat, link requests and the admin area', async () => {
+        for (const path of ['/specialist/chat', '/specialist/requests', '/admin', '/settings']) {
+            const res = await samir.get(path);
+            assert.equal(res.status, 302, path);
+            assert.equal(res.location, '/specialist', path);
+        }
+        assert.equal((await samir.get('/chat/conversations')).location, '/specialist');
+    });
+});
+
+describe('per-center role configuration', () => {
+    let admin;
+
+    before(async () => {
+        admin = await portal.loggedIn('admin');
+    });
+
+    test('GET /settings shows the roles matrix with the current permissions', async () => {
+        const res = await admin.get('/settings');
+        assert.equal(res.status, 200);
+        assert.match(res.text, /action="\/settings\/roles"/);
+        assert.match(res.text, /name="roles\[specialist\]\[\]" value="reports:export"\s+checked/);
+        assert.doesNotMatch(res.text, /value="centers:manage"/);
+    });
+
+    test('superadmins have no center matrix to edit', async () => {
+        const root = await portal.loggedIn('superadmin');
+        const res = await root.get('/settings');
+        assert.equal(res.status, 200);
+        assert.doesNotMatch(res.text, /action="\/settings\/roles"/);
+    });
+
+    test('POST /settings/roles stores the center overrides', async () => {
+        const specialist = [
+            'children:read', 'children:write', 'parents:read', 'parents:manage',
+            'plans:read', 'plans:write', 'reports:read', 'messages:use'
+        ];
+        const res = await admin.request('POST', '/settings/roles', {
+            form: new URLSearchParams([
+                ...specialist.map(p => ['roles[specialist][]', p]),
+                ['roles[admin][]', 'specialists:read'],
+                ['roles[admin][]', 'centers:manage']
+            ])
+        });
+        assert.equal(res.status, 302);
+        assert.equal(res.location, '/settings');
+        assert.match((await admin.follow(res)).text, /Role permissions updated successfully/);
+
+        const roles = centerRoles();
+        assert.deepEqual(roles.specialist, specialist);
+        assert.deepEqual(roles.admin, ['specialists:read', 'settings:manage']);
+        assert.deepEqual(roles.supervisor, []);
+    });
+
+    test('the new permission sets apply to the center\'s users', async () => {
+        const sara = await portal.loggedIn('specialist');
+        const analytics = await sara.get(`/specialist/child/${YOUSEF}/analytics`);
+        assert.equal(analytics.status, 200);
+        assert.doesNotMatch(analytics.text, /analytics\/pdf/);
+
+        const pdf = await sara.get(`/specialist/child/${YOUSEF}/analytics/pdf`);
+        assert.equal(pdf.status, 302);
+        assert.equal(pdf.location, '/specialist');
+
+        // Without children:read the supervisor's landing page falls back to the profile.
+        const samir = await portal.loggedIn('supervisor');
+        const home = await samir.get('/');
+        assert.equal(home.location, '/specialist/profile');
+        assert.equal((await samir.get('/specialist/profile')).status, 200);
+
+        // The admin kept settings but lost the activity log.
+        const activity = await admin.get('/admin/activity');
+        assert.equal(activity.location, '/admin');
+        assert.equal((await admin.get('/settings')).status, 200);
+    });
+
+    test('a failing roles lookup denies instead of falling back to the default permissions', async () => {
+        await portal.fault({ method: 'GET', path: '^/centers/[^/]+/roles$', status: 500 });
+        const sara = await portal.loggedIn('specialist');
+        const analytics = await sara.get(`/specialist/child/${YOUSEF}/analytics`);
+        assert.equal(analytics.status, 503);
+        assert.doesNotMatch(analytics.text, /analytics\/pdf/);
+        // The PDF the center took away is not handed back
+        assert.equal((await sara.get(`/specialist/child/${YOUSEF}/analytics/pdf`)).status, 503);
+        // Signing out still works
+        assert.equal((await sara.get('/auth/logout')).location, '/auth/login');
+        await portal.clearFaults();
+
+        // A center without overrides (404) uses the defaults
+        await portal.fault({ method: 'GET', path: '^/centers/[^/]+/roles$', status: 404 });
+        const omar = await portal.loggedIn('specialist');
+        assert.match((await omar.get(`/specialist/child/${YOUSEF}/analytics`)).text, /analytics\/pdf/);
+        await portal.clearFaults();
+    });
+});
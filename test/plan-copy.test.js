@@ -0,0 +1,166 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startPortal, IDS } = require('./helpers');
+
+let portal;
+
+const YOUSEF = IDS.child(1);
+const REEM = IDS.child(2);
+const ADAM = IDS.child(3);
+// Yousef's active "Session 2" (letters ب ت س, words باب بيت, a weekday schedule, two word items)
+const SESSION_2 = '6500000000000000000e0002';
+const REEM_SESSION_1 = '6500000000000000000e0003';
+
+const sessionsOf = (childId) => portal.store.data.exercises.filter(e => String(e.child) === childId);
+const activeSession = (childId) => sessionsOf(childId).find(e => e.active);
+const itemsOf = (sessionId) => portal.store.data.words.filter(w => String(w.session) === String(sessionId));
+
+const copyPlan = (client, childId, form) => client.post(`/specialist/child/${childId}/copy-plan`, form);
+
+// Sara's own rule: the last 6 attempts all succeeded. Of Yousef's targets only "ب" meets it.
+const strictRule = () => {
+    portal.store.findUser(IDS.user(3)).masteryCriteria = { minAttempts: 6, successThreshold: 100, windowAttempts: 6, requiredStreak: 0, minPronunciationScore: 0 };
+};
+
+before(async () => {
+    portal = await startPortal();
+});
+
+after(async () => {
+    await portal.close();
+});
+
+beforeEach(async () => {
+    await portal.reset();
+});
+
+describe('copying plan sessions', () => {
+    test('duplicates a plan as the next session with its items and schedule', async () => {
+        const sara = await portal.loggedIn('specialist');
+        const res = await copyPlan(sara, YOUSEF, { planId: SESSION_2, includeItems: 'on', keepSchedule: 'on' });
+        assert.equal(res.location, `/specialist/child/${YOUSEF}/analytics`);
+
+        const copy = activeSession(YOUSEF);
+        const source = portal.store.find('exercises', SESSION_2);
+        assert.equal(copy.sessionIndex, 3);
+        assert.equal(copy.sessionName, 'Session 3');
+        assert.equal(source.active, false);
+        assert.deepEqual(copy.letters, source.letters);
+        assert.deepEqual(copy.words, source.words);
+        assert.deepEqual(copy.playSchedule, source.playSchedule);
+        assert.equal(copy.targetDuration, 12);
+        assert.deepEqual(itemsOf(copy._id).map(w => w.text), ['باب', 'بيت']);
+        assert.equal(itemsOf(SESSION_2).length, 2);
+
+        const page = await sara.follow(res);
+        assert.match(page.text, /تم إنشاء Session 3 كجلسة تالية/);
+        assert.match(page.text, /نسخة من Session 2 \(يوسف\)/);
+    });
+
+    test('copies a plan to another child, resetting the schedule if asked', async () => {
+        portal.store.find('words', '6500000000000000000f0001').image = 'uploads/words/bab.png';
+        const sara = await portal.loggedIn('specialist');
+        const res = await copyPlan(sara, YOUSEF, { planId: SESSION_2, targetChildId: REEM, includeItems: 'on' });
+        assert.equal(res.location, `/specialist/child/${YOUSEF}/analytics`);
+
+        const copy = activeSession(REEM);
+        assert.equal(copy.sessionIndex, 2);
+        assert.equal(copy.sessionName, 'Session 2');
+        assert.deepEqual(copy.playSchedule, { enabled: false, allowedDays: [], windows: [] });
+        assert.deepEqual(portal.store.findChild(REEM).targetLetters, ['ب', 'ت', 'س']);
+        const items = itemsOf(copy._id);
+        assert.deepEqual(items.map(w => [String(w.child), w.text, w.image]), [
+            [REEM, 'باب', 'uploads/words/bab.png'],
+            [REEM, 'بيت', null]
+        ]);
+        // Yousef's plan is untouched
+        assert.equal(activeSession(YOUSEF)._id, SESSION_2);
+        assert.match((await sara.follow(res)).text, /تم نسخ الجلسة إلى ريم \(Session 2\)/);
+
+        // Without includeItems only the letters and words are copied
+        await copyPlan(sara, YOUSEF, { planId: SESSION_2, targetChildId: REEM });
+        assert.equal(itemsOf(activeSession(REEM)._id).length, 0);
+    });
+
+    test('leaves out the targets the destination child has already mastered', async () => {
+        strictRule();
+        const sara = await portal.loggedIn('specialist');
+        const res = await copyPlan(sara, YOUSEF, { planId: SESSION_2, includeItems: 'on', dropMastered: 'on' });
+        const copy = activeSession(YOUSEF);
+        assert.deepEqual(copy.letters, [{ letter: 'ت' }, { letter: 'س' }]);
+        assert.deepEqual(copy.words, [{ word: 'باب' }, { word: 'بيت' }]);
+        assert.equal(itemsOf(copy._id).length, 2);
+        assert.match((await sara.follow(res)).text, /تم استبعاد ما أتقنه: ب/);
+
+        // Reem has no attempts on Yousef's targets, so nothing is dropped for her
+        await copyPlan(sara, YOUSEF, { planId: SESSION_2, targetChildId: REEM, dropMastered: 'on' });
+        assert.equal(activeSession(REEM).letters.length, 3);
+    });
+
+    test('a plan with nothing left after dropping mastered targets is not copied', async () => {
+        strictRule();
+        const plan = portal.store.createPlanSession(portal.store.findChild(YOUSEF), portal.store.findUser(IDS.user(3)), { letters: [{ letter: 'ب' }], words: [] });
+        const count = sessionsOf(YOUSEF).length;
+
+        const sara = await portal.loggedIn('specialist');
+        const res = await copyPlan(sara, YOUSEF, { planId: plan._id, dropMastered: 'on' });
+        assert.equal(sessionsOf(YOUSEF).length, count);
+        assert.match((await sara.follow(res)).text, /لا يتبقى ما يُنسخ/);
+    });
+
+    test('backends without the copy endpoint get the same copy through POST /exercises', async () => {
+        await portal.fault({ method: 'POST', path: '^/exercises/[^/]+/copy$', status: 404 });
+        strictRule();
+        const sara = await portal.loggedIn('specialist');
+        const res = await copyPlan(sara, YOUSEF, { planId: SESSION_2, targetChildId: REEM, keepSchedule: 'on', includeItems: 'on', dropMastered: 'on' });
+        assert.equal(res.location, `/specialist/child/${YOUSEF}/analytics`);
+
+        const copy = activeSession(REEM);
+        const source = portal.store.find('exercises', SESSION_2);
+        assert.equal(copy.sessionName, 'Session 2');
+        assert.deepEqual(copy.letters, source.letters);
+        assert.deepEqual(copy.words, source.words);
+        assert.deepEqual(copy.playSchedule, source.playSchedule);
+        assert.equal(copy.targetDuration, 12);
+        // The session's own words and images need the endpoint, and the user is told so
+        assert.equal(itemsOf(copy._id).length, 0);
+        const page = await sara.follow(res);
+        assert.match(page.text, /تم نسخ الجلسة إلى ريم \(Session 2\)/);
+        assert.match(page.text, /لم تُنسخ الكلمات المضافة للجلسة وصورها/);
+
+        // Mastered targets are still left out for the same child
+        await copyPlan(sara, YOUSEF, { planId: SESSION_2, dropMastered: 'on' });
+        assert.deepEqual(activeSession(YOUSEF).letters, [{ letter: 'ت' }, { letter: 'س' }]);
+
+        // Children out of reach stay out of reach
+        const count = portal.store.data.exercises.length;
+        await copyPlan(sara, YOUSEF, { planId: SESSION_2, targetChildId: ADAM });
+        assert.equal(portal.store.data.exercises.length, count);
+    });
+
+    test('only plans and children within reach can be copied', async () => {
+        const sara = await portal.loggedIn('specialist');
+        const count = portal.store.data.exercises.length;
+
+        // Adam is not in Sara's caseload
+        await copyPlan(sara, YOUSEF, { planId: SESSION_2, targetChildId: ADAM });
+        // The plan must belong to the child of the page
+        await copyPlan(sara, YOUSEF, { planId: REEM_SESSION_1 });
+        assert.equal(portal.store.data.exercises.length, count);
+
+        const samir = await portal.loggedIn('supervisor');
+        assert.equal((await copyPlan(samir, YOUSEF, { planId: SESSION_2 })).status, 302);
+        assert.equal(portal.store.data.exercises.length, count);
+        assert.doesNotMatch((await samir.get(`/specialist/child/${YOUSEF}/analytics`)).text, /id="copyPlanSession"/);
+    });
+
+    test('the copy form lists the caseload and preselects the plan from the row link', async () => {
+        const sara = await portal.loggedIn('specialist');
+        const page = await sara.get(`/specialist/child/${YOUSEF}/analytics?copyPlan=6500000000000000000e0001`);
+        const form = page.text.match(/<details class="copy-plan" open>[\s\S]*?<\/details>/)[0];
+        assert.match(form, /<option value="6500000000000000000e0001" selected>/);
+        assert.match(form, new RegExp(`<option value="${REEM}">ريم</option>`));
+        assert.doesNotMatch(form, new RegExp(`value="${ADAM}"`));
+        assert.match(page.text, new RegExp(`copyPlan=${SESSION_2}#copyPlanSession`));
+    });
+});
@@ -0,0 +1,122 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startPortal, IDS } = require('./helpers');
+
+let portal;
+let suggestPlanSession, DEFAULT_CRITERIA;
+
+const YOUSEF = IDS.child(1);
+const suggestionUrl = `/specialist/child/${YOUSEF}/plan-suggestion`;
+const translations = require('../config/translations');
+const translator = (lang) => (key) => translations[lang][key];
+
+before(async () => {
+    portal = await startPortal();
+    // Loaded after the portal so apiClient picks up the test backend URL
+    ({ suggestPlanSession } = require('../utils/planSuggestion'));
+    ({ DEFAULT_CRITERIA } = require('../utils/mastery'));
+});
+
+after(async () => {
+    await portal.close();
+});
+
+beforeEach(async () => {
+    await portal.reset();
+});
+
+describe('plan session suggestion', () => {
+    // `count` attempts at `letter` on the given day, the last `successes` of them successful
+    const practised = (letter, count, successes, day) => Array.from({ length: count }, (_, i) => ({
+        letter,
+        success: i >= count - successes,
+        timestamp: `2026-09-${String(day).padStart(2, '0')}T10:${String(i).padStart(2, '0')}:00.000Z`
+    }));
+
+    test('balances struggling, almost-mastered and maintenance targets', () => {
+        const attempts = [];
+        'ابتثجحخدذر'.split('').forEach((l, i) => attempts.push(...practised(l, 5, 1, 1 + i)));   // 20%
+        'زسشصضطظعغف'.split('').forEach((l, i) => attempts.push(...practised(l, 5, 3, 1 + i)));   // 60%
+        'قكلمنهويءة'.split('').forEach((l, i) => attempts.push(...practised(l, 5, 5, 10 - i)));  // mastered
+
+        const suggestion = suggestPlanSession({
+            attempts,
+            child: { sessionStructure: { playDuration: 60, maxAttempts: 20 } },
+            criteria: DEFAULT_CRITERIA,
+            __: translator('ar')
+        });
+        assert.equal(suggestion.attemptBudget, 20);
+        assert.deepEqual(suggestion.counts, { struggling: 5, almost: 3, maintenance: 2 });
+        assert.equal(suggestion.letters.length, 10);
+        // Maintenance starts with the targets practised longest ago
+        assert.deepEqual(suggestion.items.filter(i => i.group === 'maintenance').map(i => i.target), ['ة', 'ء']);
+        assert.equal(suggestion.sessionName, 'الجلسة 1');
+    });
+
+    test('a short group hands its slots to the others', () => {
+        const attempts = [...practised('ب', 5, 1, 1), ...practised('ت', 5, 5, 2), ...practised('ث', 5, 5, 3)];
+        const suggestion = suggestPlanSession({
+            attempts,
+            child: { sessionStructure: { playDuration: 60, maxAttempts: 6 } },
+            criteria: DEFAULT_CRITERIA,
+            plans: [{ sessionIndex: 4 }],
+            __: translator('en')
+        });
+        assert.deepEqual(suggestion.counts, { struggling: 1, almost: 0, maintenance: 2 });
+        assert.equal(suggestion.sessionName, 'Session 5');
+    });
+
+    test('sizes the session from maxAttempts and what fits in the duration', async () => {
+        const sara = await portal.loggedIn('specialist');
+        let body = (await sara.get(suggestionUrl)).json();
+        assert.equal(body.success, true);
+        const { suggestion } = body;
+        // Yousef takes about 95 s per attempt: 10 minutes fit 6 of his 12 attempts, two per target
+        assert.equal(suggestion.targetDuration, 10);
+        assert.equal(suggestion.attemptBudget, 6);
+        assert.equal(suggestion.letters.length + suggestion.words.length, 3);
+        assert.equal(suggestion.items[0].group, 'struggling');
+        assert.equal(suggestion.sessionName, 'الجلسة 3');
+
+        portal.store.findChild(YOUSEF).sessionStructure = { playDuration: 60, maxAttempts: 4 };
+        body = (await (await portal.loggedIn('specialist')).get(suggestionUrl)).json();
+        assert.equal(body.suggestion.attemptBudget, 4);
+        assert.equal(body.suggestion.items.length, 2);
+    });
+
+    test('brings back mastered targets for maintenance', async () => {
+        const huda = await portal.loggedIn('admin');
+        await huda.post('/settings/mastery', { minAttempts: '3', successThreshold: '80', windowAttempts: '5' });
+        portal.store.findChild(YOUSEF).sessionStructure = { playDuration: 60, maxAttempts: 20 };
+
+        const sara = await portal.loggedIn('specialist');
+        const { suggestion } = (await sara.get(suggestionUrl)).json();
+        const ba = suggestion.items.find(i => i.target === 'ب');
+        assert.equal(ba.group, 'maintenance');
+        assert.equal(ba.status, 'mastered');
+    });
+
+    test('fills the create form without JavaScript and posts the edited proposal', async () => {
+        const sara = await portal.loggedIn('specialist');
+        const plain = await sara.get(`/specialist/child/${YOUSEF}/analytics`);
+        assert.match(plain.text, /id="suggestPlanSession"/);
+        assert.match(plain.text, /<textarea class="form-control" name="lettersText" rows="6" placeholder="[^"]*"><\/textarea>/);
+
+        const page = await sara.get(`/specialist/child/${YOUSEF}/analytics?suggest=1`);
+        assert.match(page.text, /name="sessionName" placeholder="Session 1" value="الجلسة 3"/);
+        assert.match(page.text, /<textarea class="form-control" name="lettersText" rows="6" placeholder="[^"]*">ت\nب<\/textarea>/);
+        assert.match(page.text, /class="plan-suggestion-item group-struggling"/);
+
+        // The specialist drops ب and adds ث before creating the session
+        await sara.post(`/specialist/child/${YOUSEF}/create-plan-session`, { sessionName: 'Session 3', targetDuration: '10', lettersText: 'ت\nث', wordsText: 'باب' });
+        const created = portal.store.data.exercises.find(e => String(e.child) === YOUSEF && e.active);
+        assert.deepEqual(created.letters, [{ letter: 'ت' }, { letter: 'ث' }]);
+    });
+
+    test('supervisors get no suggestion', async () => {
+        const samir = await portal.loggedIn('supervisor');
+        assert.equal((await samir.get(suggestionUrl)).status, 302);
+        const page = await samir.get(`/specialist/child/${YOUSEF}/analytics?suggest=1`);
+        assert.doesNotMatch(page.text, /class="plan-suggestion-item/);
+    });
+});
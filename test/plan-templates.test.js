@@ -0,0 +1,242 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startPortal, IDS } = require('./helpers');
+
+let portal;
+
+const YOUSEF = IDS.child(1);
+const REEM = IDS.child(2);
+const ADAM = IDS.child(3);
+
+// Form fields, with repeated keys for the checkbox lists
+const form = (fields) => {
+    const body = new URLSearchParams();
+    for (const [key, value] of Object.entries(fields)) {
+        for (const v of [].concat(value)) body.append(key, v);
+    }
+    return body;
+};
+
+const templateForm = (overrides = {}) => form({
+    name: 'أصوات الشفتين',
+    lettersText: 'ب\nم',
+    wordsText: 'باب',
+    targetDuration: '12',
+    scheduleEnabled: 'on',
+    allowedDays: ['0', '1'],
+    windows_0: '16:00-17:00',
+    windows_1: '16:00-17:00',
+    ...overrides
+});
+
+const week = (byDay) => [0, 1, 2, 3, 4, 5, 6].map(day => byDay[day] || []);
+
+const templates = () => portal.store.data.planTemplates;
+const sessionsOf = (childId) => portal.store.data.exercises.filter(e => String(e.child) === childId);
+const activeSession = (childId) => sessionsOf(childId).find(e => e.active);
+
+before(async () => {
+    portal = await startPortal();
+});
+
+after(async () => {
+    await portal.close();
+});
+
+beforeEach(async () => {
+    await portal.reset();
+});
+
+describe('plan templates', () => {
+    test('creates a template with letters, words, duration and play schedule', async () => {
+        const sara = await portal.loggedIn('specialist');
+        const res = await sara.post('/specialist/templates', templateForm({ shared: 'on' }));
+        const [template] = templates();
+        assert.equal(res.location, `/specialist/templates/${template._id}`);
+        assert.equal(template.shared, true);
+        assert.deepEqual(template.versions[0].content, {
+            name: 'أصوات الشفتين',
+            letters: [{ letter: 'ب' }, { letter: 'م' }],
+            words: [{ word: 'باب' }],
+            targetDuration: 12,
+            playSchedule: {
+                enabled: true,
+                allowedDays: [0, 1],
+                windows: [{ start: '16:00', end: '17:00' }],
+                windowsByDay: week({ 0: [{ start: '16:00', end: '17:00' }], 1: [{ start: '16:00', end: '17:00' }] }),
+                timezone: null
+            }
+        });
+
+        const page = await sara.get(res.location);
+        assert.equal(page.status, 200);
+        assert.match(page.text, /id="applyPlanTemplate"/);
+        assert.match(page.text, /id="editPlanTemplate"/);
+        assert.match((await sara.get('/specialist/templates')).text, /أصوات الشفتين/);
+    });
+
+    test('saves an existing plan session from child analytics', async () => {
+        const sara = await portal.loggedIn('specialist');
+        const plan = activeSession(YOUSEF);
+        const analytics = await sara.get(`/specialist/child/${YOUSEF}/analytics`);
+        assert.match(analytics.text, new RegExp(`name="exerciseId" value="${plan._id}"`));
+
+        const res = await sara.post('/specialist/templates', { exerciseId: plan._id, childId: YOUSEF });
+        const [template] = templates();
+        assert.equal(res.location, `/specialist/templates/${template._id}`);
+        assert.equal(template.versions[0].content.name, plan.sessionName);
+        assert.deepEqual(template.versions[0].content.letters, plan.letters);
+        assert.equal(template.shared, false);
+
+        // Plans of children outside the caseload can't be copied
+        const other = portal.store.createPlanSession(portal.store.findChild(ADAM), portal.store.data.users[0], { letters: [{ letter: 'ر' }], words: [] });
+        const denied = await sara.post('/specialist/templates', { exerciseId: other._id, childId: ADAM });
+        assert.equal(denied.location, `/specialist/child/${ADAM}/analytics`);
+        assert.equal(templates().length, 1);
+    });
+
+    test('the template form edits every window of every day', async () => {
+        const sara = await portal.loggedIn('specialist');
+        const plan = activeSession(YOUSEF);
+        plan.playSchedule = {
+            enabled: true,
+            allowedDays: [2, 3],
+            windows: [{ start: '09:00', end: '10:00' }, { start: '16:00', end: '17:30' }]
+        };
+        await sara.post('/specialist/templates', { exerciseId: plan._id, childId: YOUSEF });
+        const [template] = templates();
+
+        const page = await sara.get(`/specialist/templates/${template._id}`);
+        assert.match(page.text, /name="windows_2"[^>]*value="09:00-10:00, 16:00-17:30"/);
+        assert.match(page.text, /name="windows_3"[^>]*value="09:00-10:00, 16:00-17:30"/);
+        assert.match(page.text, /name="allowedDays" value="3" checked/);
+
+        // Saving the form as shown keeps both windows; a day can get its own
+        await sara.post(`/specialist/templates/${template._id}`, templateForm({
+            name: plan.sessionName,
+            allowedDays: ['2', '3'],
+            windows_0: '',
+            windows_1: '',
+            windows_2: '09:00-10:00, 16:00-17:30',
+            windows_3: '18:00-19:00'
+        }));
+        const latest = template.versions[template.versions.length - 1].content.playSchedule;
+        assert.deepEqual(latest.windowsByDay[2], [{ start: '09:00', end: '10:00' }, { start: '16:00', end: '17:30' }]);
+        assert.deepEqual(latest.windowsByDay[3], [{ start: '18:00', end: '19:00' }]);
+
+        // Sessions created from it carry the weekly schedule
+        await sara.post('/specialist/templates/apply', { templateId: template._id, childIds: REEM });
+        assert.deepEqual(activeSession(REEM).playSchedule.windowsByDay[3], [{ start: '18:00', end: '19:00' }]);
+
+        // Overlapping windows are refused with the day they are on
+        const res = await sara.post(`/specialist/templates/${template._id}`, templateForm({ windows_1: '10:00-12:00, 11:00-13:00' }));
+        assert.equal(res.location, `/specialist/templates/${template._id}`);
+        assert.match((await sara.follow(res)).text, /الإثنين: الفترات متداخلة/);
+        assert.equal(template.versions[template.versions.length - 1].content.playSchedule, latest);
+
+        const created = await sara.post('/specialist/templates', templateForm({ windows_0: '4pm' }));
+        assert.equal(created.location, '/specialist/templates');
+        assert.equal(templates().length, 1);
+        assert.match((await sara.get('/specialist/templates')).text, /name="windows_6"/);
+    });
+
+    test('applies a template to many children in one step', async () => {
+        const sara = await portal.loggedIn('specialist');
+        await sara.post('/specialist/templates', templateForm());
+        const [template] = templates();
+
+        const res = await sara.post('/specialist/templates/apply', form({ templateId: template._id, childIds: [YOUSEF, REEM, ADAM] }));
+        assert.equal(res.location, `/specialist/templates/${template._id}`);
+        for (const childId of [YOUSEF, REEM]) {
+            const session = activeSession(childId);
+            assert.equal(session.sessionName, 'أصوات الشفتين');
+            assert.deepEqual(session.template, { _id: template._id, name: 'أصوات الشفتين', version: 1 });
+            assert.equal(session.targetDuration, 12);
+            assert.deepEqual(portal.store.findChild(childId).targetLetters, ['ب', 'م']);
+        }
+        // Adam is not in Sara's caseload
+        assert.equal(sessionsOf(ADAM).length, 0);
+
+        const page = await sara.get(res.location);
+        assert.match(page.text, /تم إنشاء 2 جلسة من الإصدار 1/);
+        assert.match(page.text, /تم تجاوز 1 طفل غير متاح لك/);
+
+        // From the analytics page the form applies to that child and comes back there
+        const analytics = await sara.get(`/specialist/child/${YOUSEF}/analytics`);
+        assert.match(analytics.text, /id="applyTemplate"/);
+        assert.match(analytics.text, /من قالب أصوات الشفتين \(v1\)/);
+        const back = await sara.post('/specialist/templates/apply', { templateId: template._id, childIds: YOUSEF, from: 'analytics' });
+        assert.equal(back.location, `/specialist/child/${YOUSEF}/analytics`);
+    });
+
+    test('edits become new versions without changing sessions already created', async () => {
+        const sara = await portal.loggedIn('specialist');
+        await sara.post('/specialist/templates', templateForm());
+        const [template] = templates();
+        await sara.post('/specialist/templates/apply', { templateId: template._id, childIds: YOUSEF });
+        const first = activeSession(YOUSEF);
+
+        await sara.post(`/specialist/templates/${template._id}`, templateForm({ lettersText: 'ب\nم\nف' }));
+        assert.equal(template.versions.length, 2);
+        assert.deepEqual(first.letters, [{ letter: 'ب' }, { letter: 'م' }]);
+        assert.equal(first.template.version, 1);
+
+        // Sharing alone is not a new version
+        await sara.post(`/specialist/templates/${template._id}`, templateForm({ lettersText: 'ب\nم\nف', shared: 'on' }));
+        assert.equal(template.versions.length, 2);
+        assert.equal(template.shared, true);
+
+        await sara.post('/specialist/templates/apply', { templateId: template._id, childIds: YOUSEF });
+        assert.equal(activeSession(YOUSEF).template.version, 2);
+        assert.equal(activeSession(YOUSEF).letters.length, 3);
+
+        // An earlier version can still be chosen
+        await sara.post('/specialist/templates/apply', { templateId: template._id, childIds: REEM, version: '1' });
+        assert.equal(activeSession(REEM).template.version, 1);
+        assert.equal(activeSession(REEM).letters.length, 2);
+
+        const page = await sara.get(`/specialist/templates/${template._id}`);
+        const versions = page.text.match(/id="templateVersions"[\s\S]*?<\/table>/)[0];
+        assert.deepEqual([...versions.matchAll(/<td>v(\d+)<\/td>/g)].map(m => m[1]), ['2', '1']);
+    });
+
+    test('shared templates are visible in the center, private ones only to their owner', async () => {
+        const sara = await portal.loggedIn('specialist');
+        await sara.post('/specialist/templates', templateForm({ name: 'مشترك', shared: 'on' }));
+        await sara.post('/specialist/templates', templateForm({ name: 'خاص' }));
+        const [shared, own] = templates();
+
+        const samir = await portal.loggedIn('supervisor');
+        const list = await samir.get('/specialist/templates');
+        assert.match(list.text, /مشترك/);
+        assert.doesNotMatch(list.text, /خاص/);
+        assert.equal((await samir.get(`/specialist/templates/${own._id}`)).location, '/specialist/templates');
+
+        // Supervisors can read but not apply or edit
+        const details = await samir.get(`/specialist/templates/${shared._id}`);
+        assert.doesNotMatch(details.text, /id="applyPlanTemplate"|id="editPlanTemplate"/);
+        const before = sessionsOf(YOUSEF).length;
+        assert.equal((await samir.post('/specialist/templates/apply', { templateId: shared._id, childIds: YOUSEF })).status, 302);
+        assert.equal(sessionsOf(YOUSEF).length, before);
+    });
+
+    test('deleting a template keeps the sessions created from it', async () => {
+        const sara = await portal.loggedIn('specialist');
+        await sara.post('/specialist/templates', templateForm());
+        const [template] = templates();
+        await sara.post('/specialist/templates/apply', { templateId: template._id, childIds: YOUSEF });
+
+        const res = await sara.post(`/specialist/templates/${template._id}/delete`);
+        assert.equal(res.location, '/specialist/templates');
+        assert.equal(templates().length, 0);
+        assert.equal(activeSession(YOUSEF).template.name, 'أصوات الشفتين');
+    });
+
+    test('rejects templates without letters or words', async () => {
+        const sara = await portal.loggedIn('specialist');
+        const res = await sara.post('/specialist/templates', templateForm({ lettersText: '', wordsText: ' ' }));
+        assert.equal(res.location, '/specialist/templates');
+        assert.equal(templates().length, 0);
+        assert.match((await sara.get('/specialist/templates')).text, /A template needs letters or words/);
+    });
+});
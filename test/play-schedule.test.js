@@ -0,0 +1,218 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startPortal, IDS } = require('./helpers');
+const playSchedule = require('../utils/playSchedule');
+
+let portal;
+
+const YOUSEF = IDS.child(1);
+const REEM = IDS.child(2);
+const ADAM = IDS.child(3);
+
+const scheduleForm = (fields) => new URLSearchParams([
+    ['scheduleEnabled', 'on'],
+    ...Object.entries(fields).flatMap(([key, value]) => [].concat(value).map(v => [key, v]))
+]);
+
+const saveSchedule = (client, childId, fields) => client.post(`/specialist/child/${childId}/plan-settings`, scheduleForm(fields));
+const preview = async (client, fields) => (await client.post(`/specialist/child/${YOUSEF}/schedule-preview`, scheduleForm(fields))).json();
+
+const week = (byDay) => [0, 1, 2, 3, 4, 5, 6].map(day => byDay[day] || []);
+
+before(async () => {
+    portal = await startPortal();
+});
+
+after(async () => {
+    await portal.close();
+});
+
+beforeEach(async () => {
+    await portal.reset();
+});
+
+describe('play schedule editor', () => {
+    test('saves a different set of windows for each weekday', async () => {
+        const sara = await portal.loggedIn('specialist');
+        const res = await saveSchedule(sara, YOUSEF, {
+            allowedDays: ['5', '0', '1'],
+            windows_0: '18:00-19:00, 16:00-17:00',
+            windows_1: '10:00-11:00',
+            windows_5: ''
+        });
+        assert.equal(res.location, `/specialist/child/${YOUSEF}/analytics`);
+        assert.match((await sara.follow(res)).text, /تم حفظ إعدادات اللعب/);
+
+        assert.deepEqual(portal.store.findChild(YOUSEF).playSchedule, {
+            enabled: true,
+            enforce: true,
+            allowedDays: [0, 1, 5],
+            // The allowed days differ, so there is no single list every day shares
+            windows: [],
+            windowsByDay: week({
+                0: [{ start: '16:00', end: '17:00' }, { start: '18:00', end: '19:00' }],
+                1: [{ start: '10:00', end: '11:00' }]
+            }),
+            timezone: null
+        });
+
+        const page = await sara.get(`/specialist/child/${YOUSEF}/analytics`);
+        assert.match(page.text, /name="windows_0"[^>]*value="16:00-17:00, 18:00-19:00"/);
+        assert.match(page.text, /name="windows_1"[^>]*value="10:00-11:00"/);
+        assert.match(page.text, /name="windows_2"[^>]*value=""/);
+        assert.match(page.text, /name="allowedDays" value="5" checked/);
+        assert.equal(page.text.match(/class="btn btn-outline btn-sm schedule-copy-all"/g).length, 7);
+    });
+
+    test('windows shared by every allowed day are also sent as the single list', async () => {
+        const sara = await portal.loggedIn('specialist');
+        await saveSchedule(sara, YOUSEF, {
+            allowedDays: ['2', '4'],
+            windows_2: '15:00-16:00',
+            windows_4: '15:00-16:00',
+            // Days that are not allowed do not count
+            windows_6: '09:00-10:00',
+            scheduleTimezone: 'Europe/London'
+        });
+        const saved = portal.store.findChild(YOUSEF).playSchedule;
+        assert.deepEqual(saved.windows, [{ start: '15:00', end: '16:00' }]);
+        assert.deepEqual(saved.windowsByDay[6], [{ start: '09:00', end: '10:00' }]);
+        assert.equal(saved.timezone, 'Europe/London');
+    });
+
+    test('a schedule saved with a single list shows it on every day', async () => {
+        const sara = await portal.loggedIn('specialist');
+        const page = await sara.get(`/specialist/child/${YOUSEF}/analytics`);
+        for (const day of [0, 3, 6]) {
+            assert.match(page.text, new RegExp(`name="windows_${day}"[^>]*value="16:00-18:00"`));
+        }
+    });
+
+    test('errors are reported per weekday and nothing is saved', async () => {
+        const sara = await portal.loggedIn('specialist');
+        const before = structuredClone(portal.store.findChild(YOUSEF).playSchedule);
+
+        for (const [fields, message] of [
+            [{ windows_1: '16:00-17:30, 17:00-18:00' }, /الإثنين: الفترات متداخلة/],
+            [{ windows_3: '18:00-17:00' }, /الأربعاء: يجب أن تنتهي الفترة بعد بدايتها/],
+            [{ windows_0: '4pm-5pm', windows_6: '10:00-12:00, 11:00-13:00' }, /الأحد: صيغة الوقت غير صحيحة \(HH:MM-HH:MM\) \/ السبت: الفترات متداخلة/],
+            [{ windows_0: '', scheduleTimezone: 'Mars/Olympus' }, /المنطقة الزمنية غير معروفة/]
+        ]) {
+            const res = await saveSchedule(sara, YOUSEF, { allowedDays: ['0'], ...fields });
+            assert.equal(res.location, `/specialist/child/${YOUSEF}/analytics`);
+            assert.match((await sara.follow(res)).text, message);
+            assert.deepEqual(portal.store.findChild(YOUSEF).playSchedule, before);
+        }
+
+        // Touching windows do not overlap
+        await saveSchedule(sara, YOUSEF, { allowedDays: ['0'], windows_0: '16:00-17:00, 17:00-18:00' });
+        assert.equal(portal.store.findChild(YOUSEF).playSchedule.windowsByDay[0].length, 2);
+    });
+
+    test("the preview shows the week in the parent's time zone", async () => {
+        const sara = await portal.loggedIn('specialist');
+        const page = await sara.get(`/specialist/child/${YOUSEF}/analytics`);
+        // Yousef's parent is in Asia/Dubai; times without a zone are the parent's own
+        assert.match(page.text, /بتوقيت ولي الأمر: Asia\/Dubai/);
+        assert.match(page.text, /<option value="">منطقة ولي الأمر \(Asia\/Dubai\)<\/option>/);
+        assert.match(page.text, /<strong>الخميس<\/strong>\s*<span dir="ltr">16:00-18:00<\/span>/);
+        assert.match(page.text, /<strong>الجمعة<\/strong>\s*<span dir="ltr">غير مسموح<\/span>/);
+
+        // Written in UTC (Dubai is 4 hours ahead): windows move, cross midnight and wrap around the week
+        const body = await preview(sara, {
+            allowedDays: ['0', '3', '6'],
+            windows_0: '22:00-23:00',
+            windows_3: '19:00-21:00',
+            windows_6: '21:00-22:00',
+            scheduleTimezone: 'UTC'
+        });
+        assert.equal(body.success, true);
+        assert.deepEqual(body.errors, {});
+        assert.equal(body.preview.shift, 240);
+        assert.deepEqual(body.preview.days.map(d => [d.label, d.windows.map(w => `${w.start}-${w.end}`)]), [
+            ['الأحد', ['01:00-02:00']],
+            ['الإثنين', ['02:00-03:00']],
+            ['الثلاثاء', []],
+            ['الأربعاء', ['23:00-24:00']],
+            ['الخميس', ['00:00-01:00']],
+            ['الجمعة', []],
+            ['السبت', []]
+        ]);
+
+        // No windows: the allowed days are open all day; no days: every day is allowed
+        const open = await preview(sara, {});
+        assert.ok(open.preview.days.every(d => d.allowed && d.allDay));
+
+        const invalid = await preview(sara, { windows_2: '10:00-12:00, 11:00-13:00', scheduleTimezone: 'Nowhere' });
+        assert.deepEqual(invalid.errors, { 2: 'الفترات متداخلة', timezone: 'المنطقة الزمنية غير معروفة' });
+        assert.equal(invalid.preview, null);
+    });
+
+    test('a whole day moved into another zone stays one window', () => {
+        const { days } = playSchedule.previewWeek({ allowedDays: [1], windowsByDay: week({}) }, 'UTC', 'Asia/Dubai');
+        assert.deepEqual(days.map(d => d.windows.map(w => `${w.start}-${w.end}`)), [
+            [], ['04:00-24:00'], ['00:00-04:00'], [], [], [], []
+        ]);
+        assert.equal(playSchedule.previewWeek({ windowsByDay: week({}) }, 'UTC', 'UTC').days.every(d => d.allDay), true);
+    });
+
+    test('copies the whole saved schedule to children of the caseload only', async () => {
+        const sara = await portal.loggedIn('specialist');
+        await saveSchedule(sara, YOUSEF, {
+            allowedDays: ['4', '5'],
+            windows_4: '15:00-16:00, 17:00-18:00',
+            windows_5: '10:00-11:00',
+            scheduleTimezone: 'UTC'
+        });
+        portal.store.findChild(YOUSEF).playSchedule.note = 'not part of the schedule';
+        const adamBefore = structuredClone(portal.store.findChild(ADAM).playSchedule);
+
+        const res = await sara.post(`/specialist/child/${YOUSEF}/copy-schedule`, new URLSearchParams([['childIds', REEM], ['childIds', ADAM]]));
+        assert.equal(res.location, `/specialist/child/${YOUSEF}/analytics`);
+        const page = await sara.follow(res);
+        assert.match(page.text, /تم نسخ جدول اللعب إلى 1 من الأطفال/);
+        // Adam is not in Sara's caseload: skipped, not a failure
+        assert.match(page.text, /لم يُنسخ إلى 1 من الأطفال لأنهم ليسوا ضمن أطفالك/);
+        assert.doesNotMatch(page.text, /تعذر نسخ جدول اللعب/);
+
+        assert.deepEqual(portal.store.findChild(REEM).playSchedule, {
+            enabled: true,
+            enforce: true,
+            allowedDays: [4, 5],
+            windows: [],
+            windowsByDay: week({
+                4: [{ start: '15:00', end: '16:00' }, { start: '17:00', end: '18:00' }],
+                5: [{ start: '10:00', end: '11:00' }]
+            }),
+            timezone: 'UTC'
+        });
+        assert.deepEqual(portal.store.findChild(ADAM).playSchedule, adamBefore);
+
+        const none = await sara.follow(await sara.post(`/specialist/child/${YOUSEF}/copy-schedule`, {}));
+        assert.match(none.text, /لم يتم تحديد أطفال/);
+    });
+
+    test('backend failures are reported apart from skipped children', async () => {
+        const sara = await portal.loggedIn('specialist');
+        await portal.fault({ method: 'POST', path: '^/specialists/set-duration/', status: 500, times: 1 });
+        const res = await sara.post(`/specialist/child/${YOUSEF}/copy-schedule`, new URLSearchParams([['childIds', REEM], ['childIds', ADAM]]));
+        const page = await sara.follow(res);
+        assert.match(page.text, /تعذر نسخ جدول اللعب إلى 1 من الأطفال/);
+        assert.match(page.text, /لم يُنسخ إلى 1 من الأطفال/);
+        assert.doesNotMatch(page.text, /تم نسخ جدول اللعب/);
+    });
+
+    test('read-only roles get neither the editor actions nor the endpoints', async () => {
+        const samir = await portal.loggedIn('supervisor');
+        const before = structuredClone(portal.store.findChild(YOUSEF).playSchedule);
+        assert.equal((await saveSchedule(samir, YOUSEF, { allowedDays: ['1'], windows_1: '' })).status, 302);
+        assert.equal((await samir.post(`/specialist/child/${YOUSEF}/schedule-preview`, scheduleForm({}))).status, 302);
+        assert.equal((await samir.post(`/specialist/child/${YOUSEF}/copy-schedule`, { childIds: REEM })).status, 302);
+        assert.deepEqual(portal.store.findChild(YOUSEF).playSchedule, before);
+        assert.deepEqual(portal.store.findChild(REEM).playSchedule, before);
+
+        const page = await samir.get(`/specialist/child/${YOUSEF}/analytics`);
+        assert.doesNotMatch(page.text, /id="copySchedule"/);
+        assert.match(page.text, /class="schedule-editor" data-preview-url=""/);
+    });
+});
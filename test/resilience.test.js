@@ -0,0 +1,145 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Trip the circuit breaker quickly; one retry per idempotent call.
+process.env.BREAKER_THRESHOLD = '3';
+process.env.BREAKER_COOLDOWN_MS = '60000';
+process.env.API_RETRIES = '1';
+process.env.API_CACHE_MAX_USERS = '3';
+
+const { startPortal, IDS } = require('./helpers');
+
+let portal;
+let sara;
+
+const YOUSEF = IDS.child(1);
+
+before(async () => {
+    portal = await startPortal();
+    sara = await portal.loggedIn('specialist');
+});
+
+after(async () => {
+    await portal.close();
+});
+
+test('cached GETs are served until ?fresh=1 or a mutation invalidates them', async () => {
+    const first = await sara.get('/specialist/children');
+    assert.match(first.text, /يوسف/);
+
+    // Changed behind the portal's back: the cached caseload is still served.
+    portal.store.findChild(YOUSEF).name = 'يوسف أحمد';
+    assert.doesNotMatch((await sara.get('/specialist/children')).text, /يوسف أحمد/);
+    assert.match((await sara.get('/specialist/children?fresh=1')).text, /يوسف أحمد/);
+
+    portal.store.findChild(YOUSEF).name = 'يوسف';
+    await sara.post(`/specialist/child/${YOUSEF}/plan-settings`, { dailyPlayDuration: '20' });
+    assert.doesNotMatch((await sara.get('/specialist/children')).text, /يوسف أحمد/);
+});
+
+test('the cache holds a bounded number of users', async () => {
+    const apiClient = require('../utils/apiClient');
+    let calls = 0;
+    const adapter = async (config) => {
+        calls++;
+        return { data: { success: true, children: [] }, status: 200, statusText: 'OK', headers: {}, config };
+    };
+    const as = (token) => ({ user: { token }, query: {} });
+    const load = (token) => apiClient.authGet(as(token), '/specialists/my-children', { adapter });
+
+    await load('user-1');
+    await load('user-1');
+    assert.equal(calls, 1);
+
+    // Three more users push the first one out
+    for (const token of ['user-2', 'user-3', 'user-4']) await load(token);
+    assert.equal(calls, 4);
+    await load('user-1');
+    assert.equal(calls, 5);
+    // The most recent ones are still cached
+    await load('user-4');
+    assert.equal(calls, 5);
+});
+
+test('idempotent calls are retried after a transient 502', async () => {
+    await portal.fault({ method: 'GET', path: '^/specialists/parents$', status: 502, times: 1 });
+    const res = await sara.get('/specialist/parents?fresh=1');
+    assert.equal(res.status, 200);
+    assert.match(res.text, /Ahmed Parent/);
+});
+
+test('a page whose backend calls fail fast shows the unavailable page, not its own error', async () => {
+    // The circuit opens while the request is already past the up-front check
+    const apiClient = require('../utils/apiClient');
+    const breaker = require('../utils/circuitBreaker');
+    const authGet = apiClient.authGet;
+    apiClient.authGet = async (...args) => {
+        for (let i = 0; i < 3; i++) breaker.recordFailure('test');
+        return authGet(...args);
+    };
+    try {
+        const page = await sara.get('/specialist/children?fresh=1');
+        assert.equal(page.status, 503);
+        assert.match(page.text, /الخدمة غير متاحة حالياً/);
+        breaker.recordSuccess();
+
+        const json = await sara.get('/specialist/api/parents?fresh=1', { headers: { accept: 'application/json' } });
+        assert.equal(json.status, 503);
+        assert.equal(json.json().success, false);
+    } finally {
+        apiClient.authGet = authGet;
+        breaker.recordSuccess();
+    }
+
+    // The route's error message is not left behind for the next page
+    assert.doesNotMatch((await sara.get('/specialist')).text, /alert-danger|error_msg/);
+});
+
+test('search shows the unavailable page too, page and live results', async () => {
+    const apiClient = require('../utils/apiClient');
+    const breaker = require('../utils/circuitBreaker');
+    const authGet = apiClient.authGet;
+    apiClient.authGet = async (...args) => {
+        for (let i = 0; i < 3; i++) breaker.recordFailure('test');
+        return authGet(...args);
+    };
+    try {
+        const live = await sara.get('/search?q=Yousef', { headers: { accept: 'application/json' } });
+        assert.equal(live.status, 503);
+        assert.equal(live.json().success, false);
+        breaker.recordSuccess();
+
+        const page = await sara.get('/search?q=Yousef');
+        assert.equal(page.status, 503);
+        assert.match(page.text, /الخدمة غير متاحة حالياً/);
+    } finally {
+        apiClient.authGet = authGet;
+        breaker.recordSuccess();
+    }
+});
+
+test('repeated backend failures open the breaker and the portal answers 503', async () => {
+    await portal.fault({ path: '.*', status: 503 });
+
+    // Each page load fails its calls (and their retries) until the breaker trips.
+    for (let i = 0; i < 3; i++) {
+        await sara.get('/specialist/parents?fresh=1');
+    }
+
+    const res = await sara.get('/specialist');
+    assert.equal(res.status, 503);
+    assert.ok(Number(res.headers.get('retry-after')) > 0);
+    assert.match(res.text, /الخدمة غير متاحة حالياً/);
+
+    const json = await sara.get('/specialist/api/parents', { headers: { accept: 'application/json' } });
+    assert.equal(json.status, 503);
+    assert.equal(json.json().success, false);
+
+    // Language switching and logout keep working while the backend is down.
+    assert.equal((await sara.get('/lang/en')).status, 302);
+    const logout = await sara.get('/auth/logout');
+    assert.equal(logout.status, 302);
+    assert.equal(logout.location, '/auth/login');
+
+    await portal.clearFaults();
+});
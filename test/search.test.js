@@ -0,0 +1,135 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startPortal, IDS } = require('./helpers');
+
+let portal;
+
+const JSON_ACCEPT = { headers: { accept: 'application/json' } };
+
+// { groupKey: [titles] } from the header's JSON results
+const search = async (client, q) => {
+    const res = await client.get(`/search?q=${encodeURIComponent(q)}`, JSON_ACCEPT);
+    assert.equal(res.status, 200);
+    const { groups } = res.json();
+    return Object.fromEntries(groups.map(g => [g.key, g.items]));
+};
+
+const titles = (items = []) => items.map(i => i.title).sort();
+
+before(async () => {
+    portal = await startPortal();
+});
+
+after(async () => {
+    await portal.close();
+});
+
+beforeEach(async () => {
+    await portal.reset();
+});
+
+describe('global search', () => {
+    test("specialists search their own caseload, parents and plan content", async () => {
+        const sara = await portal.loggedIn('specialist');
+
+        const parents = await search(sara, 'parent');
+        assert.deepEqual(titles(parents.parents), ['Ahmed Parent', 'Mona Parent']);
+        assert.equal(parents.parents.find(p => p.title === 'Ahmed Parent').url, `/specialist/parents/${IDS.user(5)}`);
+        assert.equal(parents.specialists, undefined);
+
+        const sessions = await search(sara, 'session');
+        assert.equal(sessions.sessions.length, 3);
+        assert.ok(sessions.sessions.every(s => s.url.startsWith('/specialist/child/')));
+
+        const child = await search(sara, 'يوسف');
+        assert.deepEqual(child.children.map(c => c.url), [`/specialist/child/${IDS.child(1)}/analytics`]);
+
+        const letter = await search(sara, 'س');
+        assert.equal(letter.words[0].url, `/specialist/words?childId=${IDS.child(1)}&contentType=letter`);
+
+        // Omar's child is not on Sara's caseload
+        assert.deepEqual(await search(sara, 'adam'), {});
+    });
+
+    test('admins search their whole center, including its specialists', async () => {
+        const huda = await portal.loggedIn('admin');
+
+        const adam = await search(huda, 'adam');
+        assert.deepEqual(titles(adam.children), ['Adam']);
+
+        const staff = await search(huda, 'specialist');
+        assert.deepEqual(titles(staff.specialists), ['Omar Specialist', 'Sara Specialist']);
+        assert.equal(staff.specialists.find(s => s.title === 'Sara Specialist').url, `/admin/specialists/${IDS.user(3)}`);
+
+        // Parents of other specialists open on their specialist's page; Laila belongs to nobody here
+        const parents = await search(huda, 'parent');
+        assert.deepEqual(titles(parents.parents), ['Ahmed Parent', 'Khaled Parent', 'Mona Parent']);
+        assert.equal(parents.parents.find(p => p.title === 'Khaled Parent').url, `/specialist/parents/${IDS.user(7)}`);
+        assert.equal(parents.parents.find(p => p.title === 'Ahmed Parent').url, `/admin/specialists/${IDS.user(3)}`);
+    });
+
+    test('superadmins search every center', async () => {
+        const root = await portal.loggedIn('superadmin');
+        const parents = await search(root, 'laila');
+        assert.deepEqual(titles(parents.parents), ['Laila Parent']);
+    });
+
+    test('messages come from the caller\'s own conversations', async () => {
+        const sara = await portal.loggedIn('specialist');
+        const mine = await search(sara, 'ممتاز');
+        assert.equal(mine.messages.length, 1);
+        assert.equal(mine.messages[0].subtitle, 'Ahmed Parent');
+        assert.equal(mine.messages[0].url, `/specialist/chat?target=${IDS.user(5)}`);
+
+        const huda = await portal.loggedIn('admin');
+        assert.equal((await search(huda, 'ممتاز')).messages, undefined);
+    });
+
+    test('the results page groups matches by type and hides groups the role may not use', async () => {
+        const samir = await portal.loggedIn('supervisor');
+        const page = await samir.get('/search?q=' + encodeURIComponent('يوسف'));
+        assert.equal(page.status, 200);
+        assert.match(page.text, /data-group="children"/);
+        assert.match(page.text, new RegExp(`href="/specialist/child/${IDS.child(1)}/analytics"`));
+        assert.match(page.text, /value="يوسف"/);
+
+        const messages = await samir.get('/search?q=' + encodeURIComponent('شكراً'));
+        assert.doesNotMatch(messages.text, /data-group="messages"/);
+        assert.match(messages.text, /لا توجد نتائج مطابقة/);
+
+        assert.match((await samir.get('/search')).text, /اكتب ما تبحث عنه/);
+    });
+
+    test("the header's labels keep the parents search page's own wording in both languages", async () => {
+        const sara = await portal.loggedIn('specialist');
+        const account = await sara.get('/specialist/account');
+        assert.match(account.text, /placeholder="ابحث عن طفل، ولي أمر، جلسة، كلمة..."/);
+        assert.match(account.text, /placeholder="ابحث بالاسم أو البريد الإلكتروني..."/);
+
+        await sara.get('/lang/en');
+        const english = await sara.get('/specialist/account');
+        assert.match(english.text, /placeholder="Search children, parents, sessions, words..."/);
+        assert.match(english.text, /placeholder="Search by name or email..."/);
+        const results = await sara.get('/search?q=' + encodeURIComponent('Mona'));
+        assert.match(results.text, />\s*Parents\s*</);
+    });
+
+    test("backends without the search endpoint still find the caseload's children by name", async () => {
+        const sara = await portal.loggedIn('specialist');
+        await portal.fault({ path: '^/search', status: 404 });
+
+        const child = await search(sara, 'يوسف');
+        assert.deepEqual(child.children.map(c => c.url), [`/specialist/child/${IDS.child(1)}/analytics`]);
+        assert.deepEqual(Object.keys(child), ['children']);
+        assert.deepEqual(await search(sara, 'adam'), {});
+    });
+
+    test('a failing backend answers the live results with an error', async () => {
+        const sara = await portal.loggedIn('specialist');
+        await portal.fault({ path: '^/search', status: 500 });
+
+        const res = await sara.get('/search?q=ab', JSON_ACCEPT);
+        assert.equal(res.status, 502);
+        assert.equal(res.json().success, false);
+    });
+});
@@ -0,0 +1,77 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startPortal, IDS } = require('./helpers');
+
+let portal;
+
+const YOUSEF = IDS.child(1);
+const FIRST_SESSION = '6500000000000000000b0101';
+const SECOND_SESSION = '6500000000000000000b0102';
+const detailsUrl = (sessionId) => `/specialist/child/${YOUSEF}/sessions/${sessionId}`;
+
+// Cell text of every row in the table with the given id
+const tableRows = (html, id) => {
+    const table = html.match(new RegExp(`id="${id}"[\\s\\S]*?</table>`));
+    assert.ok(table, `no #${id} on the page`);
+    return [...table[0].matchAll(/<tr[^>]*>([\s\S]*?)<\/tr>/g)]
+        .map(row => [...row[1].matchAll(/<td[^>]*>([\s\S]*?)<\/td>/g)].map(c => c[1].replace(/<[^>]+>/g, '').trim()))
+        .filter(cells => cells.length > 0);
+};
+
+before(async () => {
+    portal = await startPortal();
+});
+
+after(async () => {
+    await portal.close();
+});
+
+beforeEach(async () => {
+    await portal.reset();
+});
+
+describe('session details', () => {
+    test('lists every attempt in order with its scores, source and timing', async () => {
+        const sara = await portal.loggedIn('specialist');
+        const page = await sara.get(detailsUrl(FIRST_SESSION));
+        assert.equal(page.status, 200);
+
+        const attempts = tableRows(page.text, 'sessionAttempts');
+        assert.equal(attempts.length, 6);
+        assert.deepEqual(attempts.map(cells => cells[0]), ['1', '2', '3', '4', '5', '6']);
+        // #, target, reference, recognized, pronunciation, accuracy, fluency, completeness, source, result, since start, gap
+        assert.deepEqual(attempts[1].slice(0, 9), ['2', 'ت', 'ت', 'ت', '57', '60', '48', '62', 'azure']);
+        assert.deepEqual(attempts[3].slice(1, 4), ['باب', 'باب', 'با']);
+        assert.deepEqual(attempts[0].slice(10, 12), ['0 ث', '-']);
+        assert.deepEqual(attempts[2].slice(10, 12), ['67 ث', '33 ث']);
+    });
+
+    test("compares the session with the child's average", async () => {
+        const sara = await portal.loggedIn('specialist');
+        const page = await sara.get(detailsUrl(FIRST_SESSION));
+
+        const comparison = Object.fromEntries(tableRows(page.text, 'sessionComparison').map(([label, ...values]) => [label, values]));
+        // Yousef's sessions average (52+64+68+68+75+84+90+98)/8 = 74.9
+        assert.deepEqual(comparison['متوسط الدرجة'], ['52', '74.9', '-22.9']);
+        assert.deepEqual(comparison['عدد المحاولات'], ['6', '6', '0']);
+        assert.match(page.text, /<td class="delta-down">\s*-22.9/);
+        assert.match(page.text, /الجلسة 1 من 8/);
+        assert.match(page.text, new RegExp(`href="${detailsUrl(SECOND_SESSION)}"[^>]*rel="next"`));
+        assert.doesNotMatch(page.text, /rel="prev"/);
+    });
+
+    test('is linked from the sessions log and the analytics page', async () => {
+        const sara = await portal.loggedIn('specialist');
+        assert.match((await sara.get('/specialist/sessions')).text, new RegExp(`href="${detailsUrl(FIRST_SESSION)}"`));
+        const analytics = await sara.get(`/specialist/child/${YOUSEF}/analytics`);
+        assert.equal(tableRows(analytics.text, 'childSessions').length, 8);
+        assert.match(analytics.text, new RegExp(`href="${detailsUrl(SECOND_SESSION)}"`));
+    });
+
+    test('an unknown session goes back to the analytics page', async () => {
+        const sara = await portal.loggedIn('specialist');
+        const res = await sara.get(detailsUrl(portal.store.newId()));
+        assert.equal(res.status, 302);
+        assert.equal(res.location, `/specialist/child/${YOUSEF}/analytics`);
+    });
+});
@@ -0,0 +1,124 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startPortal, IDS } = require('./helpers');
+
+let portal;
+
+const YOUSEF = IDS.child(1);
+const ADAM = IDS.child(3);
+
+// Rows of the sessions table: [childId, score] in page order
+const rows = (html) => [...html.matchAll(/<tr>[\s\S]*?<\/tr>/g)]
+    .map(m => m[0])
+    .filter(row => row.includes('/analytics"'))
+    .map(row => {
+        const cells = [...row.matchAll(/<td>\s*([\s\S]*?)\s*<\/td>/g)].map(c => c[1]);
+        return [row.match(/\/specialist\/child\/([a-f0-9]+)\/analytics/)[1], Number(cells[4])];
+    });
+
+before(async () => {
+    portal = await startPortal();
+});
+
+after(async () => {
+    await portal.close();
+});
+
+beforeEach(async () => {
+    await portal.reset();
+});
+
+describe('sessions log', () => {
+    test("lists the sessions of the specialist's whole caseload, newest first", async () => {
+        const sara = await portal.loggedIn('specialist');
+        const page = await sara.get('/specialist/sessions');
+        assert.equal(page.status, 200);
+
+        const listed = rows(page.text);
+        assert.equal(listed.length, 12);
+        assert.ok(listed.every(([child]) => child !== ADAM));
+        assert.deepEqual(listed[0], [YOUSEF, 98]);
+        assert.match(page.text, /<div class="count-number">12<\/div>/);
+    });
+
+    test('filters by child, plan session, score, duration and dates on the server', async () => {
+        const sara = await portal.loggedIn('specialist');
+
+        const scored = rows((await sara.get('/specialist/sessions?minScore=70')).text);
+        assert.deepEqual(scored.map(([, score]) => score).sort(), [72, 75, 84, 90, 98]);
+
+        const plan = rows((await sara.get(`/specialist/sessions?planId=${IDS.exercise(2)}`)).text);
+        assert.deepEqual(plan.map(([, score]) => score), [98, 90, 84, 75]);
+
+        const tenMinutes = rows((await sara.get('/specialist/sessions?minDuration=10&maxDuration=10')).text);
+        assert.equal(tenMinutes.length, 3);
+
+        const dated = rows((await sara.get(`/specialist/sessions?childId=${YOUSEF}&dateFrom=2026-09-10&dateTo=2026-09-12`)).text);
+        assert.deepEqual(dated.map(([, score]) => score), [84, 75]);
+    });
+
+    test('sorts by column, keeping the filters in the links', async () => {
+        const sara = await portal.loggedIn('specialist');
+        const page = await sara.get(`/specialist/sessions?childId=${YOUSEF}&sort=score&order=asc`);
+        assert.deepEqual(rows(page.text).map(([, score]) => score), [52, 64, 68, 68, 75, 84, 90, 98]);
+        // A second click on the active column flips the order
+        assert.match(page.text, new RegExp(`href="/specialist/sessions\\?childId=${YOUSEF}&amp;sort=score&amp;order=desc&amp;page=1"`));
+    });
+
+    test('pages through long logs', async () => {
+        const sessions = portal.store.progressForChild(YOUSEF).sessions;
+        for (let day = 1; day <= 15; day++) {
+            sessions.push({
+                _id: portal.store.newId(),
+                sessionDate: new Date(Date.UTC(2026, 9, day, 16)).toISOString(),
+                duration: 5,
+                totalAttempts: 1,
+                successfulAttempts: 1,
+                averageScore: 80,
+                attempts: []
+            });
+        }
+
+        const sara = await portal.loggedIn('specialist');
+        const first = await sara.get('/specialist/sessions');
+        assert.equal(rows(first.text).length, 20);
+        assert.match(first.text, /صفحة 1 من 2/);
+
+        const second = await sara.get('/specialist/sessions?sort=date&order=desc&page=2');
+        assert.equal(rows(second.text).length, 7);
+        assert.match(second.text, /صفحة 2 من 2/);
+    });
+
+    test('backends without the log endpoint get the same page from each child of the caseload', async () => {
+        const sara = await portal.loggedIn('specialist');
+        const urls = [
+            '/specialist/sessions',
+            '/specialist/sessions?minScore=70',
+            `/specialist/sessions?planId=${IDS.exercise(2)}`,
+            `/specialist/sessions?childId=${YOUSEF}&sort=score&order=asc`,
+            `/specialist/sessions?childId=${YOUSEF}&dateFrom=2026-09-10&dateTo=2026-09-12`
+        ];
+        const fromBackend = [];
+        for (const url of urls) fromBackend.push((await sara.get(url)).text);
+
+        await portal.fault({ method: 'GET', path: '^/progress/sessions$', status: 404 });
+        for (const [i, url] of urls.entries()) {
+            const page = await sara.get(`${url}${url.includes('?') ? '&' : '?'}fresh=1`);
+            assert.equal(page.status, 200);
+            assert.deepEqual(rows(page.text), rows(fromBackend[i]), url);
+        }
+        // The filters still offer the caseload's children and plan sessions
+        const page = await sara.get('/specialist/sessions?fresh=1');
+        assert.match(page.text, /<div class="count-number">12<\/div>/);
+        assert.match(page.text, new RegExp(`value="${IDS.exercise(2)}"`));
+    });
+
+    test('admins get the same log across their center', async () => {
+        const huda = await portal.loggedIn('admin');
+        const page = await huda.get('/specialist/sessions');
+        assert.equal(page.status, 200);
+        assert.equal(rows(page.text).length, 15);
+        assert.ok(rows(page.text).some(([child]) => child === ADAM));
+        assert.match((await huda.get('/admin')).text, /href="\/specialist\/sessions"/);
+    });
+});
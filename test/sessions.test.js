@@ -0,0 +1,180 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startPortal, ACCOUNTS, PASSWORD, IDS } = require('./helpers');
+
+const FIREFOX = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:128.0) Gecko/20100101 Firefox/128.0';
+const SAFARI = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1';
+
+let portal;
+
+// Signs in from a given browser; the first page load records the device.
+const signIn = async (role, userAgent) => {
+    const client = portal.client();
+    const headers = { 'user-agent': userAgent };
+    await client.post('/auth/login', { email: ACCOUNTS[role] || role, password: PASSWORD }, { headers });
+    await client.get('/specialist/profile', { headers });
+    return client;
+};
+
+const sessionIds = (html) => [...html.matchAll(/\/specialist\/profile\/sessions\/([a-f0-9]{16})\/revoke/g)].map(m => m[1]);
+
+before(async () => {
+    portal = await startPortal();
+});
+
+after(async () => {
+    await portal.close();
+});
+
+describe('devices & sessions on the profile', () => {
+    test('lists every session of the user with its device, and marks this one', async () => {
+        const laptop = await signIn('specialist', FIREFOX);
+        await signIn('specialist', SAFARI);
+        await signIn('omar@bmo.test', FIREFOX);
+
+        const page = await laptop.get('/specialist/profile');
+        assert.equal(page.status, 200);
+        assert.match(page.text, /id="devices-tab"/);
+        assert.match(page.text, /Firefox · Windows/);
+        assert.match(page.text, /Safari · iOS/);
+        assert.equal((page.text.match(/هذا الجهاز/g) || []).length, 1);
+        // Only the other session of the same user can be signed out from here.
+        assert.equal(sessionIds(page.text).length, 1);
+    });
+
+    test('signing out one session ends it', async () => {
+        const laptop = await signIn('supervisor', FIREFOX);
+        const phone = await signIn('supervisor', SAFARI);
+        assert.equal((await phone.get('/specialist/profile')).status, 200);
+
+        const [id] = sessionIds((await laptop.get('/specialist/profile')).text);
+        const res = await laptop.post(`/specialist/profile/sessions/${id}/revoke`);
+        assert.equal(res.location, '/specialist/profile');
+        assert.match((await laptop.follow(res)).text, /تم إنهاء الجلسة/);
+
+        assert.equal((await phone.get('/specialist/profile')).location, '/auth/login');
+        assert.equal((await laptop.get('/specialist/profile')).status, 200);
+    });
+
+    test("another user's session can't be signed out", async () => {
+        const omarPhone = await signIn('omar@bmo.test', SAFARI);
+        const omarLaptop = await signIn('omar@bmo.test', FIREFOX);
+        const [phoneId] = sessionIds((await omarLaptop.get('/specialist/profile')).text);
+        const sara = await signIn('specialist', FIREFOX);
+
+        const res = await sara.follow(await sara.post(`/specialist/profile/sessions/${phoneId}/revoke`));
+        assert.match(res.text, /الجلسة غير موجودة/);
+        assert.equal((await omarPhone.get('/specialist/profile')).status, 200);
+    });
+
+    test('"sign out of all other devices" keeps only this session', async () => {
+        const here = await signIn('specialist', FIREFOX);
+        const other = await signIn('specialist', SAFARI);
+
+        const res = await here.follow(await here.post('/specialist/profile/sessions/revoke-others'));
+        assert.match(res.text, /تم إنهاء \d+ من الجلسات/);
+        assert.equal(sessionIds(res.text).length, 0);
+        assert.equal((await other.get('/specialist/profile')).location, '/auth/login');
+        assert.equal((await here.get('/specialist/profile')).status, 200);
+    });
+});
+
+describe('reading the session store', () => {
+    test('sessions are found through the per-user index, never by scanning the store', async () => {
+        const sara = await signIn('specialist', FIREFOX);
+        const huda = await signIn('admin', FIREFOX);
+        const store = require('express-session').MemoryStore.prototype;
+        let scans = 0;
+        const all = store.all;
+        store.all = function (...args) {
+            scans++;
+            return all.apply(this, args);
+        };
+        try {
+            const profile = await sara.get('/specialist/profile');
+            assert.match(profile.text, /sessions-table/);
+            assert.match(profile.text, /Firefox · Windows/);
+            await sara.get('/specialist/profile/sessions');
+            await sara.post('/specialist/profile/sessions/revoke-others');
+            await huda.get('/admin/sessions');
+            await huda.post(`/admin/specialists/${IDS.user(3)}/sign-out`);
+            assert.equal(scans, 0);
+        } finally {
+            store.all = all;
+        }
+    });
+
+    test('the old devices page opens the tab on the profile', async () => {
+        const sara = await signIn('specialist', FIREFOX);
+        assert.equal((await sara.get('/specialist/profile/sessions')).location, '/specialist/profile');
+    });
+});
+
+describe('admin force sign-out', () => {
+    let huda;
+
+    before(async () => {
+        huda = await signIn('admin', FIREFOX);
+    });
+
+    test('the specialist page signs all the sessions out', async () => {
+        const sara = await signIn('specialist', SAFARI);
+
+        const details = await huda.get(`/admin/specialists/${IDS.user(3)}`);
+        assert.match(details.text, /\/sign-out"/);
+        assert.match(details.text, /تسجيل الخروج الإجباري/);
+
+        const res = await huda.post(`/admin/specialists/${IDS.user(3)}/sign-out`);
+        assert.equal(res.location, `/admin/specialists/${IDS.user(3)}`);
+        const page = await huda.follow(res);
+        assert.match(page.text, /تم تسجيل خروج المستخدم من \d+ من الجلسات/);
+
+        assert.equal((await sara.get('/specialist')).location, '/auth/login');
+        assert.equal((await huda.get('/admin')).status, 200);
+    });
+
+    test('needs specialists:manage', async () => {
+        const sara = await signIn('specialist', SAFARI);
+        const samir = await signIn('supervisor', SAFARI);
+        const res = await samir.post(`/admin/specialists/${IDS.user(3)}/sign-out`);
+        assert.equal(res.status, 302);
+        assert.notEqual(res.location, `/admin/specialists/${IDS.user(3)}`);
+        assert.equal((await sara.get('/specialist')).status, 200);
+    });
+
+    test('any signed-in user of the center can be signed out, whatever the role', async () => {
+        const samir = await signIn('supervisor', SAFARI);
+        const sara = await signIn('specialist', SAFARI);
+
+        const page = await huda.get('/admin/sessions');
+        assert.equal(page.status, 200);
+        assert.match(page.text, /Samir/);
+        assert.match(page.text, /مشرف/);
+        assert.match(page.text, new RegExp(`/admin/users/${IDS.user(9)}/sign-out`));
+
+        const res = await huda.post(`/admin/users/${IDS.user(9)}/sign-out`);
+        assert.equal(res.location, '/admin/sessions');
+        assert.match((await huda.follow(res)).text, /تم تسجيل خروج المستخدم من \d+ من الجلسات/);
+        assert.equal((await samir.get('/specialist')).location, '/auth/login');
+        assert.equal((await sara.get('/specialist')).status, 200);
+
+        // Signed-out users leave the list
+        assert.doesNotMatch((await huda.get('/admin/sessions')).text, new RegExp(`/admin/users/${IDS.user(9)}/sign-out`));
+    });
+
+    test("users who never signed in to the center can't be targeted", async () => {
+        const res = await huda.post('/admin/users/650000000000000000009999/sign-out');
+        assert.equal(res.location, '/admin/sessions');
+        assert.match((await huda.follow(res)).text, /لا توجد جلسات لهذا المستخدم في مركزك/);
+
+        const samir = await signIn('supervisor', SAFARI);
+        const denied = await samir.post(`/admin/users/${IDS.user(3)}/sign-out`);
+        assert.notEqual(denied.location, '/admin/sessions');
+    });
+
+    test('unknown specialists are refused', async () => {
+        const res = await huda.post('/admin/specialists/650000000000000000009999/sign-out');
+        assert.equal(res.location, '/admin/specialists');
+        assert.match((await huda.follow(res)).text, /الأخصائي غير موجود/);
+    });
+});
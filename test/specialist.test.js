@@ -0,0 +1,384 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { startPortal, IDS } = require('./helpers');
+
+// The PDF export drives a real headless Chrome; skip it where puppeteer's browser isn't installed.
+const chromeMissing = (() => {
+    try {
+        return !fs.existsSync(require('puppeteer').executablePath());
+    } catch (_) {
+        return true;
+    }
+})();
+
+let portal;
+let sara;
+
+const YOUSEF = IDS.child(1);
+const REEM = IDS.child(2);
+const AHMED = IDS.user(5);
+
+before(async () => {
+    portal = await startPortal();
+    sara = await portal.loggedIn('specialist');
+});
+
+after(async () => {
+    await portal.close();
+});
+
+describe('dashboard and lists', () => {
+    test('GET /specialist shows the caseload', async () => {
+        const res = await sara.get('/specialist');
+        assert.equal(res.status, 200);
+        assert.match(res.text, /يوسف/);
+        assert.match(res.text, /ريم/);
+        assert.doesNotMatch(res.text, /Adam/);
+    });
+
+    test('GET /specialist/children lists only assigned children', async () => {
+        const res = await sara.get('/specialist/children');
+        assert.equal(res.status, 200);
+        assert.match(res.text, new RegExp(`/specialist/child/${YOUSEF}/analytics`));
+        assert.doesNotMatch(res.text, /Adam/);
+    });
+
+    test('GET /specialist/children/:id redirects to the analytics page', async () => {
+        const res = await sara.get(`/specialist/children/${YOUSEF}`);
+        assert.equal(res.status, 302);
+        assert.equal(res.location, `/specialist/child/${YOUSEF}/analytics`);
+    });
+
+    test('GET /specialist/parents lists linked parents', async () => {
+        const res = await sara.get('/specialist/parents');
+        assert.equal(res.status, 200);
+        assert.match(res.text, /Ahmed Parent/);
+        assert.match(res.text, /Mona Parent/);
+        assert.doesNotMatch(res.text, /Khaled Parent/);
+    });
+
+    test('GET /specialist/parents/:id shows the parent and their children', async () => {
+        const res = await sara.get(`/specialist/parents/${AHMED}`);
+        assert.equal(res.status, 200);
+        assert.match(res.text, /parent1@bmo\.test/);
+        assert.match(res.text, /يوسف/);
+    });
+
+    test('GET /specialist/parents/:id for an unlinked parent redirects with a flash', async () => {
+        const res = await sara.get(`/specialist/parents/${IDS.user(7)}`);
+        assert.equal(res.status, 302);
+        assert.equal(res.location, '/specialist/parents');
+        const page = await sara.follow(res);
+        assert.match(page.text, /الصفحة غير موجودة/);
+    });
+
+    test('GET /specialist/api/parents returns JSON', async () => {
+        const res = await sara.get('/specialist/api/parents');
+        assert.equal(res.status, 200);
+        const body = res.json();
+        assert.equal(body.success, true);
+        assert.deepEqual(body.parents.map(p => p.email).sort(), ['parent1@bmo.test', 'parent2@bmo.test']);
+    });
+
+    test('GET /specialist/chat renders the chat shell', async () => {
+        const res = await sara.get('/specialist/chat');
+        assert.equal(res.status, 200);
+        assert.match(res.text, /socket\.io/);
+    });
+
+    test('GET /specialist/chat/init/:userId redirects to the chat with a target', async () => {
+        const res = await sara.get(`/specialist/chat/init/${AHMED}`);
+        assert.equal(res.status, 302);
+        assert.equal(res.location, `/specialist/chat?target=${AHMED}`);
+    });
+});
+
+describe('sessions log', () => {
+    test('without filters every session of the caseload is listed', async () => {
+        const res = await sara.get('/specialist/sessions');
+        assert.equal(res.status, 200);
+        assert.match(res.text, /يوسف/);
+        assert.match(res.text, /ريم/);
+    });
+
+    test('filters the selected child\'s sessions by date', async () => {
+        const all = portal.store.progressForChild(YOUSEF).sessions;
+        const res = await sara.get(`/specialist/sessions?childId=${YOUSEF}`);
+        assert.equal(res.status, 200);
+
+        const latest = all.map(s => s.sessionDate).sort().pop().slice(0, 10);
+        const filtered = await sara.get(`/specialist/sessions?childId=${YOUSEF}&dateFrom=${latest}`);
+        assert.equal(filtered.status, 200);
+        assert.ok(filtered.text.length < res.text.length, 'date filter should drop older sessions');
+    });
+});
+
+describe('child analytics', () => {
+    test('GET /specialist/child/:id/analytics renders the child and plan sessions', async () => {
+        const res = await sara.get(`/specialist/child/${YOUSEF}/analytics`);
+        assert.equal(res.status, 200);
+        assert.match(res.text, /تحليلات يوسف/);
+        assert.match(res.text, /Session 2/);
+    });
+
+    test('analytics for an unknown child redirects back to the children list', async () => {
+        const res = await sara.get(`/specialist/child/${IDS.child(99)}/analytics`);
+        assert.equal(res.status, 302);
+        assert.equal(res.location, '/specialist/children');
+        const page = await sara.follow(res);
+        assert.match(page.text, /حدث خطأ/);
+    });
+
+    test('analytics/data uses /progress/sessions when the backend has it', async () => {
+        const res = await sara.get(`/specialist/child/${YOUSEF}/analytics/data`);
+        assert.equal(res.status, 200);
+        const body = res.json();
+        assert.equal(body.success, true);
+
+        const expected = portal.store.progressForChild(YOUSEF).sessions;
+        assert.equal(body.stats.totalSessions, expected.length);
+        assert.ok(body.sessions.every(s => s._id), 'sessions come straight from the endpoint');
+        assert.equal(body.chartData.timeline.data.length, Math.min(20, expected.length));
+    });
+
+    describe('older backends without /progress/sessions and /progress/attempts', () => {
+        beforeEach(async () => {
+            await portal.clearFaults();
+            await portal.fault({ method: 'GET', path: '^/progress/sessions/', status: 404 });
+            await portal.fault({ method: 'GET', path: '^/progress/attempts/', status: 404 });
+        });
+
+        after(async () => {
+            await portal.clearFaults();
+        });
+
+        test('analytics/data falls back to _normalizeSessionsForCharts on 404', async () => {
+            const res = await sara.get(`/specialist/child/${YOUSEF}/analytics/data`);
+            assert.equal(res.status, 200);
+            const body = res.json();
+
+            const raw = portal.store.progressForChild(YOUSEF).sessions;
+            assert.equal(body.stats.totalSessions, raw.length);
+            assert.equal(body.stats.totalAttempts, raw.reduce((sum, s) => sum + s.totalAttempts, 0));
+            assert.equal(body.stats.successfulAttempts, raw.reduce((sum, s) => sum + s.successfulAttempts, 0));
+
+            // Normalized sessions carry only the chart fields.
+            for (const s of body.sessions) {
+                assert.deepEqual(Object.keys(s).sort(), [
+                    'averageScore', 'duration', 'failedAttempts', 'sessionDate',
+                    'successRate', 'successfulAttempts', 'totalAttempts'
+                ]);
+            }
+
+            // Attempts fall back to the flattened progress sessions.
+            const difficulty = body.chartData.difficulty;
+            const bucketed = Object.values(difficulty.letters).concat(Object.values(difficulty.words)).reduce((a, b) => a + b, 0);
+            assert.ok(bucketed > 0);
+        });
+
+        test('the analytics page falls back as well', async () => {
+            const res = await sara.get(`/specialist/child/${YOUSEF}/analytics`);
+            assert.equal(res.status, 200);
+            assert.match(res.text, /تحليلات يوسف/);
+        });
+
+        test('non-404 failures also fall back to /progress/child', async () => {
+            await portal.clearFaults();
+            await portal.fault({ method: 'GET', path: '^/progress/sessions/', status: 500 });
+            const res = await sara.get(`/specialist/child/${REEM}/analytics/data`);
+            assert.equal(res.status, 200);
+            assert.equal(res.json().stats.totalSessions, portal.store.progressForChild(REEM).sessions.length);
+        });
+    });
+
+    test('analytics/data returns 500 JSON when progress cannot be loaded at all', async () => {
+        await portal.fault({ method: 'GET', path: '^/progress/', status: 500 });
+        const res = await sara.get(`/specialist/child/${YOUSEF}/analytics/data`);
+        assert.equal(res.status, 500);
+        assert.equal(res.json().success, false);
+        await portal.clearFaults();
+    });
+
+    test('GET /specialist/child/:id/analytics/pdf streams a PDF', { skip: chromeMissing && 'Chrome for puppeteer is not installed', timeout: 120000 }, async () => {
+        const res = await sara.get(`/specialist/child/${REEM}/analytics/pdf`);
+        assert.equal(res.status, 200, res.text.slice(0, 300));
+        assert.equal(res.headers.get('content-type'), 'application/pdf');
+        assert.match(res.headers.get('content-disposition'), new RegExp(`child-analytics-${REEM}\\.pdf`));
+    });
+});
+
+describe('plan settings and plan sessions', () => {
+    test('POST plan-settings saves the play schedule', async () => {
+        const res = await sara.post(`/specialist/child/${REEM}/plan-settings`, {
+            dailyPlayDuration: '25',
+            playDuration: '10',
+            breakDuration: '2',
+            maxAttempts: '3',
+            scheduleEnabled: 'on',
+            allowedDays: '1',
+            windowStart: '16:00',
+            windowEnd: '17:30'
+        });
+        assert.equal(res.status, 302);
+        assert.equal(res.location, `/specialist/child/${REEM}/analytics`);
+
+        const page = await sara.follow(res);
+        assert.match(page.text, /تم حفظ إعدادات اللعب/);
+
+        const child = portal.store.findChild(REEM);
+        assert.equal(child.dailyPlayDuration, 25);
+        assert.deepEqual(child.playSchedule.allowedDays, [1]);
+        assert.deepEqual(child.playSchedule.windows, [{ start: '16:00', end: '17:30' }]);
+    });
+
+    test('POST plan-settings flashes an error when the backend rejects it', async () => {
+        await portal.fault({ method: 'POST', path: '^/specialists/set-duration/', status: 400, times: 1 });
+        const page = await sara.follow(await sara.post(`/specialist/child/${REEM}/plan-settings`, { dailyPlayDuration: '5' }));
+        assert.match(page.text, /حدث خطأ/);
+    });
+
+    test('POST create-plan-session creates the next numbered session', async () => {
+        const before = portal.store.data.exercises.filter(e => String(e.child) === REEM).length;
+        const res = await sara.post(`/specialist/child/${REEM}/create-plan-session`, {
+            sessionName: 'Session Two',
+            targetDuration: '15',
+            lettersText: 'ر\nم',
+            wordsText: 'رمل, ماء'
+        });
+        assert.equal(res.status, 302);
+        assert.equal(res.location, `/specialist/child/${REEM}/analytics`);
+
+        const page = await sara.follow(res);
+        assert.match(page.text, /تم إنشاء جلسة جديدة للخطة/);
+        assert.match(page.text, /Session Two/);
+
+        const plans = portal.store.data.exercises.filter(e => String(e.child) === REEM);
+        assert.equal(plans.length, before + 1);
+        assert.equal(plans.filter(p => p.active).length, 1);
+    });
+});
+
+describe('link requests', () => {
+    test('GET /specialist/requests lists pending requests', async () => {
+        const res = await sara.get('/specialist/requests');
+        assert.equal(res.status, 200);
+        assert.match(res.text, /Laila Parent/);
+    });
+
+    test('accepting a request links the parent', async () => {
+        const res = await sara.post('/specialist/requests/650000000000000000010001/accept');
+        assert.equal(res.status, 302);
+        assert.equal(res.location, '/specialist/requests');
+        const page = await sara.follow(res);
+        assert.match(page.text, /تم التحديث بنجاح/);
+        assert.ok(portal.store.findUser(IDS.user(3)).linkedParents.map(String).includes(IDS.user(8)));
+    });
+
+    test('rejecting an unknown request flashes an error', async () => {
+        const page = await sara.follow(await sara.post(`/specialist/requests/${IDS.user(99)}/reject`));
+        assert.match(page.text, /حدث خطأ|not found/i);
+    });
+});
+
+describe('account linking', () => {
+    test('GET /specialist/account lists parents available to link', async () => {
+        const res = await sara.get('/specialist/account');
+        assert.equal(res.status, 200);
+        assert.match(res.text, /Khaled Parent/);
+        // Khaled is already followed by another specialist.
+        assert.match(res.text, /Omar Specialist/);
+        assert.doesNotMatch(res.text, /Ahmed Parent/);
+    });
+
+    test('GET /specialist/account/search finds unlinked parents', async () => {
+        const res = await sara.get('/specialist/account/search?query=khaled');
+        assert.equal(res.status, 200);
+        assert.match(res.text, /parent3@bmo\.test/);
+    });
+
+    test('linking and unlinking a parent', async () => {
+        const khaled = IDS.user(7);
+        const linked = await sara.follow(await sara.post(`/specialist/account/link/${khaled}`));
+        assert.match(linked.text, /تم التحديث بنجاح/);
+        assert.ok(portal.store.findUser(IDS.user(3)).linkedParents.map(String).includes(khaled));
+
+        const res = await sara.post(`/specialist/parents/${khaled}/unlink`);
+        assert.equal(res.status, 302);
+        assert.equal(res.location, '/specialist/parents');
+        const page = await sara.follow(res);
+        assert.match(page.text, /تم الحذف بنجاح/);
+        assert.ok(!portal.store.findUser(IDS.user(3)).linkedParents.map(String).includes(khaled));
+    });
+
+    test('POST /specialist/api/create-child proxies to the backend', async () => {
+        const res = await sara.request('POST', '/specialist/api/create-child', {
+            json: { name: 'سلمى', age: 5, gender: 'female', parentId: AHMED }
+        });
+        assert.equal(res.status, 200);
+        assert.equal(res.json().success, true);
+        assert.ok(portal.store.data.children.some(c => c.name === 'سلمى'));
+    });
+
+    test('POST /specialist/api/create-child relays backend validation errors', async () => {
+        const res = await sara.request('POST', '/specialist/api/create-child', { json: {} });
+        assert.equal(res.status, 500);
+        assert.equal(res.json().success, false);
+    });
+});
+
+describe('profile', () => {
+    test('GET /specialist/profile renders the current user', async () => {
+        const res = await sara.get('/specialist/profile');
+        assert.equal(res.status, 200);
+        assert.match(res.text, /specialist@bmo\.test/);
+    });
+
+    test('POST /specialist/profile/update saves the profile', async () => {
+        const page = await sara.follow(await sara.post('/specialist/profile/update', { name: 'Sara S.', phone: '0500000000' }));
+        assert.match(page.text, /تم التحديث بنجاح/);
+        assert.match(page.text, /Sara S\./);
+    });
+
+    test('POST /specialist/profile/upload-photo requires a file', async () => {
+        const page = await sara.follow(await sara.post('/specialist/profile/upload-photo'));
+        assert.match(page.text, /الرجاء اختيار صورة/);
+    });
+
+    test('POST /specialist/profile/upload-photo forwards the image', async () => {
+        const form = new FormData();
+        form.append('photo', new Blob([Buffer.from('89504e470d0a1a0a', 'hex')], { type: 'image/png' }), 'me.png');
+        const res = await sara.request('POST', '/specialist/profile/upload-photo', { multipart: form });
+        assert.equal(res.status, 302);
+        const page = await sara.follow(res);
+        assert.match(page.text, /تم تحديث الصورة بنجاح/);
+        assert.ok(portal.store.findUser(IDS.user(3)).profilePhoto);
+    });
+
+    test('POST /specialist/profile/change-password validates the current password', async () => {
+        const wrong = await sara.follow(await sara.post('/specialist/profile/change-password', {
+            currentPassword: 'wrong', newPassword: 'newpass123'
+        }));
+        assert.match(wrong.text, /حدث خطأ|فشل تغيير كلمة المرور/);
+
+        const ok = await sara.follow(await sara.post('/specialist/profile/change-password', {
+            currentPassword: 'password123', newPassword: 'newpass123'
+        }));
+        assert.match(ok.text, /تم تغيير كلمة المرور بنجاح/);
+        portal.store.findUser(IDS.user(3)).password = 'password123';
+    });
+});
+
+describe('access control', () => {
+    test('admins can use the specialist area', async () => {
+        const admin = await portal.loggedIn('admin');
+        const res = await admin.get('/specialist/children');
+        assert.equal(res.status, 200);
+    });
+
+    test('guests are sent to the login page', async () => {
+        const res = await portal.client().get(`/specialist/child/${YOUSEF}/analytics`);
+        assert.equal(res.status, 302);
+        assert.equal(res.location, '/auth/login');
+    });
+});
@@ -0,0 +1,169 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startPortal, IDS } = require('./helpers');
+
+let portal;
+
+const CLIENT = { clientId: 'bmo-portal', clientSecret: 'bmo-portal-secret' };
+
+const enableSso = (settings = {}) => {
+    portal.store.findCenter(IDS.center).sso = {
+        enabled: true,
+        issuer: `${portal.backendUrl}/idp`,
+        ...CLIENT,
+        emailClaim: 'email',
+        ...settings
+    };
+};
+
+// Signs in at the stand-in provider as `email` and returns the portal's answer to the callback.
+const ssoLogin = async (client, email, { cancel = false } = {}) => {
+    const start = await client.get(`/auth/sso/${IDS.center}`);
+    assert.equal(start.status, 302);
+    const authorize = new URL(start.headers.get('location'));
+    assert.equal(authorize.pathname, '/idp/authorize');
+
+    const form = new URLSearchParams(authorize.searchParams);
+    form.set('email', email);
+    if (cancel) form.set('cancel', '1');
+    const idp = await fetch(authorize.origin + authorize.pathname, { method: 'POST', body: form, redirect: 'manual' });
+    const callback = new URL(idp.headers.get('location'));
+    assert.equal(callback.pathname, `/auth/sso/${IDS.center}/callback`);
+
+    return client.get(callback.pathname + callback.search);
+};
+
+before(async () => {
+    portal = await startPortal();
+});
+
+after(async () => {
+    await portal.close();
+});
+
+beforeEach(async () => {
+    await portal.reset();
+});
+
+describe('single sign-on', () => {
+    test('the login page offers it only for centers that enabled it', async () => {
+        assert.doesNotMatch((await portal.client().get('/auth/login')).text, /\/auth\/sso\//);
+
+        enableSso();
+        const page = await portal.client().get('/auth/login');
+        assert.match(page.text, new RegExp(`href="/auth/sso/${IDS.center}"`));
+        assert.match(page.text, /الدخول عبر حساب مركز النطق الأول/);
+    });
+
+    test('staff sign in through the center identity provider', async () => {
+        enableSso();
+        const client = portal.client();
+
+        const res = await ssoLogin(client, 'Specialist@bmo.test');
+        assert.equal(res.location, '/');
+        assert.equal((await client.get('/specialist')).status, 200);
+
+        const sara = portal.store.findUser(IDS.user(3));
+        assert.match(sara.sso.subject, /^idp-/);
+        assert.ok(portal.store.data.activityLogs.some(l => l.action === 'LOGIN' && /single sign-on/.test(l.details)));
+    });
+
+    test('the provider page of the stand-in IdP renders', async () => {
+        enableSso();
+        const start = await portal.client().get(`/auth/sso/${IDS.center}`);
+        const authorize = new URL(start.headers.get('location'));
+        assert.equal(authorize.searchParams.get('client_id'), 'bmo-portal');
+        assert.equal(authorize.searchParams.get('code_challenge_method'), 'S256');
+
+        const page = await fetch(authorize);
+        assert.equal(page.status, 200);
+        assert.match(await page.text(), /name="email"/);
+    });
+
+    test('identities without an account in the center are refused', async () => {
+        enableSso();
+        const client = portal.client();
+        const res = await ssoLogin(client, 'stranger@example.org');
+        assert.equal(res.location, '/auth/login');
+        assert.match((await client.follow(res)).text, /لا يوجد حساب في البوابة لهذه الهوية/);
+    });
+
+    test('the same roles as the password login are enforced', async () => {
+        enableSso();
+        portal.store.findUser(IDS.user(5)).center = IDS.center;
+        const client = portal.client();
+        const res = await client.follow(await ssoLogin(client, 'parent1@bmo.test'));
+        assert.match(res.text, /ليس لديك صلاحية للدخول إلى هذه البوابة/);
+        assert.equal((await client.get('/specialist')).location, '/auth/login');
+    });
+
+    test('cancelling at the provider goes back to the login page', async () => {
+        enableSso();
+        const client = portal.client();
+        const res = await client.follow(await ssoLogin(client, 'specialist@bmo.test', { cancel: true }));
+        assert.match(res.text, /تعذّر الدخول عبر مزوّد الهوية/);
+    });
+
+    test('a callback without a pending sign-in is rejected', async () => {
+        enableSso();
+        const res = await portal.client().get(`/auth/sso/${IDS.center}/callback?code=forged&state=forged`);
+        assert.equal(res.location, '/auth/login');
+    });
+
+    test('a wrong client secret fails at the token exchange', async () => {
+        enableSso({ clientSecret: 'not-the-secret' });
+        const client = portal.client();
+        const res = await client.follow(await ssoLogin(client, 'specialist@bmo.test'));
+        assert.match(res.text, /تعذّر الدخول عبر مزوّد الهوية/);
+        assert.equal((await client.get('/specialist')).location, '/auth/login');
+    });
+
+    test('centers without single sign-on are refused', async () => {
+        const client = portal.client();
+        const res = await client.get(`/auth/sso/${IDS.center}`);
+        assert.equal(res.location, '/auth/login');
+        assert.match((await client.follow(res)).text, /الدخول الموحد غير متاح لهذا المركز/);
+    });
+});
+
+describe('center settings', () => {
+    let root;
+    const centerForm = {
+        name: 'مركز النطق الأول',
+        isActive: 'on',
+        ssoEnabled: 'on',
+        ssoIssuer: 'https://login.example.org/',
+        ssoClientId: 'portal'
+    };
+
+    beforeEach(async () => {
+        root = await portal.loggedIn('superadmin');
+    });
+
+    test('superadmins configure single sign-on on the center form', async () => {
+        const form = await root.get(`/superadmin/centers/${IDS.center}/edit`);
+        assert.match(form.text, /name="ssoEnabled"/);
+        assert.match(form.text, new RegExp(`/auth/sso/${IDS.center}/callback`));
+
+        const incomplete = await root.post(`/superadmin/centers/${IDS.center}`, centerForm);
+        assert.equal(incomplete.location, `/superadmin/centers/${IDS.center}/edit`);
+        assert.match((await root.follow(incomplete)).text, /أدخل عنوان مزوّد الهوية ومعرّف العميل وسر العميل/);
+        assert.equal(portal.store.findCenter(IDS.center).sso, undefined);
+
+        await root.post(`/superadmin/centers/${IDS.center}`, { ...centerForm, ssoClientSecret: 's3cret' });
+        assert.deepEqual(portal.store.findCenter(IDS.center).sso, {
+            enabled: true,
+            issuer: 'https://login.example.org',
+            clientId: 'portal',
+            clientSecret: 's3cret',
+            emailClaim: 'email'
+        });
+
+        // The secret is never sent back; saving without one keeps it.
+        const again = await root.get(`/superadmin/centers/${IDS.center}/edit`);
+        assert.doesNotMatch(again.text, /s3cret/);
+        assert.match(again.text, /اتركه فارغاً للإبقاء على السر الحالي/);
+        await root.post(`/superadmin/centers/${IDS.center}`, centerForm);
+        assert.equal(portal.store.findCenter(IDS.center).sso.clientSecret, 's3cret');
+    });
+});
@@ -0,0 +1,170 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startPortal, IDS } = require('./helpers');
+
+let portal;
+let root;
+
+before(async () => {
+    portal = await startPortal();
+    root = await portal.loggedIn('superadmin');
+});
+
+after(async () => {
+    await portal.close();
+});
+
+const centerByName = (name) => portal.store.data.centers.find(c => c.name === name);
+
+describe('dashboard', () => {
+    test('GET /superadmin shows recent centers', async () => {
+        const res = await root.get('/superadmin');
+        assert.equal(res.status, 200);
+        assert.match(res.text, /مركز النطق الأول/);
+    });
+
+    test('GET /superadmin renders an empty dashboard when the backend fails', async () => {
+        await portal.fault({ method: 'GET', path: '^/superadmin/dashboard$', status: 500, times: 1 });
+        const res = await root.get('/superadmin');
+        assert.equal(res.status, 200);
+
+        const next = await root.get('/superadmin/centers');
+        assert.match(next.text, /حدث خطأ في تحميل البيانات/);
+    });
+
+    test('admins cannot open the superadmin area', async () => {
+        const admin = await portal.loggedIn('admin');
+        const res = await admin.get('/superadmin/centers');
+        assert.equal(res.status, 302);
+        assert.equal(res.location, '/admin');
+        const page = await admin.follow(res);
+        assert.match(page.text, /ليس لديك صلاحية للوصول إلى هذه الصفحة/);
+    });
+});
+
+describe('centers', () => {
+    test('GET /superadmin/centers lists centers', async () => {
+        const res = await root.get('/superadmin/centers');
+        assert.equal(res.status, 200);
+        assert.match(res.text, /مركز النطق الأول/);
+    });
+
+    test('GET /superadmin/centers/create renders the form', async () => {
+        const res = await root.get('/superadmin/centers/create');
+        assert.equal(res.status, 200);
+        assert.match(res.text, /name="adminEmail"/);
+    });
+
+    test('POST /superadmin/centers creates the center and its admin', async () => {
+        const res = await root.post('/superadmin/centers', {
+            name: 'مركز الأمل',
+            nameEn: 'Hope Center',
+            adminName: 'Hope Admin',
+            adminEmail: 'hope@bmo.test',
+            adminPassword: 'password123'
+        });
+        assert.equal(res.status, 302);
+        assert.equal(res.location, '/superadmin/centers');
+
+        const page = await root.follow(res);
+        assert.match(page.text, /تم إنشاء المركز والمدير بنجاح/);
+        assert.match(page.text, /مركز الأمل/);
+        assert.ok(portal.store.data.users.some(u => u.email === 'hope@bmo.test' && u.role === 'admin'));
+    });
+
+    test('POST /superadmin/centers without admin details returns to the form', async () => {
+        const res = await root.post('/superadmin/centers', { name: 'Incomplete' });
+        assert.equal(res.status, 302);
+        assert.equal(res.location, '/superadmin/centers/create');
+        const page = await root.follow(res);
+        assert.match(page.text, /حدث خطأ في إنشاء المركز|required/);
+    });
+
+    test('GET /superadmin/centers/:id/edit renders the center', async () => {
+        const center = centerByName('مركز الأمل');
+        const res = await root.get(`/superadmin/centers/${center._id}/edit`);
+        assert.equal(res.status, 200);
+        assert.match(res.text, /Hope Center/);
+    });
+
+    test('GET /superadmin/centers/:id/edit for an unknown center redirects', async () => {
+        const res = await root.get(`/superadmin/centers/${IDS.user(99)}/edit`);
+        assert.equal(res.status, 302);
+        assert.equal(res.location, '/superadmin/centers');
+    });
+
+    test('POST /superadmin/centers/:id updates the center', async () => {
+        const center = centerByName('مركز الأمل');
+        const page = await root.follow(await root.post(`/superadmin/centers/${center._id}`, {
+            name: 'مركز الأمل الجديد', nameEn: 'New Hope', isActive: 'on'
+        }));
+        assert.match(page.text, /تم تحديث المركز بنجاح/);
+        assert.match(page.text, /مركز الأمل الجديد/);
+    });
+
+    test('POST /superadmin/centers/:id/delete removes the center', async () => {
+        const center = centerByName('مركز الأمل الجديد');
+        const res = await root.post(`/superadmin/centers/${center._id}/delete`);
+        assert.equal(res.status, 302);
+        assert.equal(res.location, '/superadmin/centers');
+        const page = await root.follow(res);
+        assert.match(page.text, /تم حذف المركز بنجاح/);
+        assert.equal(centerByName('مركز الأمل الجديد'), undefined);
+    });
+});
+
+describe('admins', () => {
+    test('GET /superadmin/admins lists admins with their centers', async () => {
+        const res = await root.get('/superadmin/admins');
+        assert.equal(res.status, 200);
+        assert.match(res.text, /Huda Center Admin/);
+    });
+
+    test('GET /superadmin/admins?search= filters the list', async () => {
+        const res = await root.get('/superadmin/admins?search=hope');
+        assert.equal(res.status, 200);
+        assert.match(res.text, /Hope Admin/);
+        assert.doesNotMatch(res.text, /Huda Center Admin/);
+    });
+
+    test('GET /superadmin/admins/create offers the centers', async () => {
+        const res = await root.get('/superadmin/admins/create');
+        assert.equal(res.status, 200);
+        assert.match(res.text, new RegExp(IDS.center));
+    });
+
+    test('POST /superadmin/admins creates an admin', async () => {
+        const res = await root.post('/superadmin/admins', {
+            name: 'Second Admin', email: 'second@bmo.test', password: 'password123'
+        });
+        assert.equal(res.status, 302);
+        assert.equal(res.location, '/superadmin/admins');
+        const page = await root.follow(res);
+        assert.match(page.text, /تم إنشاء حساب المدير بنجاح/);
+        assert.match(page.text, /Second Admin/);
+    });
+
+    test('POST /superadmin/admins with a taken email returns to the form', async () => {
+        const res = await root.post('/superadmin/admins', {
+            name: 'Dup', email: 'second@bmo.test', password: 'password123'
+        });
+        assert.equal(res.location, '/superadmin/admins/create');
+        const page = await root.follow(res);
+        assert.match(page.text, /حدث خطأ في إنشاء المدير|Email already in use/);
+    });
+
+    test('POST /superadmin/admins/:id/delete removes the admin', async () => {
+        const admin = portal.store.data.users.find(u => u.email === 'second@bmo.test');
+        const res = await root.post(`/superadmin/admins/${admin._id}/delete`);
+        assert.equal(res.status, 302);
+        assert.equal(res.location, '/superadmin/admins');
+        const page = await root.follow(res);
+        assert.match(page.text, /تم حذف المدير بنجاح/);
+        assert.doesNotMatch(page.text, /Second Admin/);
+    });
+
+    test('deleting an unknown admin flashes an error', async () => {
+        const page = await root.follow(await root.post(`/superadmin/admins/${IDS.user(99)}/delete`));
+        assert.match(page.text, /حدث خطأ في حذف المدير/);
+    });
+});
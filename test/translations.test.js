@@ -0,0 +1,50 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startPortal } = require('./helpers');
+
+const SOURCE = fs.readFileSync(path.join(__dirname, '..', 'config', 'translations.js'), 'utf8');
+
+// Keys of each language block as written, duplicates included ("    ar: {" ... "    en: {")
+const writtenKeys = () => {
+    const blocks = {};
+    let current = null;
+    for (const line of SOURCE.split('\n')) {
+        const block = line.match(/^ {4}(\w+): \{/);
+        if (block) {
+            current = blocks[block[1]] = [];
+            continue;
+        }
+        const key = line.match(/^ {8}'?(\w+)'?:/);
+        if (current && key) current.push(key[1]);
+    }
+    return blocks;
+};
+
+// A later key silently replaces an earlier one, which is how English strings once ended up
+// on the Arabic pages.
+test('no key is defined twice in a language', () => {
+    const blocks = writtenKeys();
+    assert.deepEqual(Object.keys(blocks), ['ar', 'en']);
+    for (const [lang, keys] of Object.entries(blocks)) {
+        const duplicates = keys.filter((key, i) => keys.indexOf(key) !== i);
+        assert.deepEqual(duplicates, [], lang);
+    }
+});
+
+test('the Arabic login and error pages are in Arabic', async () => {
+    const portal = await startPortal();
+    try {
+        const login = await portal.client().get('/auth/login');
+        assert.match(login.text, /تتبع التقدم/);
+        assert.doesNotMatch(login.text, /Track progress/);
+
+        const translations = require('../config/translations');
+        assert.equal(translations.ar.reload, 'تحديث الصفحة');
+        assert.equal(translations.ar.serverErrorTitle, 'حدث خطأ غير متوقع');
+        assert.equal(translations.en.reload, 'Reload');
+    } finally {
+        await portal.close();
+    }
+});
@@ -0,0 +1,252 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startPortal, ACCOUNTS, PASSWORD, IDS } = require('./helpers');
+const totp = require('../mock-backend/totp');
+
+// Short delays so the slow-down after wrong codes can be waited out; read when the portal loads.
+process.env.LOGIN_DELAY_BASE_MS = '200';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+let portal;
+
+const userByEmail = (email) => portal.store.data.users.find(u => u.email === email);
+
+// Walks a signed-in client through setup and returns the recovery codes shown.
+const enableTwoFactor = async (client, email) => {
+    await client.post('/specialist/profile/two-factor/setup');
+    const { pendingSecret } = userByEmail(email).twoFactor;
+    const res = await client.post('/specialist/profile/two-factor/enable', { code: totp.codeAt(pendingSecret) });
+    assert.equal(res.status, 200);
+    return [...res.text.matchAll(/<li><code>([a-f0-9]{5}-[a-f0-9]{5})<\/code><\/li>/g)].map(m => m[1]);
+};
+
+before(async () => {
+    portal = await startPortal();
+});
+
+after(async () => {
+    await portal.close();
+});
+
+describe('setup from the profile', () => {
+    let sara;
+
+    before(async () => {
+        sara = await portal.loggedIn('specialist');
+    });
+
+    test('GET /specialist/profile/two-factor offers to set it up', async () => {
+        const res = await sara.get('/specialist/profile/two-factor');
+        assert.equal(res.status, 200);
+        assert.match(res.text, /action="\/specialist\/profile\/two-factor\/setup"/);
+    });
+
+    test('setup shows a QR code and the manual key', async () => {
+        const res = await sara.follow(await sara.post('/specialist/profile/two-factor/setup'));
+        assert.equal(res.status, 200);
+        assert.match(res.text, /<img src="data:image\/png;base64,/);
+        const secret = userByEmail(ACCOUNTS.specialist).twoFactor.pendingSecret;
+        assert.match(res.text.replace(/\s/g, ''), new RegExp(secret));
+    });
+
+    test('a wrong code does not enable it', async () => {
+        const page = await sara.follow(await sara.post('/specialist/profile/two-factor/enable', { code: '000000' }));
+        assert.match(page.text, /رمز التحقق غير صحيح/);
+        assert.equal(userByEmail(ACCOUNTS.specialist).twoFactor.enabled, false);
+    });
+
+    test('the first valid code enables it and shows ten recovery codes', async () => {
+        const { pendingSecret } = userByEmail(ACCOUNTS.specialist).twoFactor;
+        const res = await sara.post('/specialist/profile/two-factor/enable', { code: totp.codeAt(pendingSecret) });
+        assert.equal(res.status, 200);
+        assert.match(res.text, /تم تفعيل التحقق بخطوتين/);
+        assert.equal([...res.text.matchAll(/<li><code>[a-f0-9]{5}-[a-f0-9]{5}<\/code><\/li>/g)].length, 10);
+        assert.equal(userByEmail(ACCOUNTS.specialist).twoFactor.enabled, true);
+    });
+});
+
+describe('second login step', () => {
+    const secret = () => userByEmail(ACCOUNTS.specialist).twoFactor.secret;
+
+    // Wrong codes count against the account (utils/loginThrottle.js)
+    beforeEach(() => {
+        require('../utils/loginThrottle').reset();
+    });
+
+    // Posts wrong codes, waiting out the progressive delay; returns the last response
+    const wrongCodes = async (client, count) => {
+        let res;
+        for (let i = 0; i < count; i++) {
+            res = await client.post('/auth/2fa', { code: '000000' });
+            await sleep(450);
+        }
+        return res;
+    };
+
+    test('the password alone only reaches the code page', async () => {
+        const client = portal.client();
+        const res = await client.login('specialist');
+        assert.equal(res.status, 302);
+        assert.equal(res.location, '/auth/2fa');
+
+        const page = await client.get('/auth/2fa');
+        assert.equal(page.status, 200);
+        assert.match(page.text, /specialist@bmo\.test/);
+
+        const protectedPage = await client.get('/specialist');
+        assert.equal(protectedPage.location, '/auth/login');
+    });
+
+    test('a wrong code keeps the user on the code page', async () => {
+        const client = portal.client();
+        await client.login('specialist');
+        const res = await client.post('/auth/2fa', { code: '000000' });
+        assert.equal(res.location, '/auth/2fa');
+        assert.match((await client.follow(res)).text, /رمز التحقق غير صحيح/);
+    });
+
+    test('the authenticator code completes the login', async () => {
+        const client = portal.client();
+        await client.login('specialist');
+        const res = await client.post('/auth/2fa', { code: totp.codeAt(secret()) });
+        assert.equal(res.status, 302);
+        assert.equal(res.location, '/specialist');
+        assert.equal((await client.get('/specialist')).status, 200);
+    });
+
+    test('a recovery code works once', async () => {
+        const sara = await (async () => {
+            const client = portal.client();
+            await client.login('specialist');
+            await client.post('/auth/2fa', { code: totp.codeAt(secret()) });
+            return client;
+        })();
+        const page = await sara.post('/specialist/profile/two-factor/recovery-codes', { code: totp.codeAt(secret()) });
+        assert.match(page.text, /تم إنشاء رموز استرداد جديدة/);
+        const [code] = [...page.text.matchAll(/<li><code>([a-f0-9]{5}-[a-f0-9]{5})<\/code><\/li>/g)].map(m => m[1]);
+
+        const first = portal.client();
+        await first.login('specialist');
+        const ok = await first.post('/auth/2fa', { code: code.toUpperCase() });
+        assert.equal(ok.location, '/specialist');
+        const landing = await first.follow(ok);
+        assert.match(landing.text, /تبقى لديك 9 رموز/);
+
+        const second = portal.client();
+        await second.login('specialist');
+        assert.equal((await second.post('/auth/2fa', { code })).location, '/auth/2fa');
+    });
+
+    test('GET /auth/2fa without a pending login goes back to the login page', async () => {
+        const res = await portal.client().get('/auth/2fa');
+        assert.equal(res.location, '/auth/login');
+    });
+
+    test('too many wrong codes lock the account', async () => {
+        const client = portal.client();
+        await client.login('specialist');
+        const res = await wrongCodes(client, 5);
+        assert.equal(res.location, '/auth/login');
+        assert.match((await client.follow(res)).text, /قفل الحساب مؤقتاً/);
+
+        // Neither the password nor a right code gets through now
+        const again = portal.client();
+        assert.match((await again.follow(await again.login('specialist'))).text, /قفل الحساب مؤقتاً/);
+    });
+
+    test('a new challenge does not clear the wrong codes counted so far', async () => {
+        const first = portal.client();
+        await first.login('specialist');
+        await wrongCodes(first, 3);
+
+        // The right password starts a new challenge, but the count goes on
+        const second = portal.client();
+        assert.equal((await second.login('specialist')).location, '/auth/2fa');
+        const res = await wrongCodes(second, 2);
+        assert.equal(res.location, '/auth/login');
+        assert.match((await second.follow(res)).text, /قفل الحساب مؤقتاً/);
+    });
+
+    test('wrong codes in a row slow the next attempt down', async () => {
+        const client = portal.client();
+        await client.login('specialist');
+        for (let i = 0; i < 3; i++) {
+            await client.post('/auth/2fa', { code: '000000' });
+        }
+        const early = await client.post('/auth/2fa', { code: totp.codeAt(secret()) });
+        assert.equal(early.location, '/auth/2fa');
+        assert.match((await client.follow(early)).text, /انتظر/);
+
+        await sleep(450);
+        assert.equal((await client.post('/auth/2fa', { code: totp.codeAt(secret()) })).location, '/specialist');
+    });
+
+    test('disabling requires the password', async () => {
+        const sara = portal.client();
+        await sara.login('specialist');
+        await sara.post('/auth/2fa', { code: totp.codeAt(secret()) });
+
+        const wrong = await sara.follow(await sara.post('/specialist/profile/two-factor/disable', { password: 'nope' }));
+        assert.match(wrong.text, /Current password is incorrect/);
+
+        const ok = await sara.follow(await sara.post('/specialist/profile/two-factor/disable', { password: PASSWORD }));
+        assert.match(ok.text, /تم إيقاف التحقق بخطوتين/);
+        assert.equal(userByEmail(ACCOUNTS.specialist).twoFactor, undefined);
+
+        const again = await portal.client().login('specialist');
+        assert.equal(again.location, '/');
+    });
+});
+
+describe('mandatory per center', () => {
+    let admin;
+
+    before(async () => {
+        admin = await portal.loggedIn('admin');
+    });
+
+    test('admins turn it on from the settings page', async () => {
+        assert.doesNotMatch((await admin.get('/settings')).text, /name="requireTwoFactor"\s+checked/);
+        await admin.post('/settings', { appName: 'BMO Care', requireTwoFactor: 'on' });
+        assert.equal(portal.store.findCenter(IDS.center).requireTwoFactor, true);
+
+        // The admin is staff of the center too.
+        assert.equal((await admin.get('/settings')).location, '/specialist/profile/two-factor');
+        await enableTwoFactor(admin, ACCOUNTS.admin);
+        assert.match((await admin.get('/settings')).text, /name="requireTwoFactor"\s+checked/);
+    });
+
+    test('staff without it are sent to the setup page until they enable it', async () => {
+        const omar = await portal.loggedIn('omar@bmo.test');
+        const res = await omar.get('/specialist/children');
+        assert.equal(res.status, 302);
+        assert.equal(res.location, '/specialist/profile/two-factor');
+
+        const setup = await omar.follow(res);
+        assert.equal(setup.status, 200);
+        assert.match(setup.text, /يشترط مركزك تفعيل التحقق بخطوتين/);
+        assert.match(setup.text, /التحقق بخطوتين إلزامي في مركزك/);
+
+        const json = await omar.get('/chat/conversations', { headers: { accept: 'application/json' } });
+        assert.equal(json.status, 403);
+
+        await enableTwoFactor(omar, 'omar@bmo.test');
+        assert.equal((await omar.get('/specialist/children')).status, 200);
+
+        // It can't be turned off while the center requires it.
+        const page = await omar.get('/specialist/profile/two-factor');
+        assert.doesNotMatch(page.text, /two-factor\/disable/);
+        const res2 = await omar.follow(await omar.post('/specialist/profile/two-factor/disable', { password: PASSWORD }));
+        assert.match(res2.text, /required by your center/);
+    });
+
+    test('superadmins set it per center from the center form', async () => {
+        const root = await portal.loggedIn('superadmin');
+        const form = await root.get(`/superadmin/centers/${IDS.center}/edit`);
+        assert.match(form.text, /name="requireTwoFactor" checked/);
+
+        await root.post(`/superadmin/centers/${IDS.center}`, { name: 'مركز النطق الأول', isActive: 'on' });
+        assert.equal(portal.store.findCenter(IDS.center).requireTwoFactor, false);
+    });
+});
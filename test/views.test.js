@@ -0,0 +1,27 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const ejs = require('ejs');
+
+const VIEWS = path.join(__dirname, '..', 'views');
+
+const templates = (dir) => fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const file = path.join(dir, entry.name);
+    if (entry.isDirectory()) return templates(file);
+    return entry.name.endsWith('.ejs') ? [file] : [];
+});
+
+// Pages that are only rendered on some paths (like the words page once a child is chosen) would
+// otherwise only fail when someone opens them; views/specialist/words.ejs shipped unbalanced once.
+test('every view template compiles', () => {
+    const broken = templates(VIEWS).filter(file => {
+        try {
+            ejs.compile(fs.readFileSync(file, 'utf8'), { filename: file });
+            return false;
+        } catch (error) {
+            return true;
+        }
+    });
+    assert.deepEqual(broken.map(file => path.relative(VIEWS, file)), []);
+});
@@ -0,0 +1,102 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startPortal, IDS } = require('./helpers');
+
+let portal;
+let sara;
+
+const YOUSEF = IDS.child(1);
+const ACTIVE_PLAN = IDS.exercise(2);
+
+before(async () => {
+    portal = await startPortal();
+    sara = await portal.loggedIn('specialist');
+});
+
+after(async () => {
+    await portal.close();
+});
+
+test('GET /specialist/words asks for a child first', async () => {
+    const res = await sara.get('/specialist/words');
+    assert.equal(res.status, 200);
+    assert.match(res.text, /اختر طفلاً لإدارة جلساته ومحتواه/);
+    assert.match(res.text, new RegExp(`/specialist/words\\?childId=${YOUSEF}`));
+    assert.doesNotMatch(res.text, /Adam/);
+});
+
+test('GET /specialist/words?childId= lists the child\'s plan sessions', async () => {
+    const res = await sara.get(`/specialist/words?childId=${YOUSEF}`);
+    assert.equal(res.status, 200);
+    assert.match(res.text, /Session 2/);
+    assert.match(res.text, /createSessionModal/);
+});
+
+test('GET /specialist/words?childId=&sessionId= shows the session content', async () => {
+    const res = await sara.get(`/specialist/words?childId=${YOUSEF}&sessionId=${ACTIVE_PLAN}`);
+    assert.equal(res.status, 200);
+    assert.match(res.text, /محتوى الجلسة/);
+    assert.match(res.text, /بيت/);
+});
+
+test('a child outside the caseload redirects with a flash', async () => {
+    const res = await sara.get(`/specialist/words?childId=${IDS.child(3)}`);
+    assert.equal(res.status, 302);
+    assert.equal(res.location, '/specialist/words');
+    const page = await sara.follow(res);
+    assert.match(page.text, /Child not found or not assigned to you/);
+});
+
+test('POST /specialist/words/add requires a child', async () => {
+    const res = await sara.post('/specialist/words/add', { text: 'قلم' });
+    assert.equal(res.status, 302);
+    assert.equal(res.location, '/specialist/words');
+    const page = await sara.follow(res);
+    assert.match(page.text, /Child ID is required/);
+});
+
+test('POST /specialist/words/add requires text', async () => {
+    const res = await sara.post('/specialist/words/add', { childId: YOUSEF, contentType: 'letter' });
+    assert.equal(res.status, 302);
+    assert.equal(res.location, `/specialist/words?childId=${YOUSEF}&contentType=letter&difficulty=easy`);
+    const page = await sara.follow(res);
+    assert.match(page.text, /Text is required/);
+});
+
+test('POST /specialist/words/add saves a word into the session', async () => {
+    const form = new FormData();
+    form.append('text', 'قلم');
+    form.append('contentType', 'word');
+    form.append('difficulty', 'hard');
+    form.append('childId', YOUSEF);
+    form.append('sessionId', ACTIVE_PLAN);
+    form.append('image', new Blob([Buffer.from('89504e470d0a1a0a', 'hex')], { type: 'image/png' }), 'pen.png');
+
+    const res = await sara.request('POST', '/specialist/words/add', { multipart: form });
+    assert.equal(res.status, 302);
+    assert.equal(res.location, `/specialist/words?childId=${YOUSEF}&contentType=word&difficulty=hard&sessionId=${ACTIVE_PLAN}`);
+
+    const page = await sara.follow(res);
+    assert.match(page.text, /تم حفظ الكلمة وإضافتها إلى قائمة تدريب الطفل بنجاح/);
+    assert.match(page.text, /قلم/);
+
+    const saved = portal.store.data.words.find(w => w.text === 'قلم');
+    assert.equal(String(saved.session), ACTIVE_PLAN);
+    assert.equal(saved.difficulty, 'hard');
+});
+
+test('POST /specialist/words/delete/:id removes the item and returns to the child', async () => {
+    const word = portal.store.data.words.find(w => w.text === 'قلم');
+    const res = await sara.post(`/specialist/words/delete/${word._id}`);
+    assert.equal(res.status, 302);
+    assert.equal(res.location, `/specialist/words?childId=${YOUSEF}`);
+
+    const page = await sara.follow(res);
+    assert.match(page.text, /Deleted successfully/);
+    assert.ok(!portal.store.data.words.some(w => w.text === 'قلم'));
+});
+
+test('deleting an unknown item flashes an error', async () => {
+    const page = await sara.follow(await sara.post(`/specialist/words/delete/${IDS.user(99)}`));
+    assert.match(page.text, /Error deleting content/);
+});
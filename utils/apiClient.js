@@ -1,5 +1,7 @@
 const axios = require('axios');
 const https = require('https');
+const cacheRules = require('../config/apiCache');
+const breaker = require('./circuitBreaker');
 
 // Normalize and fallback to local dev backend if env is missing.
 // Some environments may set BACKEND_URL including `/api`.
@@ -7,15 +9,96 @@ const backendUrl = (process.env.BACKEND_URL || 'http://localhost:8080')
     .replace(/\/$/, '')
     .replace(/\/api\/?$/, '');
 
+// Per-attempt timeout, overall deadline (all retries included) and retry count for idempotent calls.
+const ATTEMPT_TIMEOUT_MS = Number(process.env.API_TIMEOUT_MS) || 10000;
+const DEADLINE_MS = Number(process.env.API_DEADLINE_MS) || 20000;
+const MAX_RETRIES = Number.isFinite(Number(process.env.API_RETRIES)) ? Number(process.env.API_RETRIES) : 2;
+const RETRY_BASE_DELAY_MS = 250;
+
 const apiClient = axios.create({
     baseURL: `${backendUrl}/api`,
-    timeout: 10000,
+    timeout: ATTEMPT_TIMEOUT_MS,
     headers: {
         'Content-Type': 'application/json'
     },
     httpsAgent: new https.Agent({ keepAlive: true, family: 4 })
 });
 
+apiClient.BackendUnavailableError = breaker.BackendUnavailableError;
+
+// ========================================
+// RETRY / DEADLINE / CIRCUIT BREAKER
+// ========================================
+// Pass `{ deadline: ms }` or `{ retries: n }` in a request config to override the defaults.
+
+const IDEMPOTENT_METHODS = ['get', 'head', 'options'];
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Exponential backoff with full jitter: random(0, base * 2^attempt)
+const backoffDelay = (attempt) => Math.round(Math.random() * RETRY_BASE_DELAY_MS * (2 ** attempt));
+
+const deadlineExceededError = (config) => {
+    const err = new Error(`Request deadline exceeded for ${config?.url || 'request'}`);
+    err.code = 'ETIMEDOUT';
+    err.config = config;
+    return err;
+};
+
+apiClient.interceptors.request.use((config) => {
+    // First attempt: fix the overall deadline for this logical request.
+    if (!config.__deadlineAt) {
+        config.__deadlineAt = Date.now() + (Number(config.deadline) || DEADLINE_MS);
+        config.__attemptTimeout = config.timeout || ATTEMPT_TIMEOUT_MS;
+        config.__retryCount = 0;
+    }
+
+    const remaining = config.__deadlineAt - Date.now();
+    if (remaining <= 0) {
+        throw deadlineExceededError(config);
+    }
+    config.timeout = Math.min(config.__attemptTimeout, remaining);
+
+    // Retries belong to a request the breaker already admitted.
+    if (config.__retryCount === 0 && !breaker.canRequest()) {
+        throw breaker.failFast();
+    }
+    return config;
+});
+
+apiClient.interceptors.response.use((response) => {
+    breaker.recordSuccess();
+    return response;
+}, async (error) => {
+    // Fail-fast errors from the request interceptor are already final.
+    if (error instanceof breaker.BackendUnavailableError) {
+        throw error;
+    }
+
+    const config = error.config;
+    if (!breaker.isBackendFailure(error)) {
+        // The backend answered (4xx/500): it's reachable, so the breaker stays closed.
+        if (error.response) breaker.recordSuccess();
+        throw error;
+    }
+
+    const method = String(config?.method || 'get').toLowerCase();
+    const maxRetries = Number.isFinite(Number(config?.retries)) ? Number(config.retries) : MAX_RETRIES;
+    const retryCount = config?.__retryCount || 0;
+
+    if (config && IDEMPOTENT_METHODS.includes(method) && retryCount < maxRetries) {
+        const delay = backoffDelay(retryCount);
+        const remaining = config.__deadlineAt - Date.now();
+        if (remaining > delay) {
+            config.__retryCount = retryCount + 1;
+            await sleep(delay);
+            return apiClient.request(config);
+        }
+    }
+
+    breaker.recordFailure(`${error.response?.status || error.code || error.message} ${config?.url || ''}`.trim());
+    throw error;
+});
+
 // Request interceptor to add token if available in session
 // Note: Since this is server-side, we might need to pass the token explicitly in each call
 // or use a wrapper function that takes the req object.
@@ -36,9 +119,161 @@ apiClient.withAuth = (req) => {
     return {};
 };
 
-// Helper proxy function to make authenticated requests easier
-apiClient.authGet = (req, url, config = {}) => {
-    return apiClient.get(url, { ...config, ...apiClient.withAuth(req) });
+// ========================================
+// RESPONSE CACHE (authenticated GETs)
+// ========================================
+// Entries are scoped per user token so one user never sees another user's data.
+// token -> Map(cacheKey -> { rule, path, expiresAt, response }), least recently written token first.
+// Tokens whose entries have all expired are dropped, and at most MAX_TOKENS users are cached at once.
+const responseCache = new Map();
+const MAX_ENTRIES_PER_TOKEN = 200;
+const MAX_TOKENS = Number(process.env.API_CACHE_MAX_USERS) || 1000;
+const cacheDisabled = () => process.env.API_CACHE_DISABLED === '1' || process.env.API_CACHE_DISABLED === 'true';
+
+const pathOf = (url) => String(url || '').split('?')[0];
+
+const findCacheRule = (url) => {
+    const p = pathOf(url);
+    return cacheRules.find(rule => rule.pattern.test(p)) || null;
+};
+
+const buildCacheKey = (url, params) => {
+    return params ? `${url}::${JSON.stringify(params)}` : String(url);
+};
+
+const tokenFromHeaders = (headers) => {
+    const raw = headers?.Authorization || headers?.authorization;
+    if (!raw || typeof raw !== 'string') return null;
+    return raw.replace(/^Bearer\s+/i, '') || null;
+};
+
+// Hand out copies so routes that mutate response.data can't corrupt the cache.
+const cloneResponse = (response) => ({
+    data: structuredClone(response.data),
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers,
+    config: response.config,
+    cached: true
+});
+
+const readCache = (token, key) => {
+    const entries = responseCache.get(token);
+    const entry = entries?.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        if (entries.size === 0) responseCache.delete(token);
+        return null;
+    }
+    return entry;
+};
+
+// Make room for one more token: drop the tokens with nothing left to serve, then the oldest ones.
+const evictTokens = () => {
+    const now = Date.now();
+    for (const [token, entries] of responseCache) {
+        if ([...entries.values()].every(e => e.expiresAt <= now)) responseCache.delete(token);
+    }
+    while (responseCache.size >= MAX_TOKENS) {
+        responseCache.delete(responseCache.keys().next().value);
+    }
+};
+
+const writeCache = (token, key, rule, url, response) => {
+    let entries = responseCache.get(token);
+    if (entries) {
+        responseCache.delete(token);
+    } else {
+        if (responseCache.size >= MAX_TOKENS) evictTokens();
+        entries = new Map();
+    }
+    responseCache.set(token, entries);
+
+    // Drop expired entries, then the oldest ones if we're still over the cap.
+    const now = Date.now();
+    for (const [k, e] of entries) {
+        if (e.expiresAt <= now) entries.delete(k);
+    }
+    while (entries.size >= MAX_ENTRIES_PER_TOKEN) {
+        entries.delete(entries.keys().next().value);
+    }
+
+    entries.set(key, {
+        rule,
+        path: pathOf(url),
+        expiresAt: now + rule.ttl,
+        response: {
+            data: structuredClone(response.data),
+            status: response.status,
+            statusText: response.statusText,
+            headers: response.headers,
+            config: response.config
+        }
+    });
+};
+
+// Drop every cached entry (for this token) whose rule is invalidated by the mutated path.
+const invalidateCache = (token, mutatedUrl) => {
+    const entries = responseCache.get(token);
+    if (!entries) return;
+    const p = pathOf(mutatedUrl);
+    for (const [k, e] of entries) {
+        if ((e.rule.invalidatedBy || []).some(re => re.test(p))) {
+            entries.delete(k);
+        }
+    }
+    if (entries.size === 0) responseCache.delete(token);
+};
+
+// Any successful mutation (authPost/authPut/authDelete, or a raw call with an auth header
+// such as multipart uploads) invalidates the matching cached GETs for that user.
+apiClient.interceptors.response.use((response) => {
+    const method = String(response.config?.method || '').toLowerCase();
+    if (['post', 'put', 'patch', 'delete'].includes(method)) {
+        const token = tokenFromHeaders(response.config.headers);
+        if (token) invalidateCache(token, response.config.url);
+    }
+    return response;
+});
+
+// Manual escape hatches (e.g. after logout, or from a route that knows data changed out of band)
+apiClient.invalidate = (req, url) => {
+    const token = req.user?.token;
+    if (token) invalidateCache(token, url);
+};
+
+apiClient.clearCache = (req) => {
+    if (!req) return responseCache.clear();
+    const token = req.user?.token;
+    if (token) responseCache.delete(token);
+};
+
+// Helper proxy function to make authenticated requests easier.
+// Pass `{ fresh: true }` in config, or hit the page with `?fresh=1`, to bypass the cache.
+apiClient.authGet = async (req, url, config = {}) => {
+    const { fresh, ...axiosConfig } = config;
+    const requestConfig = { ...axiosConfig, ...apiClient.withAuth(req) };
+
+    const token = req.user?.token;
+    const rule = token && !cacheDisabled() ? findCacheRule(url) : null;
+    if (!rule) {
+        return apiClient.get(url, requestConfig);
+    }
+
+    const key = buildCacheKey(url, axiosConfig.params);
+    const bypass = fresh === true || req.query?.fresh === '1';
+
+    if (!bypass) {
+        const entry = readCache(token, key);
+        if (entry) return cloneResponse(entry.response);
+    }
+
+    const response = await apiClient.get(url, requestConfig);
+    if (response.status >= 200 && response.status < 300 && response.data?.success !== false) {
+        writeCache(token, key, rule, url, response);
+    }
+    return response;
 };
 
 apiClient.authPost = (req, url, data, config = {}) => {
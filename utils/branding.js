@@ -0,0 +1,52 @@
+const { fetchPortalSettings, centerIdOf } = require('./portalSettings');
+
+// Branding from Settings → General: app name, theme color, logo and favicon. A center's own
+// values override the superadmin's global ones, which override the built-in look. Views get
+// `branding` ({ appName, themeColor, colors, logoUrl, faviconUrl }); partials/branding-head.ejs
+// turns the color into the CSS custom properties the stylesheet is built on.
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+const isThemeColor = (value) => HEX_COLOR.test(String(value || ''));
+
+// --primary, --primary-hover (15% darker) and --primary-light (10% alpha) from the theme color
+const palette = (hex) => {
+    const [r, g, b] = [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+    const darker = [r, g, b].map(c => Math.round(c * 0.85).toString(16).padStart(2, '0')).join('');
+    return {
+        primary: hex,
+        primaryHover: `#${darker}`,
+        primaryLight: `rgba(${r}, ${g}, ${b}, 0.1)`
+    };
+};
+
+// `defaults` = { appName, uploadUrl } from res.locals (translated name, upload URL builder)
+const brandingFor = async (user, { appName, uploadUrl }) => {
+    const { global, centers } = await fetchPortalSettings();
+    const centerId = centerIdOf(user);
+    const settings = { ...global, ...(centerId ? centers[String(centerId)] : null) };
+
+    const themeColor = isThemeColor(settings.themeColor) ? settings.themeColor : null;
+    return {
+        appName: String(settings.appName || '').trim() || appName,
+        themeColor,
+        colors: themeColor ? palette(themeColor) : null,
+        logoUrl: settings.logo ? uploadUrl(settings.logo) : null,
+        faviconUrl: settings.favicon ? uploadUrl(settings.favicon) : null
+    };
+};
+
+// Middleware: `branding` for every view (guests get the global branding)
+const branding = async (req, res, next) => {
+    try {
+        res.locals.branding = await brandingFor(req.user, {
+            appName: res.locals.__('appName'),
+            uploadUrl: res.locals.uploadUrl
+        });
+    } catch (error) {
+        return next(error);
+    }
+    next();
+};
+
+module.exports = { branding, brandingFor, isThemeColor };
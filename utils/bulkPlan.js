@@ -0,0 +1,131 @@
+const apiClient = require('./apiClient');
+const { fetchCaseload, mapWithLimit, CONCURRENCY } = require('./caseload');
+const { targetsFromInput } = require('./planInput');
+const playSchedule = require('./playSchedule');
+
+// Bulk plan assignment from /specialist/children: one plan session and/or the same play settings
+// for every selected child, with a dry run that shows who already has an active plan.
+// The backend has no bulk endpoint, so each child goes through POST /exercises and
+// POST /specialists/set-duration/:id like the forms on the analytics page.
+
+const positive = (value, min = 1) => {
+    if (value === undefined || value === null || value === '') return undefined;
+    const n = Number(value);
+    return Number.isFinite(n) && n >= min ? n : undefined;
+};
+
+const checked = (value) => value === true || value === 'on' || value === 'true';
+
+// The plan session part (POST /exercises body without childId), or null when no letters or words were given
+const planFromInput = (body) => {
+    const { letters, words } = targetsFromInput(body);
+    if (!letters.length && !words.length) return null;
+
+    const targetDuration = positive(body.targetDuration);
+    const sessionName = String(body.sessionName || '').trim();
+    return {
+        letters,
+        words,
+        ...(targetDuration ? { targetDuration } : {}),
+        ...(sessionName ? { sessionName } : {})
+    };
+};
+
+// The play settings part (POST /specialists/set-duration/:id body) as { settings, errors }. settings is null
+// unless applySettings is checked and something was filled in; errors are the schedule editor's
+// (utils/playSchedule.js). Only the filled fields are sent (the backend merges them into the child's
+// settings), and playSchedule only when the schedule editor was used, so changing one value across the
+// selection keeps everything else each child already had.
+const settingsFromInput = (body) => {
+    if (!checked(body.applySettings)) return { settings: null, errors: [] };
+
+    const dailyPlayDuration = positive(body.dailyPlayDuration, 0);
+    const sessionStructure = {};
+    const playDuration = positive(body.playDuration);
+    const breakDuration = positive(body.breakDuration, 0);
+    const maxAttempts = positive(body.maxAttempts);
+    if (playDuration !== undefined) sessionStructure.playDuration = playDuration;
+    if (breakDuration !== undefined) sessionStructure.breakDuration = breakDuration;
+    if (maxAttempts !== undefined) sessionStructure.maxAttempts = maxAttempts;
+
+    const scheduleSet = playSchedule.scheduleFilled(body);
+    const { schedule, errors } = playSchedule.parseScheduleForm(body);
+
+    const settings = {
+        ...(dailyPlayDuration !== undefined ? { dailyPlayDuration } : {}),
+        ...(Object.keys(sessionStructure).length ? { sessionStructure } : {}),
+        ...(scheduleSet ? { playSchedule: schedule } : {})
+    };
+    return {
+        settings: Object.keys(settings).length ? settings : null,
+        errors: scheduleSet ? errors : []
+    };
+};
+
+// The child's active plan session, if any ({ _id, sessionName })
+const fetchActivePlan = async (req, childId) => {
+    const response = await apiClient.authGet(req, `/exercises/child/${childId}`);
+    const active = (response.data?.exercises || [])
+        .filter(e => (e?.kind || 'plan') === 'plan' && e.active !== false)
+        .pop();
+    return active ? { _id: active._id, sessionName: active.sessionName } : null;
+};
+
+const errorText = (error) => error.response?.data?.message || error.message;
+
+// One result per selected id, in the order they were selected:
+// { childId, name, activePlan, status: 'ready' | 'done' | 'failed' | 'notFound', plan, settings, error? }
+// plan/settings are 'skip', 'ready', 'done' or 'failed'. Children outside the caseload (the center for
+// admins) are never sent to the backend.
+const runBulkPlan = async (req, { ids, plan, settings, dryRun }) => {
+    const caseload = new Map((await fetchCaseload(req)).map(c => [String(c._id), c]));
+
+    return mapWithLimit([...new Set(ids.map(String))], CONCURRENCY, async (childId) => {
+        const child = caseload.get(childId);
+        if (!child) return { childId, name: null, activePlan: null, status: 'notFound', plan: 'skip', settings: 'skip' };
+
+        const result = {
+            childId,
+            name: child.name,
+            activePlan: null,
+            status: 'ready',
+            plan: plan ? 'ready' : 'skip',
+            settings: settings ? 'ready' : 'skip'
+        };
+        try {
+            result.activePlan = await fetchActivePlan(req, childId);
+        } catch (error) {
+            console.warn('Active plan fetch failed (ignored):', error.message);
+        }
+        if (dryRun) return result;
+
+        const errors = [];
+        if (plan) {
+            try {
+                await apiClient.authPost(req, '/exercises', { childId, ...plan });
+                result.plan = 'done';
+            } catch (error) {
+                result.plan = 'failed';
+                errors.push(errorText(error));
+            }
+        }
+        if (settings) {
+            try {
+                await apiClient.authPost(req, `/specialists/set-duration/${childId}`, settings);
+                result.settings = 'done';
+            } catch (error) {
+                result.settings = 'failed';
+                errors.push(errorText(error));
+            }
+        }
+        result.status = errors.length ? 'failed' : 'done';
+        if (errors.length) result.error = errors.join(' / ');
+        return result;
+    });
+};
+
+module.exports = {
+    planFromInput,
+    settingsFromInput,
+    runBulkPlan
+};
@@ -0,0 +1,40 @@
+const apiClient = require('./apiClient');
+
+// The children a user works with (apply a template, copy a plan or schedule, bulk assignment).
+// Users who may see the center's specialists read them from the admin endpoint, everyone else
+// from their own caseload. Decided by permission, not role name, so a center's role overrides
+// (utils/permissions.js) apply here too.
+
+const caseloadPath = (req) => (req.permissions || []).includes('specialists:read')
+    ? '/admin/my-children'
+    : '/specialists/my-children';
+
+const fetchCaseload = async (req) => {
+    const response = await apiClient.authGet(req, caseloadPath(req));
+    return response.data?.children || [];
+};
+
+// Children handled at the same time when something is done per child, so a large caseload or
+// selection doesn't flood the backend
+const CONCURRENCY = 4;
+
+// fn over every item with at most `limit` calls in flight; results keep the order of `items`
+const mapWithLimit = async (items, limit, fn) => {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index]);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+};
+
+module.exports = {
+    caseloadPath,
+    fetchCaseload,
+    mapWithLimit,
+    CONCURRENCY
+};
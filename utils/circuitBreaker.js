@@ -0,0 +1,121 @@
+// Circuit breaker shared by apiClient (per-request outcomes) and middleware/serverCheck
+// (periodic /health probe), so both agree on whether the backend is reachable.
+//
+// closed    -> requests flow; consecutive backend failures are counted
+// open      -> requests fail fast with BackendUnavailableError until the cooldown elapses
+// half-open -> one probe request is let through; success closes, failure re-opens
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const FAILURE_THRESHOLD = Number(process.env.BREAKER_THRESHOLD) || 5;
+const COOLDOWN_MS = Number(process.env.BREAKER_COOLDOWN_MS) || 30000;
+
+class BackendUnavailableError extends Error {
+    constructor(message = 'Backend is unavailable (circuit open)', retryAt = null) {
+        super(message);
+        this.name = 'BackendUnavailableError';
+        this.code = 'EBACKENDDOWN';
+        this.status = 503;
+        this.retryAt = retryAt;
+    }
+}
+
+let state = 'closed';
+let consecutiveFailures = 0;
+let openedAt = 0;
+let probeInFlight = false;
+let probeStartedAt = 0;
+let lastFailureMessage = '';
+
+const open = (reason) => {
+    if (state !== 'open') {
+        console.error(`⚠️ Backend circuit opened after ${consecutiveFailures} failure(s): ${reason || 'n/a'}`);
+    }
+    state = 'open';
+    openedAt = Date.now();
+    probeInFlight = false;
+};
+
+const close = () => {
+    if (state !== 'closed') {
+        console.log('✅ Backend circuit closed');
+    }
+    state = 'closed';
+    consecutiveFailures = 0;
+    probeInFlight = false;
+};
+
+// Returns true when a request may be sent now. In half-open only a single probe is allowed.
+const canRequest = () => {
+    if (state === 'closed') return true;
+
+    if (state === 'open') {
+        if (Date.now() - openedAt < COOLDOWN_MS) return false;
+        state = 'half-open';
+        probeInFlight = false;
+    }
+
+    // half-open (a probe that never reported back is considered lost after one cooldown)
+    if (probeInFlight && Date.now() - probeStartedAt < COOLDOWN_MS) return false;
+    probeInFlight = true;
+    probeStartedAt = Date.now();
+    return true;
+};
+
+const recordSuccess = () => {
+    close();
+};
+
+const recordFailure = (reason) => {
+    consecutiveFailures += 1;
+    lastFailureMessage = reason || '';
+
+    if (state === 'half-open' || consecutiveFailures >= FAILURE_THRESHOLD) {
+        open(reason);
+    }
+};
+
+const isOpen = () => {
+    return state === 'open' && Date.now() - openedAt < COOLDOWN_MS;
+};
+
+const retryAt = () => (state === 'open' ? new Date(openedAt + COOLDOWN_MS) : null);
+
+const snapshot = () => ({
+    state,
+    consecutiveFailures,
+    openedAt: openedAt ? new Date(openedAt) : null,
+    retryAt: retryAt(),
+    lastFailure: lastFailureMessage
+});
+
+// The request being handled (middleware/serverCheck.js), so a request whose calls were refused while
+// the circuit was open can be answered with the unavailable page whatever its route does with the error.
+const requestContext = new AsyncLocalStorage();
+
+const failFast = () => {
+    const req = requestContext.getStore();
+    if (req) req.backendUnavailable = true;
+    return new BackendUnavailableError(undefined, retryAt());
+};
+
+// Errors that say "the backend is not reachable / not healthy", as opposed to app errors (4xx, 500).
+const isBackendFailure = (error) => {
+    const status = error?.response?.status;
+    if (status) return status === 502 || status === 503 || status === 504;
+    const code = error?.code;
+    return ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'ERR_NETWORK'].includes(code);
+};
+
+module.exports = {
+    BackendUnavailableError,
+    canRequest,
+    recordSuccess,
+    recordFailure,
+    isOpen,
+    retryAt,
+    snapshot,
+    isBackendFailure,
+    requestContext,
+    failFast
+};
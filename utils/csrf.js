@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+
+// Synchronizer-token CSRF protection. Each session gets one random token; every request that
+// changes something (anything but GET/HEAD/OPTIONS) must send it back:
+//   - forms:        <input type="hidden" name="_csrf" value="<%= csrfToken %>">
+//   - fetch calls:  'X-CSRF-Token' header
+//   - multipart:    the same hidden field, checked by `csrfAfterUpload` once multer has parsed the
+//                   body inside the route (only for the upload routes listed below)
+// The token is never read from the URL, where it would end up in logs and Referer headers.
+// The token changes with the session, i.e. on every login.
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Routes whose multipart body carries the token. Their check waits for `csrfAfterUpload`; a multipart
+// request to any other path still needs the X-CSRF-Token header, so a route that forgets the check fails closed.
+const UPLOAD_PATHS = ['/settings', '/specialist/profile/upload-photo'];
+
+// The session's token, created on first use
+const csrfToken = (req) => {
+    if (!req.session.csrfToken) {
+        req.session.csrfToken = crypto.randomBytes(32).toString('base64url');
+    }
+    return req.session.csrfToken;
+};
+
+const sentToken = (req) => {
+    const token = (req.body && req.body._csrf) || req.get('X-CSRF-Token');
+    return typeof token === 'string' ? token : '';
+};
+
+const tokensMatch = (expected, actual) => {
+    if (!expected || !actual) return false;
+    const a = Buffer.from(expected);
+    const b = Buffer.from(actual);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// Same-site Referer to offer a way back from the error page
+const backUrl = (req) => {
+    try {
+        const referer = new URL(req.get('Referer'));
+        return referer.host === req.get('host') ? referer.pathname + referer.search : '/';
+    } catch (error) {
+        return '/';
+    }
+};
+
+const reject = (req, res) => {
+    console.warn(`⚠️ CSRF token mismatch: ${req.method} ${req.originalUrl}`);
+    const message = res.locals.__('csrfMessage');
+    if (req.xhr || req.is('json') || (req.get('Accept') || '').includes('application/json')) {
+        return res.status(403).json({ success: false, message });
+    }
+    res.status(403).render('errors/csrf', { back: backUrl(req) });
+};
+
+// Middleware: exposes `csrfToken` to the views and rejects unsafe requests without a valid token.
+const csrfProtection = (req, res, next) => {
+    // Evaluated when a view is rendered, so JSON and redirect responses don't create sessions.
+    Object.defineProperty(res.locals, 'csrfToken', {
+        get: () => csrfToken(req),
+        enumerable: true,
+        configurable: true
+    });
+
+    if (SAFE_METHODS.includes(req.method)) {
+        return next();
+    }
+
+    if (tokensMatch(req.session.csrfToken, sentToken(req))) {
+        // Not part of any form's data: keep it out of what the routes forward to the backend.
+        if (req.body) delete req.body._csrf;
+        return next();
+    }
+
+    if (req.is('multipart/form-data') && UPLOAD_PATHS.includes(req.path)) {
+        req.csrfPending = true;
+        return next();
+    }
+
+    reject(req, res);
+};
+
+// Route middleware placed right after multer on the UPLOAD_PATHS routes: checks the form's _csrf field.
+const csrfAfterUpload = (req, res, next) => {
+    if (!req.csrfPending) return next();
+    delete req.csrfPending;
+
+    if (tokensMatch(req.session.csrfToken, sentToken(req))) {
+        delete req.body._csrf;
+        return next();
+    }
+    reject(req, res);
+};
+
+module.exports = { csrfProtection, csrfAfterUpload, csrfToken };
@@ -0,0 +1,90 @@
+const apiClient = require('./apiClient');
+
+// "View as specialist": an admin browses the portal with a specialist's account for a limited
+// time, e.g. to see the analytics page the specialist reports as wrong. The backend issues a
+// short-lived token for the specialist and records start and stop in the center's activity log;
+// the admin's own login is parked in the session and restored when the view ends.
+//
+// IMPERSONATION_MINUTES (default 30) limits a session; writes are blocked unless
+// IMPERSONATION_ALLOW_WRITES=1.
+
+const TTL_MINUTES = Number(process.env.IMPERSONATION_MINUTES) || 30;
+const READ_ONLY = !['1', 'true'].includes(process.env.IMPERSONATION_ALLOW_WRITES);
+
+// Requests still allowed in a read-only session
+const ALLOWED_WRITES = ['/auth/impersonation/stop'];
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const logIn = (req, user) => new Promise((resolve, reject) => {
+    req.logIn(user, { keepSessionInfo: true }, (err) => (err ? reject(err) : resolve()));
+});
+
+// Switch the session to the specialist. `grant` is the backend's { token, user, expiresAt }.
+const startImpersonation = async (req, grant) => {
+    const admin = req.user;
+    const specialist = { ...grant.user, token: grant.token };
+    await logIn(req, specialist);
+    req.session.impersonation = {
+        admin,
+        specialistId: String(specialist._id),
+        specialistName: specialist.name,
+        token: grant.token,
+        startedAt: Date.now(),
+        expiresAt: new Date(grant.expiresAt).getTime(),
+        readOnly: grant.readOnly !== false
+    };
+};
+
+// Back to the admin's own account. Resolves to the ended session (null when none was active).
+const stopImpersonation = async (req, reason = 'stopped') => {
+    const session = req.session.impersonation;
+    if (!session) return null;
+
+    // The backend logs the stop; it still accepts the token after it expired.
+    try {
+        await apiClient.post('/auth/impersonation/end', { reason }, {
+            headers: { Authorization: `Bearer ${session.token}` }
+        });
+    } catch (error) {
+        console.error('Impersonation End Error:', error.message);
+    }
+
+    apiClient.clearCache(req);
+    delete req.session.impersonation;
+    await logIn(req, session.admin);
+    return session;
+};
+
+// Middleware: end sessions whose time is up, block writes and expose the banner (`impersonation`).
+const impersonation = async (req, res, next) => {
+    const session = req.session && req.session.impersonation;
+    if (!session) {
+        return next();
+    }
+
+    try {
+        // Time is up, or the backend no longer accepts the token: back to the admin.
+        if (session.expiresAt <= Date.now() || !req.user) {
+            const ended = await stopImpersonation(req, 'expired');
+            req.flash('error_msg', res.locals.__('impersonationExpired'));
+            return res.redirect(`/admin/specialists/${ended.specialistId}`);
+        }
+    } catch (error) {
+        return next(error);
+    }
+
+    if (session.readOnly && !SAFE_METHODS.includes(req.method) && !ALLOWED_WRITES.includes(req.path)) {
+        const message = res.locals.__('impersonationReadOnly');
+        if (req.xhr || (req.get('Accept') || '').includes('application/json')) {
+            return res.status(403).json({ success: false, message });
+        }
+        req.flash('error_msg', message);
+        return res.redirect(req.get('Referer') || '/specialist');
+    }
+
+    res.locals.impersonation = session;
+    next();
+};
+
+module.exports = { impersonation, startImpersonation, stopImpersonation, TTL_MINUTES, READ_ONLY };
@@ -0,0 +1,105 @@
+// Brute-force protection for POST /auth/login and POST /auth/2fa. Wrong passwords and wrong
+// two-factor codes are counted in a sliding window, per account (email) and per client IP:
+//
+// - from LOGIN_DELAY_AFTER account failures on, the next attempt has to wait a delay that
+//   doubles with every further failure (LOGIN_DELAY_BASE_MS .. LOGIN_DELAY_MAX_MS)
+// - LOGIN_MAX_FAILURES failures lock the account, LOGIN_IP_MAX_FAILURES lock the IP,
+//   for LOGIN_LOCKOUT_MS (admins can unlock an account early)
+//
+// State is kept per process, like the API response cache and the circuit breaker.
+
+const WINDOW_MS = Number(process.env.LOGIN_WINDOW_MS) || 15 * 60 * 1000;
+const MAX_FAILURES = Number(process.env.LOGIN_MAX_FAILURES) || 5;
+const IP_MAX_FAILURES = Number(process.env.LOGIN_IP_MAX_FAILURES) || 20;
+const DELAY_AFTER = Number(process.env.LOGIN_DELAY_AFTER) || 3;
+const DELAY_BASE_MS = Number(process.env.LOGIN_DELAY_BASE_MS) || 1000;
+const DELAY_MAX_MS = Number(process.env.LOGIN_DELAY_MAX_MS) || 30 * 1000;
+const LOCKOUT_MS = Number(process.env.LOGIN_LOCKOUT_MS) || 15 * 60 * 1000;
+const MAX_ENTRIES = 10000;
+
+const entries = new Map(); // 'account:<email>' | 'ip:<ip>' -> { failures: [timestamps], lockedUntil }
+
+const accountKey = (email) => `account:${String(email || '').trim().toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip || 'unknown'}`;
+
+const entryFor = (key) => {
+    if (!entries.has(key)) entries.set(key, { failures: [], lockedUntil: 0 });
+    return entries.get(key);
+};
+
+const recentFailures = (entry, now) => {
+    entry.failures = entry.failures.filter(t => now - t < WINDOW_MS);
+    return entry.failures;
+};
+
+// Forget keys with nothing left to remember, so random emails/IPs can't grow the map forever.
+const sweep = (now) => {
+    for (const [key, entry] of entries) {
+        if (entry.lockedUntil <= now && recentFailures(entry, now).length === 0) entries.delete(key);
+    }
+};
+
+const delayFor = (failures) => Math.min(DELAY_MAX_MS, DELAY_BASE_MS * (2 ** (failures - DELAY_AFTER)));
+
+// May this attempt go through? Otherwise why not and for how long:
+// { allowed: false, reason: 'locked' | 'ip' | 'delay', retryAfterMs }
+const check = (email, ip, now = Date.now()) => {
+    const account = entries.get(accountKey(email));
+    const client = entries.get(ipKey(ip));
+
+    if (account && account.lockedUntil > now) {
+        return { allowed: false, reason: 'locked', retryAfterMs: account.lockedUntil - now };
+    }
+    if (client && client.lockedUntil > now) {
+        return { allowed: false, reason: 'ip', retryAfterMs: client.lockedUntil - now };
+    }
+
+    const failures = account ? recentFailures(account, now) : [];
+    if (failures.length >= DELAY_AFTER) {
+        const nextAt = failures[failures.length - 1] + delayFor(failures.length);
+        if (now < nextAt) {
+            return { allowed: false, reason: 'delay', retryAfterMs: nextAt - now };
+        }
+    }
+    return { allowed: true };
+};
+
+// Count a failed attempt. Reports a lockout it just caused: { locked: 'account' | 'ip' | null, lockedUntil }
+const recordFailure = (email, ip, now = Date.now()) => {
+    if (entries.size > MAX_ENTRIES) sweep(now);
+
+    const account = entryFor(accountKey(email));
+    const client = entryFor(ipKey(ip));
+    recentFailures(account, now).push(now);
+    recentFailures(client, now).push(now);
+
+    if (account.failures.length >= MAX_FAILURES) {
+        account.lockedUntil = now + LOCKOUT_MS;
+        account.failures = [];
+        return { locked: 'account', lockedUntil: new Date(account.lockedUntil) };
+    }
+    if (client.failures.length >= IP_MAX_FAILURES) {
+        client.lockedUntil = now + LOCKOUT_MS;
+        client.failures = [];
+        return { locked: 'ip', lockedUntil: new Date(client.lockedUntil) };
+    }
+    return { locked: null };
+};
+
+// The login went through (password, and the code when two-factor is on): the account starts over
+// (the IP count is kept).
+const recordSuccess = (email) => {
+    entries.delete(accountKey(email));
+};
+
+// Current lockout of an account, or null
+const lockStatus = (email, now = Date.now()) => {
+    const account = entries.get(accountKey(email));
+    return account && account.lockedUntil > now ? { lockedUntil: new Date(account.lockedUntil) } : null;
+};
+
+const unlock = (email) => entries.delete(accountKey(email));
+
+const reset = () => entries.clear();
+
+module.exports = { check, recordFailure, recordSuccess, lockStatus, unlock, reset };
@@ -0,0 +1,118 @@
+const fs = require('fs');
+const path = require('path');
+const ejs = require('ejs');
+
+// Outgoing email. MAIL_TRANSPORT picks where messages go:
+//   console (default) prints them, for local development
+//   file              writes each message as JSON under MAIL_DIR (default ./tmp/mail)
+//   memory            keeps them in `outbox` (tests)
+//   smtp              sends through nodemailer using SMTP_URL
+// More can be added with registerTransport(name, factory); a transport is
+// `{ send(message) }` where message is { from, to, subject, text, html }.
+
+const transports = {
+    console: () => ({
+        send: async (message) => {
+            console.log(`📧 ${message.to} | ${message.subject}\n${message.text}`);
+        }
+    }),
+    file: () => {
+        const dir = path.resolve(process.env.MAIL_DIR || 'tmp/mail');
+        return {
+            send: async (message) => {
+                await fs.promises.mkdir(dir, { recursive: true });
+                const name = `${new Date().toISOString().replace(/[:.]/g, '-')}-${message.to.replace(/[^a-z0-9@._-]/gi, '_')}.json`;
+                await fs.promises.writeFile(path.join(dir, name), JSON.stringify(message, null, 2));
+            }
+        };
+    },
+    memory: () => ({
+        send: async (message) => {
+            outbox.push(message);
+        }
+    }),
+    smtp: () => {
+        const nodemailer = require('nodemailer');
+        const transporter = nodemailer.createTransport(process.env.SMTP_URL);
+        return { send: (message) => transporter.sendMail(message) };
+    }
+};
+
+const outbox = [];
+let active = null;
+
+const registerTransport = (name, factory) => {
+    transports[name] = factory;
+    active = null;
+};
+
+const transport = () => {
+    if (!active) {
+        const name = process.env.MAIL_TRANSPORT || 'console';
+        if (!transports[name]) {
+            throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+        }
+        active = transports[name]();
+    }
+    return active;
+};
+
+const sendMail = async ({ to, subject, text, html }) => {
+    const from = process.env.MAIL_FROM || 'BMO Care <no-reply@bmo.care>';
+    await transport().send({ from, to, subject, text, html });
+};
+
+// Absolute portal links (emails, SSO callbacks) come from PORTAL_URL only, never from the request:
+// the Host header is whatever the client sent, and a reset link built from it would carry the token
+// to the client's domain. Throws when PORTAL_URL is missing or not an http(s) URL, so nothing is sent.
+const portalUrl = () => {
+    let url = null;
+    try {
+        url = new URL(String(process.env.PORTAL_URL || '').trim());
+    } catch (error) {
+        url = null;
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+        throw new Error('PORTAL_URL must be set to the public http(s) URL of the portal');
+    }
+    return url.href.replace(/\/$/, '');
+};
+
+const templatePath = path.join(__dirname, '..', 'views', 'emails', 'password-link.ejs');
+
+// Password reset or invitation link (`link` is what POST /api/auth/password-reset and the
+// create/invitation endpoints return: { token, expiresAt, purpose }), in the sender's language.
+const sendPasswordLink = async (req, user, link) => {
+    const __ = req.res.locals.__;
+    const isInvitation = link.purpose === 'invitation';
+    const url = `${portalUrl()}/auth/reset-password/${link.token}`;
+    const expires = new Date(link.expiresAt).toLocaleString(req.res.locals.currentLang === 'en' ? 'en-GB' : 'ar', {
+        dateStyle: 'medium', timeStyle: 'short'
+    });
+    const subject = __(isInvitation ? 'invitationEmailSubject' : 'resetEmailSubject');
+    const body = __(isInvitation ? 'invitationEmailBody' : 'resetEmailBody');
+    const expiry = __('passwordLinkExpires').replace('{date}', expires);
+
+    const html = await ejs.renderFile(templatePath, {
+        __, isRTL: req.res.locals.isRTL, name: user.name, subject, body, url, expiry,
+        action: __(isInvitation ? 'invitationEmailAction' : 'resetEmailAction')
+    });
+    const text = `${user.name}\n\n${body}\n\n${url}\n\n${expiry}`;
+
+    await sendMail({ to: user.email, subject, text, html });
+};
+
+// Invitation for an account created without a password. Resolves to false (and logs)
+// when there is no link or it couldn't be sent: the account exists either way.
+const sendInvitation = async (req, user, invitation) => {
+    if (!user || !invitation) return false;
+    try {
+        await sendPasswordLink(req, user, invitation);
+        return true;
+    } catch (error) {
+        console.error('Invitation Email Error:', error.message);
+        return false;
+    }
+};
+
+module.exports = { sendMail, sendPasswordLink, sendInvitation, registerTransport, portalUrl, outbox };
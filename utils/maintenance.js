@@ -0,0 +1,66 @@
+const { fetchPortalSettings, centerIdOf } = require('./portalSettings');
+
+// Maintenance mode (Settings → "Maintenance mode"). The superadmin's global setting closes the
+// whole portal, a center admin's setting closes it for that center's staff. Admins and
+// superadmins keep working and see a banner instead; everyone else gets the maintenance page
+// until the mode is switched off or its scheduled end has passed.
+
+// Open while a maintenance window is on: the way in for admins, and the way out for everyone
+const OPEN_PATHS = [/^\/auth\//, /^\/lang\//, /^\/health$/];
+
+const BYPASS_ROLES = ['admin', 'superadmin'];
+
+// On, and its scheduled end (if any) not reached yet
+const isActive = (settings) => {
+    if (!settings || !settings.maintenanceMode) return false;
+    return !settings.maintenanceEnd || new Date(settings.maintenanceEnd).getTime() > Date.now();
+};
+
+// The maintenance window that applies to `user` (global first), or null
+const maintenanceFor = async (user) => {
+    const { global, centers } = await fetchPortalSettings();
+    if (isActive(global)) {
+        return { scope: 'global', ...global };
+    }
+
+    const centerId = centerIdOf(user);
+    const center = centerId ? centers[String(centerId)] : null;
+    return isActive(center) ? { scope: 'center', ...center } : null;
+};
+
+// Middleware: maintenance page for users without bypass, banner (`maintenance`) for the others.
+const maintenanceGuard = async (req, res, next) => {
+    if (OPEN_PATHS.some(pattern => pattern.test(req.path))) {
+        return next();
+    }
+
+    let maintenance;
+    try {
+        maintenance = await maintenanceFor(req.user);
+    } catch (error) {
+        return next(error);
+    }
+    if (!maintenance) {
+        return next();
+    }
+
+    // An admin viewing the portal as a specialist is still an admin.
+    const session = req.session && req.session.impersonation;
+    const role = session ? session.admin.role : req.user?.role;
+    if (BYPASS_ROLES.includes(role)) {
+        res.locals.maintenance = maintenance;
+        return next();
+    }
+
+    if (maintenance.maintenanceEnd) {
+        const seconds = Math.ceil((new Date(maintenance.maintenanceEnd).getTime() - Date.now()) / 1000);
+        res.set('Retry-After', String(Math.max(1, seconds)));
+    }
+
+    if (req.xhr || (req.get('Accept') || '').includes('application/json')) {
+        return res.status(503).json({ success: false, message: res.locals.__('maintenanceTitle') });
+    }
+    res.status(503).render('errors/maintenance', { maintenance });
+};
+
+module.exports = { maintenanceGuard, maintenanceFor, isActive };
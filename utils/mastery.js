@@ -0,0 +1,187 @@
+const apiClient = require('./apiClient');
+
+// Mastery of a target letter or word. A center sets the rule for its children and a specialist
+// may replace it for the children assigned to them; the backend answers which one applies
+// (GET /api/progress/mastery-criteria/:childId).
+//
+// - minAttempts: attempts needed before a target can count as mastered
+// - successThreshold: success rate (%) over the window
+// - windowAttempts: only the last N attempts count (0 = every attempt)
+// - requiredStreak: the last N attempts must all succeed (0 = off)
+// - minPronunciationScore: average pronunciation score over the window (0 = off)
+const DEFAULT_CRITERIA = {
+    minAttempts: 3,
+    successThreshold: 80,
+    windowAttempts: 0,
+    requiredStreak: 0,
+    minPronunciationScore: 0
+};
+
+// field -> [min, max] (whole numbers)
+const LIMITS = {
+    minAttempts: [1, 100],
+    successThreshold: [1, 100],
+    windowAttempts: [0, 500],
+    requiredStreak: [0, 50],
+    minPronunciationScore: [0, 100]
+};
+
+const CRITERIA_FIELDS = Object.keys(DEFAULT_CRITERIA);
+
+// Rule from a form or the backend. Returns { criteria, errors }: `errors` lists the fields that are
+// out of range, and a window shorter than minAttempts (nothing could ever be mastered) is an error too.
+const parseCriteria = (input = {}) => {
+    const criteria = {};
+    const errors = [];
+    for (const field of CRITERIA_FIELDS) {
+        const raw = input[field];
+        if (raw === undefined || raw === null || raw === '') {
+            criteria[field] = DEFAULT_CRITERIA[field];
+            continue;
+        }
+        const value = Number(raw);
+        const [min, max] = LIMITS[field];
+        if (!Number.isInteger(value) || value < min || value > max) {
+            errors.push(field);
+            criteria[field] = DEFAULT_CRITERIA[field];
+        } else {
+            criteria[field] = value;
+        }
+    }
+    if (!errors.length && criteria.windowAttempts > 0 && criteria.windowAttempts < Math.max(criteria.minAttempts, criteria.requiredStreak)) {
+        errors.push('windowAttempts');
+    }
+    return { criteria, errors };
+};
+
+// The rule for one child: { criteria, source: 'specialist' | 'center' | 'default' }.
+// Defaults when the backend has none or can't answer, so analytics always render.
+const fetchMasteryCriteria = async (req, childId) => {
+    try {
+        const response = await apiClient.authGet(req, `/progress/mastery-criteria/${childId}`);
+        if (response.data?.success && response.data.criteria) {
+            return { criteria: parseCriteria(response.data.criteria).criteria, source: response.data.source || 'center' };
+        }
+    } catch (error) {
+        if (error.response?.status !== 404) {
+            console.error('Mastery criteria fetch error:', error.message);
+        }
+    }
+    return { criteria: { ...DEFAULT_CRITERIA }, source: 'default' };
+};
+
+const isScore = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const average = (values) => {
+    const numbers = values.filter(isScore);
+    return numbers.length ? numbers.reduce((sum, v) => sum + v, 0) / numbers.length : null;
+};
+
+// Replays a target's attempts in order: the first time the rule held is when it was mastered; a
+// mastered target that no longer meets the rule has regressed (since the attempt that broke it).
+// The window's counts and the success streak are kept as running totals, so the replay is one pass.
+const evaluateTarget = (attempts, criteria) => {
+    const ordered = attempts
+        .slice()
+        .sort((a, b) => new Date(a.timestamp || 0) - new Date(b.timestamp || 0));
+
+    let size = 0;
+    let successes = 0;
+    let scoreSum = 0;
+    let scoreCount = 0;
+    let runningStreak = 0;
+    const holdsNow = () => {
+        if (size < criteria.minAttempts) return false;
+        if ((successes / size) * 100 < criteria.successThreshold) return false;
+        if (criteria.requiredStreak > 0 && runningStreak < criteria.requiredStreak) return false;
+        if (criteria.minPronunciationScore > 0 && (!scoreCount || scoreSum / scoreCount < criteria.minPronunciationScore)) return false;
+        return true;
+    };
+
+    let masteredAt = null;
+    let regressedAt = null;
+    let mastered = false;
+    for (let i = 0; i < ordered.length; i++) {
+        const attempt = ordered[i];
+        size++;
+        if (attempt.success) successes++;
+        if (isScore(attempt.pronunciationScore)) {
+            scoreSum += attempt.pronunciationScore;
+            scoreCount++;
+        }
+        runningStreak = attempt.success ? runningStreak + 1 : 0;
+
+        // Drop the attempt that just left the window
+        if (criteria.windowAttempts > 0 && size > criteria.windowAttempts) {
+            const dropped = ordered[i - criteria.windowAttempts];
+            size--;
+            if (dropped.success) successes--;
+            if (isScore(dropped.pronunciationScore)) {
+                scoreSum -= dropped.pronunciationScore;
+                scoreCount--;
+            }
+        }
+
+        const holds = holdsNow();
+        if (holds && !masteredAt) masteredAt = attempt.timestamp || null;
+        if (mastered && !holds) regressedAt = attempt.timestamp || null;
+        if (holds) regressedAt = null;
+        mastered = holds;
+    }
+
+    const window = criteria.windowAttempts > 0 ? ordered.slice(-criteria.windowAttempts) : ordered;
+    let streak = 0;
+    while (streak < ordered.length && ordered[ordered.length - 1 - streak].success) streak++;
+
+    const status = mastered ? 'mastered'
+        : masteredAt ? 'regressed'
+            : ordered.length ? 'learning' : 'notStarted';
+
+    return {
+        attempts: ordered.length,
+        windowAttempts: window.length,
+        successRate: window.length ? window.filter(a => a.success).length / window.length : 0,
+        pronunciationScore: average(window.map(a => a.pronunciationScore)),
+        streak,
+        mastered,
+        masteredAt,
+        regressed: status === 'regressed',
+        regressedAt: status === 'regressed' ? regressedAt : null,
+        status,
+        lastAttemptAt: ordered.length ? ordered[ordered.length - 1].timestamp || null : null
+    };
+};
+
+// One row per target of the given kind ('letter' | 'word'): mastered first, then regressed, then by attempts.
+const STATUS_ORDER = { mastered: 0, regressed: 1, learning: 2, notStarted: 3 };
+
+const computeMastery = (attempts, targets, kind, criteria) => {
+    const rows = [];
+    for (const t of targets || []) {
+        const target = String(t || '').trim();
+        if (!target) continue;
+        const relevant = (attempts || []).filter(a => String(a?.[kind] || '').trim() === target);
+        rows.push({ [kind]: target, target, ...evaluateTarget(relevant, criteria) });
+    }
+    rows.sort((a, b) => (STATUS_ORDER[a.status] - STATUS_ORDER[b.status]) || (b.attempts - a.attempts));
+    return rows;
+};
+
+const summarizeMastery = (rows) => ({
+    targets: rows.length,
+    mastered: rows.filter(r => r.status === 'mastered').length,
+    regressed: rows.filter(r => r.status === 'regressed').length,
+    learning: rows.filter(r => r.status === 'learning').length,
+    notStarted: rows.filter(r => r.status === 'notStarted').length
+});
+
+module.exports = {
+    DEFAULT_CRITERIA,
+    LIMITS,
+    CRITERIA_FIELDS,
+    parseCriteria,
+    fetchMasteryCriteria,
+    evaluateTarget,
+    computeMastery,
+    summarizeMastery
+};
@@ -0,0 +1,70 @@
+const apiClient = require('./apiClient');
+const {
+    PERMISSIONS,
+    PLATFORM_PERMISSIONS,
+    DEFAULT_ROLES,
+    CONFIGURABLE_ROLES,
+    LOCKED,
+    LANDING_PAGES
+} = require('../config/permissions');
+
+const isKnownPermission = (perm) => Object.prototype.hasOwnProperty.call(PERMISSIONS, perm);
+
+// Clean up a center's role -> permissions map: known roles/permissions only, no platform
+// permissions, locked permissions always present.
+const normalizeRoleMap = (roles = {}) => {
+    const out = {};
+    for (const role of CONFIGURABLE_ROLES) {
+        if (!Array.isArray(roles[role])) continue;
+        const perms = roles[role]
+            .map(String)
+            .filter(p => isKnownPermission(p) && !PLATFORM_PERMISSIONS.includes(p));
+        out[role] = Array.from(new Set([...perms, ...(LOCKED[role] || [])]));
+    }
+    return out;
+};
+
+// Permission set of a role after applying the center's overrides.
+const permissionsForRole = (role, overrides = {}) => {
+    if (role === 'superadmin') return [...DEFAULT_ROLES.superadmin];
+    if (CONFIGURABLE_ROLES.includes(role) && Array.isArray(overrides[role])) return [...overrides[role]];
+    return [...(DEFAULT_ROLES[role] || [])];
+};
+
+// Role overrides of the user's center ({} when the center has none). Any other failure is thrown:
+// falling back to the defaults would hand back permissions the center took away.
+const fetchCenterRoles = async (req) => {
+    const centerId = req.user?.center?._id || req.user?.center;
+    if (!centerId || req.user.role === 'superadmin') return {};
+
+    try {
+        const response = await apiClient.authGet(req, `/centers/${centerId}/roles`);
+        return response.data?.success ? normalizeRoleMap(response.data.roles) : {};
+    } catch (error) {
+        if (error.response?.status === 404) return {};
+        throw error;
+    }
+};
+
+// Effective permissions of the signed-in user (memoized on the request). Throws when the center's
+// overrides can't be read (see server.js).
+const resolvePermissions = async (req) => {
+    if (!req.user) return [];
+    if (!req.permissions) {
+        req.permissions = permissionsForRole(req.user.role, await fetchCenterRoles(req));
+    }
+    return req.permissions;
+};
+
+const landingPageFor = (permissions = []) => {
+    const page = LANDING_PAGES.find(p => !p.permission || permissions.includes(p.permission));
+    return page ? page.path : '/auth/login';
+};
+
+module.exports = {
+    normalizeRoleMap,
+    permissionsForRole,
+    fetchCenterRoles,
+    resolvePermissions,
+    landingPageFor
+};
@@ -0,0 +1,18 @@
+// Letters and words typed into the plan session forms (create session, templates, bulk assignment):
+// one per line or comma separated.
+
+const parseLines = (s) => String(s || '')
+    .split(/\r?\n|,/g)
+    .map(x => x.trim())
+    .filter(Boolean);
+
+// { letters: [{ letter }], words: [{ word }] } as POST /exercises and /plan-templates take them
+const targetsFromInput = (body) => ({
+    letters: parseLines(body.lettersText).map(letter => ({ letter })),
+    words: parseLines(body.wordsText).map(word => ({ word }))
+});
+
+module.exports = {
+    parseLines,
+    targetsFromInput
+};
@@ -0,0 +1,136 @@
+const { computeMastery } = require('./mastery');
+
+// Proposal for a child's next plan session, from their attempt history and mastery (utils/mastery.js).
+// Targets fall in three groups, filled in this proportion:
+// - struggling: regressed, well below the success threshold, or never tried
+// - almost: within ALMOST_MARGIN points of the threshold but not mastered yet
+// - maintenance: mastered, least recently practised first
+// A short group hands its slots to the others, so the session is always as full as the child has targets.
+const GROUP_SHARES = { struggling: 0.5, almost: 0.3, maintenance: 0.2 };
+const GROUPS = Object.keys(GROUP_SHARES);
+const ALMOST_MARGIN = 20;
+
+// Sizing: each target is practised about ATTEMPTS_PER_TARGET times. The attempt budget is the child's
+// sessionStructure.maxAttempts, lowered when the session length can't fit that many at their own pace.
+const ATTEMPTS_PER_TARGET = 2;
+const DEFAULT_SECONDS_PER_ATTEMPT = 30;
+const DEFAULT_MAX_ATTEMPTS = 12;
+const DEFAULT_DURATION = 15;
+
+// Average time per attempt (seconds) over the played sessions (duration is in minutes)
+const secondsPerAttempt = (sessions) => {
+    let minutes = 0;
+    let attempts = 0;
+    for (const s of sessions || []) {
+        const count = Number(s.totalAttempts ?? (s.attempts || []).length) || 0;
+        const duration = Number(s.duration) || 0;
+        if (count > 0 && duration > 0) {
+            minutes += duration;
+            attempts += count;
+        }
+    }
+    return attempts > 0 ? (minutes * 60) / attempts : DEFAULT_SECONDS_PER_ATTEMPT;
+};
+
+const groupOf = (row, criteria) => {
+    if (row.status === 'mastered') return 'maintenance';
+    if (row.status === 'learning' && row.successRate * 100 >= criteria.successThreshold - ALMOST_MARGIN) return 'almost';
+    return 'struggling';
+};
+
+const time = (value) => new Date(value || 0).getTime();
+
+// Most urgent first within each group
+const GROUP_ORDER = {
+    struggling: (a, b) => (Number(b.status === 'regressed') - Number(a.status === 'regressed'))
+        || (Number(a.status === 'notStarted') - Number(b.status === 'notStarted'))
+        || (a.successRate - b.successRate),
+    almost: (a, b) => b.successRate - a.successRate,
+    maintenance: (a, b) => time(a.lastAttemptAt) - time(b.lastAttemptAt)
+};
+
+// Splits `slots` between the groups by share, then hands slots a group can't use to the next ones
+const allocate = (slots, available) => {
+    const counts = {};
+    let used = 0;
+    for (const group of GROUPS) {
+        counts[group] = Math.min(available[group], Math.round(slots * GROUP_SHARES[group]));
+        used += counts[group];
+    }
+    for (const group of GROUPS) {
+        const extra = Math.min(available[group] - counts[group], slots - used);
+        if (extra > 0) {
+            counts[group] += extra;
+            used += extra;
+        }
+    }
+    // Rounding may overshoot by one; take it back from maintenance first
+    for (const group of GROUPS.slice().reverse()) {
+        while (used > slots && counts[group] > 0) {
+            counts[group]--;
+            used--;
+        }
+    }
+    return counts;
+};
+
+// attempts: flattened attempts (any order); sessions: played sessions; child: with targetLetters/targetWords
+// and sessionStructure; criteria: the child's mastery rule; plans: existing plan sessions (for the name);
+// __: the request's translator (res.locals.__).
+const suggestPlanSession = ({ attempts = [], sessions = [], child = {}, criteria, plans = [], __ }) => {
+    // Current targets plus anything the child has practised before, so earlier targets can come back
+    // for maintenance or when they slip.
+    const candidates = (kind, targets) => {
+        const seen = new Set((targets || []).map(t => String(t || '').trim()).filter(Boolean));
+        for (const a of attempts) {
+            const value = String(a?.[kind] || '').trim();
+            if (value) seen.add(value);
+        }
+        return [...seen];
+    };
+    const rows = [
+        ...computeMastery(attempts, candidates('letter', child.targetLetters), 'letter', criteria).map(r => ({ ...r, kind: 'letter' })),
+        ...computeMastery(attempts, candidates('word', child.targetWords), 'word', criteria).map(r => ({ ...r, kind: 'word' }))
+    ].map(r => ({ ...r, group: groupOf(r, criteria) }));
+
+    const structure = child.sessionStructure || {};
+    const targetDuration = Number(structure.playDuration) > 0 ? Number(structure.playDuration) : DEFAULT_DURATION;
+    const maxAttempts = Number(structure.maxAttempts) > 0 ? Number(structure.maxAttempts) : DEFAULT_MAX_ATTEMPTS;
+    const pace = secondsPerAttempt(sessions);
+    const attemptBudget = Math.max(1, Math.min(maxAttempts, Math.floor((targetDuration * 60) / pace)));
+    const slots = Math.max(1, Math.ceil(attemptBudget / ATTEMPTS_PER_TARGET));
+
+    const byGroup = {};
+    for (const group of GROUPS) {
+        byGroup[group] = rows.filter(r => r.group === group).sort(GROUP_ORDER[group]);
+    }
+    const counts = allocate(slots, Object.fromEntries(GROUPS.map(g => [g, byGroup[g].length])));
+
+    const items = GROUPS.flatMap(group => byGroup[group].slice(0, counts[group]).map(r => ({
+        target: r.target,
+        kind: r.kind,
+        group,
+        status: r.status,
+        attempts: r.attempts,
+        successRate: r.successRate
+    })));
+
+    const nextIndex = (plans || []).reduce((max, p) => Math.max(max, Number(p?.sessionIndex) || 0), 0) + 1;
+
+    return {
+        sessionName: __('planSuggestSessionName').replace('{n}', nextIndex),
+        targetDuration,
+        attemptBudget,
+        secondsPerAttempt: Math.round(pace),
+        letters: items.filter(i => i.kind === 'letter').map(i => i.target),
+        words: items.filter(i => i.kind === 'word').map(i => i.target),
+        items,
+        counts
+    };
+};
+
+module.exports = {
+    GROUPS,
+    ATTEMPTS_PER_TARGET,
+    suggestPlanSession
+};
@@ -0,0 +1,253 @@
+// Weekly play schedule of a child (playSchedule on the child, POST /api/specialists/set-duration/:id):
+//
+// - allowedDays: weekdays the child may play on (0 = Sunday; empty = every day)
+// - windowsByDay: seven lists of { start, end } ("HH:MM"), one per weekday; an allowed day without
+//   windows is allowed all day
+// - windows: the older single list applied to every allowed day. Schedules without windowsByDay are
+//   read from it, and it is still sent (the windows every allowed day shares) for clients that only know it
+// - timezone: the IANA zone the times are written in; null means the parent's zone
+//
+// The editor (partials/play-schedule-editor.ejs) sends allowedDays, one text field per weekday
+// (windows_0 .. windows_6, "16:00-17:00, 18:30-19:00"), scheduleEnabled and scheduleTimezone.
+// The same fields post without JavaScript, in every form that includes the editor; drawing windows and
+// "copy to all days" need it.
+
+const DAYS = [0, 1, 2, 3, 4, 5, 6];
+const DAY_KEYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MINUTES_PER_DAY = 24 * 60;
+const MINUTES_PER_WEEK = 7 * MINUTES_PER_DAY;
+
+const TIME = /^(\d{1,2}):(\d{2})$/;
+
+// "HH:MM" -> minutes since midnight ("24:00" allowed as an end), or null
+const toMinutes = (value) => {
+    const match = TIME.exec(String(value || '').trim());
+    if (!match) return null;
+    const hours = Number(match[1]);
+    const minutes = Number(match[2]);
+    if (minutes > 59 || hours > 24 || (hours === 24 && minutes > 0)) return null;
+    return hours * 60 + minutes;
+};
+
+const fromMinutes = (total) => {
+    const hours = Math.floor(total / 60);
+    const minutes = total % 60;
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+};
+
+const isValidTimeZone = (zone) => {
+    if (!zone || typeof zone !== 'string') return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: zone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+const TIME_ZONES = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+
+// Zone used when neither the schedule nor the parent has one
+const serverTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+// Minutes the zone is ahead of UTC at that moment
+const zoneOffset = (zone, date = new Date()) => {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone: zone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit'
+    }).formatToParts(date).forEach(p => { parts[p.type] = p.value; });
+    const asUtc = Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day), Number(parts.hour), Number(parts.minute));
+    return Math.round((asUtc - date.getTime()) / 60000);
+};
+
+const sortWindows = (windows) => windows.slice().sort((a, b) => toMinutes(a.start) - toMinutes(b.start));
+
+const windowsText = (windows) => windows.map(w => `${w.start}-${w.end}`).join(', ');
+
+const dayList = (days) => [...new Set([].concat(days || []).map(Number))]
+    .filter(d => DAYS.includes(d))
+    .sort((a, b) => a - b);
+
+// Saved windows of one day: valid ones only (the backend would not apply the rest), without repeats, sorted
+const cleanWindows = (windows) => {
+    const seen = new Set();
+    return sortWindows((Array.isArray(windows) ? windows : [])
+        .filter(w => w && toMinutes(w.start) !== null && toMinutes(w.end) !== null)
+        .map(w => ({ start: fromMinutes(toMinutes(w.start)), end: fromMinutes(toMinutes(w.end)) }))
+        .filter(w => !seen.has(`${w.start}-${w.end}`) && seen.add(`${w.start}-${w.end}`)));
+};
+
+// A saved playSchedule for the editor: { enabled, allowedDays, windowsByDay, timezone }
+const fromSchedule = (schedule) => {
+    const s = schedule || {};
+    const perDay = Array.isArray(s.windowsByDay) && s.windowsByDay.length === DAYS.length;
+    return {
+        enabled: Boolean(s.enabled),
+        allowedDays: dayList(s.allowedDays),
+        windowsByDay: DAYS.map(day => cleanWindows(perDay ? s.windowsByDay[day] : s.windows)),
+        timezone: isValidTimeZone(s.timezone) ? s.timezone : null
+    };
+};
+
+const isAllowed = (allowedDays, day) => allowedDays.length === 0 || allowedDays.includes(day);
+
+// Editor state -> the playSchedule sent to the backend. Every field is set: the backend merges
+// playSchedule into the child's, so a field left out would keep its old value.
+const toSchedule = ({ enabled, allowedDays, windowsByDay, timezone }) => {
+    const texts = DAYS.filter(day => isAllowed(allowedDays, day)).map(day => windowsText(windowsByDay[day]));
+    const shared = texts.length > 0 && texts.every(text => text === texts[0]);
+    return {
+        enabled: Boolean(enabled),
+        enforce: true,
+        allowedDays,
+        windows: shared ? windowsByDay.find((windows, day) => isAllowed(allowedDays, day)) : [],
+        windowsByDay,
+        timezone: timezone || null
+    };
+};
+
+// One weekday's windows from the editor's text. Returns { windows, error } where error is
+// 'format' (not HH:MM-HH:MM), 'order' (end not after start) or 'overlap'.
+const parseWindows = (text) => {
+    const windows = [];
+    for (const range of String(text || '').split(/[,\n;،]+/).map(r => r.trim()).filter(Boolean)) {
+        const [start, end, extra] = range.split(/\s*[-–]\s*/);
+        const from = toMinutes(start);
+        const to = toMinutes(end);
+        if (extra !== undefined || from === null || to === null || from === MINUTES_PER_DAY) return { windows: [], error: 'format' };
+        if (to <= from) return { windows: [], error: 'order' };
+        windows.push({ start: fromMinutes(from), end: fromMinutes(to) });
+    }
+    const sorted = sortWindows(windows);
+    for (let i = 1; i < sorted.length; i++) {
+        if (toMinutes(sorted[i].start) < toMinutes(sorted[i - 1].end)) return { windows: [], error: 'overlap' };
+    }
+    return { windows: sorted, error: null };
+};
+
+// Whether a form that includes the editor had any of its inputs filled in
+const scheduleFilled = (body) => body.scheduleEnabled === 'on' || body.scheduleEnabled === 'true' || body.scheduleEnabled === true
+    || dayList(body.allowedDays).length > 0
+    || DAYS.some(day => String(body[`windows_${day}`] || '').trim())
+    || Boolean(String(body.scheduleTimezone || '').trim());
+
+// The editor's fields as { schedule, errors: [{ day, error }] } (day is null for the time zone)
+const parseScheduleForm = (body) => {
+    const errors = [];
+    const windowsByDay = DAYS.map(day => {
+        const { windows, error } = parseWindows(body[`windows_${day}`]);
+        if (error) errors.push({ day, error });
+        return windows;
+    });
+
+    const timezone = String(body.scheduleTimezone || '').trim();
+    if (timezone && !isValidTimeZone(timezone)) errors.push({ day: null, error: 'timezone' });
+
+    return {
+        schedule: toSchedule({
+            enabled: body.scheduleEnabled === 'on' || body.scheduleEnabled === 'true' || body.scheduleEnabled === true,
+            allowedDays: dayList(body.allowedDays),
+            windowsByDay,
+            timezone: isValidTimeZone(timezone) ? timezone : null
+        }),
+        errors
+    };
+};
+
+// Why the editor's fields were refused, keyed by weekday or 'timezone'. __: the request's translator (res.locals.__).
+const ERROR_KEYS = {
+    format: 'scheduleErrorFormat',
+    order: 'scheduleErrorOrder',
+    overlap: 'scheduleErrorOverlap',
+    timezone: 'scheduleErrorTimezone'
+};
+const errorMessages = (__, errors) => Object.fromEntries(errors
+    .map(e => [e.day === null ? 'timezone' : e.day, __(ERROR_KEYS[e.error])]));
+
+// The same errors as one flash message ("Sunday: ... / Monday: ...")
+const errorMessage = (__, errors) => Object.entries(errorMessages(__, errors))
+    .map(([key, message]) => (key === 'timezone' ? message : `${__(DAY_KEYS[key])}: ${message}`))
+    .join(' / ');
+
+// When the child may play, seen from `toZone` when the times are written in `fromZone`:
+// { shift, days: [{ day, allowed, allDay, windows }] }. Windows that cross midnight after the shift
+// are split over the two days. The offsets are those in effect at `date` (this week), so a daylight
+// saving change later in the year moves the preview.
+const previewWeek = (schedule, fromZone, toZone, date = new Date()) => {
+    const { allowedDays, windowsByDay } = fromSchedule(schedule);
+    const shift = zoneOffset(toZone, date) - zoneOffset(fromZone, date);
+    const pieces = DAYS.map(() => []);
+    const add = (from, to) => {
+        let start = ((from % MINUTES_PER_WEEK) + MINUTES_PER_WEEK) % MINUTES_PER_WEEK;
+        let remaining = to - from;
+        while (remaining > 0) {
+            const day = Math.floor(start / MINUTES_PER_DAY);
+            const dayStart = start - day * MINUTES_PER_DAY;
+            const length = Math.min(remaining, MINUTES_PER_DAY - dayStart);
+            pieces[day].push({ start: dayStart, end: dayStart + length });
+            remaining -= length;
+            start = (start + length) % MINUTES_PER_WEEK;
+        }
+    };
+    for (const day of DAYS.filter(d => isAllowed(allowedDays, d))) {
+        const windows = windowsByDay[day].length ? windowsByDay[day] : [{ start: '00:00', end: '24:00' }];
+        for (const w of windows) {
+            add(day * MINUTES_PER_DAY + toMinutes(w.start) + shift, day * MINUTES_PER_DAY + toMinutes(w.end) + shift);
+        }
+    }
+
+    return {
+        shift,
+        days: DAYS.map(day => {
+            // Touching pieces are one window (e.g. a whole day split at midnight)
+            const merged = [];
+            for (const w of pieces[day].sort((a, b) => a.start - b.start)) {
+                const last = merged[merged.length - 1];
+                if (last && w.start <= last.end) last.end = Math.max(last.end, w.end);
+                else merged.push({ ...w });
+            }
+            return {
+                day,
+                allowed: merged.length > 0,
+                allDay: merged.length === 1 && merged[0].start === 0 && merged[0].end === MINUTES_PER_DAY,
+                windows: merged.map(w => ({ start: fromMinutes(w.start), end: fromMinutes(w.end) }))
+            };
+        })
+    };
+};
+
+// What partials/play-schedule-editor.ejs needs for a saved schedule (null for an empty form).
+// parentTimezone and preview are only known for one child's schedule.
+const editorFor = (schedule, { parentTimezone = null, preview = null, previewUrl = '' } = {}) => ({
+    schedule: fromSchedule(schedule),
+    timeZones: TIME_ZONES,
+    parentTimezone,
+    preview,
+    previewUrl,
+    windowsText
+});
+
+module.exports = {
+    DAYS,
+    DAY_KEYS,
+    toMinutes,
+    isValidTimeZone,
+    serverTimeZone,
+    zoneOffset,
+    windowsText,
+    fromSchedule,
+    toSchedule,
+    parseWindows,
+    scheduleFilled,
+    parseScheduleForm,
+    errorMessages,
+    errorMessage,
+    previewWeek,
+    editorFor
+};
@@ -0,0 +1,65 @@
+const apiClient = require('./apiClient');
+
+// Settings every page depends on (maintenance mode, branding), global and per center, from
+// GET /api/auth/portal-settings. Fetched at most once per SETTINGS_CACHE_MS (default 30 s);
+// saving the settings page reloads them so changes apply at once on this instance.
+//
+// Pages never wait on a refresh: once the cached copy is older than that, the last known settings
+// are served while a single background call (short deadline, no retries) fetches new ones. Only the
+// very first request, or the first one after clearCache(), waits, and no longer than SETTINGS_TIMEOUT_MS.
+
+const CACHE_MS = Number(process.env.SETTINGS_CACHE_MS) || 30 * 1000;
+const TIMEOUT_MS = Number(process.env.SETTINGS_TIMEOUT_MS) || 2000;
+const EMPTY = { global: {}, centers: {} };
+
+let cached = null; // { at, settings }
+let refreshing = null; // the call in flight, shared by every request that needs it
+let generation = 0; // bumped by clearCache() so a call started before it can't store old settings
+
+const clearCache = () => {
+    cached = null;
+    refreshing = null;
+    generation++;
+};
+
+const refresh = () => {
+    if (refreshing) return refreshing;
+    const started = generation;
+    const call = (async () => {
+        let settings;
+        try {
+            const response = await apiClient.get('/auth/portal-settings', { deadline: TIMEOUT_MS, retries: 0 });
+            settings = { global: response.data.global || {}, centers: response.data.centers || {} };
+        } catch (error) {
+            console.error('Portal Settings Error:', error.message);
+            settings = cached ? cached.settings : EMPTY;
+        }
+        if (started === generation) {
+            cached = { at: Date.now(), settings };
+            refreshing = null;
+        }
+        return settings;
+    })();
+    refreshing = call;
+    return call;
+};
+
+// { global, centers: { [centerId]: settings } }; the last known answer when the backend fails
+const fetchPortalSettings = async () => {
+    if (!cached) return refresh();
+    if (Date.now() - cached.at >= CACHE_MS) refresh();
+    return cached.settings;
+};
+
+// After saving the settings: drop the cached copy and fetch the new one now
+const reload = () => {
+    clearCache();
+    return refresh();
+};
+
+// The last known settings without calling the backend (the health check), or null before the first fetch
+const lastKnownSettings = () => (cached ? cached.settings : null);
+
+const centerIdOf = (user) => user?.center?._id || user?.center || null;
+
+module.exports = { fetchPortalSettings, lastKnownSettings, clearCache, reload, centerIdOf };
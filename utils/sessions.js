@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+
+// Signed-in portal sessions, for "Devices & sessions" on the profile and admin force sign-out.
+// Each authenticated session records where and when it was used (`req.session.device`).
+//
+// Sessions are found through index records kept in the session store next to them, so any store
+// that implements get/set/destroy works (MemoryStore, connect-mongo) and nothing ever scans it:
+//   devices:user:<userId>     { sids }                      the user's sessions
+//   devices:center:<centerId> { users: { id: { name, role } } } who signed in to the center
+// Entries are added when a session is first seen and pruned when listing finds them gone.
+
+// Last activity is only written back once a minute, not on every request.
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+// Index records expire like the sessions in the Mongo store; live sessions re-add themselves daily.
+const INDEX_TTL_MS = 14 * 24 * 60 * 60 * 1000;
+const REINDEX_MS = 24 * 60 * 60 * 1000;
+
+const userKey = (userId) => `devices:user:${userId}`;
+const centerKey = (centerId) => `devices:center:${centerId}`;
+
+// What the browser sees instead of the sid
+const publicId = (sid) => crypto.createHash('sha256').update(String(sid)).digest('hex').slice(0, 16);
+
+const storeCall = (store, method, ...args) => new Promise((resolve, reject) => {
+    store[method](...args, (err, result) => (err ? reject(err) : resolve(result)));
+});
+
+// Read-modify-write of one index record, one at a time per key on this instance. `update` gets the
+// current record ({} when there is none); the cookie is what the stores read the expiry from.
+const indexUpdates = new Map();
+const updateIndex = (store, key, update) => {
+    const run = (indexUpdates.get(key) || Promise.resolve()).then(async () => {
+        const record = update((await storeCall(store, 'get', key)) || {});
+        await storeCall(store, 'set', key, { ...record, cookie: { expires: new Date(Date.now() + INDEX_TTL_MS) } });
+    });
+    const settled = run.catch(() => {});
+    indexUpdates.set(key, settled);
+    settled.then(() => {
+        if (indexUpdates.get(key) === settled) indexUpdates.delete(key);
+    });
+    return run;
+};
+
+const indexSession = async (req, account) => {
+    const userId = String(account._id);
+    await updateIndex(req.sessionStore, userKey(userId), (record) => ({
+        sids: [...new Set([...(record.sids || []), req.sessionID])]
+    }));
+
+    const centerId = account.center?._id || account.center;
+    if (centerId) {
+        await updateIndex(req.sessionStore, centerKey(centerId), (record) => ({
+            users: { ...(record.users || {}), [userId]: { name: account.name, role: account.role } }
+        }));
+    }
+};
+
+// Middleware: stamp the session of a signed-in user and keep its last activity current
+const trackSession = async (req, res, next) => {
+    if (!req.user || !req.session) {
+        return next();
+    }
+
+    // While an admin views the portal as a specialist, the session stays the admin's.
+    const account = req.session.impersonation ? req.session.impersonation.admin : req.user;
+    const userId = String(account._id);
+    const now = Date.now();
+    const device = req.session.device;
+    if (!device || device.sid !== req.sessionID || device.userId !== userId) {
+        req.session.device = {
+            sid: req.sessionID,
+            userId,
+            createdAt: now,
+            lastSeenAt: now,
+            ip: req.ip,
+            userAgent: req.get('User-Agent') || ''
+        };
+    } else if (now - device.lastSeenAt > LAST_SEEN_RESOLUTION_MS) {
+        device.lastSeenAt = now;
+        device.ip = req.ip;
+    }
+
+    if (now - (req.session.device.indexedAt || 0) > REINDEX_MS) {
+        try {
+            await indexSession(req, account);
+            req.session.device.indexedAt = now;
+        } catch (error) {
+            console.warn('Session index update failed (ignored):', error.message);
+        }
+    }
+    next();
+};
+
+// Devices of the user's live sessions (the caller's own from the request, which may not be saved yet)
+const devicesOf = async (req, userId) => {
+    const store = req.sessionStore;
+    const sids = (await storeCall(store, 'get', userKey(userId)))?.sids || [];
+    const sessions = await Promise.all(sids.map(sid =>
+        (sid === req.sessionID ? req.session : storeCall(store, 'get', sid))));
+
+    const devices = sessions
+        .map(session => session && session.device)
+        .filter(device => device && device.userId === String(userId));
+    const gone = sids.filter(sid => !devices.some(device => device.sid === sid));
+    if (gone.length) {
+        await updateIndex(store, userKey(userId), (record) => ({
+            sids: (record.sids || []).filter(sid => !gone.includes(sid))
+        }));
+    }
+    return devices;
+};
+
+// Rough "Browser on OS" label; the full user agent is shown on hover.
+const describeUserAgent = (ua = '') => {
+    const browser = [
+        [/Edg\//, 'Edge'], [/OPR\/|Opera/, 'Opera'], [/Firefox\//, 'Firefox'],
+        [/Chrome\//, 'Chrome'], [/Safari\//, 'Safari']
+    ].find(([re]) => re.test(ua));
+    const os = [
+        [/Windows/, 'Windows'], [/Android/, 'Android'], [/iPhone|iPad|iOS/, 'iOS'],
+        [/Mac OS X|Macintosh/, 'macOS'], [/Linux/, 'Linux']
+    ].find(([re]) => re.test(ua));
+    if (!browser && !os) return ua ? ua.slice(0, 40) : '';
+    return [browser && browser[1], os && os[1]].filter(Boolean).join(' · ');
+};
+
+// Sessions of a user, most recently used first (`current` marks the caller's own)
+const listSessions = async (req, userId = req.user._id) => {
+    const devices = await devicesOf(req, userId);
+    return devices
+        .map(device => ({
+            id: publicId(device.sid),
+            createdAt: new Date(device.createdAt),
+            lastSeenAt: new Date(device.lastSeenAt),
+            ip: device.ip,
+            userAgent: device.userAgent,
+            device: describeUserAgent(device.userAgent),
+            current: device.sid === req.sessionID
+        }))
+        .sort((a, b) => b.lastSeenAt - a.lastSeenAt);
+};
+
+// Sign a user out of the sessions with the given public ids (all of them when `ids` is
+// omitted), except the caller's own. Resolves to the number of sessions ended.
+const revokeSessions = async (req, userId, ids = null) => {
+    const devices = await devicesOf(req, userId);
+    const targets = devices.filter(device =>
+        device.sid !== req.sessionID && (!ids || ids.includes(publicId(device.sid))));
+    await Promise.all(targets.map(device => storeCall(req.sessionStore, 'destroy', device.sid)));
+    if (targets.length) {
+        const ended = targets.map(device => device.sid);
+        await updateIndex(req.sessionStore, userKey(userId), (record) => ({
+            sids: (record.sids || []).filter(sid => !ended.includes(sid))
+        }));
+    }
+    return targets.length;
+};
+
+// Users of a center with at least one live session, most recently active first:
+// [{ id, name, role, sessions, lastSeenAt }]. Users without one are dropped from the index.
+const listCenterSessions = async (req, centerId) => {
+    const users = (await storeCall(req.sessionStore, 'get', centerKey(centerId)))?.users || {};
+    const entries = await Promise.all(Object.entries(users).map(async ([id, user]) => {
+        const devices = await devicesOf(req, id);
+        return {
+            id,
+            name: user.name,
+            role: user.role,
+            sessions: devices.length,
+            lastSeenAt: new Date(Math.max(0, ...devices.map(device => device.lastSeenAt)))
+        };
+    }));
+
+    const signedOut = entries.filter(entry => !entry.sessions).map(entry => entry.id);
+    if (signedOut.length) {
+        await updateIndex(req.sessionStore, centerKey(centerId), (record) => ({
+            users: Object.fromEntries(Object.entries(record.users || {}).filter(([id]) => !signedOut.includes(id)))
+        }));
+    }
+    return entries
+        .filter(entry => entry.sessions)
+        .sort((a, b) => b.lastSeenAt - a.lastSeenAt);
+};
+
+// Whether the user has signed in to the portal as a member of the center
+const signedInToCenter = async (req, centerId, userId) => {
+    const users = (await storeCall(req.sessionStore, 'get', centerKey(centerId)))?.users || {};
+    return Object.prototype.hasOwnProperty.call(users, String(userId));
+};
+
+module.exports = { trackSession, listSessions, revokeSessions, listCenterSessions, signedInToCenter };
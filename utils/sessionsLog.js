@@ -0,0 +1,120 @@
+const apiClient = require('./apiClient');
+const { fetchCaseload, mapWithLimit, CONCURRENCY } = require('./caseload');
+
+// Sessions log (/specialist/sessions) from GET /api/progress/sessions, which filters, sorts and pages
+// the sessions of every child the caller may see. Backends without that endpoint answer 404; the page
+// is then built here from GET /progress/child/:id and /exercises/child/:id of each child in the
+// caseload (utils/caseload.js), with the same filters, sorting, paging and response shape.
+
+const PAGE_SIZE = 20;
+
+const SORTS = {
+    date: (s) => new Date(s.sessionDate).getTime() || 0,
+    child: (s) => s.child.name || '',
+    plan: (s) => (s.plan ? s.plan.sessionIndex || 0 : -1),
+    duration: (s) => s.duration,
+    score: (s) => s.averageScore,
+    successRate: (s) => s.successRate
+};
+
+const summarizeSession = (s) => {
+    const totalAttempts = Number(s.totalAttempts ?? (s.attempts || []).length) || 0;
+    const successfulAttempts = Number(s.successfulAttempts ?? (s.attempts || []).filter(a => a.success).length) || 0;
+    return {
+        _id: s._id,
+        sessionDate: s.sessionDate,
+        duration: Number(s.duration) || 0,
+        totalAttempts,
+        successfulAttempts,
+        failedAttempts: Math.max(0, totalAttempts - successfulAttempts),
+        averageScore: Number(s.averageScore) || 0,
+        successRate: totalAttempts > 0 ? (successfulAttempts / totalAttempts) * 100 : 0
+    };
+};
+
+const number = (value) => (value === undefined || value === '' || Number.isNaN(Number(value)) ? null : Number(value));
+
+// `params` as sent to GET /progress/sessions
+const buildSessionsLog = async (req, params) => {
+    const { childId, planId, from, to } = params;
+    const minScore = number(params.minScore);
+    const minDuration = number(params.minDuration);
+    const maxDuration = number(params.maxDuration);
+    const fromDate = from ? new Date(from) : null;
+    // A plain date as the end of the range includes that whole day
+    const toDate = to ? new Date(/^\d{4}-\d{2}-\d{2}$/.test(to) ? `${to}T23:59:59.999Z` : to) : null;
+
+    const children = await fetchCaseload(req);
+    const perChild = await mapWithLimit(children, CONCURRENCY, async (child) => {
+        const [progressResp, plansResp] = await Promise.all([
+            (childId && String(child._id) !== String(childId))
+                ? null
+                : apiClient.authGet(req, `/progress/child/${child._id}`),
+            apiClient.authGet(req, `/exercises/child/${child._id}`, { params: { includeInactive: 1 } })
+        ]);
+        return {
+            child,
+            sessions: progressResp?.data?.progress?.sessions || [],
+            plans: (plansResp.data?.exercises || []).filter(e => (e.kind || 'plan') === 'plan')
+        };
+    });
+
+    const plans = perChild.flatMap(c => c.plans).sort((a, b) => (a.sessionIndex || 0) - (b.sessionIndex || 0));
+    const planRef = (id) => {
+        const plan = id ? plans.find(p => String(p._id) === String(id?._id || id)) : null;
+        return plan ? { _id: plan._id, sessionName: plan.sessionName, sessionIndex: plan.sessionIndex } : null;
+    };
+
+    let sessions = perChild.flatMap(({ child, sessions: childSessions }) => {
+        const ref = { _id: child._id, name: child.name, gender: child.gender, avatar: child.avatar };
+        return childSessions.map(s => ({ ...summarizeSession(s), child: ref, plan: planRef(s.plan) }));
+    });
+
+    sessions = sessions.filter(s => {
+        const date = new Date(s.sessionDate);
+        if (planId && String(s.plan?._id) !== String(planId)) return false;
+        if (fromDate && !(date >= fromDate)) return false;
+        if (toDate && !(date <= toDate)) return false;
+        if (minScore !== null && s.averageScore < minScore) return false;
+        if (minDuration !== null && s.duration < minDuration) return false;
+        if (maxDuration !== null && s.duration > maxDuration) return false;
+        return true;
+    });
+
+    const sort = SORTS[params.sort] ? params.sort : 'date';
+    const direction = params.order === 'asc' ? 1 : -1;
+    const key = SORTS[sort];
+    sessions.sort((a, b) => {
+        const x = key(a);
+        const y = key(b);
+        if (x === y) return SORTS.date(b) - SORTS.date(a);
+        return (typeof x === 'string' ? x.localeCompare(y) : x - y) * direction;
+    });
+
+    const total = sessions.length;
+    const pages = Math.max(1, Math.ceil(total / PAGE_SIZE));
+    const page = Math.min(Math.max(1, Number(params.page) || 1), pages);
+    return {
+        success: true,
+        sessions: sessions.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE),
+        total,
+        page,
+        pages,
+        children: children.map(c => ({ _id: c._id, name: c.name })),
+        plans: plans
+            .filter(p => !childId || String(p.child) === String(childId))
+            .map(p => ({ ...planRef(p._id), child: p.child }))
+    };
+};
+
+const fetchSessionsLog = async (req, params) => {
+    try {
+        const response = await apiClient.authGet(req, '/progress/sessions', { params });
+        return response.data.success ? response.data : {};
+    } catch (error) {
+        if (error.response?.status !== 404) throw error;
+        return buildSessionsLog(req, params);
+    }
+};
+
+module.exports = { fetchSessionsLog };